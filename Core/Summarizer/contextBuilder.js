@@ -0,0 +1,207 @@
+// Core/Summarizer/contextBuilder.js
+const vscode = require("vscode");
+
+// Lines kept on either side of the cursor before callers/callees are added
+const SURROUNDING_LINES = 20;
+
+function getContextBudget() {
+  const budget = Number(
+    vscode.workspace
+      .getConfiguration("echocode")
+      .get("ai.contextBudget", 60000),
+  );
+  return budget > 0 ? budget : 60000;
+}
+
+function formatLine(document, line, lineNumbers) {
+  const text = document.lineAt(line).text;
+  return lineNumbers ? `${line + 1}: ${text}` : text;
+}
+
+async function getFlatSymbols(document) {
+  let symbols = [];
+  try {
+    symbols =
+      (await vscode.commands.executeCommand(
+        "vscode.executeDocumentSymbolProvider",
+        document.uri,
+      )) || [];
+  } catch (err) {
+    // No symbol provider for this language: fall back to plain line windows
+    console.warn("[EchoCode] Document symbols unavailable:", err.message);
+  }
+
+  const flat = [];
+  (function walk(list) {
+    for (const s of list || []) {
+      flat.push(s);
+      if (s.children && s.children.length) walk(s.children);
+    }
+  })(symbols);
+  return flat;
+}
+
+function isCallable(symbol) {
+  const kinds = vscode.SymbolKind || {};
+  return [kinds.Function, kinds.Method, kinds.Constructor].includes(
+    symbol.kind,
+  );
+}
+
+function containsLine(symbol, line) {
+  return symbol.range.start.line <= line && line <= symbol.range.end.line;
+}
+
+function symbolLines(symbol) {
+  const lines = [];
+  for (let l = symbol.range.start.line; l <= symbol.range.end.line; l++) {
+    lines.push(l);
+  }
+  return lines;
+}
+
+function mentionsCall(text, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`\\b${escaped}\\s*\\(`).test(text);
+}
+
+/**
+ * Pick the parts of a document worth sending to the AI, in priority order:
+ * the symbol at the cursor, the lines around it, the functions it calls,
+ * the functions that call it, then the rest of the file outward from the cursor.
+ * Lines that don't fit the budget are replaced by an "omitted" marker.
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} [position] cursor; defaults to the top of the file
+ * @param {object} [options]
+ * @param {number} [options.budget] characters; defaults to echocode.ai.contextBudget
+ * @param {boolean} [options.lineNumbers] prefix each line with "N: "
+ * @returns {Promise<{text: string, truncated: boolean, includedLines: number, totalLines: number, focus: string|null}>}
+ */
+async function buildContext(document, position, options = {}) {
+  const budget = options.budget || getContextBudget();
+  const lineNumbers = options.lineNumbers === true;
+  const totalLines = document.lineCount;
+  const cursorLine = Math.min(position?.line ?? 0, totalLines - 1);
+
+  const lengths = [];
+  let fullLength = 0;
+  for (let l = 0; l < totalLines; l++) {
+    lengths[l] = formatLine(document, l, lineNumbers).length + 1;
+    fullLength += lengths[l];
+  }
+
+  // Small files go as they are
+  if (fullLength <= budget) {
+    const lines = [];
+    for (let l = 0; l < totalLines; l++) {
+      lines.push(formatLine(document, l, lineNumbers));
+    }
+    return {
+      text: lines.join("\n"),
+      truncated: false,
+      includedLines: totalLines,
+      totalLines,
+      focus: null,
+    };
+  }
+
+  const symbols = await getFlatSymbols(document);
+  const callables = symbols.filter(isCallable);
+  const classKind = vscode.SymbolKind?.Class;
+  const focus =
+    symbols
+      .filter((s) => isCallable(s) || s.kind === classKind)
+      .filter((s) => containsLine(s, cursorLine))
+      .sort(
+        (a, b) =>
+          a.range.end.line -
+          a.range.start.line -
+          (b.range.end.line - b.range.start.line),
+      )[0] || null;
+
+  const included = new Set();
+  let used = 0;
+  const byDistance = (a, b) =>
+    Math.abs(a - cursorLine) - Math.abs(b - cursorLine);
+
+  // Take lines one by one, nearest to the cursor first
+  const takeLines = (lines) => {
+    for (const l of [...lines].sort(byDistance)) {
+      if (included.has(l)) continue;
+      if (used + lengths[l] > budget) continue;
+      included.add(l);
+      used += lengths[l];
+    }
+  };
+  // Take a whole symbol or nothing, so the model never sees half a function
+  const takeBlock = (symbol) => {
+    const lines = symbolLines(symbol).filter((l) => !included.has(l));
+    const cost = lines.reduce((sum, l) => sum + lengths[l], 0);
+    if (used + cost > budget) return;
+    lines.forEach((l) => included.add(l));
+    used += cost;
+  };
+
+  if (focus) takeLines(symbolLines(focus));
+
+  const nearby = [];
+  for (
+    let l = Math.max(0, cursorLine - SURROUNDING_LINES);
+    l <= Math.min(totalLines - 1, cursorLine + SURROUNDING_LINES);
+    l++
+  ) {
+    nearby.push(l);
+  }
+  takeLines(nearby);
+
+  if (focus) {
+    const focusText = document.getText(focus.range);
+    const others = callables.filter((s) => s !== focus);
+    others.filter((s) => mentionsCall(focusText, s.name)).forEach(takeBlock);
+    others
+      .filter((s) => mentionsCall(document.getText(s.range), focus.name))
+      .forEach(takeBlock);
+  }
+
+  const rest = [];
+  for (let l = 0; l < totalLines; l++) rest.push(l);
+  takeLines(rest);
+
+  const sorted = [...included].sort((a, b) => a - b);
+  const parts = [];
+  let expected = 0;
+  for (const l of sorted) {
+    if (l > expected) parts.push(omittedMarker(expected, l - 1));
+    parts.push(formatLine(document, l, lineNumbers));
+    expected = l + 1;
+  }
+  if (expected < totalLines)
+    parts.push(omittedMarker(expected, totalLines - 1));
+
+  return {
+    text: parts.join("\n"),
+    truncated: true,
+    includedLines: sorted.length,
+    totalLines,
+    focus: focus ? focus.name : null,
+  };
+}
+
+function omittedMarker(first, last) {
+  return first === last
+    ? `... (line ${first + 1} omitted) ...`
+    : `... (lines ${first + 1}-${last + 1} omitted) ...`;
+}
+
+/** One sentence for the user about what was left out, or "" if nothing. */
+function describeTruncation(context) {
+  if (!context.truncated) return "";
+  const around = context.focus ? `around ${context.focus}` : "near the cursor";
+  return `The file is too large to send whole, so only ${context.includedLines} of ${context.totalLines} lines ${around} were used.`;
+}
+
+module.exports = {
+  buildContext,
+  describeTruncation,
+  getContextBudget,
+};
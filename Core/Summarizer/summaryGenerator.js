@@ -1,5 +1,7 @@
 const vscode = require("vscode"); // VSCode API
 const { Selection } = require("./codeParser");
+const { buildContext, describeTruncation } = require("./contextBuilder");
+const { guardWithHelpLadder } = require("../program_settings/guard");
 
 // To speak summary aloud
 const {
@@ -10,6 +12,34 @@ const {
 const {
   analyzeAI,
 } = require("../program_settings/program_settings/AIrequest");
+const {
+  withAiProgress,
+  isAiCancellation,
+} = require("../program_settings/program_settings/aiProgress");
+
+// Cancellations and timeouts are announced by withAiProgress already
+function reportSummaryError(err) {
+  if (isAiCancellation(err)) return;
+  console.error("Summary failed:", err);
+  speakMessage("Could not generate the summary.");
+}
+
+const CLASS_PROMPT =
+  "Give a brief summary of this class. Mention thename of the class as well as the names of variables and functions defined therein. Do not use any markup language or emojis in your generated summary.";
+const FUNCTION_PROMPT =
+  "Give a brief summary of the following function. Be sure to mention the name of the function being summarized. Do not use any markup language or emojis in your generated summary.";
+const PROGRAM_PROMPT =
+  "Give a brief summary of the following program. Do not include function and class definitions in the summary, just say that there is a definition. Do not use any markup language or emojis in your generated summary.";
+
+function requestSummary(editor, label, text, prompt) {
+  return withAiProgress(label, (token) =>
+    analyzeAI(text, prompt, {
+      kind: "summary",
+      documentUri: editor.document.uri.toString(),
+      token,
+    }),
+  );
+}
 
 async function summarizeClass(editor) {
   // Attempt to retrieve the current class
@@ -28,13 +58,12 @@ async function summarizeClass(editor) {
   console.error("Will generate summary for the following class:");
   console.log("---CLASS TEXT---\n", classText, "\n---END CLASS TEXT---\n");
 
-  const prompt =
-    "Give a brief summary of this class. Mention thename of the class as well as the names of variables and functions defined therein. Do not use any markup language or emojis in your generated summary.";
-
   // Calls the function
-  analyzeAI(classText, prompt).then((summary) => {
-    speakMessage(summary);
-  });
+  requestSummary(editor, "class summary", classText, CLASS_PROMPT)
+    .then((summary) => {
+      speakMessage(summary);
+    })
+    .catch(reportSummaryError);
 }
 
 async function summarizeFunction(editor) {
@@ -52,10 +81,6 @@ async function summarizeFunction(editor) {
   // Otherwise, print the text of the current function to the console (for now)
   const functionText = currentFunction.text;
 
-  // replace with different prompts
-  const instructionPrompt =
-    "Give a brief summary of the following function. Be sure to mention the name of the function being summarized. Do not use any markup language or emojis in your generated summary.";
-
   console.error("Will generate summary for the following function:");
   console.log(
     "---FUNCTION TEXT---\n",
@@ -64,24 +89,119 @@ async function summarizeFunction(editor) {
   );
 
   // Calls the function
-  analyzeAI(functionText, instructionPrompt).then((summary) => {
-    speakMessage(summary);
-  });
+  requestSummary(editor, "function summary", functionText, FUNCTION_PROMPT)
+    .then((summary) => {
+      speakMessage(summary);
+    })
+    .catch(reportSummaryError);
 }
 
-function summarizeProgram(editor) {
-  const programText = editor.document.getText();
-
-  // replace with different prompts
-  const instructionPrompt =
-    "Give a brief summary of the following program. Do not include function and class definitions in the summary, just say that there is a definition. Do not use any markup language or emojis in your generated summary.";
+async function summarizeProgram(editor) {
+  // Large files are cut down to echocode.ai.contextBudget around the cursor
+  const context = await buildContext(editor.document, editor.selection.active);
+  const truncationNote = describeTruncation(context);
 
   console.error("Program Summary:");
 
   // Calls the function
-  analyzeAI(programText, instructionPrompt).then((summary) => {
-    console.error(summary), speakMessage(summary);
-  });
+  requestSummary(editor, "program summary", context.text, PROGRAM_PROMPT)
+    .then((summary) => {
+      console.error(summary);
+      speakMessage(truncationNote ? `${truncationNote} ${summary}` : summary);
+    })
+    .catch(reportSummaryError);
+}
+
+const BLOCK_CONCEPTS = {
+  class: (name) =>
+    `A class groups data with the functions that work on it. Think about what ${name} stores and what it can do.`,
+  function: (name) =>
+    `A function turns its inputs into a result. Think about what ${name} receives and what it gives back.`,
+};
+
+/**
+ * Help-ladder rungs for the class or function at the cursor in Student Mode:
+ * what the block is for, then where it starts and ends, then the summary.
+ */
+async function getBlockHelp(editor, kind) {
+  const block = new Selection(kind);
+  await block.detectCurrentBlock(editor);
+  if (!block.cursorInSelection) {
+    speakMessage(`Cursor is not inside a ${kind}.`);
+    return null;
+  }
+
+  const prompt = kind === "class" ? CLASS_PROMPT : FUNCTION_PROMPT;
+  return {
+    target: `${editor.document.uri.toString()}:${kind}:${block.name}`,
+    concept: BLOCK_CONCEPTS[kind](block.name),
+    // The same for every block of its kind, so the ladder does not charge it
+    conceptGeneric: true,
+    where: `The ${kind} ${block.name} runs from line ${
+      block.firstLine.lineNumber + 1
+    } to line ${block.lastLine.lineNumber + 1}`,
+    explain: () =>
+      requestSummary(editor, `${kind} summary`, block.text, prompt).catch(
+        (err) => {
+          reportSummaryError(err);
+          return null;
+        },
+      ),
+  };
+}
+
+function countOf(count, noun, plural) {
+  return `${count} ${count === 1 ? noun : plural}`;
+}
+
+// Help-ladder rungs for the whole file: what to look for, what it defines,
+// then the summary
+async function getProgramHelp(editor) {
+  const source = editor.document.getText();
+  const functions = (source.match(/^\s*(async\s+)?(def|function)\s/gm) || [])
+    .length;
+  const classes = (source.match(/^\s*class\s/gm) || []).length;
+
+  return {
+    target: `${editor.document.uri.toString()}:program`,
+    concept:
+      "A program summary says what the file does as a whole. Look for the code that runs when the file starts, not only the definitions.",
+    conceptGeneric: true,
+    where: `This file defines ${countOf(
+      functions,
+      "function",
+      "functions",
+    )} and ${countOf(classes, "class", "classes")}`,
+    explain: async () => {
+      try {
+        const context = await buildContext(
+          editor.document,
+          editor.selection.active,
+        );
+        const truncationNote = describeTruncation(context);
+        const summary = await requestSummary(
+          editor,
+          "program summary",
+          context.text,
+          PROGRAM_PROMPT,
+        );
+        return truncationNote ? `${truncationNote} ${summary}` : summary;
+      } catch (err) {
+        reportSummaryError(err);
+        return null;
+      }
+    },
+  };
+}
+
+// The help for the active editor, or null after asking for a file
+function helpForEditor(what, getHelp) {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) {
+    vscode.window.showWarningMessage(`Please open a file to ${what}.`);
+    return null;
+  }
+  return getHelp(editor);
 }
 
 // New function to register all summarizer commands
@@ -89,49 +209,69 @@ function registerSummarizerCommands(context, outputChannel) {
   // Command to summarize a class
   const classSummaryCommand = vscode.commands.registerCommand(
     "echocode.summarizeClass",
-    () => {
-      outputChannel.appendLine("echocode.summarizeClass command triggered");
-      const editor = vscode.window.activeTextEditor;
-      if (editor) {
-        summarizeClass(editor);
-      } else {
-        vscode.window.showWarningMessage(
-          "Please open a file to summarize a class."
-        );
-      }
-    }
+    guardWithHelpLadder(
+      "echocode.summarizeClass",
+      () => {
+        outputChannel.appendLine("echocode.summarizeClass command triggered");
+        const editor = vscode.window.activeTextEditor;
+        if (editor) {
+          summarizeClass(editor);
+        } else {
+          vscode.window.showWarningMessage(
+            "Please open a file to summarize a class."
+          );
+        }
+      },
+      () =>
+        helpForEditor("summarize a class", (editor) =>
+          getBlockHelp(editor, "class")
+        )
+    )
   );
 
   // Command to summarize a function
   const functionSummaryCommand = vscode.commands.registerCommand(
     "echocode.summarizeFunction",
-    () => {
-      outputChannel.appendLine("echocode.summarizeFunction command triggered");
-      const editor = vscode.window.activeTextEditor;
-      if (editor) {
-        summarizeFunction(editor);
-      } else {
-        vscode.window.showWarningMessage(
-          "Please open a file to summarize a function."
+    guardWithHelpLadder(
+      "echocode.summarizeFunction",
+      () => {
+        outputChannel.appendLine(
+          "echocode.summarizeFunction command triggered"
         );
-      }
-    }
+        const editor = vscode.window.activeTextEditor;
+        if (editor) {
+          summarizeFunction(editor);
+        } else {
+          vscode.window.showWarningMessage(
+            "Please open a file to summarize a function."
+          );
+        }
+      },
+      () =>
+        helpForEditor("summarize a function", (editor) =>
+          getBlockHelp(editor, "function")
+        )
+    )
   );
 
   // Command to summarize a program
   const programSummaryCommand = vscode.commands.registerCommand(
     "echocode.summarizeProgram",
-    () => {
-      outputChannel.appendLine("echocode.summarizeProgram command triggered");
-      const editor = vscode.window.activeTextEditor;
-      if (editor) {
-        summarizeProgram(editor);
-      } else {
-        vscode.window.showWarningMessage(
-          "Please open a file to summarize a program."
-        );
-      }
-    }
+    guardWithHelpLadder(
+      "echocode.summarizeProgram",
+      () => {
+        outputChannel.appendLine("echocode.summarizeProgram command triggered");
+        const editor = vscode.window.activeTextEditor;
+        if (editor) {
+          summarizeProgram(editor);
+        } else {
+          vscode.window.showWarningMessage(
+            "Please open a file to summarize a program."
+          );
+        }
+      },
+      () => helpForEditor("summarize a program", getProgramHelp)
+    )
   );
 
   // Add all commands to context.subscriptions
@@ -142,4 +282,4 @@ function registerSummarizerCommands(context, outputChannel) {
   );
 }
 
-module.exports = { registerSummarizerCommands };
+module.exports = { registerSummarizerCommands, getBlockHelp, getProgramHelp };
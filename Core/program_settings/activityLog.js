@@ -0,0 +1,185 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { getMode } = require("./mode");
+const { createSignedLog } = require("./signedLog");
+const { speakMessage } = require("./speech_settings/speechHandler");
+
+/**
+ * Academic-integrity record of which EchoCode features were used in this
+ * workspace: guarded commands run or blocked, help-ladder hints, voice
+ * commands, code inserted by voice generation, AI prompts, chat questions and
+ * mode changes. It is a signed, append-only log (see signedLog.js) kept in
+ * the workspace's storage folder, so each assignment has its own, and it is
+ * exported as JSONL or CSV to hand in with the code.
+ */
+
+const activityLog = createSignedLog({
+  fileName: "activity-log.jsonl",
+  keySecret: "echocode.activityLogKey",
+  label: "Activity log",
+});
+// Leading CSV columns; other fields follow in order of first use
+const CSV_COLUMNS = ["seq", "time", "event", "mode", "command"];
+const CSV_TRAILING = ["prev", "sig"];
+
+function isActivityLogEnabled() {
+  return vscode.workspace
+    .getConfiguration("echocode")
+    .get("activityLog.enabled", true);
+}
+
+function initActivityLog(context) {
+  // No folder open: fall back to storage shared by all windows
+  const storage = context.storageUri || context.globalStorageUri;
+  activityLog.init(context, storage.fsPath);
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeConfiguration((e) => {
+      // Turning logging off is itself logged
+      if (e.affectsConfiguration("echocode.activityLog.enabled")) {
+        return activityLog.append({
+          event: "loggingChanged",
+          mode: getMode(),
+          enabled: isActivityLogEnabled(),
+        });
+      }
+    }),
+  );
+}
+
+/**
+ * Append one activity, e.g. {event: "aiPrompt", kind, prompt}. The current
+ * mode is added. Never throws; a failed write is reported on the console.
+ */
+function recordActivity(event) {
+  if (!isActivityLogEnabled()) return Promise.resolve();
+  return activityLog.append({ mode: getMode(), ...event });
+}
+
+/** Log a command that Student Mode or the instructor policy blocked. */
+function recordBlockedCommand(commandId, decision, via) {
+  return recordActivity({
+    event: "commandBlocked",
+    command: commandId,
+    source: decision.source,
+    ...(decision.policy ? { policy: decision.policy } : {}),
+    ...(via ? { via } : {}),
+  });
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : `${value}`;
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Entries as CSV, one column per field used by any entry. */
+function toCsv(entries) {
+  const columns = [...CSV_COLUMNS];
+  for (const entry of entries) {
+    for (const key of Object.keys(entry)) {
+      if (!columns.includes(key) && !CSV_TRAILING.includes(key)) {
+        columns.push(key);
+      }
+    }
+  }
+  columns.push(...CSV_TRAILING);
+  const rows = entries.map((entry) =>
+    columns.map((column) => csvCell(entry[column])).join(","),
+  );
+  return `${[columns.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+function toJsonl(entries) {
+  return entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+}
+
+/**
+ * Unsigned first row of an export with the result of checking the log. The
+ * signing key never leaves this computer, so the export carries the verdict
+ * instead of something a reader could check again.
+ */
+function checkEntry(check) {
+  return {
+    event: "logCheck",
+    time: new Date().toISOString(),
+    verified: check.ok,
+    ...(check.ok ? {} : { failedLine: check.line, problem: check.problem }),
+  };
+}
+
+/**
+ * Write the log to file as "jsonl" or "csv", after a "logCheck" row saying
+ * whether every signature held and, if not, the first line that failed.
+ * @returns {Promise<{entries: number, check: object}>} check is the result
+ *   of verifying the signatures before export
+ */
+async function exportActivityLog(file, format) {
+  const check = await activityLog.verify();
+  const entries = await activityLog.readEntries();
+  const rows = [checkEntry(check), ...entries];
+  await fs.promises.writeFile(
+    file,
+    format === "csv" ? toCsv(rows) : toJsonl(rows),
+  );
+  return { entries: entries.length, check };
+}
+
+async function exportActivityLogCommand() {
+  const format = await vscode.window.showQuickPick(
+    [
+      {
+        label: "JSON Lines",
+        detail: "One signed entry per line, as logged",
+        value: "jsonl",
+      },
+      { label: "CSV", detail: "For spreadsheets", value: "csv" },
+    ],
+    { placeHolder: "Export the EchoCode activity log as" },
+  );
+  if (!format) return;
+
+  const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+  const target = await vscode.window.showSaveDialog({
+    defaultUri: folder
+      ? vscode.Uri.joinPath(folder, `echocode-activity.${format.value}`)
+      : undefined,
+    filters:
+      format.value === "csv" ? { CSV: ["csv"] } : { "JSON Lines": ["jsonl"] },
+  });
+  if (!target) return;
+
+  const { entries, check } = await exportActivityLog(
+    target.fsPath,
+    format.value,
+  );
+  const exported = `Exported ${entries} activity ${entries === 1 ? "entry" : "entries"} to ${path.basename(target.fsPath)}.`;
+  if (check.ok) {
+    vscode.window.showInformationMessage(`EchoCode: ${exported}`);
+    await speakMessage(`${exported} No entry was altered.`);
+  } else {
+    const problem = `The log check failed at entry ${check.line}: ${check.problem}.`;
+    vscode.window.showWarningMessage(`EchoCode: ${exported} ${problem}`);
+    await speakMessage(`${exported} ${problem}`);
+  }
+}
+
+function registerActivityLogCommands(context) {
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "echocode.exportActivityLog",
+      exportActivityLogCommand,
+    ),
+  );
+}
+
+module.exports = {
+  initActivityLog,
+  recordActivity,
+  recordBlockedCommand,
+  toCsv,
+  exportActivityLog,
+  registerActivityLogCommands,
+};
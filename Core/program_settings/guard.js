@@ -1,6 +1,14 @@
 const vscode = require("vscode");
 const { getMode } = require("./mode");
 const { speakMessage } = require("./speech_settings/speechHandler");
+const { playEarcon } = require("./speech_settings/earcons");
+const {
+  checkPolicy,
+  recordPolicyUse,
+  markCommandEnforced
+} = require("./policy");
+const { usesHelpLadder, climbHelpLadder } = require("./helpLadder");
+const { recordActivity, recordBlockedCommand } = require("./activityLog");
 
 // Commands that are DISABLED in Student Mode
 const STUDENT_LOCKED_COMMANDS = new Set([
@@ -44,15 +52,83 @@ const STUDENT_LOCKED_COMMANDS = new Set([
   "echocode.markTaskComplete",
   "echocode.rescanUserCode",
 "echocode.readNextSequentialTask",
+
+  // Help ladder budget (instructors reset it from Dev Mode)
+  "echocode.resetHelpBudget",
 ]);
 
 function isStudentMode() {
   return getMode() !== "dev";
 }
 
+/**
+ * Whether a command may run now: always in Dev Mode, otherwise as the
+ * workspace's instructor policy (or the built-in locks) decides. A built-in
+ * lock on a help-ladder command gives way to hints ({ladder: true}).
+ */
+function checkCommand(commandId) {
+  if (!isStudentMode()) return { allowed: true };
+  const decision = checkPolicy(
+    commandId,
+    STUDENT_LOCKED_COMMANDS.has(commandId)
+  );
+  if (
+    !decision.allowed &&
+    decision.source === "builtin" &&
+    usesHelpLadder(commandId)
+  ) {
+    return { allowed: true, ladder: true };
+  }
+  return decision;
+}
+
 function isAllowed(commandId) {
-  if (!isStudentMode()) return true;
-  return !STUDENT_LOCKED_COMMANDS.has(commandId);
+  return checkCommand(commandId).allowed;
+}
+
+// Commands being run through countCommandUse; a guarded command started by
+// the voice router counts once, not twice
+const countingCommands = new Set();
+
+/**
+ * Run a command that was allowed, counting it against any policy limit and
+ * logging it to the activity log.
+ */
+async function countCommandUse(commandId, run) {
+  if (countingCommands.has(commandId)) return run();
+  recordPolicyUse(commandId);
+  recordActivity({ event: "command", command: commandId });
+  countingCommands.add(commandId);
+  try {
+    return await run();
+  } finally {
+    countingCommands.delete(commandId);
+  }
+}
+
+/** Tell the user, on screen and aloud, why a command was blocked. */
+async function explainBlocked(decision) {
+  const policyReason = decision.source === "policy" ? decision.reason : null;
+  // visible popup (nice for sighted devs/testing)
+  vscode.window.showWarningMessage(
+    `EchoCode: ${policyReason || "This feature is locked in Student Mode."}`
+  );
+
+  // spoken feedback (nice for accessibility)
+  try {
+    // If your speakMessage expects (text, outputChannel), this still works:
+    // it will receive undefined for outputChannel, which most implementations handle.
+    await speakMessage(
+      policyReason || "Error. This feature is currently locked.",
+      {
+        priority: "urgent",
+        category: "lock",
+        prelude: () => playEarcon("commandLocked"),
+      }
+    );
+  } catch (e) {
+    // don't crash the extension if speech fails
+  }
 }
 
 /**
@@ -61,30 +137,50 @@ function isAllowed(commandId) {
  *   vscode.commands.registerCommand("some.command", guard("some.command", () => {...}))
  */
 function guard(commandId, handler) {
+  markCommandEnforced(commandId);
   return async (...args) => {
-    if (!isAllowed(commandId)) {
-      // visible popup (nice for sighted devs/testing)
-      vscode.window.showWarningMessage(
-        "EchoCode: This feature is locked in Student Mode."
-      );
-
-      // spoken feedback (nice for accessibility)
-      try {
-        // If your speakMessage expects (text, outputChannel), this still works:
-        // it will receive undefined for outputChannel, which most implementations handle.
-        await speakMessage("Error. This feature is currently locked.");
-      } catch (e) {
-        // don't crash the extension if speech fails
-      }
+    const decision = checkCommand(commandId);
+    if (!decision.allowed) {
+      recordBlockedCommand(commandId, decision);
+      await explainBlocked(decision);
       return;
     }
 
-    return handler(...args);
+    return countCommandUse(commandId, () => handler(...args));
+  };
+}
+
+/**
+ * Like guard(), but when the help ladder has opened the command it speaks
+ * the next hint from getHelp instead of running handler.
+ */
+function guardWithHelpLadder(commandId, handler, getHelp) {
+  markCommandEnforced(commandId);
+  return async (...args) => {
+    const decision = checkCommand(commandId);
+    if (!decision.allowed) {
+      recordBlockedCommand(commandId, decision);
+      await explainBlocked(decision);
+      return;
+    }
+    if (decision.ladder) {
+      const hint = await climbHelpLadder(commandId, () => getHelp(...args));
+      if (hint) {
+        recordActivity({ event: "helpHint", command: commandId, hint });
+      }
+      return hint;
+    }
+
+    return countCommandUse(commandId, () => handler(...args));
   };
 }
 
 module.exports = {
   STUDENT_LOCKED_COMMANDS,
+  checkCommand,
   isAllowed,
+  countCommandUse,
+  explainBlocked,
   guard,
+  guardWithHelpLadder,
 };
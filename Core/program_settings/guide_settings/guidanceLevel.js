@@ -1,21 +1,35 @@
 // Core/program_settings/guide_settings/guidanceLevel.js
 const vscode = require("vscode");
+const { capGuidanceLevel, capGuidanceProfile } = require("../policy");
+const { getGuidanceProfile } = require("./guidanceProfiles");
 
+// The chosen level, lowered to the instructor policy's cap if there is one
 function getGuidanceLevel() {
-  return vscode.workspace
+  const level = vscode.workspace
     .getConfiguration("echocode")
     .get("guidanceLevel", "balanced");
+  return capGuidanceLevel(level);
+}
+
+// The profile for the current level (see guidanceProfiles.js), held to the
+// instructor policy's cap
+function getActiveGuidanceProfile() {
+  return capGuidanceProfile(getGuidanceProfile(getGuidanceLevel()));
 }
 
 function norm(t) {
   return (t ?? "").toString().replace(/\s+/g, " ").trim();
 }
 
-function firstSentence(t) {
-  const s = norm(t);
-  if (!s) return "";
-  const m = s.match(/^(.+?[.!?])(\s|$)/);
-  return m ? m[1].trim() : s;
+function firstSentences(t, count = 1) {
+  let rest = norm(t);
+  const kept = [];
+  while (rest && kept.length < count) {
+    const m = rest.match(/^(.+?[.!?])(\s|$)/);
+    kept.push(m ? m[1] : rest);
+    rest = m ? rest.slice(m[0].length) : "";
+  }
+  return kept.join(" ");
 }
 
 function trim(t, max = 220) {
@@ -44,54 +58,52 @@ function trim(t, max = 220) {
  *
  * New structured inputs (recommended):
  * - detail, why, steps
+ *
+ * The profile (default: the current level's) decides which parts are read,
+ * how much of each and in what order.
  */
-function formatHelpByGuidance(input) {
-  const level = getGuidanceLevel();
-
+function formatHelpByGuidance(input, profile = getActiveGuidanceProfile()) {
   const where = input.where;
   const summary = input.summary;
   const detail = input.detail ?? input.raw;
   const why = input.why ?? input.ruleHint;
   const steps = input.steps ?? input.suggestions ?? [];
+  const max = profile.maxLength;
+  const sentences = profile.maxSentences;
 
-  const W = where ? `${norm(where)}.` : "";
-  const S = norm(summary) || firstSentence(detail) || "I found something to improve here.";
-  const D = norm(detail);
-  const Y = norm(why);
-
-  const step1 = norm(steps[0]);
-  const step2 = norm(steps[1]);
+  // Without a sentence limit the plain summary is read whole but the raw
+  // message only to its first sentence
+  const plain = sentences ? firstSentences(summary, sentences) : norm(summary);
+  const raw = firstSentences(detail, sentences ?? 1);
+  // Technical profiles read the raw message; the others the plain summary
+  const S =
+    (profile.vocabulary === "technical" ? raw || plain : plain || raw) ||
+    "I found something to improve here.";
 
-  if (level === "guided") {
-    // Coaching / checklist feel
-    return [
-      W,
-      trim(S, 180),
-      step1 ? `Next, ${trim(step1, 180)}` : "",
-      step2 ? `Then, ${trim(step2, 180)}` : "",
-    ]
-      .filter(Boolean)
-      .join(" ");
-  }
-
-  if (level === "balanced") {
-    // Quick tutor feel
-    return [
-      W,
-      trim(S, 200),
-      Y ? trim(Y, 160) : "",
-      step1 ? trim(step1, 200) : "",
-    ]
-      .filter(Boolean)
-      .join(" ");
-  }
+  const stepText = steps
+    .map(norm)
+    .filter(Boolean)
+    .slice(0, profile.steps)
+    .map((step, i) => {
+      // Coaching / checklist feel
+      if (profile.vocabulary !== "simple") return trim(step, max);
+      return `${i === 0 ? "Next" : "Then"}, ${trim(step, max)}`;
+    });
 
-  // Concise: location + ONE sentence only
-  const conciseCore = firstSentence(D) || firstSentence(S);
-  return [W, trim(conciseCore, 220)].filter(Boolean).join(" ");
+  const parts = {
+    location: profile.includeLocation && where ? `${norm(where)}.` : "",
+    summary: trim(S, max),
+    why: profile.includeWhy ? trim(why, profile.maxWhyLength ?? max) : "",
+    steps: stepText.join(" "),
+  };
+  return profile.readingOrder
+    .map((part) => parts[part])
+    .filter(Boolean)
+    .join(" ");
 }
 
 module.exports = {
   getGuidanceLevel,
+  getActiveGuidanceProfile,
   formatHelpByGuidance,
 };
@@ -0,0 +1,251 @@
+// Core/program_settings/guide_settings/guidanceProfiles.js
+const vscode = require("vscode");
+
+/**
+ * Guidance levels as data. A profile decides how spoken help is cut down
+ * (formatHelpByGuidance) and what the AI is asked to write (annotation and
+ * Big-O prompts):
+ *
+ *   maxSentences     sentences kept from the main explanation; null reads a
+ *                    plain summary whole (a raw message still gets one)
+ *   maxLength        characters kept from each part
+ *   maxWhyLength     characters kept from the reason; null for maxLength
+ *   steps            fix steps read out (0 for none)
+ *   includeWhy       read the reason behind the advice
+ *   includeLocation  start with the file/line
+ *   readingOrder     order of "location", "summary", "why" and "steps"
+ *   vocabulary       "simple" (coached, no jargon), "standard" or
+ *                    "technical" (the raw message before the plain summary)
+ *
+ * Custom profiles come from the echocode.guidanceProfiles setting and start
+ * from the built-in profile named by "base" (balanced by default).
+ */
+
+const BUILTIN_PROFILES = {
+  guided: {
+    label: "Guided",
+    description: "Step-by-step, minimal jargon",
+    maxSentences: null,
+    maxLength: 180,
+    maxWhyLength: null,
+    steps: 2,
+    includeWhy: false,
+    includeLocation: true,
+    readingOrder: ["location", "summary", "why", "steps"],
+    vocabulary: "simple",
+  },
+  balanced: {
+    label: "Balanced",
+    description: "Rule + a couple fix options",
+    maxSentences: null,
+    maxLength: 200,
+    maxWhyLength: 160,
+    steps: 1,
+    includeWhy: true,
+    includeLocation: true,
+    readingOrder: ["location", "summary", "why", "steps"],
+    vocabulary: "standard",
+  },
+  concise: {
+    label: "Concise",
+    description: "Technical, raw error included",
+    maxSentences: 1,
+    maxLength: 220,
+    maxWhyLength: null,
+    steps: 0,
+    includeWhy: false,
+    includeLocation: true,
+    readingOrder: ["location", "summary", "why", "steps"],
+    vocabulary: "technical",
+  },
+};
+const PARTS = ["location", "summary", "why", "steps"];
+const VOCABULARY = ["simple", "standard", "technical"];
+const VOCABULARY_INSTRUCTIONS = {
+  simple: "Use simple language (no jargon).",
+  standard: "Use plain language and name the concept involved.",
+  technical: "Use precise technical terms.",
+};
+
+// Custom profiles already warned about, so a bad setting is reported once
+const reported = new Set();
+
+function isWholeNumber(value, min) {
+  return Number.isInteger(value) && value >= min;
+}
+
+/**
+ * Fill in a custom profile from its base and check every field.
+ * Throws an Error naming the bad field.
+ */
+function normalizeProfile(name, raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`"${name}" must be an object`);
+  }
+  const baseName = raw.base || "balanced";
+  const base = BUILTIN_PROFILES[baseName];
+  if (!base) {
+    throw new Error(
+      `"${name}".base must be one of ${Object.keys(BUILTIN_PROFILES).join(", ")}`,
+    );
+  }
+  const profile = { ...base, label: name, description: "", ...raw, baseName };
+  delete profile.base;
+
+  const field = (key) => `"${name}".${key}`;
+  if (
+    profile.maxSentences !== null &&
+    !isWholeNumber(profile.maxSentences, 1)
+  ) {
+    throw new Error(`${field("maxSentences")} must be 1 or more, or null`);
+  }
+  if (!isWholeNumber(profile.maxLength, 40)) {
+    throw new Error(`${field("maxLength")} must be 40 or more`);
+  }
+  if (
+    profile.maxWhyLength !== null &&
+    !isWholeNumber(profile.maxWhyLength, 40)
+  ) {
+    throw new Error(`${field("maxWhyLength")} must be 40 or more, or null`);
+  }
+  if (!isWholeNumber(profile.steps, 0)) {
+    throw new Error(`${field("steps")} must be a whole number`);
+  }
+  for (const key of ["includeWhy", "includeLocation"]) {
+    if (typeof profile[key] !== "boolean") {
+      throw new Error(`${field(key)} must be true or false`);
+    }
+  }
+  if (
+    !Array.isArray(profile.readingOrder) ||
+    profile.readingOrder.some((part) => !PARTS.includes(part))
+  ) {
+    throw new Error(
+      `${field("readingOrder")} must list parts from ${PARTS.join(", ")}`,
+    );
+  }
+  if (!VOCABULARY.includes(profile.vocabulary)) {
+    throw new Error(
+      `${field("vocabulary")} must be one of ${VOCABULARY.join(", ")}`,
+    );
+  }
+  return profile;
+}
+
+/** Built-in and valid custom profiles by name; bad ones are warned about. */
+function getGuidanceProfiles() {
+  const profiles = {};
+  for (const [name, profile] of Object.entries(BUILTIN_PROFILES)) {
+    profiles[name] = { ...profile, baseName: name };
+  }
+  const custom = vscode.workspace
+    .getConfiguration("echocode")
+    .get("guidanceProfiles", {});
+  for (const [name, raw] of Object.entries(custom || {})) {
+    if (BUILTIN_PROFILES[name]) continue;
+    try {
+      profiles[name] = normalizeProfile(name, raw);
+    } catch (err) {
+      const key = `${name}:${JSON.stringify(raw)}`;
+      if (!reported.has(key)) {
+        reported.add(key);
+        vscode.window.showWarningMessage(
+          `EchoCode: Ignoring guidance profile ${err.message}.`,
+        );
+      }
+    }
+  }
+  return profiles;
+}
+
+/** The named profile, or Balanced if there is no such profile. */
+function getGuidanceProfile(name) {
+  const profiles = getGuidanceProfiles();
+  return { name, ...(profiles[name] || profiles.balanced) };
+}
+
+/** The built-in profile a level starts from, e.g. for the policy cap. */
+function getProfileBase(name) {
+  return getGuidanceProfile(name).baseName;
+}
+
+// Numeric fields as limits: null sentences is no limit, null reason length
+// is the length of the other parts
+const NUMERIC_LIMITS = {
+  maxSentences: (profile) => profile.maxSentences ?? Infinity,
+  maxLength: (profile) => profile.maxLength,
+  maxWhyLength: (profile) => profile.maxWhyLength ?? profile.maxLength,
+  steps: (profile) => profile.steps,
+};
+
+/**
+ * A copy of profile that gives no more help than the built-in levels named:
+ * each number is at most their largest, includeWhy and includeLocation only
+ * if one of them has it, and vocabulary no more coached than theirs. Used for
+ * a policy cap, so the built-in levels within it read as they do uncapped.
+ */
+function limitProfile(profile, levels) {
+  const limits = levels.map((level) => BUILTIN_PROFILES[level]);
+  const limited = { ...profile };
+  for (const [key, read] of Object.entries(NUMERIC_LIMITS)) {
+    const most = Math.max(...limits.map(read));
+    const value = Math.min(read(profile), most);
+    limited[key] = value === Infinity ? null : value;
+  }
+  for (const key of ["includeWhy", "includeLocation"]) {
+    limited[key] = profile[key] && limits.some((limit) => limit[key]);
+  }
+  // VOCABULARY runs from the most coached to the least
+  const plainest = Math.min(
+    ...limits.map((limit) => VOCABULARY.indexOf(limit.vocabulary)),
+  );
+  limited.vocabulary =
+    VOCABULARY[Math.max(VOCABULARY.indexOf(profile.vocabulary), plainest)];
+  return limited;
+}
+
+/**
+ * Prompt lines ("- ...") asking the AI to write for a profile. With fields,
+ * they name the reply's JSON fields ({summary, why, steps}); without, they
+ * describe each free-text explanation.
+ */
+function buildGuidanceInstructions(profile, fields) {
+  const sentences =
+    profile.maxSentences === null
+      ? "a sentence or two"
+      : profile.maxSentences === 1
+        ? "1 sentence"
+        : `at most ${profile.maxSentences} sentences`;
+  const steps = `${profile.steps} short, actionable ${profile.steps === 1 ? "step" : "steps"}`;
+  const lines = [VOCABULARY_INSTRUCTIONS[profile.vocabulary]];
+  if (fields) {
+    lines.push(`Provide "${fields.summary}" in ${sentences}.`);
+    lines.push(
+      profile.includeWhy
+        ? `Provide "${fields.why}" as 1 short sentence (reason).`
+        : `Set "${fields.why}" to an empty string.`,
+    );
+    lines.push(
+      profile.steps
+        ? `Provide exactly ${steps} in "${fields.steps}".`
+        : `Set "${fields.steps}" to an empty array.`,
+    );
+  } else {
+    lines.push(`Keep each explanation to ${sentences}.`);
+    if (profile.includeWhy) lines.push("Say briefly why it matters.");
+    lines.push(
+      profile.steps ? `Suggest ${steps} to fix it.` : "Do not list fix steps.",
+    );
+  }
+  return lines.map((line) => `- ${line}`).join("\n");
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  normalizeProfile,
+  getGuidanceProfiles,
+  getGuidanceProfile,
+  getProfileBase,
+  limitProfile,
+  buildGuidanceInstructions,
+};
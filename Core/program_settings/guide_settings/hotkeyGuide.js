@@ -29,6 +29,7 @@ async function showHotkeyGuide() {
                 Ctrl + Alt + U: Increase speech speed.
                 Ctrl + Alt + D: Decrease speech speed.
                 Ctrl + Alt + X: Stop speech playback.
+                Ctrl + Alt + Period: Repeat the last thing EchoCode said.
             `);
       break;
     case "2":
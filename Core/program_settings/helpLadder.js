@@ -0,0 +1,199 @@
+const vscode = require("vscode");
+const path = require("path");
+const { POLICY_FILE, getActivePolicy, loadPolicy } = require("./policy");
+const { formatHelpByGuidance } = require("./guide_settings/guidanceLevel");
+const { speakMessage } = require("./speech_settings/speechHandler");
+
+/**
+ * Graduated help for Student Mode. With a help budget, the commands below
+ * are not locked but answer in rungs: first the concept involved, then where
+ * to look, then the full explanation. Each rung spends one step of the
+ * assignment's budget; asking about something new starts at the concept
+ * again. Repeating the explanation is free, and so is a concept hint that is
+ * the same for anything of its kind.
+ */
+
+const HELP_LADDER_COMMANDS = new Set([
+  "echocode.describeCurrentLine",
+  "echocode.summarizeClass",
+  "echocode.summarizeFunction",
+  "echocode.summarizeProgram",
+  "echocode.checkPythonErrors",
+]);
+const RUNGS = ["concept", "location", "explanation"];
+const RUNG_LABELS = {
+  concept: "Concept hint.",
+  location: "Location hint.",
+  explanation: "Explanation.",
+};
+const STATE_KEY = "echocode.helpLadder";
+
+// Replaced by the workspace's state on activation
+let workspaceState = createMemoryState();
+
+function createMemoryState() {
+  const values = new Map();
+  return {
+    get: (key) => values.get(key),
+    update: async (key, value) => {
+      values.set(key, value);
+    },
+  };
+}
+
+function initHelpLadder(context) {
+  workspaceState = context.workspaceState;
+  // The budget follows the mode and the policy file
+  const policyWatcher = vscode.workspace.createFileSystemWatcher(
+    `**/${POLICY_FILE.split(path.sep).join("/")}`,
+  );
+  policyWatcher.onDidCreate(refreshHelpLadderContext);
+  policyWatcher.onDidChange(refreshHelpLadderContext);
+  policyWatcher.onDidDelete(refreshHelpLadderContext);
+  context.subscriptions.push(
+    policyWatcher,
+    vscode.workspace.onDidChangeConfiguration((e) => {
+      if (e.affectsConfiguration("echocode")) refreshHelpLadderContext();
+    }),
+  );
+  return refreshHelpLadderContext();
+}
+
+/**
+ * Hints per assignment, from the instructor policy's helpBudget only, so a
+ * student cannot raise it in their settings; 0 is off.
+ */
+function getHelpBudget() {
+  const policy = getActivePolicy();
+  return policy && policy.helpBudget !== null ? policy.helpBudget : 0;
+}
+
+/** Whether a command locked in Student Mode gives hints instead. */
+function usesHelpLadder(commandId) {
+  return HELP_LADDER_COMMANDS.has(commandId) && getHelpBudget() > 0;
+}
+
+// Lets the laddered commands' keybindings work in Student Mode
+function refreshHelpLadderContext() {
+  return vscode.commands.executeCommand(
+    "setContext",
+    "echocode:helpLadder",
+    getHelpBudget() > 0,
+  );
+}
+
+// Budgets are kept per assignment: the policy's name, else the folder's
+function getAssignmentName() {
+  const policy = loadPolicy();
+  if (policy) return policy.name;
+  const folder = (vscode.workspace.workspaceFolders || [])[0];
+  return folder ? path.basename(folder.uri.fsPath) : "this workspace";
+}
+
+/** Hints used so far for the assignment, and the rung reached per target. */
+function getHelpUsage(assignment = getAssignmentName()) {
+  const entry = (workspaceState.get(STATE_KEY) || {})[assignment];
+  return {
+    assignment,
+    used: entry ? entry.used : 0,
+    budget: getHelpBudget(),
+    rungs: entry ? entry.rungs : {},
+  };
+}
+
+async function saveHelpUsage(assignment, used, rungs) {
+  const state = workspaceState.get(STATE_KEY) || {};
+  await workspaceState.update(STATE_KEY, {
+    ...state,
+    [assignment]: { used, rungs },
+  });
+}
+
+async function renderRung(rung, help) {
+  if (rung === "concept") {
+    return formatHelpByGuidance({ summary: help.concept });
+  }
+  if (rung === "location") {
+    return formatHelpByGuidance({ where: help.where, summary: help.concept });
+  }
+  const text =
+    typeof help.explain === "function" ? await help.explain() : help.explain;
+  if (!text) return null;
+  return formatHelpByGuidance({
+    where: help.where,
+    summary: text,
+    detail: text,
+    why: help.why,
+    steps: help.steps,
+  });
+}
+
+/**
+ * Answer a laddered command with the next rung for what it was asked about.
+ * getHelp returns {target, concept, conceptGeneric?, where, explain, why?,
+ * steps?}, where explain is the full answer or a function producing it, or
+ * nothing when the feature has already said why it cannot help, and
+ * conceptGeneric marks a canned concept that says nothing about the code.
+ * A rung that fails to produce text, or a generic concept, is not charged.
+ * @returns {Promise<string | undefined>} the spoken hint
+ */
+async function climbHelpLadder(commandId, getHelp) {
+  const help = await getHelp();
+  if (!help) return;
+
+  const usage = getHelpUsage();
+  const target = `${commandId}:${help.target}`;
+  const reached = usage.rungs[target];
+  const top = RUNGS.length - 1;
+  const repeat = reached === top;
+  const next = reached === undefined ? 0 : Math.min(reached + 1, top);
+  const free = repeat || (RUNGS[next] === "concept" && help.conceptGeneric);
+
+  if (!free && usage.used >= usage.budget) {
+    const message = `You have used all ${usage.budget} help steps for ${usage.assignment}. Ask your instructor for more.`;
+    vscode.window.showInformationMessage(`EchoCode: ${message}`);
+    await speakMessage(message);
+    return;
+  }
+
+  const text = await renderRung(RUNGS[next], help);
+  if (!text) return;
+
+  const used = free ? usage.used : usage.used + 1;
+  if (!repeat) {
+    await saveHelpUsage(usage.assignment, used, {
+      ...usage.rungs,
+      [target]: next,
+    });
+  }
+  const left = usage.budget - used;
+  const message = `${RUNG_LABELS[RUNGS[next]]} ${text} ${left} help ${left === 1 ? "step" : "steps"} left.`;
+  vscode.window.showInformationMessage(`EchoCode: ${message}`);
+  await speakMessage(message);
+  return message;
+}
+
+/** A spoken summary of the help budget, e.g. for the status command. */
+function describeHelpUsage() {
+  const usage = getHelpUsage();
+  if (usage.budget <= 0) {
+    return "The help ladder is off. Locked features stay locked in Student Mode.";
+  }
+  return `${usage.used} of ${usage.budget} help steps used for ${usage.assignment}.`;
+}
+
+/** Give the assignment its whole budget back. */
+async function resetHelpUsage(assignment = getAssignmentName()) {
+  await saveHelpUsage(assignment, 0, {});
+}
+
+module.exports = {
+  HELP_LADDER_COMMANDS,
+  initHelpLadder,
+  getHelpBudget,
+  usesHelpLadder,
+  getHelpUsage,
+  climbHelpLadder,
+  describeHelpUsage,
+  resetHelpUsage,
+};
@@ -1,4 +1,9 @@
 const vscode = require("vscode");
+const {
+  isDevModeAuthorized,
+  noteModeChange,
+  revertUnauthorizedMode,
+} = require("./modeSecurity");
 
 function getMode() {
   return vscode.workspace
@@ -6,8 +11,18 @@ function getMode() {
     .get("mode", "student");
 }
 
-async function refreshModeContext() {
+// Dev Mode set without the instructor PIN (e.g. in settings.json) is undone
+async function enforceMode() {
   const mode = getMode();
+  if (mode === "dev" && !(await isDevModeAuthorized())) {
+    await revertUnauthorizedMode();
+    return { mode: "student", reverted: true };
+  }
+  return { mode, reverted: false };
+}
+
+async function refreshModeContext() {
+  const { mode } = await enforceMode();
   const isDev = mode === "dev";
 
   await vscode.commands.executeCommand("setContext", "echocode:isDev", isDev);
@@ -17,8 +32,12 @@ async function refreshModeContext() {
 }
 
 function onModeChange(handler) {
-  return vscode.workspace.onDidChangeConfiguration((e) => {
+  return vscode.workspace.onDidChangeConfiguration(async (e) => {
     if (e.affectsConfiguration("echocode.mode")) {
+      const { mode, reverted } = await enforceMode();
+      // The revert is a change of its own and is handled then
+      if (reverted) return;
+      await noteModeChange(mode);
       handler();
     }
   });
@@ -0,0 +1,369 @@
+const vscode = require("vscode");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { speakMessage } = require("./speech_settings/speechHandler");
+const { createSignedLog } = require("./signedLog");
+
+/**
+ * Instructor PIN for leaving Student Mode, and a tamper-evident log of mode
+ * changes. The PIN is kept as a salted scrypt hash, either in the workspace
+ * (.echocode/instructor-pin.json, shipped with an assignment) or in VS Code's
+ * secret storage on this computer. Without a PIN, modes switch freely.
+ * The mode log is a signed log (see signedLog.js) in global storage.
+ * Deleting the workspace PIN file by hand is logged, and so is the Dev Mode
+ * switch it lets through.
+ */
+
+const PIN_FILE = path.join(".echocode", "instructor-pin.json");
+const PIN_SECRET = "echocode.instructorPin";
+// Workspace state: this workspace had a PIN file when last checked
+const PIN_FILE_SEEN = "echocode.pinFileSeen";
+const MIN_PIN_LENGTH = 4;
+// Wrong PINs in a row before switching is paused
+const MAX_PIN_ATTEMPTS = 3;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+
+let extensionContext = null;
+let lastMode = null;
+// Dev Mode unlocked with the PIN; lasts until Student Mode or a restart
+let devGranted = false;
+let failedAttempts = 0;
+let lockedUntil = 0;
+// The revert in progress, and whether Dev Mode is still set after the last
+// one (so the warning is not repeated)
+let reverting = null;
+let revertReported = false;
+// The workspace PIN file went missing since it was last seen; the next Dev
+// Mode switch was not authenticated
+let pinFileRemoved = false;
+const modeLog = createSignedLog({
+  fileName: "mode-log.jsonl",
+  keySecret: "echocode.modeLogKey",
+  label: "Mode log",
+});
+
+function initModeSecurity(context, mode) {
+  extensionContext = context;
+  modeLog.init(context, context.globalStorageUri.fsPath);
+  lastMode = mode;
+  devGranted = false;
+  revertReported = false;
+  pinFileRemoved = false;
+  // A PIN file deleted while VS Code was closed is logged now
+  checkPinFile().catch(() => {});
+}
+
+function hashPin(pin, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(String(pin), salt, 32).toString("hex");
+  return { algorithm: "scrypt", salt, hash };
+}
+
+function verifyPin(pin, record) {
+  if (!record || record.algorithm !== "scrypt" || !record.salt) return false;
+  const expected = Buffer.from(String(record.hash || ""), "hex");
+  if (expected.length === 0) return false;
+  const actual = crypto.scryptSync(String(pin), record.salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function getWorkspacePinFile() {
+  const folder = (vscode.workspace.workspaceFolders || [])[0];
+  return folder ? path.join(folder.uri.fsPath, PIN_FILE) : null;
+}
+
+/**
+ * Remember that the workspace has a PIN file, and log it when one that was
+ * seen is gone without Clear Instructor PIN.
+ */
+async function checkPinFile() {
+  const file = getWorkspacePinFile();
+  const state = extensionContext && extensionContext.workspaceState;
+  if (!file || !state) return;
+  const exists = fs.existsSync(file);
+  if (exists === Boolean(state.get(PIN_FILE_SEEN))) return;
+  await state.update(PIN_FILE_SEEN, exists);
+  if (exists) return;
+  pinFileRemoved = true;
+  await recordModeEvent({ event: "pinFileRemoved", file: PIN_FILE });
+}
+
+/**
+ * The stored PIN hash, workspace first. A PIN file that cannot be read still
+ * counts as a PIN (that nothing matches), so breaking it does not unlock.
+ */
+async function getPinRecord() {
+  await checkPinFile();
+  const file = getWorkspacePinFile();
+  if (file && fs.existsSync(file)) {
+    try {
+      return {
+        ...JSON.parse(fs.readFileSync(file, "utf8")),
+        storage: "workspace",
+      };
+    } catch {
+      return { storage: "workspace" };
+    }
+  }
+  const stored =
+    extensionContext && (await extensionContext.secrets.get(PIN_SECRET));
+  if (!stored) return null;
+  try {
+    return { ...JSON.parse(stored), storage: "machine" };
+  } catch {
+    return { storage: "machine" };
+  }
+}
+
+async function isDevModeAuthorized() {
+  return devGranted || !(await getPinRecord());
+}
+
+/** Append a signed event to the mode log. */
+function recordModeEvent(event) {
+  return modeLog.append(event);
+}
+
+/** Check every signature and link in the mode log; see signedLog.verify. */
+function verifyModeLog() {
+  return modeLog.verify();
+}
+
+/**
+ * Track the mode and log each transition. Called for every change of the
+ * echocode.mode setting that was allowed to stand.
+ */
+function noteModeChange(mode) {
+  if (mode === lastMode) return Promise.resolve();
+  const from = lastMode;
+  lastMode = mode;
+  let authorizedBy = null;
+  if (mode === "dev") {
+    authorizedBy = devGranted
+      ? "pin"
+      : pinFileRemoved
+        ? "unauthenticated"
+        : "noPin";
+    pinFileRemoved = false;
+  } else {
+    devGranted = false;
+  }
+  return recordModeEvent({
+    event: "modeChange",
+    from,
+    to: mode,
+    ...(authorizedBy ? { authorizedBy } : {}),
+  });
+}
+
+/**
+ * Put echocode.mode back to Student Mode wherever it was set to dev without
+ * the PIN (user, workspace or workspace folder settings), and log the
+ * attempt. The settings changes this makes, and a value that cannot be
+ * changed, are reported once rather than on every configuration event.
+ */
+function revertUnauthorizedMode() {
+  if (!reverting) {
+    reverting = revertModeSettings().finally(() => {
+      reverting = null;
+    });
+  }
+  return reverting;
+}
+
+async function revertModeSettings() {
+  const { Global, Workspace, WorkspaceFolder } = vscode.ConfigurationTarget;
+  const scopes = [
+    [null, "globalValue", Global],
+    [null, "workspaceValue", Workspace],
+    ...(vscode.workspace.workspaceFolders || []).map((folder) => [
+      folder.uri,
+      "workspaceFolderValue",
+      WorkspaceFolder,
+    ]),
+  ];
+  for (const [scope, key, target] of scopes) {
+    const config = vscode.workspace.getConfiguration("echocode", scope);
+    const inspected = config.inspect ? config.inspect("mode") : null;
+    if ((inspected ? inspected[key] : config.get("mode")) !== "dev") continue;
+    await config.update("mode", "student", target);
+    // Without inspect there is no way to tell the scopes apart
+    if (!inspected) break;
+  }
+
+  const reported = revertReported;
+  revertReported =
+    vscode.workspace.getConfiguration("echocode").get("mode") === "dev";
+  if (reported) return;
+  await recordModeEvent({ event: "reverted", attempted: "dev" });
+  vscode.window.showWarningMessage(
+    "EchoCode: Leaving Student Mode needs the instructor PIN.",
+  );
+  speakMessage("Leaving Student Mode needs the instructor PIN.").catch(
+    () => {},
+  );
+}
+
+function askForPin(prompt) {
+  return vscode.window.showInputBox({
+    prompt,
+    password: true,
+    ignoreFocusOut: true,
+  });
+}
+
+/**
+ * Ask for the instructor PIN before Dev Mode. True when there is no PIN or
+ * the right one was entered; repeated wrong PINs pause further attempts.
+ */
+async function authorizeDevMode() {
+  const record = await getPinRecord();
+  if (!record) return true;
+
+  if (Date.now() < lockedUntil) {
+    const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+    const message = `Too many wrong PINs. Try again in ${minutes} ${minutes === 1 ? "minute" : "minutes"}.`;
+    vscode.window.showWarningMessage(`EchoCode: ${message}`);
+    await speakMessage(message);
+    return false;
+  }
+
+  const pin = await askForPin("Instructor PIN to leave Student Mode");
+  if (pin === undefined) return false;
+  if (!verifyPin(pin, record)) {
+    failedAttempts += 1;
+    if (failedAttempts >= MAX_PIN_ATTEMPTS) {
+      failedAttempts = 0;
+      lockedUntil = Date.now() + PIN_LOCKOUT_MS;
+    }
+    await recordModeEvent({ event: "pinRejected" });
+    vscode.window.showWarningMessage(
+      "EchoCode: Incorrect PIN. Staying in Student Mode.",
+    );
+    await speakMessage("Incorrect PIN. Staying in Student Mode.");
+    return false;
+  }
+  failedAttempts = 0;
+  devGranted = true;
+  return true;
+}
+
+// Changing or removing a PIN needs the current one
+async function confirmCurrentPin() {
+  const record = await getPinRecord();
+  if (!record) return true;
+  const pin = await askForPin("Current instructor PIN");
+  if (pin === undefined) return false;
+  if (verifyPin(pin, record)) return true;
+  await recordModeEvent({ event: "pinRejected" });
+  vscode.window.showWarningMessage("EchoCode: Incorrect PIN.");
+  return false;
+}
+
+async function setInstructorPin() {
+  if (!(await confirmCurrentPin())) return;
+
+  const pin = await vscode.window.showInputBox({
+    prompt: "New instructor PIN",
+    password: true,
+    ignoreFocusOut: true,
+    validateInput: (value) =>
+      value.length < MIN_PIN_LENGTH
+        ? `Use at least ${MIN_PIN_LENGTH} characters.`
+        : null,
+  });
+  if (pin === undefined) return;
+  if ((await askForPin("Repeat the new PIN")) !== pin) {
+    vscode.window.showWarningMessage("EchoCode: The PINs did not match.");
+    return;
+  }
+
+  const workspaceFile = getWorkspacePinFile();
+  const places = [
+    {
+      label: "This computer",
+      detail: "Kept in VS Code's secret storage",
+      value: "machine",
+    },
+  ];
+  if (workspaceFile) {
+    places.unshift({
+      label: "This workspace",
+      detail: `Written to ${PIN_FILE} to ship with the assignment`,
+      value: "workspace",
+    });
+  }
+  const place = await vscode.window.showQuickPick(places, {
+    placeHolder: "Where should the PIN hash be stored?",
+  });
+  if (!place) return;
+
+  const record = hashPin(pin);
+  if (place.value === "workspace") {
+    fs.mkdirSync(path.dirname(workspaceFile), { recursive: true });
+    fs.writeFileSync(workspaceFile, `${JSON.stringify(record, null, 2)}\n`);
+  } else {
+    await extensionContext.secrets.store(PIN_SECRET, JSON.stringify(record));
+  }
+  await recordModeEvent({ event: "pinSet", storage: place.value });
+  vscode.window.showInformationMessage(
+    "EchoCode: Instructor PIN set. Leaving Student Mode now needs it.",
+  );
+}
+
+async function clearInstructorPin() {
+  const record = await getPinRecord();
+  if (!record) {
+    vscode.window.showInformationMessage("EchoCode: No instructor PIN is set.");
+    return;
+  }
+  if (!(await confirmCurrentPin())) return;
+
+  const workspaceFile = getWorkspacePinFile();
+  if (workspaceFile && fs.existsSync(workspaceFile)) {
+    fs.unlinkSync(workspaceFile);
+    await extensionContext.workspaceState.update(PIN_FILE_SEEN, false);
+  }
+  await extensionContext.secrets.delete(PIN_SECRET);
+  await recordModeEvent({ event: "pinCleared" });
+  vscode.window.showInformationMessage("EchoCode: Instructor PIN removed.");
+}
+
+function registerModeSecurityCommands(context) {
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "echocode.setInstructorPin",
+      setInstructorPin,
+    ),
+    vscode.commands.registerCommand(
+      "echocode.clearInstructorPin",
+      clearInstructorPin,
+    ),
+    vscode.commands.registerCommand("echocode.verifyModeLog", async () => {
+      const result = await verifyModeLog();
+      const message = result.ok
+        ? `Mode log verified: ${result.entries} ${result.entries === 1 ? "entry" : "entries"}, none altered.`
+        : `Mode log check failed at entry ${result.line} of ${result.entries}: ${result.problem}.`;
+      if (result.ok) {
+        vscode.window.showInformationMessage(`EchoCode: ${message}`);
+      } else {
+        vscode.window.showWarningMessage(`EchoCode: ${message}`);
+      }
+      await speakMessage(message);
+    }),
+  );
+}
+
+module.exports = {
+  initModeSecurity,
+  hashPin,
+  verifyPin,
+  getPinRecord,
+  isDevModeAuthorized,
+  authorizeDevMode,
+  noteModeChange,
+  revertUnauthorizedMode,
+  recordModeEvent,
+  verifyModeLog,
+  registerModeSecurityCommands,
+};
@@ -0,0 +1,431 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { getMode } = require("./mode");
+const { speakMessage } = require("./speech_settings/speechHandler");
+const {
+  getProfileBase,
+  limitProfile,
+} = require("./guide_settings/guidanceProfiles");
+
+/**
+ * Instructor policy for Student Mode, read from .echocode/policy.json in the
+ * assignment workspace:
+ *
+ *   {
+ *     "name": "Lab 3",
+ *     "default": "builtin",
+ *     "commands": {
+ *       "echocode.openChat": { "access": "allow", "windows": [...] },
+ *       "echocode.annotate": { "limit": 3 },
+ *       "code-tutor.analyzeBigO": { "access": "lock", "reason": "..." }
+ *     },
+ *     "maxGuidanceLevel": "balanced",
+ *     "helpBudget": 10,
+ *     "windows": [{ "days": ["tue"], "start": "14:00", "end": "16:00" }]
+ *   }
+ *
+ * Commands the policy does not list follow "default": "allow", "lock", or
+ * "builtin" for EchoCode's own Student Mode locks. A rule with windows only
+ * applies inside them; a policy with windows is only in force inside them.
+ * "helpBudget" is how many help-ladder hints the assignment allows.
+ */
+
+const POLICY_FILE = path.join(".echocode", "policy.json");
+const ACCESS = ["allow", "limit", "lock"];
+const DEFAULTS = ["builtin", "allow", "lock"];
+// Least help first
+const GUIDANCE_ORDER = ["concise", "balanced", "guided"];
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+let cached = { file: null, mtimeMs: 0, policy: null };
+// Uses of limited commands since the extension started
+const sessionUses = new Map();
+// Commands wrapped in guard(), so checked however they are run; the rest are
+// only checked when the voice router runs them
+const enforcedCommands = new Set();
+// Set once activation has registered every command
+let commandsRegistered = false;
+
+function findPolicyFile() {
+  for (const folder of vscode.workspace.workspaceFolders || []) {
+    const file = path.join(folder.uri.fsPath, POLICY_FILE);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+function parseClock(value, field) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`${field} must be a time like "09:30"`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// "2026-10-31" is the whole local day; full timestamps are taken as given
+function parseDate(value, field, endOfDay) {
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  const date = day
+    ? new Date(
+        Number(day[1]),
+        Number(day[2]) - 1,
+        Number(day[3]) + (endOfDay ? 1 : 0),
+      )
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be a date like "2026-10-31"`);
+  }
+  return date;
+}
+
+function normalizeWindows(windows, field) {
+  if (windows === undefined) return null;
+  if (!Array.isArray(windows)) throw new Error(`${field} must be a list`);
+  return windows.map((window, i) => {
+    const name = `${field}[${i}]`;
+    const days = (window.days || []).map((day) => {
+      const index = DAYS.indexOf(String(day).slice(0, 3).toLowerCase());
+      if (index < 0) {
+        throw new Error(`${name}.days has an unknown day "${day}"`);
+      }
+      return index;
+    });
+    return {
+      days,
+      start: window.start ? parseClock(window.start, `${name}.start`) : null,
+      end: window.end ? parseClock(window.end, `${name}.end`) : null,
+      from: window.from ? parseDate(window.from, `${name}.from`, false) : null,
+      until: window.until
+        ? parseDate(window.until, `${name}.until`, true)
+        : null,
+      label: describeWindow(window),
+    };
+  });
+}
+
+function normalizeRule(rule, commandId) {
+  const field = `commands["${commandId}"]`;
+  if (typeof rule === "string") rule = { access: rule };
+  if (typeof rule === "number") rule = { limit: rule };
+  if (!rule || typeof rule !== "object") {
+    throw new Error(`${field} must be "allow", "lock" or an object`);
+  }
+  const access = rule.access || (rule.limit !== undefined ? "limit" : "allow");
+  if (!ACCESS.includes(access)) {
+    throw new Error(`${field}.access must be one of ${ACCESS.join(", ")}`);
+  }
+  if (
+    access === "limit" &&
+    !(Number.isInteger(rule.limit) && rule.limit >= 0)
+  ) {
+    throw new Error(`${field}.limit must be a whole number`);
+  }
+  return {
+    access,
+    limit: access === "limit" ? rule.limit : null,
+    reason: typeof rule.reason === "string" ? rule.reason.trim() : "",
+    windows: normalizeWindows(rule.windows, `${field}.windows`),
+  };
+}
+
+/** Validate a parsed policy file; throws an Error naming the bad field. */
+function normalizePolicy(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("the policy must be a JSON object");
+  }
+  const defaultAccess = raw.default || "builtin";
+  if (!DEFAULTS.includes(defaultAccess)) {
+    throw new Error(`default must be one of ${DEFAULTS.join(", ")}`);
+  }
+  if (
+    raw.maxGuidanceLevel !== undefined &&
+    !GUIDANCE_ORDER.includes(raw.maxGuidanceLevel)
+  ) {
+    throw new Error(
+      `maxGuidanceLevel must be one of ${GUIDANCE_ORDER.join(", ")}`,
+    );
+  }
+  if (
+    raw.helpBudget !== undefined &&
+    !(Number.isInteger(raw.helpBudget) && raw.helpBudget >= 0)
+  ) {
+    throw new Error("helpBudget must be a whole number");
+  }
+  const commands = {};
+  for (const [commandId, rule] of Object.entries(raw.commands || {})) {
+    commands[commandId] = normalizeRule(rule, commandId);
+  }
+  return {
+    name: String(raw.name || "instructor").trim(),
+    default: defaultAccess,
+    commands,
+    maxGuidanceLevel: raw.maxGuidanceLevel || null,
+    helpBudget: raw.helpBudget ?? null,
+    windows: normalizeWindows(raw.windows, "windows"),
+  };
+}
+
+/**
+ * The workspace's policy file, re-read when it changes. A broken file is
+ * reported once and ignored, leaving the built-in Student Mode locks.
+ */
+function loadPolicy() {
+  const file = findPolicyFile();
+  if (!file) {
+    cached = { file: null, mtimeMs: 0, policy: null };
+    return null;
+  }
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch {
+    return null;
+  }
+  if (cached.file === file && cached.mtimeMs === mtimeMs) {
+    return cached.policy;
+  }
+
+  let policy = null;
+  try {
+    policy = normalizePolicy(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (err) {
+    vscode.window.showWarningMessage(
+      `EchoCode: Ignoring ${POLICY_FILE}: ${err.message}`,
+    );
+  }
+  cached = { file, mtimeMs, policy };
+  if (policy && commandsRegistered) warnUnenforcedRules(policy);
+  return policy;
+}
+
+/** Note that commandId is wrapped in guard() and its rules always apply. */
+function markCommandEnforced(commandId) {
+  enforcedCommands.add(commandId);
+}
+
+function warnUnenforcedRules(policy) {
+  const unenforced = Object.keys(policy.commands).filter(
+    (commandId) => !enforcedCommands.has(commandId),
+  );
+  if (!unenforced.length) return;
+  vscode.window.showWarningMessage(
+    `EchoCode: ${POLICY_FILE} has rules EchoCode only applies to voice commands, not to menus or shortcuts: ${unenforced.join(", ")}`,
+  );
+}
+
+/**
+ * Called once every command is registered: warns about policy rules for
+ * commands that are not guarded, now and whenever the policy file changes.
+ */
+function reportUnenforcedRules() {
+  commandsRegistered = true;
+  const policy = loadPolicy();
+  if (policy) warnUnenforcedRules(policy);
+}
+
+function isInWindow(window, now) {
+  if (window.from && now < window.from) return false;
+  if (window.until && now >= window.until) return false;
+  if (window.days.length && !window.days.includes(now.getDay())) return false;
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  if (window.start !== null && minutes < window.start) return false;
+  if (window.end !== null && minutes >= window.end) return false;
+  return true;
+}
+
+function isInWindows(windows, now) {
+  return !windows || windows.some((window) => isInWindow(window, now));
+}
+
+// "on Tuesday and Thursday from 14:00 to 16:00", for speech
+function describeWindow(window) {
+  const parts = [];
+  if (Array.isArray(window.days) && window.days.length) {
+    const names = window.days.map(
+      (day) =>
+        DAY_NAMES[DAYS.indexOf(String(day).slice(0, 3).toLowerCase())] || day,
+    );
+    parts.push(
+      `on ${names.length > 1 ? `${names.slice(0, -1).join(", ")} and ` : ""}${names[names.length - 1]}`,
+    );
+  }
+  if (window.start && window.end) {
+    parts.push(`from ${window.start} to ${window.end}`);
+  } else if (window.start) {
+    parts.push(`after ${window.start}`);
+  } else if (window.end) {
+    parts.push(`before ${window.end}`);
+  }
+  if (window.from) parts.push(`from ${window.from}`);
+  if (window.until) parts.push(`until ${window.until}`);
+  return parts.join(" ");
+}
+
+/** The policy in force now, or null in Dev Mode and outside its windows. */
+function getActivePolicy(now = new Date()) {
+  if (getMode() === "dev") return null;
+  const policy = loadPolicy();
+  return policy && isInWindows(policy.windows, now) ? policy : null;
+}
+
+/**
+ * Whether a Student Mode command may run.
+ * @param {boolean} builtinLocked whether EchoCode locks it without a policy
+ * @returns {{allowed: boolean, source?: "builtin" | "policy", policy?: string,
+ *   reason?: string, remaining?: number}}
+ */
+function checkPolicy(commandId, builtinLocked, now = new Date()) {
+  const builtin = builtinLocked
+    ? {
+        allowed: false,
+        source: "builtin",
+        reason: "This feature is locked in Student Mode.",
+      }
+    : { allowed: true };
+  const policy = getActivePolicy(now);
+  if (!policy) return builtin;
+
+  const by = `the ${policy.name} policy`;
+  const rule = policy.commands[commandId];
+  const fallback =
+    policy.default === "builtin"
+      ? builtin
+      : policy.default === "allow"
+        ? { allowed: true }
+        : {
+            allowed: false,
+            source: "policy",
+            policy: policy.name,
+            reason: `This feature is locked by ${by}.`,
+          };
+  if (!rule) return fallback;
+
+  if (!isInWindows(rule.windows, now)) {
+    if (fallback.allowed || rule.access === "lock") return fallback;
+    const when = rule.windows.map((window) => window.label).join(", or ");
+    return {
+      allowed: false,
+      source: "policy",
+      policy: policy.name,
+      reason: `The ${policy.name} policy only allows this feature ${when}.`,
+    };
+  }
+
+  const explain = (text) => (rule.reason ? `${text} ${rule.reason}` : text);
+  if (rule.access === "lock") {
+    return {
+      allowed: false,
+      source: "policy",
+      policy: policy.name,
+      reason: explain(`This feature is locked by ${by}.`),
+    };
+  }
+  if (rule.access === "limit") {
+    const used = sessionUses.get(commandId) || 0;
+    if (used >= rule.limit) {
+      return {
+        allowed: false,
+        source: "policy",
+        policy: policy.name,
+        reason: explain(
+          `The ${policy.name} policy allows this feature ${rule.limit} ${rule.limit === 1 ? "time" : "times"} per session, and it has been used up.`,
+        ),
+      };
+    }
+    return { allowed: true, remaining: rule.limit - used };
+  }
+  return { allowed: true };
+}
+
+/** Count one use of a command that the active policy limits. */
+function recordPolicyUse(commandId, now = new Date()) {
+  const policy = getActivePolicy(now);
+  const rule = policy && policy.commands[commandId];
+  if (rule && rule.access === "limit") {
+    sessionUses.set(commandId, (sessionUses.get(commandId) || 0) + 1);
+  }
+}
+
+function resetPolicyUses() {
+  sessionUses.clear();
+}
+
+/**
+ * The guidance level after the policy's cap, e.g. "guided" -> "balanced".
+ * A custom profile ranks as the built-in level it is based on; its fields
+ * are held to the cap by capGuidanceProfile.
+ */
+function capGuidanceLevel(level, now = new Date()) {
+  const policy = getActivePolicy(now);
+  if (!policy || !policy.maxGuidanceLevel) return level;
+  const cap = GUIDANCE_ORDER.indexOf(policy.maxGuidanceLevel);
+  const rank = GUIDANCE_ORDER.indexOf(getProfileBase(level));
+  return rank > cap ? policy.maxGuidanceLevel : level;
+}
+
+/**
+ * The guidance profile held to the policy's cap field by field, so a custom
+ * profile gives no more help than the built-in levels up to the cap.
+ */
+function capGuidanceProfile(profile, now = new Date()) {
+  const policy = getActivePolicy(now);
+  if (!policy || !policy.maxGuidanceLevel) return profile;
+  const cap = GUIDANCE_ORDER.indexOf(policy.maxGuidanceLevel);
+  return limitProfile(profile, GUIDANCE_ORDER.slice(0, cap + 1));
+}
+
+/** A spoken summary of the active policy. */
+function describePolicy(now = new Date()) {
+  const policy = getActivePolicy(now);
+  if (!policy) {
+    return getMode() === "dev"
+      ? "Dev Mode is on, so no policy applies."
+      : "No instructor policy is in force. The standard Student Mode locks apply.";
+  }
+  const rules = Object.values(policy.commands);
+  const count = (access) => rules.filter((r) => r.access === access).length;
+  const parts = [
+    `The ${policy.name} policy is in force.`,
+    `It allows ${count("allow")}, limits ${count("limit")} and locks ${count("lock")} features.`,
+  ];
+  if (policy.maxGuidanceLevel) {
+    parts.push(`Guidance is capped at ${policy.maxGuidanceLevel}.`);
+  }
+  return parts.join(" ");
+}
+
+function registerPolicyCommands(context) {
+  context.subscriptions.push(
+    vscode.commands.registerCommand("echocode.describePolicy", async () => {
+      const message = describePolicy();
+      vscode.window.showInformationMessage(`EchoCode: ${message}`);
+      await speakMessage(message);
+    }),
+  );
+}
+
+module.exports = {
+  POLICY_FILE,
+  normalizePolicy,
+  loadPolicy,
+  markCommandEnforced,
+  reportUnenforcedRules,
+  getActivePolicy,
+  checkPolicy,
+  recordPolicyUse,
+  resetPolicyUses,
+  capGuidanceLevel,
+  capGuidanceProfile,
+  describePolicy,
+  registerPolicyCommands,
+};
@@ -1,42 +1,196 @@
 const vscode = require("vscode");
+const {
+  getLanguageModel,
+  userMessage,
+  assistantMessage,
+  collectText,
+} = require("./lmProviders");
+const {
+  hashRequest,
+  getCachedResponse,
+  storeCachedResponse,
+  isOfflineMode,
+} = require("./aiCache");
+const {
+  parseStructured,
+  buildSchemaInstruction,
+  buildCorrection,
+} = require("./structuredOutput");
+const { recordActivity } = require("../activityLog");
 
-// Helper to get model safely
+const OFFLINE_MISS_MESSAGE =
+  "No saved answer for this yet. Turn off offline mode to ask the AI.";
+// Characters of each prompt kept in the activity log
+const PROMPT_LOG_LIMIT = 500;
+
+// Helper to get model safely: the provider chosen in settings
+// (Copilot, an OpenAI-compatible endpoint, or the fake test model).
 async function selectModel() {
-  // 1. Get all copilot models
-  const models = await vscode.lm.selectChatModels({ vendor: "copilot" });
+  return getLanguageModel();
+}
 
-  // 2. Safety check
-  if (!models || models.length === 0) {
-    throw new Error(
-      "No Copilot models available. Please check your GitHub Copilot Chat extension."
-    );
+function replayText(text) {
+  return {
+    text: (async function* () {
+      yield text;
+    })(),
+  };
+}
+
+/**
+ * Log one AI request to the activity log, however many attempts it takes.
+ * prompt is the part worth reading back (the first message by default).
+ */
+function recordAiPrompt(kind, messages, { prompt, documentUri } = {}) {
+  const text = messages.map((message) => message.content).join("\n\n");
+  recordActivity({
+    event: "aiPrompt",
+    kind,
+    prompt: String(prompt ?? messages[0].content).slice(0, PROMPT_LOG_LIMIT),
+    promptLength: text.length,
+    document: documentUri,
+  });
+}
+
+/**
+ * Send a request through the response cache. Same kind + same messages
+ * replays the saved answer; a fresh answer is saved once fully streamed.
+ * In offline mode a cache miss throws instead of contacting the model.
+ * @param {{role: string, content: string}[]} messages
+ * @param {object} [options] request options plus cache tags
+ * @param {string} [options.kind] what the request is for ("summary", "annotations", ...)
+ * @param {string} [options.documentUri] document the answer is about; edits invalidate it
+ * @param {string} [options.prompt] what the activity log keeps of the request
+ * @returns {Promise<{text: AsyncIterable<string>}>}
+ */
+async function sendCachedRequest(messages, options = {}) {
+  const {
+    kind = "analyze",
+    documentUri,
+    token,
+    prompt,
+    ...requestOptions
+  } = options;
+  recordAiPrompt(kind, messages, { prompt, documentUri });
+  const key = hashRequest(kind, messages);
+
+  const cached = getCachedResponse(key);
+  if (cached !== undefined) {
+    return replayText(cached);
+  }
+  if (isOfflineMode()) {
+    throw new Error(OFFLINE_MISS_MESSAGE);
   }
 
-  // 3. Prefer GPT-4, fallback to default
-  let selected = models.find((m) => m.family && m.family.includes("gpt-4"));
-  if (!selected) {
-    selected = models[0];
+  const model = await selectModel();
+  const response = await model.sendRequest(messages, requestOptions, token);
+
+  return {
+    text: (async function* () {
+      let full = "";
+      for await (const fragment of response.text) {
+        full += fragment;
+        yield fragment;
+      }
+      storeCachedResponse(key, full, { kind, documentUri });
+    })(),
+  };
+}
+
+/**
+ * Ask for JSON matching `schema` and return the parsed value.
+ * The schema is appended to the last message; a reply that fails validation
+ * is sent back with the list of problems, up to `maxRetries` times.
+ * Only valid replies are cached.
+ * @param {{role: string, content: string}[]} messages
+ * @param {object} schema JSON Schema (see structuredOutput.js for the supported subset)
+ * @param {object} [options] kind/documentUri cache tags, maxRetries, token,
+ *   prompt (as for sendCachedRequest), request options
+ * @throws {Error} with `validationErrors` when no valid reply was produced
+ */
+async function requestStructured(messages, schema, options = {}) {
+  const {
+    kind = "structured",
+    documentUri,
+    token,
+    maxRetries = 2,
+    prompt,
+    ...requestOptions
+  } = options;
+  recordAiPrompt(kind, messages, { prompt, documentUri });
+
+  const conversation = [...messages];
+  const last = conversation.pop();
+  conversation.push(
+    userMessage(`${last.content}\n\n${buildSchemaInstruction(schema)}`),
+  );
+
+  const key = hashRequest(kind, conversation);
+  const cached = getCachedResponse(key);
+  if (cached !== undefined) {
+    const { value, errors } = parseStructured(cached, schema);
+    if (errors.length === 0) return value;
+  }
+  if (isOfflineMode()) {
+    throw new Error(OFFLINE_MISS_MESSAGE);
   }
-  return selected;
+
+  const model = await selectModel();
+  let errors = [];
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const response = await model.sendRequest(
+      conversation,
+      requestOptions,
+      token,
+    );
+    const text = await collectText(response);
+
+    const parsed = parseStructured(text, schema);
+    if (parsed.errors.length === 0) {
+      storeCachedResponse(key, text, { kind, documentUri });
+      return parsed.value;
+    }
+
+    errors = parsed.errors;
+    console.warn(`[EchoCode] ${kind} reply failed validation:`, errors);
+    conversation.push(
+      assistantMessage(text),
+      userMessage(buildCorrection(errors)),
+    );
+  }
+
+  const error = new Error(
+    `AI Error: the ${kind} reply did not match the expected format.`,
+  );
+  error.validationErrors = errors;
+  throw error;
 }
 
-async function analyzeAI(code, instructionPrompt) {
+/**
+ * @param {string} code
+ * @param {string} instructionPrompt
+ * @param {object} [options] kind/documentUri cache tags and a cancellation token
+ */
+async function analyzeAI(code, instructionPrompt, options = {}) {
   try {
-    const model = await selectModel();
     const combinedPrompt = `${instructionPrompt}\n\nCode to analyze:\n${code}`;
-    const messages = [vscode.LanguageModelChatMessage.User(combinedPrompt)];
-
-    const chatRequest = await model.sendRequest(messages, {});
+    const messages = [userMessage(combinedPrompt)];
 
-    let results = "";
-    for await (const fragment of chatRequest.text) {
-      results += fragment;
-    }
-    return results;
+    const chatRequest = await sendCachedRequest(messages, {
+      kind: options.kind || "analyze",
+      documentUri: options.documentUri,
+      token: options.token,
+      prompt: instructionPrompt,
+    });
+    return await collectText(chatRequest);
   } catch (err) {
+    // Offline with nothing saved: say so instead of failing
+    if (err.message === OFFLINE_MISS_MESSAGE) {
+      return OFFLINE_MISS_MESSAGE;
+    }
     // Handle off-topic refusals cleanly
     if (err.message && err.message.includes("off_topic")) {
-      return "I cannot analyze this code (Copilot refusal).";
+      return "I cannot analyze this code (model refusal).";
     }
     throw err;
   }
@@ -45,36 +199,44 @@ async function analyzeAI(code, instructionPrompt) {
 async function classifyVoiceIntent(transcript, commands, opts = {}) {
   try {
     const temperature = opts.temperature ?? 0.0;
-    const model = await selectModel();
 
     // System prompt engineered as User message
     const systemInstruction =
-      'Output only JSON like {"command": "<id>"}. Reply ONLY with strict minified JSON.';
+      'Pick the command that matches the transcript, or "none" if nothing fits.';
 
     const combinedPrompt = `SYSTEM:\n${systemInstruction}\n\nUSER DATA:\n${JSON.stringify(
       { transcript, commands: commands.map((c) => ({ id: c.id })) }
     )}`;
 
-    const messages = [vscode.LanguageModelChatMessage.User(combinedPrompt)];
-    const chatReq = await model.sendRequest(messages, { temperature });
-
-    let text = "";
-    for await (const frag of chatReq.text) text += frag;
+    const schema = {
+      type: "object",
+      properties: {
+        command: {
+          type: "string",
+          enum: [...commands.map((c) => c.id), "none"],
+        },
+      },
+      required: ["command"],
+    };
 
-    const match = text.match(/\{[\s\S]*\}/);
-    const candidate = match ? match[0] : text;
-    try {
-      const parsed = JSON.parse(candidate);
-      return parsed.command || "none";
-    } catch {
-      return "none";
-    }
+    const { command } = await requestStructured(
+      [userMessage(combinedPrompt)],
+      schema,
+      { kind: "voiceIntent", temperature, maxRetries: 1, prompt: transcript },
+    );
+    return command;
   } catch (err) {
     return "none";
   }
 }
 
-async function generateCodeFromVoice(transcript, languageId, indentation = "", contextCode = "") {
+async function generateCodeFromVoice(
+  transcript,
+  languageId,
+  indentation = "",
+  contextCode = "",
+  token = undefined,
+) {
   try {
     const model = await selectModel();
 
@@ -101,17 +263,16 @@ async function generateCodeFromVoice(transcript, languageId, indentation = "", c
     \`\`\``;
     }
 
-    const messages = [
-      vscode.LanguageModelChatMessage.User(systemPrompt),
-      vscode.LanguageModelChatMessage.User(transcript)
-    ];
+    const messages = [userMessage(systemPrompt), userMessage(transcript)];
+    recordAiPrompt("generateCode", messages, { prompt: transcript });
 
-    const chatReq = await model.sendRequest(messages, { temperature: 0.1 });
+    const chatReq = await model.sendRequest(
+      messages,
+      { temperature: 0.1 },
+      token,
+    );
 
-    let code = "";
-    for await (const fragment of chatReq.text) {
-      code += fragment;
-    }
+    const code = await collectText(chatReq);
 
     // Cleanup any leaked markdown formatting
     return code
@@ -119,14 +280,20 @@ async function generateCodeFromVoice(transcript, languageId, indentation = "", c
       .replace(/```$/, "")
       .trim();
   } catch (err) {
-    if (err.name === 'LanguageModelError' || err instanceof vscode.LanguageModelError) {
-      throw new Error(`Copilot LM Error: ${err.message}`);
+    if (
+      err.name === "LanguageModelError" ||
+      (vscode.LanguageModelError && err instanceof vscode.LanguageModelError)
+    ) {
+      throw new Error(`Language Model Error: ${err.message}`);
     }
-    throw new Error(`Copilot Error: ${err.message}`);
+    throw new Error(`AI Error: ${err.message}`);
   }
 }
 
 module.exports = {
+  selectModel,
+  sendCachedRequest,
+  requestStructured,
   analyzeAI,
   classifyVoiceIntent,
   generateCodeFromVoice,
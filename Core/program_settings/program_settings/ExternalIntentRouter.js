@@ -1,8 +1,10 @@
 const fs = require("fs");
 const path = require("path");
 const vscode = require("vscode");
+const { matchIntent } = require("./localIntentRouter");
 
 const commandsPath = path.join(__dirname, "external_commands.json");
+const catalogPath = path.join(__dirname, "external_command_catalog.json");
 
 let cachedCommands = null;
 let watcher = null;
@@ -54,40 +56,194 @@ function generateKeywords(commandId) {
   return [...new Set(keywords)]; // deduplicate
 }
 
+// Commands that can lose work or close things; these need a spoken "yes"
+const DESTRUCTIVE_WORDS =
+  /\b(delete|remove|revert|discard|discard all|drop|clean|force|undo|close all|close other|reset|uninstall|quit|kill|terminate|reload window)\b/;
+
 /**
- * Called once on activation. Pulls all VS Code commands, generates keywords,
- * and writes them to external_commands.json. Skips echocode internal commands.
+ * @param {string} commandId
+ * @param {string} title
+ * @returns {"safe"|"destructive"}
  */
-async function buildExternalCommandRegistry() {
-  const allCommandIds = await vscode.commands.getCommands(true);
+function classifyRisk(commandId, title) {
+  const text =
+    `${title} ${generateKeywords(commandId).join(" ")}`.toLowerCase();
+  return DESTRUCTIVE_WORDS.test(text) ? "destructive" : "safe";
+}
+
+/** "workbench.action.files.*" style patterns from the allow/deny settings. */
+function matchesAny(commandId, patterns) {
+  return patterns.some((pattern) =>
+    pattern.endsWith("*")
+      ? commandId.startsWith(pattern.slice(0, -1))
+      : commandId === pattern,
+  );
+}
+
+function getCommandLists() {
+  const config = vscode.workspace.getConfiguration("echocode");
+  const list = (key) => {
+    const value = config.get(key, []);
+    return Array.isArray(value)
+      ? value.filter((p) => typeof p === "string")
+      : [];
+  };
+  return {
+    allow: list("externalCommands.allow"),
+    deny: list("externalCommands.deny"),
+  };
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve "%command.run.title%" placeholders from the extension's
+ * package.nls.<language>.json, falling back to package.nls.json.
+ */
+function loadNls(extensionPath) {
+  if (!extensionPath) return {};
+  const language = ((vscode.env && vscode.env.language) || "en").toLowerCase();
+  const english = readJson(path.join(extensionPath, "package.nls.json")) || {};
+  const localized =
+    language === "en"
+      ? {}
+      : readJson(path.join(extensionPath, `package.nls.${language}.json`)) ||
+        readJson(
+          path.join(
+            extensionPath,
+            `package.nls.${language.split("-")[0]}.json`,
+          ),
+        ) ||
+        {};
+  return { ...english, ...localized };
+}
+
+function localize(value, nls) {
+  // Titles may be plain strings or { value, original }
+  const text = value && typeof value === "object" ? value.value : value;
+  if (typeof text !== "string") return "";
+  const key = text.match(/^%(.+)%$/);
+  if (!key) return text;
+  const entry = nls[key[1]];
+  return typeof entry === "string" ? entry : (entry && entry.message) || "";
+}
+
+/** Palette titles ("Python: Run Python File") contributed by installed extensions. */
+function getExtensionTitles() {
+  const titles = new Map();
+  const extensions = (vscode.extensions && vscode.extensions.all) || [];
+
+  for (const extension of extensions) {
+    const contributes =
+      (extension.packageJSON && extension.packageJSON.contributes) || {};
+    const commands = Array.isArray(contributes.commands)
+      ? contributes.commands
+      : [];
+    if (commands.length === 0) continue;
+
+    const nls = loadNls(extension.extensionPath);
+    for (const command of commands) {
+      const title = localize(command.title, nls);
+      if (!command.command || !title) continue;
+      titles.set(command.command, {
+        title,
+        category: localize(command.category, nls),
+      });
+    }
+  }
+  return titles;
+}
+
+/**
+ * The commands voice may run: the curated catalog of built-in commands plus
+ * commands that installed extensions give a palette title, limited by
+ * echocode.externalCommands.allow / deny. Each has a human title, spoken
+ * keywords and a risk level.
+ * @param {string[]} availableIds from vscode.commands.getCommands
+ * @returns {{id: string, title: string, keywords: string[], risk: "safe"|"destructive"}[]}
+ */
+function buildExternalCommandCatalog(availableIds) {
+  const available = new Set(availableIds);
+  const { allow, deny } = getCommandLists();
+  const catalog = readJson(catalogPath) || [];
+  const extensionTitles = getExtensionTitles();
+  const entries = new Map();
+
+  for (const entry of catalog) {
+    entries.set(entry.id, {
+      id: entry.id,
+      title: entry.title,
+      keywords: [...new Set([entry.title.toLowerCase(), ...entry.keywords])],
+      risk: entry.risk || classifyRisk(entry.id, entry.title),
+    });
+  }
+
+  for (const [id, { title, category }] of extensionTitles) {
+    if (entries.has(id)) continue;
+    entries.set(id, {
+      id,
+      title: category ? `${category}: ${title}` : title,
+      keywords: [title.toLowerCase()],
+      risk: classifyRisk(id, title),
+    });
+  }
 
-  const commands = allCommandIds
-    .filter((id) => !id.startsWith("echocode.") && !id.startsWith("_")) // skip internal
-    .map((id) => ({
+  // Commands allowed by exact id but without a title are named after the id
+  for (const id of allow) {
+    if (entries.has(id) || !available.has(id)) continue;
+    const [keyword] = generateKeywords(id);
+    entries.set(id, {
       id,
-      title: id,
+      title: keyword.replace(/\b\w/g, (c) => c.toUpperCase()),
       keywords: generateKeywords(id),
-    }));
+      risk: classifyRisk(id, keyword),
+    });
+  }
+
+  return [...entries.values()].filter(
+    (entry) =>
+      available.has(entry.id) &&
+      !entry.id.startsWith("echocode.") &&
+      !entry.id.startsWith("_") &&
+      !matchesAny(entry.id, deny) &&
+      (!allow.length || matchesAny(entry.id, allow)),
+  );
+}
+
+/**
+ * Called once on activation. Builds the external command catalog and
+ * writes it to external_commands.json. Skips echocode internal commands.
+ */
+async function buildExternalCommandRegistry() {
+  const allCommandIds = await vscode.commands.getCommands(true);
+  const commands = buildExternalCommandCatalog(allCommandIds);
 
   await fs.promises.writeFile(commandsPath, JSON.stringify(commands, null, 2));
   cachedCommands = null; // force reload on next match
 }
 
 /**
- * Returns matched external command object or null.
+ * Returns the best-ranked external command, or null when nothing fits well
+ * enough or two commands fit equally well.
  * @param {string} transcript - Lowercased, trimmed transcript
+ * @param {object[]} [commands] defaults to external_commands.json
  */
-function matchExternalCommand(transcript) {
-  for (const cmd of getCommands()) {
-    if (
-      cmd.keywords &&
-      cmd.keywords.some((k) => transcript.includes(k.toLowerCase()))
-    ) {
-      return cmd;
-    }
-  }
-  return null;
+function matchExternalCommand(transcript, commands = getCommands()) {
+  // Entries without a human title come from an older registry format
+  const titled = commands.filter((cmd) => cmd.title && cmd.title !== cmd.id);
+  const { match } = matchIntent(transcript, titled);
+  return match ? match.command : null;
 }
 
-
-module.exports = { matchExternalCommand, buildExternalCommandRegistry };
+module.exports = {
+  matchExternalCommand,
+  buildExternalCommandRegistry,
+  buildExternalCommandCatalog,
+  classifyRisk,
+};
@@ -0,0 +1,202 @@
+// Core/program_settings/program_settings/aiCache.js
+const vscode = require("vscode");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { speakMessage } = require("../speech_settings/speechHandler");
+
+const CACHE_FILE = "ai-cache.json";
+const MAX_ENTRIES = 500;
+const SAVE_DELAY_MS = 1000;
+
+// key -> { response, kind, documentUri, createdAt }
+let entries = new Map();
+let cacheFilePath = null;
+let saveTimer = null;
+
+function getCacheConfig() {
+  const config = vscode.workspace.getConfiguration("echocode");
+  return {
+    enabled: config.get("ai.cache.enabled", true) !== false,
+    ttlHours: Number(config.get("ai.cache.ttlHours", 24)) || 0,
+    offline: config.get("ai.offlineMode", false) === true,
+  };
+}
+
+function isOfflineMode() {
+  return getCacheConfig().offline;
+}
+
+/**
+ * Stable key for a request: the kind of analysis plus every message's text,
+ * so the same prompt on the same code always maps to the same entry.
+ */
+function hashRequest(kind, messages) {
+  const hash = crypto.createHash("sha256");
+  hash.update(String(kind));
+  for (const message of messages) {
+    hash.update("\0");
+    hash.update(message.role || "user");
+    hash.update("\0");
+    hash.update(String(message.content ?? ""));
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Cached response text, or undefined. Expired entries are ignored unless
+ * offline mode is on (then anything we have is better than nothing).
+ */
+function getCachedResponse(key) {
+  const { enabled, ttlHours, offline } = getCacheConfig();
+  if (!enabled && !offline) return undefined;
+
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+
+  const expired =
+    ttlHours > 0 && Date.now() - entry.createdAt > ttlHours * 3600 * 1000;
+  if (expired && !offline) {
+    entries.delete(key);
+    scheduleSave();
+    return undefined;
+  }
+  return entry.response;
+}
+
+function storeCachedResponse(key, response, { kind, documentUri } = {}) {
+  if (!getCacheConfig().enabled || !response) return;
+
+  entries.delete(key); // re-insert so Map order stays oldest -> newest
+  entries.set(key, {
+    response,
+    kind: kind || "analyze",
+    documentUri: documentUri || null,
+    createdAt: Date.now(),
+  });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+  scheduleSave();
+}
+
+/** Drop every entry produced from a document (called when it is edited). */
+function invalidateDocument(documentUri) {
+  if (!documentUri) return 0;
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    if (entry.documentUri === documentUri) {
+      entries.delete(key);
+      removed++;
+    }
+  }
+  if (removed) scheduleSave();
+  return removed;
+}
+
+function clearAiCache() {
+  entries.clear();
+  scheduleSave();
+}
+
+function getAiCacheSize() {
+  return entries.size;
+}
+
+// -------------------------
+// Persistence (extension global storage)
+// -------------------------
+function loadFromDisk() {
+  if (!cacheFilePath || !fs.existsSync(cacheFilePath)) return;
+  try {
+    const data = JSON.parse(fs.readFileSync(cacheFilePath, "utf8"));
+    entries = new Map(Object.entries(data.entries || {}));
+  } catch (err) {
+    console.warn("[EchoCode] Ignoring unreadable AI cache:", err.message);
+    entries = new Map();
+  }
+}
+
+function flushAiCache() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  if (!cacheFilePath) return;
+  try {
+    fs.mkdirSync(path.dirname(cacheFilePath), { recursive: true });
+    fs.writeFileSync(
+      cacheFilePath,
+      JSON.stringify({ entries: Object.fromEntries(entries) }),
+    );
+  } catch (err) {
+    console.warn("[EchoCode] Could not save AI cache:", err.message);
+  }
+}
+
+function scheduleSave() {
+  if (!cacheFilePath || saveTimer) return;
+  saveTimer = setTimeout(flushAiCache, SAVE_DELAY_MS);
+  if (saveTimer.unref) saveTimer.unref();
+}
+
+/**
+ * Load the cache from global storage and keep it in sync with edits.
+ */
+function initAiCache(context) {
+  cacheFilePath = context.globalStorageUri?.fsPath
+    ? path.join(context.globalStorageUri.fsPath, CACHE_FILE)
+    : null;
+  loadFromDisk();
+
+  const editListener = vscode.workspace.onDidChangeTextDocument((event) => {
+    // Offline mode keeps old explanations around on purpose
+    if (event.contentChanges.length === 0 || isOfflineMode()) return;
+    invalidateDocument(event.document.uri.toString());
+  });
+
+  context.subscriptions.push(editListener, { dispose: flushAiCache });
+}
+
+function registerAiCacheCommands(context) {
+  const toggleOfflineCmd = vscode.commands.registerCommand(
+    "echocode.toggleOfflineMode",
+    async () => {
+      const offline = !isOfflineMode();
+      await vscode.workspace
+        .getConfiguration("echocode")
+        .update("ai.offlineMode", offline, vscode.ConfigurationTarget.Global);
+
+      const message = offline
+        ? `Offline mode on. EchoCode will only replay saved answers (${entries.size} saved).`
+        : "Offline mode off. EchoCode will ask the AI again.";
+      vscode.window.showInformationMessage(message);
+      await speakMessage(message);
+    },
+  );
+
+  const clearCacheCmd = vscode.commands.registerCommand(
+    "echocode.clearAiCache",
+    async () => {
+      clearAiCache();
+      flushAiCache();
+      vscode.window.showInformationMessage("EchoCode AI cache cleared.");
+    },
+  );
+
+  context.subscriptions.push(toggleOfflineCmd, clearCacheCmd);
+}
+
+module.exports = {
+  hashRequest,
+  getCachedResponse,
+  storeCachedResponse,
+  invalidateDocument,
+  clearAiCache,
+  getAiCacheSize,
+  isOfflineMode,
+  initAiCache,
+  flushAiCache,
+  registerAiCacheCommands,
+};
@@ -0,0 +1,133 @@
+// Core/program_settings/program_settings/aiProgress.js
+const vscode = require("vscode");
+const { speakMessage } = require("../speech_settings/speechHandler");
+
+// Requests currently running under withAiProgress
+const activeRequests = new Set();
+
+function getProgressConfig() {
+  const config = vscode.workspace.getConfiguration("echocode");
+  return {
+    timeoutSeconds: Number(config.get("ai.timeoutSeconds", 120)) || 0,
+    cueSeconds: Number(config.get("ai.progressCueSeconds", 10)) || 0,
+  };
+}
+
+function cancellationError(label, reason, timeoutSeconds) {
+  const error = new Error(
+    reason === "timeout"
+      ? `The ${label} took longer than ${timeoutSeconds} seconds and was stopped.`
+      : `Cancelled the ${label}.`,
+  );
+  error.cancelled = true;
+  error.reason = reason;
+  return error;
+}
+
+/** True for errors thrown by withAiProgress when a request was cancelled or timed out. */
+function isAiCancellation(err) {
+  return Boolean(err && err.cancelled === true);
+}
+
+/**
+ * Run an AI request that the user can cancel (echocode.stopSpeech or
+ * echocode.cancelAiRequest) and that stops after echocode.ai.timeoutSeconds.
+ * While it runs, "Still working on the <label>" is spoken every
+ * echocode.ai.progressCueSeconds so a long wait is never silent.
+ * @template T
+ * @param {string} label what is being produced, e.g. "summary"
+ * @param {(token: vscode.CancellationToken) => Promise<T>} task pass the token on to the model
+ * @returns {Promise<T>}
+ * @throws {Error} with `cancelled: true` and `reason` ("user" | "timeout") when stopped early
+ */
+async function withAiProgress(label, task) {
+  const { timeoutSeconds, cueSeconds } = getProgressConfig();
+  const source = new vscode.CancellationTokenSource();
+  let reason = null;
+  let silent = false;
+
+  const request = {
+    label,
+    cancel(why, quiet = false) {
+      if (reason) return;
+      reason = why;
+      silent = quiet;
+      source.cancel();
+    },
+  };
+  activeRequests.add(request);
+
+  // Providers that ignore the token still stop waiting here
+  const cancelled = new Promise((_, reject) => {
+    source.token.onCancellationRequested(() =>
+      reject(cancellationError(label, reason, timeoutSeconds)),
+    );
+  });
+  cancelled.catch(() => {});
+
+  const timeout =
+    timeoutSeconds > 0
+      ? setTimeout(() => request.cancel("timeout"), timeoutSeconds * 1000)
+      : null;
+  const cue =
+    cueSeconds > 0
+      ? setInterval(() => {
+          speakMessage(`Still working on the ${label}.`, {
+            priority: "background",
+            category: "aiProgress",
+          });
+        }, cueSeconds * 1000)
+      : null;
+  if (timeout?.unref) timeout.unref();
+  if (cue?.unref) cue.unref();
+
+  try {
+    return await Promise.race([task(source.token), cancelled]);
+  } catch (err) {
+    if (!reason) throw err;
+    // The provider may fail with its own abort error; report ours instead
+    const error = cancellationError(label, reason, timeoutSeconds);
+    if (!silent) speakMessage(error.message, { category: "aiProgress" });
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+    clearInterval(cue);
+    activeRequests.delete(request);
+    source.dispose();
+  }
+}
+
+/**
+ * Cancel every running AI request.
+ * @param {{silent?: boolean}} [options] silent: do not say "Cancelled the
+ *   ...", e.g. when the user asked EchoCode to stop speaking
+ * @returns {number} how many were cancelled
+ */
+function cancelAiRequests({ silent = false } = {}) {
+  const count = activeRequests.size;
+  for (const request of [...activeRequests]) {
+    request.cancel("user", silent);
+  }
+  return count;
+}
+
+function registerAiProgressCommands(context) {
+  const cancelCmd = vscode.commands.registerCommand(
+    "echocode.cancelAiRequest",
+    async () => {
+      if (cancelAiRequests() === 0) {
+        vscode.window.showInformationMessage("No AI request is running.");
+        await speakMessage("No AI request is running.");
+      }
+    },
+  );
+
+  context.subscriptions.push(cancelCmd);
+}
+
+module.exports = {
+  withAiProgress,
+  cancelAiRequests,
+  isAiCancellation,
+  registerAiProgressCommands,
+};
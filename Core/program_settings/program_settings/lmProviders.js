@@ -0,0 +1,209 @@
+// Core/program_settings/program_settings/lmProviders.js
+const vscode = require("vscode");
+
+/**
+ * Every provider exposes the same shape as a `vscode.lm` chat model so
+ * features can keep streaming with `for await (const f of response.text)`:
+ *
+ *   provider.sendRequest(messages, { temperature }, token) -> { text: AsyncIterable<string> }
+ *
+ * `messages` are plain `{ role: "user" | "assistant", content: string }`
+ * objects; each provider converts them to its own wire format.
+ */
+
+const PROVIDER_IDS = ["copilot", "openaiCompatible", "fake"];
+
+function getLmConfig() {
+  const config = vscode.workspace.getConfiguration("echocode");
+  return {
+    provider: config.get("ai.provider", "copilot"),
+    model: config.get("ai.model", ""),
+    endpoint: config.get("ai.endpoint", "http://localhost:11434/v1"),
+    apiKeyEnvVar: config.get("ai.apiKeyEnvVar", "OPENAI_API_KEY"),
+  };
+}
+
+function userMessage(content) {
+  return { role: "user", content };
+}
+
+function assistantMessage(content) {
+  return { role: "assistant", content };
+}
+
+/** Read a whole streamed response into one string. */
+async function collectText(response) {
+  let text = "";
+  for await (const fragment of response.text) {
+    text += fragment;
+  }
+  return text;
+}
+
+// -------------------------
+// GitHub Copilot through vscode.lm
+// -------------------------
+async function createCopilotProvider({ model: family }) {
+  const models = await vscode.lm.selectChatModels({ vendor: "copilot" });
+  if (!models || models.length === 0) {
+    throw new Error(
+      "No Copilot models available. Please check your GitHub Copilot Chat extension, or choose another provider in echocode.ai.provider.",
+    );
+  }
+
+  // Prefer the configured family, then GPT-4, then whatever Copilot offers first
+  const selected =
+    (family && models.find((m) => m.family === family)) ||
+    models.find((m) => m.family && m.family.includes("gpt-4")) ||
+    models[0];
+
+  return {
+    id: "copilot",
+    label: `Copilot (${selected.family || selected.name || "default"})`,
+    sendRequest(messages, options = {}, token) {
+      const converted = messages.map((m) =>
+        m.role === "assistant"
+          ? vscode.LanguageModelChatMessage.Assistant(m.content)
+          : vscode.LanguageModelChatMessage.User(m.content),
+      );
+      const modelOptions =
+        options.temperature === undefined
+          ? {}
+          : { modelOptions: { temperature: options.temperature } };
+      return selected.sendRequest(
+        converted,
+        modelOptions,
+        token || new vscode.CancellationTokenSource().token,
+      );
+    },
+  };
+}
+
+// -------------------------
+// OpenAI-compatible HTTP (OpenAI, llama.cpp server, Ollama, LM Studio, ...)
+// -------------------------
+function createOpenAICompatibleProvider({ model, endpoint, apiKeyEnvVar }) {
+  if (!model) {
+    throw new Error(
+      "No model configured. Set echocode.ai.model to the model name your endpoint serves.",
+    );
+  }
+
+  const { OpenAI } = require("openai");
+  const client = new OpenAI({
+    baseURL: endpoint,
+    // Local servers ignore the key, but the client requires one
+    apiKey: process.env[apiKeyEnvVar] || "not-needed",
+  });
+
+  return {
+    id: "openaiCompatible",
+    label: `${model} at ${endpoint}`,
+    async sendRequest(messages, options = {}, token) {
+      const controller = new AbortController();
+      token?.onCancellationRequested?.(() => controller.abort());
+
+      const stream = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          temperature: options.temperature,
+          stream: true,
+        },
+        { signal: controller.signal },
+      );
+
+      return {
+        text: (async function* () {
+          for await (const chunk of stream) {
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) yield delta;
+          }
+        })(),
+      };
+    },
+  };
+}
+
+// -------------------------
+// Deterministic fake (tests and demos without any model)
+// -------------------------
+const fakeState = {
+  responder: null,
+  requests: [],
+};
+
+function defaultFakeResponse(messages) {
+  const last = [...messages].reverse().find((m) => m.role === "user");
+  return `Fake response to: ${(last?.content || "").slice(0, 80)}`;
+}
+
+function createFakeProvider() {
+  return {
+    id: "fake",
+    label: "Fake model (deterministic)",
+    async sendRequest(messages, options = {}) {
+      fakeState.requests.push({ messages, options });
+      const reply = fakeState.responder
+        ? await fakeState.responder(messages, options)
+        : defaultFakeResponse(messages);
+
+      // Stream word by word so streaming consumers are exercised too
+      const pieces = String(reply ?? "").match(/\S+\s*|\s+/g) || [];
+      return {
+        text: (async function* () {
+          for (const piece of pieces) yield piece;
+        })(),
+      };
+    },
+  };
+}
+
+/**
+ * Make the fake provider answer with `responder(messages, options)`
+ * (a function) or a fixed string. Pass null to restore the default echo.
+ */
+function setFakeResponder(responder) {
+  fakeState.responder =
+    typeof responder === "string" ? () => responder : responder || null;
+}
+
+function getFakeRequests() {
+  return [...fakeState.requests];
+}
+
+function resetFakeProvider() {
+  fakeState.responder = null;
+  fakeState.requests = [];
+}
+
+/**
+ * The language model chosen in settings (echocode.ai.provider / ai.model).
+ * Throws a user-readable error when it is not available.
+ */
+async function getLanguageModel() {
+  const config = getLmConfig();
+  switch (config.provider) {
+    case "openaiCompatible":
+      return createOpenAICompatibleProvider(config);
+    case "fake":
+      return createFakeProvider();
+    case "copilot":
+      return createCopilotProvider(config);
+    default:
+      throw new Error(
+        `Unknown language model provider "${config.provider}". Use one of: ${PROVIDER_IDS.join(", ")}.`,
+      );
+  }
+}
+
+module.exports = {
+  PROVIDER_IDS,
+  getLanguageModel,
+  userMessage,
+  assistantMessage,
+  collectText,
+  setFakeResponder,
+  getFakeRequests,
+  resetFakeProvider,
+};
@@ -1,46 +1,229 @@
-const path = require("path");
-const { spawn } = require("child_process");
+// Core/program_settings/program_settings/localIntentRouter.js
+const vscode = require("vscode");
 
-async function classifyLocalIntent(transcript, commands) {
-  return new Promise((resolve) => {
-    try {
-      const pyPath = path.join(__dirname, "local_intent_matcher.py");
-      const pythonExe = process.env.ECHOCODE_PYTHON || "python";
-      const py = spawn(pythonExe, [pyPath]);
-
-      let stdout = "";
-      let stderr = "";
-
-      py.stdout.on("data", (d) => (stdout += d.toString()));
-      py.stderr.on("data", (d) => (stderr += d.toString()));
-
-      py.on("close", (code) => {
-        if (stderr.trim().length > 0) console.log("[localIntent ERR]", stderr);
-        if (code !== 0) {
-          console.log(`[localIntent] Python exited with ${code}`);
-          return resolve("none");
-        }
-        try {
-          const parsed = JSON.parse(stdout.trim());
-          if (parsed?.score > 0.55) {
-            resolve(parsed.command);
-          } else {
-            console.log(`[localIntent] Low confidence: ${parsed?.score}`);
-            resolve("none");
-          }
-        } catch (err) {
-          console.log("[localIntent parse error]", err.message, stdout);
-          resolve("none");
-        }
-      });
-
-      py.stdin.write(JSON.stringify({ transcript, commands }));
-      py.stdin.end();
-    } catch (err) {
-      console.log("[localIntent router error]", err);
-      resolve("none");
+/**
+ * Offline voice intent matching. Scores a transcript against each command's
+ * keyword phrases using token overlap, edit distance (for transcription
+ * misspellings like "anotations") and synonyms, then ranks the commands.
+ */
+
+// Words that carry no intent ("could you please read the line")
+const FILLER_WORDS = new Set([
+  "a",
+  "an",
+  "the",
+  "please",
+  "can",
+  "could",
+  "would",
+  "you",
+  "me",
+  "my",
+  "i",
+  "to",
+  "in",
+  "for",
+  "it",
+  "hey",
+  "now",
+  "just",
+  "want",
+]);
+
+// The first word of each group is the one every other word is read as
+const SYNONYM_GROUPS = [
+  ["summarize", "summarise", "summary", "recap"],
+  ["read", "speak", "say"],
+  ["annotation", "note", "hint"],
+  ["function", "method", "def"],
+  ["previous", "prior", "preceding"],
+  ["create", "make", "new", "add"],
+  ["stop", "quiet", "silence", "shush"],
+  ["file", "document"],
+  ["folder", "directory"],
+  ["increase", "raise"],
+  ["decrease", "lower", "reduce"],
+  ["faster", "quicker"],
+  ["complete", "done", "finished"],
+  ["program", "code", "script"],
+  ["go", "move", "jump"],
+];
+
+const CANONICAL = new Map();
+for (const group of SYNONYM_GROUPS) {
+  for (const word of group) CANONICAL.set(word, group[0]);
+}
+
+// Closest a misheard word may be to still count (1 - edits / length)
+const MIN_SIMILARITY = 0.75;
+
+function stem(word) {
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+function canonical(word) {
+  return CANONICAL.get(word) || CANONICAL.get(stem(word)) || stem(word);
+}
+
+/** Lowercase, strip punctuation, drop filler words, map synonyms. */
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !FILLER_WORDS.has(word))
+    .map(canonical);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
     }
-  });
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  // Short words differ too much after one edit ("go" vs "do")
+  if (Math.min(a.length, b.length) < 4) return 0;
+  const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return similarity >= MIN_SIMILARITY ? similarity : 0;
+}
+
+/**
+ * How well a transcript says one keyword phrase, from 0 to 1.
+ * Coverage (how much of the phrase was said) is weighed against precision
+ * (how much of what was said belongs to the phrase), so "read annotations"
+ * prefers "read annotations" over the shorter "annotations".
+ */
+function scorePhrase(transcriptTokens, phraseTokens) {
+  if (transcriptTokens.length === 0 || phraseTokens.length === 0) return 0;
+
+  const used = new Set();
+  let covered = 0;
+  for (const phraseWord of phraseTokens) {
+    let best = 0;
+    let bestIndex = -1;
+    transcriptTokens.forEach((word, i) => {
+      if (used.has(i)) return;
+      const similarity = wordSimilarity(word, phraseWord);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = i;
+      }
+    });
+    if (bestIndex >= 0) used.add(bestIndex);
+    covered += best;
+  }
+
+  const coverage = covered / phraseTokens.length;
+  const precision = used.size / transcriptTokens.length;
+  return coverage * Math.sqrt(precision);
+}
+
+function phrasesFor(command) {
+  if (Array.isArray(command.keywords) && command.keywords.length) {
+    return command.keywords;
+  }
+  return [command.title, command.description].filter(Boolean);
+}
+
+/**
+ * Every command scored against the transcript, best first.
+ * @param {string} transcript
+ * @param {{id: string, title?: string, keywords?: string[]}[]} commands
+ * @returns {{command: object, score: number, phrase: string}[]}
+ */
+function rankIntents(transcript, commands) {
+  const transcriptTokens = tokenize(transcript);
+
+  return commands
+    .map((command) => {
+      let best = { command, score: 0, phrase: "" };
+      for (const phrase of phrasesFor(command)) {
+        const score = scorePhrase(transcriptTokens, tokenize(phrase));
+        if (score > best.score) best = { command, score, phrase };
+      }
+      return best;
+    })
+    .filter((candidate) => candidate.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+function getMatchThreshold() {
+  const threshold = Number(
+    vscode.workspace
+      .getConfiguration("echocode")
+      .get("voiceCommands.matchThreshold", 0.7),
+  );
+  return threshold > 0 && threshold <= 1 ? threshold : 0.7;
+}
+
+// Two candidates this close are too close to call
+const AMBIGUITY_MARGIN = 0.05;
+// Short near-misses ("annotashun") are worth a question rather than a guess
+const SUGGESTION_RANGE = 0.2;
+const SHORT_UTTERANCE_WORDS = 3;
+
+/**
+ * Decide what a transcript asks for.
+ * @returns {{match: object|null, alternatives: object[], ranked: object[]}}
+ *   `match` is the command to run; otherwise `alternatives` (up to two)
+ *   are worth offering as "Did you mean ...?"
+ */
+function matchIntent(transcript, commands, options = {}) {
+  const threshold = options.threshold ?? getMatchThreshold();
+  const ranked = rankIntents(transcript, commands);
+  const [best, second] = ranked;
+
+  if (!best) return { match: null, alternatives: [], ranked };
+
+  if (best.score >= threshold) {
+    const tooClose =
+      second &&
+      second.score >= threshold &&
+      best.score - second.score < AMBIGUITY_MARGIN;
+    return tooClose
+      ? { match: null, alternatives: [best, second], ranked }
+      : { match: best, alternatives: [], ranked };
+  }
+
+  const isShort = tokenize(transcript).length <= SHORT_UTTERANCE_WORDS;
+  if (isShort && best.score >= threshold - SUGGESTION_RANGE) {
+    const alternatives = ranked
+      .slice(0, 2)
+      .filter((c) => c.score >= threshold - SUGGESTION_RANGE);
+    return { match: null, alternatives, ranked };
+  }
+
+  return { match: null, alternatives: [], ranked };
+}
+
+/**
+ * Best command id for a transcript, or "none" below the threshold.
+ * (Kept for callers of the old Python matcher.)
+ */
+async function classifyLocalIntent(transcript, commands) {
+  const { match } = matchIntent(transcript, commands);
+  return match ? match.command.id : "none";
 }
 
-module.exports = { classifyLocalIntent };
+module.exports = {
+  tokenize,
+  editDistance,
+  rankIntents,
+  matchIntent,
+  classifyLocalIntent,
+};
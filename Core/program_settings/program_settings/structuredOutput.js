@@ -0,0 +1,190 @@
+// Core/program_settings/program_settings/structuredOutput.js
+
+/**
+ * Helpers for asking a language model for JSON and checking what comes back.
+ * Supports the subset of JSON Schema our prompts use: type, properties,
+ * required, additionalProperties: false, items, enum, minItems, maxItems,
+ * minLength, minimum and maximum.
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema.
+ * @returns {string[]} human-readable problems (empty when valid)
+ */
+function validateSchema(value, schema, at = "$") {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(
+        `${at} should be ${types.join(" or ")}, got ${typeOf(value)}`,
+      );
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${at} should be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`,
+    );
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined) {
+    if (value.trim().length < schema.minLength) {
+      errors.push(`${at} should not be empty`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at} should be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at} should be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at} should have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at} should have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) =>
+        errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)),
+      );
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key} is required`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Every top-level JSON object/array in a piece of text, in order.
+ * Tolerates code fences and chatter around the JSON.
+ */
+function extractJsonValues(text) {
+  const values = [];
+  let inString = false;
+  let escape = false;
+  let depth = 0;
+  let start = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escape) escape = false;
+      else if (ch === "\\") escape = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') {
+      if (depth > 0) inString = true;
+    } else if (ch === "{" || ch === "[") {
+      if (depth === 0) start = i;
+      depth++;
+    } else if ((ch === "}" || ch === "]") && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        try {
+          values.push(JSON.parse(text.slice(start, i + 1)));
+        } catch {
+          // not JSON after all (e.g. "[see above]"); keep scanning
+        }
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Pull a value matching `schema` out of a model reply.
+ * Back-to-back objects are accepted where the schema wants an array of them,
+ * and a bare array is accepted where it wants an object with one array field.
+ * @returns {{value: any, errors: string[]}}
+ */
+function parseStructured(text, schema) {
+  const values = extractJsonValues(String(text ?? ""));
+  if (values.length === 0) {
+    return { value: undefined, errors: ["the reply contained no JSON"] };
+  }
+
+  const candidates = [values[0]];
+  if (values.length > 1) candidates.push(values);
+
+  // { "items": [...] } asked for, but the model sent the array (or objects) alone
+  const arrayKeys = Object.entries(schema.properties || {})
+    .filter(([, child]) => child.type === "array")
+    .map(([key]) => key);
+  if (schema.type === "object" && arrayKeys.length === 1) {
+    const list = Array.isArray(values[0]) ? values[0] : values;
+    candidates.push({ [arrayKeys[0]]: list });
+  }
+
+  let firstErrors = null;
+  for (const candidate of candidates) {
+    const errors = validateSchema(candidate, schema);
+    if (errors.length === 0) return { value: candidate, errors };
+    firstErrors = firstErrors || errors;
+  }
+  return { value: undefined, errors: firstErrors };
+}
+
+/** Instruction appended to a prompt so the model knows the exact shape. */
+function buildSchemaInstruction(schema) {
+  return [
+    "Reply with JSON only: no markdown, no code fences, no text before or after.",
+    "The JSON must match this JSON Schema:",
+    JSON.stringify(schema),
+  ].join("\n");
+}
+
+/** Follow-up message after an invalid reply. */
+function buildCorrection(errors) {
+  return [
+    "Your previous reply did not match the required JSON Schema:",
+    ...errors.slice(0, 10).map((error) => `- ${error}`),
+    "Reply again with corrected JSON only.",
+  ].join("\n");
+}
+
+module.exports = {
+  validateSchema,
+  extractJsonValues,
+  parseStructured,
+  buildSchemaInstruction,
+  buildCorrection,
+};
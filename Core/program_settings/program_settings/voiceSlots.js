@@ -0,0 +1,310 @@
+// Core/program_settings/program_settings/voiceSlots.js
+const vscode = require("vscode");
+const path = require("path");
+const { editDistance } = require("./localIntentRouter");
+const { getGuidanceProfiles } = require("../guide_settings/guidanceProfiles");
+
+/**
+ * Voice commands with arguments. An entry in voice_commands.json may list
+ * "patterns" such as "go to line {line}" plus typed "slots":
+ *   number  { "type": "number", "min": 1, "max": 10 }
+ *   symbol  a function/class in the active file (document symbol provider)
+ *   file    a file in the workspace (workspace file list)
+ *   enum    { "type": "enum", "values": ["guided", "balanced"] }
+ *   guidanceLevel  a built-in or custom guidance profile name
+ * Slot values are passed to the command as arguments, in slot order.
+ */
+
+// -------------------------
+// Spoken numbers ("forty two", "one point five", "42")
+// -------------------------
+const UNITS = {
+  zero: 0,
+  oh: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  thirteen: 13,
+  fourteen: 14,
+  fifteen: 15,
+  sixteen: 16,
+  seventeen: 17,
+  eighteen: 18,
+  nineteen: 19,
+};
+const TENS = {
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  fifty: 50,
+  sixty: 60,
+  seventy: 70,
+  eighty: 80,
+  ninety: 90,
+};
+// Transcribers often hear these for digits
+const SOUNDALIKES = { to: 2, too: 2, for: 4, won: 1, ate: 8 };
+
+function parseWholeWords(words) {
+  let total = 0;
+  let current = 0;
+  for (const word of words) {
+    if (word in UNITS) current += UNITS[word];
+    else if (word in TENS) current += TENS[word];
+    else if (word === "hundred") current = (current || 1) * 100;
+    else if (word === "thousand") {
+      total += (current || 1) * 1000;
+      current = 0;
+    } else if (/^\d+$/.test(word)) current += Number(word);
+    else if (word !== "and") return null;
+  }
+  return total + current;
+}
+
+/**
+ * @param {string} text e.g. "42", "1.5", "forty two", "one point five"
+ * @returns {number|null}
+ */
+function parseSpokenNumber(text) {
+  const cleaned = String(text || "")
+    .toLowerCase()
+    .replace(/-/g, " ")
+    .replace(/[^a-z0-9.\s]/g, "")
+    .trim();
+  if (!cleaned) return null;
+  if (/^\d+(\.\d+)?$/.test(cleaned)) return Number(cleaned);
+  if (cleaned in SOUNDALIKES) return SOUNDALIKES[cleaned];
+
+  const [whole, fraction] = cleaned.split(/\s+point\s+/);
+  const wholeValue = parseWholeWords(whole.split(/\s+/));
+  if (wholeValue === null) return null;
+  if (fraction === undefined) return wholeValue;
+
+  // "point five" / "point two five": one digit per word
+  const digits = fraction
+    .split(/\s+/)
+    .map((word) => (/^\d$/.test(word) ? Number(word) : UNITS[word]));
+  if (digits.some((d) => d === undefined || d > 9)) return null;
+  return Number(`${wholeValue}.${digits.join("")}`);
+}
+
+// -------------------------
+// Names
+// -------------------------
+
+/** "parse input", "parse_input" and "parseInput" all become "parseinput". */
+function nameKey(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/** "utils dot py" -> "utils.py", "my underscore file" -> "my_file" */
+function spokenToFileName(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/\s*\bdot\s+/g, ".")
+    .replace(/\s*\b(underscore)\b\s*/g, "_")
+    .replace(/\s*\b(dash|hyphen)\b\s*/g, "-")
+    .trim();
+}
+
+/** Closest candidate by name, or null if nothing is close enough. */
+function closestName(spoken, candidates, getName = (c) => c) {
+  const key = nameKey(spoken);
+  if (!key) return null;
+
+  let best = null;
+  let bestSimilarity = 0;
+  for (const candidate of candidates) {
+    const candidateKey = nameKey(getName(candidate));
+    if (!candidateKey) continue;
+    if (candidateKey === key) return candidate;
+    const similarity =
+      1 -
+      editDistance(key, candidateKey) /
+        Math.max(key.length, candidateKey.length);
+    if (similarity > bestSimilarity) {
+      best = candidate;
+      bestSimilarity = similarity;
+    }
+  }
+  return bestSimilarity >= 0.75 ? best : null;
+}
+
+// -------------------------
+// Patterns
+// -------------------------
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * "go to line {line}" -> { regex, slotNames: ["line"] }
+ * Words before the phrase ("please", "can you") are ignored.
+ */
+function compilePattern(pattern) {
+  const slotNames = [];
+  const body = pattern
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .map((part) => {
+      const slot = part.match(/^\{(\w+)\}$/);
+      if (slot) {
+        slotNames.push(slot[1]);
+        return "(.+?)";
+      }
+      return escapeRegExp(part);
+    })
+    .join("\\s+");
+  return {
+    regex: new RegExp(`(?:^|\\s)${body}\\s*[.!?]*$`),
+    slotNames,
+    literalLength: pattern.replace(/\{\w+\}/g, "").trim().length,
+  };
+}
+
+/**
+ * The command whose pattern matches the transcript, with raw slot text.
+ * When several match, the one with the most literal words wins
+ * ("set speech speed to {rate}" over "speed {rate}").
+ * @returns {{command: object, values: Record<string, string>}|null}
+ */
+function matchSlotCommand(transcript, commands) {
+  const text = String(transcript || "")
+    .toLowerCase()
+    .trim();
+  let best = null;
+
+  for (const command of commands) {
+    for (const pattern of command.patterns || []) {
+      const compiled = compilePattern(pattern);
+      const match = text.match(compiled.regex);
+      if (!match) continue;
+      if (best && best.literalLength >= compiled.literalLength) continue;
+
+      const values = {};
+      compiled.slotNames.forEach((name, i) => {
+        values[name] = match[i + 1].trim();
+      });
+      best = { command, values, literalLength: compiled.literalLength };
+    }
+  }
+
+  return best ? { command: best.command, values: best.values } : null;
+}
+
+// -------------------------
+// Resolution against the workspace
+// -------------------------
+async function getSymbolNames(document) {
+  const symbols =
+    (await vscode.commands.executeCommand(
+      "vscode.executeDocumentSymbolProvider",
+      document.uri,
+    )) || [];
+  const names = [];
+  (function walk(list) {
+    for (const s of list || []) {
+      names.push(s.name);
+      if (s.children && s.children.length) walk(s.children);
+    }
+  })(symbols);
+  return names;
+}
+
+async function resolveSlot(name, slot, raw) {
+  const label = slot.label || name;
+
+  switch (slot.type) {
+    case "number": {
+      const value = parseSpokenNumber(raw);
+      if (value === null) {
+        return { error: `I didn't catch a number for the ${label}.` };
+      }
+      if (
+        (slot.min !== undefined && value < slot.min) ||
+        (slot.max !== undefined && value > slot.max)
+      ) {
+        return {
+          error: `The ${label} must be between ${slot.min ?? "any"} and ${slot.max ?? "any"}.`,
+        };
+      }
+      return { value };
+    }
+
+    case "symbol": {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return { error: "No file is open." };
+      const symbol = closestName(raw, await getSymbolNames(editor.document));
+      return symbol
+        ? { value: symbol }
+        : { error: `I couldn't find a ${label} called ${raw}.` };
+    }
+
+    case "file": {
+      const files = await vscode.workspace.findFiles(
+        "**/*",
+        "**/node_modules/**",
+      );
+      const uri = closestName(spokenToFileName(raw), files, (file) =>
+        path.basename(file.fsPath || file.path),
+      );
+      return uri
+        ? { value: uri }
+        : { error: `I couldn't find a file called ${raw}.` };
+    }
+
+    case "enum": {
+      const value = closestName(raw, slot.values || []);
+      return value
+        ? { value }
+        : {
+            error: `The ${label} can be ${(slot.values || []).join(", ")}.`,
+          };
+    }
+
+    case "guidanceLevel": {
+      const names = Object.keys(getGuidanceProfiles());
+      const value = closestName(raw, names);
+      return value
+        ? { value }
+        : { error: `The ${label} can be ${names.join(", ")}.` };
+    }
+
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Turn raw slot text into command arguments.
+ * @returns {Promise<{args: any[]}|{error: string}>} error is a sentence to speak
+ */
+async function resolveSlots(command, values) {
+  const args = [];
+  for (const [name, slot] of Object.entries(command.slots || {})) {
+    const result = await resolveSlot(name, slot, values[name] ?? "");
+    if (result.error) return { error: result.error };
+    args.push(result.value);
+  }
+  return { args };
+}
+
+module.exports = {
+  parseSpokenNumber,
+  spokenToFileName,
+  compilePattern,
+  matchSlotCommand,
+  resolveSlots,
+};
@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * An append-only JSONL log that shows tampering. Each line is HMAC-signed
+ * with a per-install key from VS Code's secret storage and carries the
+ * previous line's signature, so an edited, removed or reordered line breaks
+ * verification from that point on. The last entry's seq and signature are
+ * also kept in secret storage, so entries cut off the end of the file, or the
+ * whole file deleted, fail verification too.
+ *
+ * @param {{fileName: string, keySecret: string, label: string}} options
+ *   label names the log in console errors, e.g. "Mode log"
+ */
+function createSignedLog({ fileName, keySecret, label }) {
+  let secrets = null;
+  let directory = null;
+  let writes = Promise.resolve();
+  // The last entry written, {seq, sig}; read from the file on the first append
+  let last;
+
+  /** Start writing to fileName in directory; nothing is logged before. */
+  function init(context, logDirectory) {
+    secrets = context.secrets;
+    directory = logDirectory;
+    last = undefined;
+  }
+
+  function getPath() {
+    return directory ? path.join(directory, fileName) : null;
+  }
+
+  async function getKey() {
+    let key = await secrets.get(keySecret);
+    if (!key) {
+      key = crypto.randomBytes(32).toString("hex");
+      await secrets.store(keySecret, key);
+    }
+    return key;
+  }
+
+  // One head per log file, since each workspace has its own activity log
+  function getHeadSecret() {
+    return `${keySecret}.head:${getPath()}`;
+  }
+
+  async function readHead() {
+    try {
+      return JSON.parse((await secrets.get(getHeadSecret())) || "null");
+    } catch {
+      return null;
+    }
+  }
+
+  function sign(entry, key) {
+    return crypto
+      .createHmac("sha256", key)
+      .update(JSON.stringify(entry))
+      .digest("hex");
+  }
+
+  function readLines() {
+    try {
+      return fs
+        .readFileSync(getPath(), "utf8")
+        .split("\n")
+        .filter((line) => line.trim());
+    } catch {
+      return [];
+    }
+  }
+
+  function readLastEntry() {
+    const lines = readLines();
+    try {
+      return lines.length ? JSON.parse(lines[lines.length - 1]) : null;
+    } catch {
+      // A damaged last line still chains; verification reports it
+      return null;
+    }
+  }
+
+  /** Append a signed event; writes happen one at a time. */
+  function append(event) {
+    if (!directory) return Promise.resolve();
+    writes = writes
+      .then(async () => {
+        const key = await getKey();
+        if (last === undefined) last = readLastEntry();
+        const entry = {
+          seq: last && Number.isInteger(last.seq) ? last.seq + 1 : 1,
+          time: new Date().toISOString(),
+          ...event,
+          prev: last ? last.sig : null,
+        };
+        entry.sig = sign(entry, key);
+        fs.mkdirSync(directory, { recursive: true });
+        fs.appendFileSync(getPath(), `${JSON.stringify(entry)}\n`);
+        last = { seq: entry.seq, sig: entry.sig };
+        await secrets.store(getHeadSecret(), JSON.stringify(last));
+      })
+      .catch((err) => console.error(`[EchoCode] ${label} write failed:`, err));
+    return writes;
+  }
+
+  /** The logged entries, skipping lines that are not valid JSON. */
+  async function readEntries() {
+    await writes;
+    return readLines().flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Check every signature and link in the log, and that it still ends with
+   * the last entry written.
+   * @returns {Promise<{ok: boolean, entries: number, line?: number,
+   *   problem?: string}>} line is 1-based, the first one that fails
+   */
+  async function verify() {
+    await writes;
+    const lines = readLines();
+    const head = await readHead();
+    if (lines.length === 0) {
+      return head
+        ? {
+            ok: false,
+            entries: 0,
+            line: 1,
+            problem: "the log was deleted or emptied",
+          }
+        : { ok: true, entries: 0 };
+    }
+    const key = await secrets.get(keySecret);
+    if (!key) {
+      return {
+        ok: false,
+        entries: lines.length,
+        line: 1,
+        problem: "the signing key is missing",
+      };
+    }
+
+    let previousSig = null;
+    for (const [index, line] of lines.entries()) {
+      const fail = (problem) => ({
+        ok: false,
+        entries: lines.length,
+        line: index + 1,
+        problem,
+      });
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        return fail("it is not valid JSON");
+      }
+      const { sig, ...unsigned } = entry;
+      if (entry.seq !== index + 1 || entry.prev !== previousSig) {
+        return fail("an entry before it was removed or reordered");
+      }
+      if (typeof sig !== "string" || sig !== sign(unsigned, key)) {
+        return fail("it was edited");
+      }
+      previousSig = sig;
+    }
+    if (head && head.seq > lines.length) {
+      return {
+        ok: false,
+        entries: lines.length,
+        line: lines.length + 1,
+        problem: "the entries from here on were removed",
+      };
+    }
+    return { ok: true, entries: lines.length };
+  }
+
+  return { init, getPath, append, readEntries, verify };
+}
+
+module.exports = { createSignedLog };
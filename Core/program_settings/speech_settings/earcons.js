@@ -0,0 +1,256 @@
+// Core/program_settings/speech_settings/earcons.js
+const vscode = require("vscode");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, spawnSync } = require("child_process");
+
+const SAMPLE_RATE = 22050;
+
+/**
+ * Built-in earcons. `tones` are [frequency Hz, duration ms] pairs (0 Hz is a
+ * rest); `file` points at a bundled recording instead. A sound pack replaces
+ * any of these with `<name>.wav` in the configured folder.
+ */
+const EARCONS = {
+  errorFound: {
+    label: "Error found",
+    tones: [
+      [440, 110],
+      [330, 180],
+    ],
+  },
+  annotationAdded: {
+    label: "Annotation added",
+    file: path.resolve(__dirname, "../../../audio_pings/ping1.wav"),
+  },
+  taskComplete: {
+    label: "Task complete",
+    tones: [
+      [523, 80],
+      [659, 80],
+      [784, 160],
+    ],
+  },
+  recordingStarted: {
+    label: "Recording started",
+    tones: [
+      [660, 70],
+      [880, 110],
+    ],
+  },
+  recordingStopped: {
+    label: "Recording stopped",
+    tones: [
+      [880, 70],
+      [660, 110],
+    ],
+  },
+  modeChanged: {
+    label: "Mode changed",
+    tones: [
+      [587, 70],
+      [0, 40],
+      [587, 70],
+    ],
+  },
+  commandLocked: {
+    label: "Command locked",
+    tones: [[196, 260]],
+  },
+};
+
+const EARCON_NAMES = Object.keys(EARCONS);
+
+function getEarconConfig() {
+  const config = vscode.workspace.getConfiguration("echocode");
+  return {
+    enabled: config.get("earcons.enabled", true) !== false,
+    soundPack: config.get("earcons.soundPack", ""),
+  };
+}
+
+// -------------------------
+// Tone synthesis (16-bit mono PCM WAV)
+// -------------------------
+function synthesizeWav(tones) {
+  const samples = [];
+  for (const [frequency, durationMs] of tones) {
+    const count = Math.round((SAMPLE_RATE * durationMs) / 1000);
+    const fade = Math.min(count / 2, SAMPLE_RATE * 0.008);
+    for (let i = 0; i < count; i++) {
+      // Short fade in/out so tones do not click
+      const envelope = Math.min(1, i / fade, (count - i) / fade);
+      const value = frequency
+        ? Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE) * envelope
+        : 0;
+      samples.push(Math.round(value * 0.5 * 32767));
+    }
+  }
+
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+  buffer.write("RIFF", 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write("WAVE", 8);
+  buffer.write("fmt ", 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write("data", 36);
+  buffer.writeUInt32LE(dataSize, 40);
+  samples.forEach((sample, i) => buffer.writeInt16LE(sample, 44 + i * 2));
+  return buffer;
+}
+
+/**
+ * File to play for an earcon: the sound pack's `<name>.wav` if present,
+ * otherwise the built-in sound (generated into the temp folder on first use).
+ * @returns {string|null}
+ */
+function getEarconPath(name) {
+  const earcon = EARCONS[name];
+  if (!earcon) return null;
+
+  const { soundPack } = getEarconConfig();
+  if (soundPack) {
+    const custom = path.join(soundPack, `${name}.wav`);
+    if (fs.existsSync(custom)) return custom;
+  }
+
+  if (earcon.file) return earcon.file;
+
+  const target = path.join(os.tmpdir(), "echocode-earcons", `${name}.wav`);
+  if (!fs.existsSync(target)) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, synthesizeWav(earcon.tones));
+  }
+  return target;
+}
+
+// -------------------------
+// Playback
+// -------------------------
+let linuxPlayer;
+
+function commandExists(command) {
+  const result = spawnSync(command, ["--version"], {
+    stdio: "ignore",
+    timeout: 3000,
+  });
+  return !result.error;
+}
+
+function bundledFfmpeg() {
+  try {
+    const ffmpegPath = require("ffmpeg-static");
+    return ffmpegPath && fs.existsSync(ffmpegPath) ? ffmpegPath : null;
+  } catch {
+    return null;
+  }
+}
+
+/** First working player: paplay, aplay, ffplay, then the bundled ffmpeg. */
+function resolveLinuxPlayer() {
+  if (linuxPlayer !== undefined) return linuxPlayer;
+
+  const candidates = [
+    { command: "paplay", args: (file) => [file] },
+    { command: "aplay", args: (file) => ["-q", file] },
+    {
+      command: "ffplay",
+      args: (file) => ["-nodisp", "-autoexit", "-loglevel", "quiet", file],
+    },
+  ];
+  linuxPlayer = candidates.find((player) => commandExists(player.command));
+
+  if (!linuxPlayer) {
+    const ffmpegPath = bundledFfmpeg();
+    linuxPlayer = ffmpegPath
+      ? {
+          command: ffmpegPath,
+          args: (file) => [
+            "-loglevel",
+            "quiet",
+            "-i",
+            file,
+            "-f",
+            "alsa",
+            "default",
+          ],
+        }
+      : null;
+  }
+  return linuxPlayer;
+}
+
+function playFile(file) {
+  if (process.platform !== "linux") {
+    return require("sound-play").play(file);
+  }
+
+  const player = resolveLinuxPlayer();
+  if (!player) {
+    return Promise.reject(
+      new Error(
+        "No audio player found (install pulseaudio-utils or alsa-utils).",
+      ),
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(player.command, player.args(file), { stdio: "ignore" });
+    child.on("error", reject);
+    child.on("close", () => resolve());
+  });
+}
+
+/**
+ * Play a named earcon. Never rejects: a missing player or sound only logs.
+ * @param {keyof EARCONS} name
+ * @returns {Promise<void>}
+ */
+async function playEarcon(name) {
+  if (!getEarconConfig().enabled) return;
+
+  try {
+    const file = getEarconPath(name);
+    if (!file) {
+      console.warn(`[EchoCode] Unknown earcon "${name}"`);
+      return;
+    }
+    await playFile(file);
+  } catch (err) {
+    console.warn(`[EchoCode] Could not play earcon "${name}":`, err.message);
+  }
+}
+
+function registerEarconCommands(context) {
+  // Lets students learn the sounds (or check a sound pack) one at a time
+  const previewEarconsCmd = vscode.commands.registerCommand(
+    "echocode.previewEarcons",
+    async () => {
+      const pick = await vscode.window.showQuickPick(
+        EARCON_NAMES.map((name) => ({ label: EARCONS[name].label, name })),
+        { placeHolder: "Choose a sound to hear" },
+      );
+      if (pick) {
+        await playEarcon(pick.name);
+      }
+    },
+  );
+
+  context.subscriptions.push(previewEarconsCmd);
+  return previewEarconsCmd;
+}
+
+module.exports = {
+  EARCON_NAMES,
+  getEarconPath,
+  playEarcon,
+  registerEarconCommands,
+};
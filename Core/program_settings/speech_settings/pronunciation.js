@@ -0,0 +1,234 @@
+// Core/program_settings/speech_settings/pronunciation.js
+const vscode = require("vscode");
+
+// Names for single characters (used by character read-out and code reading)
+const SYMBOL_NAMES = {
+  '"': "double quote",
+  "'": "single quote",
+  "(": "open parenthesis",
+  ")": "close parenthesis",
+  "{": "open curly brace",
+  "}": "close curly brace",
+  "[": "open square bracket",
+  "]": "close square bracket",
+  ":": "colon",
+  ";": "semicolon",
+  ",": "comma",
+  ".": "period",
+  "!": "exclamation mark",
+  "?": "question mark",
+  "-": "dash",
+  _: "underscore",
+  "=": "equals",
+  "+": "plus",
+  "*": "asterisk",
+  "/": "slash",
+  "\\": "backslash",
+  "|": "pipe",
+  "&": "ampersand",
+  "^": "caret",
+  "%": "percent",
+  $: "dollar sign",
+  "#": "hash",
+  "@": "at symbol",
+  "~": "tilde",
+  "`": "backtick",
+  "<": "less than",
+  ">": "greater than",
+};
+
+// Shorter names when a symbol is read as part of a line of code
+const CODE_SYMBOL_NAMES = {
+  ...SYMBOL_NAMES,
+  "(": "open paren",
+  ")": "close paren",
+  "{": "open brace",
+  "}": "close brace",
+  "[": "open bracket",
+  "]": "close bracket",
+  ".": "dot",
+  "-": "minus",
+  "*": "times",
+  "!": "not",
+};
+
+const OPERATOR_NAMES = {
+  "==": "is equal to",
+  "===": "is strictly equal to",
+  "!=": "not equal to",
+  "!==": "strictly not equal to",
+  "<=": "less than or equal to",
+  ">=": "greater than or equal to",
+  "+=": "plus equals",
+  "-=": "minus equals",
+  "*=": "times equals",
+  "/=": "divide equals",
+  "%=": "mod equals",
+  "**": "to the power of",
+  "//": "double slash",
+  "->": "arrow",
+  "=>": "arrow",
+  "&&": "and",
+  "||": "or",
+  "++": "plus plus",
+  "--": "minus minus",
+  "::": "double colon",
+  "<<": "shift left",
+  ">>": "shift right",
+};
+
+// Everything not listed here is only read with the "all" profile
+const SOME_PUNCTUATION = new Set("()[]{}=+-*/<>!&|^%~#@");
+
+const PUNCTUATION_LEVELS = ["none", "some", "all"];
+const NUMBER_MODES = ["natural", "digits"];
+
+const OPERATOR_PATTERN = Object.keys(OPERATOR_NAMES)
+  .sort((a, b) => b.length - a.length)
+  .map((op) => op.replace(/[.*+?^${}()|[\]\\/-]/g, "\\$&"))
+  .join("|");
+
+const CODE_TOKEN = new RegExp(
+  `(\\n)|([ \\t\\r]+)|(\\d+(?:\\.\\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(${OPERATOR_PATTERN})|(.)`,
+  "g",
+);
+
+// Identifiers that would trip up a TTS engine: snake_case or camelCase
+const PROSE_IDENTIFIER =
+  /\b[A-Za-z0-9_]*(?:[A-Za-z0-9]_[A-Za-z0-9]|[a-z][A-Z])[A-Za-z0-9_]*\b/g;
+
+/**
+ * Pronunciation settings for a language. Every key can be overridden per
+ * language with VS Code's `"[python]": { ... }` settings blocks.
+ * @param {string} [languageId] defaults to the active editor's language
+ */
+function getPronunciationProfile(languageId) {
+  const language =
+    languageId || vscode.window.activeTextEditor?.document?.languageId;
+  const config = vscode.workspace.getConfiguration(
+    "echocode",
+    language ? { languageId: language } : undefined,
+  );
+
+  const punctuation = config.get("pronunciation.punctuation", "some");
+  const numbers = config.get("pronunciation.numbers", "natural");
+
+  return {
+    punctuation: PUNCTUATION_LEVELS.includes(punctuation)
+      ? punctuation
+      : "some",
+    splitIdentifiers: config.get("pronunciation.splitIdentifiers", true) !== false,
+    numbers: NUMBER_MODES.includes(numbers) ? numbers : "natural",
+  };
+}
+
+/** Spoken name for a single character, e.g. "(" -> "open parenthesis". */
+function describeCharacter(char) {
+  return SYMBOL_NAMES[char] || char;
+}
+
+/** "parse_input" -> "parse input", "totalCount" -> "total Count". */
+function splitIdentifier(word) {
+  return word
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .split("_")
+    .filter(Boolean)
+    .join(" ");
+}
+
+function readNumber(value, profile) {
+  if (profile.numbers !== "digits") return value;
+  return value
+    .split("")
+    .map((digit) => (digit === "." ? "point" : digit))
+    .join(" ");
+}
+
+function readIdentifier(word, profile) {
+  if (!profile.splitIdentifiers) return word;
+
+  const spoken = splitIdentifier(word);
+  if (profile.punctuation !== "all") return spoken || word;
+
+  // Keep leading/trailing underscores audible (e.g. __init__) when reading everything
+  const leading = word.match(/^_+/)?.[0].length || 0;
+  const trailing = word.match(/_+$/)?.[0].length || 0;
+  return [
+    ...Array(leading).fill("underscore"),
+    spoken,
+    ...(trailing && trailing !== word.length
+      ? Array(trailing).fill("underscore")
+      : []),
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function readSymbol(symbol, profile) {
+  if (profile.punctuation === "none") return "";
+  if (OPERATOR_NAMES[symbol]) return OPERATOR_NAMES[symbol];
+  if (profile.punctuation === "some" && !SOME_PUNCTUATION.has(symbol)) {
+    return "";
+  }
+  return CODE_SYMBOL_NAMES[symbol] || "";
+}
+
+function pronounceCode(text, profile) {
+  const words = [];
+  for (const match of text.matchAll(CODE_TOKEN)) {
+    const [, newline, space, number, identifier, operator, symbol] = match;
+    if (space) continue;
+
+    let spoken;
+    if (newline) {
+      // A comma gives the engine a short pause between lines
+      if (words.length && !words[words.length - 1].endsWith(",")) {
+        words[words.length - 1] += ",";
+      }
+      continue;
+    } else if (number) spoken = readNumber(number, profile);
+    else if (identifier) spoken = readIdentifier(identifier, profile);
+    else spoken = readSymbol(operator || symbol, profile);
+
+    if (spoken) words.push(spoken);
+  }
+  return words.join(" ").replace(/,$/, "");
+}
+
+function pronounceProse(text, profile) {
+  // Inline `code` spans (common in AI answers) are read as code
+  const withCode = text.replace(/`([^`\n]+)`/g, (_, code) =>
+    pronounceCode(code, profile),
+  );
+  if (!profile.splitIdentifiers) return withCode;
+  return withCode.replace(PROSE_IDENTIFIER, (word) =>
+    readIdentifier(word, profile),
+  );
+}
+
+/**
+ * Turn text into what the TTS engine should say.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.code] the whole text is source code (read symbols per profile)
+ * @param {string} [options.languageId] language whose profile applies
+ * @returns {string}
+ */
+function pronounce(text, options = {}) {
+  const source = (text ?? "").toString();
+  if (!source.trim()) return "";
+
+  const profile = getPronunciationProfile(options.languageId);
+  return options.code
+    ? pronounceCode(source, profile)
+    : pronounceProse(source, profile);
+}
+
+module.exports = {
+  SYMBOL_NAMES,
+  getPronunciationProfile,
+  describeCharacter,
+  splitIdentifier,
+  pronounce,
+};
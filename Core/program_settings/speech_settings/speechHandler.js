@@ -1,9 +1,17 @@
 const vscode = require("vscode");
-const say = require("say");
+const { SpeechQueue } = require("./speechQueue");
+const { pronounce } = require("./pronunciation");
+const {
+  getBackend,
+  resetBackendResolution,
+  setBackendOutputChannel,
+} = require("./ttsBackends");
 
 let speechSpeed = 1.0;
-let isSpeaking = false;
-let currentSpeechProcess = null;
+// The utterance playing now: {backend, stopped}
+let activeUtterance = null;
+let speechOutputChannel = null;
+const warnedBackends = new Set();
 
 // Load saved speech speed from VS Code settings
 function loadSavedSpeechSpeed() {
@@ -31,78 +39,151 @@ function decreaseSpeechSpeed() {
   return speechSpeed;
 }
 
+// Set speech speed directly ("set speech speed to 1.5")
+function setSpeechSpeed(rate) {
+  speechSpeed = Math.min(2.0, Math.max(0.5, Number(rate) || 1.0));
+  saveSpeechSpeed();
+  return speechSpeed;
+}
+
 // Get current speech speed
 function getSpeechSpeed() {
   return speechSpeed;
 }
 
-// Speak a message aloud
-function speakMessage(message) {
-  return new Promise((resolve) => {
-    if (isSpeaking) {
-      stopSpeaking();
-    }
+// Play one utterance on the configured TTS backend (called by the speech queue only)
+async function speakNow(message) {
+  const backend = getBackend();
+  const voice =
+    vscode.workspace.getConfiguration("echocode").get("voice", "") || null;
+
+  // The queue moves on without waiting for a stopped utterance to end, so
+  // one that ends late must neither report its kill nor clear the next one
+  const utterance = { backend, stopped: false };
+  activeUtterance = utterance;
+  try {
+    await backend.speak(message, { voice, rate: speechSpeed });
+  } catch (err) {
+    if (!utterance.stopped) reportBackendFailure(backend, err);
+  } finally {
+    if (activeUtterance === utterance) activeUtterance = null;
+  }
+}
 
-    isSpeaking = true;
-
-    // Get the configured voice from settings
-    const config = vscode.workspace.getConfiguration("echocode");
-    let voice = config.get("voice") || null;
-
-    // AUTO-DETECT BETTER VOICES
-    if (!voice) {
-      const platform = process.platform;
-      if (platform === "darwin") {
-        // macOS: 'Samantha' is a high quality default, or 'Alex'.
-        // Passing null often defaults to user's system pref, which is usually good.
-        voice = null;
-      } else if (platform === "win32") {
-        // Windows: Try forcing 'Microsoft Zira Desktop' (US English Female)
-        // or 'Microsoft David Desktop' (US English Male) if available.
-        // Otherwise, leaving it null uses the robotic default SAPI voice.
-        voice = "Microsoft Zira Desktop";
+// Kill whatever the TTS backend is playing right now
+function stopNow() {
+  if (activeUtterance) {
+    activeUtterance.stopped = true;
+    activeUtterance.backend.stop();
+    activeUtterance = null;
+  }
+}
+
+// Speech failures used to vanish on headless Linux; log every one and
+// warn the user once per backend so they can pick a working engine.
+function reportBackendFailure(backend, err) {
+  const message = `[EchoCode] TTS backend "${backend.id}" failed: ${err.message || err}`;
+  console.warn(message);
+  if (speechOutputChannel) {
+    speechOutputChannel.appendLine(message);
+  }
+
+  if (warnedBackends.has(backend.id)) return;
+  warnedBackends.add(backend.id);
+  vscode.window
+    .showWarningMessage(
+      `EchoCode could not speak using ${backend.label}. Choose another speech engine?`,
+      "Choose Engine"
+    )
+    .then((choice) => {
+      if (choice === "Choose Engine") {
+        vscode.commands.executeCommand(
+          "workbench.action.openSettings",
+          "echocode.tts.backend"
+        );
       }
-    }
+    });
+}
 
-    try {
-      // Use say.js to speak the message with the configured voice
-      say.speak(message, voice, speechSpeed, (err) => {
-        isSpeaking = false;
-        currentSpeechProcess = null;
-        if (err) {
-          console.warn("[EchoCode] say.speak error", err);
-        }
-        resolve();
-      });
+const speechQueue = new SpeechQueue({ speak: speakNow, stop: stopNow });
 
-      // Store the speech process
-      currentSpeechProcess = say;
-    } catch (err) {
-      // Gracefully degrade when TTS backend is unavailable (e.g., headless CI, missing 'say')
-      console.warn(
-        "[EchoCode] TTS unavailable; continuing without speech",
-        err
-      );
-      isSpeaking = false;
-      currentSpeechProcess = null;
-      resolve();
-    }
+/**
+ * Speak a message aloud through the shared speech queue.
+ * @param {string} message
+ * @param {object} [options]
+ * @param {"urgent"|"user"|"background"} [options.priority] defaults to "user"
+ * @param {string} [options.category] newer messages replace pending ones of the same category
+ * @param {boolean} [options.interrupt] cut off what is playing (if it is not more important)
+ * @param {() => Promise<void>} [options.prelude] runs right before the message (e.g. a ping)
+ * @param {boolean} [options.code] the message is source code; symbols are read per the pronunciation profile
+ * @param {string} [options.languageId] language whose pronunciation profile applies
+ * @returns {Promise<boolean>} true once spoken, false if dropped or interrupted
+ */
+function speakMessage(message, options = {}) {
+  // Older callers pass (text, outputChannel); ignore anything that is not an options bag.
+  const opts =
+    options && typeof options.appendLine !== "function" ? options : {};
+  const spoken = pronounce(message, {
+    code: opts.code,
+    languageId: opts.languageId,
   });
+  return speechQueue.enqueue(spoken, opts);
 }
 
-// Stop speaking
+// Stop speaking and drop everything still queued
 function stopSpeaking() {
-  if (isSpeaking && currentSpeechProcess) {
-    currentSpeechProcess.stop();
-    isSpeaking = false;
-    currentSpeechProcess = null;
-    return true;
+  return speechQueue.stop();
+}
+
+// True while an utterance is playing (hands-free listening pauses)
+function isSpeaking() {
+  return speechQueue.isSpeaking();
+}
+
+// Speak the most recent utterance again
+async function repeatLastUtterance() {
+  const last = speechQueue.getLastUtterance();
+  if (!last) {
+    await speakMessage("Nothing has been spoken yet.");
+    return false;
   }
-  return false;
+  return speakMessage(last.text, { interrupt: true });
+}
+
+function getSpeechHistory() {
+  return speechQueue.getHistory();
+}
+
+// Let the user pick a voice offered by the active backend
+async function selectVoice() {
+  const backend = getBackend();
+  const voices = await backend.listVoices();
+
+  if (voices.length === 0) {
+    const message = `${backend.label} does not list any voices.`;
+    vscode.window.showInformationMessage(message);
+    await speakMessage(message);
+    return;
+  }
+
+  const pick = await vscode.window.showQuickPick(
+    ["System default", ...voices],
+    { placeHolder: `Choose a voice for ${backend.label}` }
+  );
+  if (!pick) return;
+
+  const voice = pick === "System default" ? "" : pick;
+  await vscode.workspace
+    .getConfiguration("echocode")
+    .update("voice", voice, vscode.ConfigurationTarget.Global);
+  await speakMessage(`Voice set to ${pick}.`, { interrupt: true });
 }
 
 // Register speech-related commands
 function registerSpeechCommands(context, outputChannel) {
+  speechOutputChannel = outputChannel;
+  setBackendOutputChannel(outputChannel);
+
   // Register speech speed control commands
   const increaseSpeechSpeedCmd = vscode.commands.registerCommand(
     "echocode.increaseSpeechSpeed",
@@ -112,7 +193,10 @@ function registerSpeechCommands(context, outputChannel) {
       vscode.window.showInformationMessage(message);
       outputChannel.appendLine(message);
       // Optionally announce it verbally
-      speakMessage(`Speed set to ${newSpeed.toFixed(1)} times normal.`);
+      speakMessage(`Speed set to ${newSpeed.toFixed(1)} times normal.`, {
+        category: "speechRate",
+        interrupt: true,
+      });
     }
   );
 
@@ -124,7 +208,32 @@ function registerSpeechCommands(context, outputChannel) {
       vscode.window.showInformationMessage(message);
       outputChannel.appendLine(message);
       // Optionally announce it verbally
-      speakMessage(`Speed set to ${newSpeed.toFixed(1)} times normal.`);
+      speakMessage(`Speed set to ${newSpeed.toFixed(1)} times normal.`, {
+        category: "speechRate",
+        interrupt: true,
+      });
+    }
+  );
+
+  const setSpeechSpeedCmd = vscode.commands.registerCommand(
+    "echocode.setSpeechSpeed",
+    async (rate) => {
+      if (rate === undefined) {
+        const input = await vscode.window.showInputBox({
+          prompt: "Speech speed (0.5 to 2.0)",
+          value: speechSpeed.toFixed(1),
+        });
+        if (!input) return;
+        rate = input;
+      }
+      const newSpeed = setSpeechSpeed(rate);
+      const message = `Speech speed set to ${newSpeed.toFixed(1)}x`;
+      vscode.window.showInformationMessage(message);
+      outputChannel.appendLine(message);
+      speakMessage(`Speed set to ${newSpeed.toFixed(1)} times normal.`, {
+        category: "speechRate",
+        interrupt: true,
+      });
     }
   );
 
@@ -137,6 +246,66 @@ function registerSpeechCommands(context, outputChannel) {
         vscode.window.showInformationMessage("Speech stopped");
         outputChannel.appendLine("Speech stopped by user");
       }
+
+      // "Stop" also means stop waiting on the AI (required lazily: aiProgress speaks through us)
+      const { cancelAiRequests } = require("../program_settings/aiProgress");
+      const cancelled = cancelAiRequests({ silent: true });
+      if (cancelled) {
+        outputChannel.appendLine(`Cancelled ${cancelled} AI request(s)`);
+      }
+    }
+  );
+
+  // Say the last utterance again
+  const repeatLastUtteranceCmd = vscode.commands.registerCommand(
+    "echocode.repeatLastUtterance",
+    async () => {
+      await repeatLastUtterance();
+    }
+  );
+
+  // Pick something from the recent speech history and hear it again
+  const replaySpeechHistoryCmd = vscode.commands.registerCommand(
+    "echocode.replaySpeechHistory",
+    async () => {
+      const history = getSpeechHistory();
+      if (history.length === 0) {
+        vscode.window.showInformationMessage("No speech history yet.");
+        await speakMessage("No speech history yet.");
+        return;
+      }
+
+      const pick = await vscode.window.showQuickPick(
+        history.map((entry) => ({
+          label:
+            entry.text.length > 80
+              ? `${entry.text.slice(0, 77)}...`
+              : entry.text,
+          description: entry.category || entry.priority,
+          detail: new Date(entry.spokenAt).toLocaleTimeString(),
+          text: entry.text,
+        })),
+        { placeHolder: "Choose an utterance to replay" }
+      );
+
+      if (pick) {
+        await speakMessage(pick.text, { interrupt: true });
+      }
+    }
+  );
+
+  const selectVoiceCmd = vscode.commands.registerCommand(
+    "echocode.selectVoice",
+    selectVoice
+  );
+
+  // Re-resolve "auto" and re-enable the failure warning when the engine changes
+  const backendConfigListener = vscode.workspace.onDidChangeConfiguration(
+    (event) => {
+      if (event.affectsConfiguration("echocode.tts")) {
+        resetBackendResolution();
+        warnedBackends.clear();
+      }
     }
   );
 
@@ -144,15 +313,24 @@ function registerSpeechCommands(context, outputChannel) {
   context.subscriptions.push(
     increaseSpeechSpeedCmd,
     decreaseSpeechSpeedCmd,
-    stopSpeechCmd
+    setSpeechSpeedCmd,
+    stopSpeechCmd,
+    repeatLastUtteranceCmd,
+    replaySpeechHistoryCmd,
+    selectVoiceCmd,
+    backendConfigListener
   );
 }
 
 module.exports = {
   speakMessage,
   stopSpeaking,
+  isSpeaking,
+  repeatLastUtterance,
+  getSpeechHistory,
   increaseSpeechSpeed,
   decreaseSpeechSpeed,
+  setSpeechSpeed,
   getSpeechSpeed,
   loadSavedSpeechSpeed,
   registerSpeechCommands,
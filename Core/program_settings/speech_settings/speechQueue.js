@@ -0,0 +1,191 @@
+// Core/program_settings/speech_settings/speechQueue.js
+
+// Lower number = more important. Unknown priorities are treated as "user".
+const PRIORITIES = {
+  urgent: 0, // errors and lock notices
+  user: 1, // anything the student explicitly asked to hear
+  background: 2, // watchers, mode announcements, progress notices
+};
+
+const DEFAULT_HISTORY_LIMIT = 25;
+
+function resolvePriority(priority) {
+  if (typeof priority === "number") return priority;
+  return PRIORITIES[priority] ?? PRIORITIES.user;
+}
+
+function priorityName(value) {
+  return (
+    Object.keys(PRIORITIES).find((name) => PRIORITIES[name] === value) || "user"
+  );
+}
+
+/**
+ * Single scheduler for everything EchoCode says out loud.
+ *
+ * - Pending utterances are ordered by priority, then by arrival.
+ * - An utterance with a `category` replaces any pending utterance of the same
+ *   category (only the newest "watcher" or "lint" notice is kept).
+ * - Background speech is cut off by anything more important; other speech is
+ *   only cut off when the newcomer asks for `interrupt` and is at least as
+ *   important as what is playing.
+ * - Finished utterances are kept in a short history for "repeat" / "replay".
+ */
+class SpeechQueue {
+  /**
+   * @param {object} backend
+   * @param {(text: string) => Promise<void>} backend.speak
+   * @param {() => void} backend.stop
+   * @param {number} [backend.historyLimit]
+   */
+  constructor({ speak, stop, historyLimit = DEFAULT_HISTORY_LIMIT }) {
+    this._speak = speak;
+    this._stop = stop;
+    this.historyLimit = historyLimit;
+    this.pending = [];
+    this.current = null;
+    this.history = [];
+    this._seq = 0;
+    this._draining = false;
+  }
+
+  /**
+   * Queue an utterance. Resolves true once it has been spoken, or false if it
+   * was coalesced away, interrupted or cleared.
+   * @param {string} text
+   * @param {{priority?: string|number, category?: string, interrupt?: boolean, prelude?: () => Promise<void>}} [options]
+   */
+  enqueue(text, options = {}) {
+    const message = (text ?? "").toString().trim();
+    if (!message) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+      const item = {
+        text: message,
+        priority: resolvePriority(options.priority),
+        category: options.category || null,
+        interrupt: Boolean(options.interrupt),
+        prelude: options.prelude || null,
+        seq: this._seq++,
+        interrupted: false,
+        resolve,
+      };
+
+      if (item.category) {
+        this.pending = this.pending.filter((queued) => {
+          if (queued.category !== item.category) return true;
+          queued.resolve(false);
+          return false;
+        });
+      }
+
+      this.pending.push(item);
+      this.pending.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+
+      if (this.current && this._shouldPreempt(this.current, item)) {
+        this._interruptCurrent();
+      }
+
+      this._drain();
+    });
+  }
+
+  _shouldPreempt(current, incoming) {
+    if (
+      current.priority === PRIORITIES.background &&
+      incoming.priority < current.priority
+    ) {
+      return true;
+    }
+    return incoming.interrupt && incoming.priority <= current.priority;
+  }
+
+  _interruptCurrent() {
+    const item = this.current;
+    if (!item || item.interrupted) return;
+    item.interrupted = true;
+    try {
+      this._stop();
+    } catch (err) {
+      console.warn("[EchoCode] speech stop failed", err);
+    }
+    if (item.cancel) item.cancel();
+  }
+
+  async _drain() {
+    if (this._draining) return;
+    this._draining = true;
+
+    try {
+      while (this.pending.length > 0) {
+        const item = this.pending.shift();
+        this.current = item;
+
+        const cancelled = new Promise((resolve) => {
+          item.cancel = resolve;
+        });
+
+        try {
+          if (item.prelude) {
+            await Promise.race([item.prelude(), cancelled]);
+          }
+          if (!item.interrupted) {
+            await Promise.race([this._speak(item.text), cancelled]);
+          }
+        } catch (err) {
+          console.warn("[EchoCode] speech backend error", err);
+        }
+
+        this.current = null;
+        if (!item.interrupted) {
+          this._remember(item);
+        }
+        item.resolve(!item.interrupted);
+      }
+    } finally {
+      this._draining = false;
+    }
+  }
+
+  _remember(item) {
+    this.history.push({
+      text: item.text,
+      category: item.category,
+      priority: priorityName(item.priority),
+      spokenAt: Date.now(),
+    });
+    if (this.history.length > this.historyLimit) {
+      this.history.splice(0, this.history.length - this.historyLimit);
+    }
+  }
+
+  /**
+   * Stop the current utterance and drop everything pending.
+   * @returns {boolean} true if anything was playing or waiting
+   */
+  stop() {
+    const hadWork = Boolean(this.current) || this.pending.length > 0;
+    for (const item of this.pending) item.resolve(false);
+    this.pending = [];
+    if (this.current) this._interruptCurrent();
+    return hadWork;
+  }
+
+  isSpeaking() {
+    return Boolean(this.current);
+  }
+
+  getLastUtterance() {
+    return this.history[this.history.length - 1] || null;
+  }
+
+  /** Most recent first. */
+  getHistory() {
+    return [...this.history].reverse();
+  }
+}
+
+module.exports = {
+  PRIORITIES,
+  SpeechQueue,
+};
@@ -0,0 +1,439 @@
+// Core/program_settings/speech_settings/ttsBackends.js
+const vscode = require("vscode");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, spawnSync } = require("child_process");
+const say = require("say");
+
+const BACKEND_IDS = ["auto", "say", "espeak", "piper", "file", "log"];
+
+// Every utterance the log backend "spoke" (newest last). Tests read this.
+const spokenLog = [];
+const SPOKEN_LOG_LIMIT = 500;
+
+function getTtsConfig() {
+  const config = vscode.workspace.getConfiguration("echocode");
+  return {
+    backend: config.get("tts.backend", "auto"),
+    espeakPath: config.get("tts.espeakPath", "espeak-ng"),
+    piperPath: config.get("tts.piperPath", "piper"),
+    piperModelDirectory: config.get("tts.piperModelDirectory", ""),
+    outputDirectory:
+      config.get("tts.outputDirectory", "") ||
+      path.join(os.tmpdir(), "echocode-tts"),
+  };
+}
+
+// Probing a command blocks the extension host, so each answer is kept until
+// resetBackendResolution (the TTS settings changed).
+const commandChecks = new Map();
+
+function commandExists(command) {
+  if (!commandChecks.has(command)) {
+    let found = false;
+    try {
+      const result = spawnSync(command, ["--version"], {
+        stdio: "ignore",
+        timeout: 3000,
+      });
+      found = !result.error;
+    } catch {
+      found = false;
+    }
+    commandChecks.set(command, found);
+  }
+  return commandChecks.get(command);
+}
+
+// Resolves with {code, signal} once the child has exited
+function exitOf(child) {
+  return new Promise((resolve) => {
+    child.on("close", (code, signal) => resolve({ code, signal }));
+  });
+}
+
+// Run a child process to completion; `onSpawn` receives the child so it can be stopped.
+function runProcess(command, args, onSpawn, input) {
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = spawn(command, args, { stdio: ["pipe", "ignore", "pipe"] });
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
+    let stderr = "";
+    child.stderr.on("data", (d) => (stderr += d.toString()));
+    child.on("error", (err) =>
+      reject(new Error(`${command} failed to start: ${err.message}`)),
+    );
+    child.on("close", (code, signal) => {
+      if (code === 0 || signal) resolve();
+      else
+        reject(new Error(`${command} exited with ${code}: ${stderr.trim()}`));
+    });
+
+    if (onSpawn) onSpawn(child);
+    if (input !== undefined) child.stdin.end(input);
+    else child.stdin.end();
+  });
+}
+
+// -------------------------
+// say.js (SAPI / macOS say / festival)
+// -------------------------
+function defaultSayVoice() {
+  // Windows: leaving the voice null uses the robotic default SAPI voice,
+  // so prefer Zira. macOS and Linux defaults are already reasonable.
+  return process.platform === "win32" ? "Microsoft Zira Desktop" : null;
+}
+
+// The utterance say.js is playing. say.js reports the kill from say.stop()
+// as an error, so each utterance notes whether it was stopped; a stopped
+// one that ends late leaves the next utterance alone.
+let sayUtterance = null;
+
+const sayBackend = {
+  id: "say",
+  label: "System voice (say.js)",
+  speak(text, { voice, rate }) {
+    const utterance = { stopped: false };
+    sayUtterance = utterance;
+    return new Promise((resolve, reject) => {
+      say.speak(text, voice || defaultSayVoice(), rate, (err) => {
+        if (sayUtterance === utterance) sayUtterance = null;
+        if (err && !utterance.stopped) reject(err);
+        else resolve();
+      });
+    });
+  },
+  stop() {
+    if (sayUtterance) {
+      sayUtterance.stopped = true;
+      sayUtterance = null;
+    }
+    try {
+      say.stop();
+    } catch {
+      // nothing playing
+    }
+  },
+  listVoices() {
+    return new Promise((resolve) => {
+      try {
+        say.getInstalledVoices((err, voices) =>
+          resolve(err ? [] : voices || []),
+        );
+      } catch {
+        resolve([]);
+      }
+    });
+  },
+  isAvailable() {
+    if (process.platform === "linux") return commandExists("festival");
+    return true;
+  },
+};
+
+// -------------------------
+// espeak-ng CLI (offline, Linux friendly)
+// -------------------------
+let espeakChild = null;
+
+function resolveEspeakCommand() {
+  const { espeakPath } = getTtsConfig();
+  if (commandExists(espeakPath)) return espeakPath;
+  if (espeakPath !== "espeak" && commandExists("espeak")) return "espeak";
+  return null;
+}
+
+function espeakArgs(text, { voice, rate }) {
+  // espeak speaks ~175 words per minute at normal speed
+  const args = ["-s", String(Math.round(175 * (rate || 1)))];
+  if (voice) args.push("-v", voice);
+  args.push("--stdin");
+  return args;
+}
+
+const espeakBackend = {
+  id: "espeak",
+  label: "eSpeak NG (offline)",
+  async speak(text, options) {
+    const command = resolveEspeakCommand();
+    if (!command) {
+      throw new Error("espeak-ng was not found. Set echocode.tts.espeakPath.");
+    }
+    let child = null;
+    try {
+      await runProcess(
+        command,
+        espeakArgs(text, options),
+        (spawned) => (child = espeakChild = spawned),
+        text,
+      );
+    } finally {
+      // A stopped utterance must not clear the one playing after it
+      if (espeakChild === child) espeakChild = null;
+    }
+  },
+  stop() {
+    if (espeakChild) {
+      espeakChild.kill();
+      espeakChild = null;
+    }
+  },
+  async listVoices() {
+    const command = resolveEspeakCommand();
+    if (!command) return [];
+    const result = spawnSync(command, ["--voices"], { encoding: "utf8" });
+    // Columns: Pty Language Age/Gender VoiceName File ...; `-v` accepts the language
+    return (result.stdout || "")
+      .split("\n")
+      .slice(1)
+      .map((line) => line.trim().split(/\s+/))
+      .filter((cols) => cols.length >= 4)
+      .map((cols) => cols[1]);
+  },
+  isAvailable() {
+    return Boolean(resolveEspeakCommand());
+  },
+};
+
+// -------------------------
+// piper CLI (offline neural voices) piped into aplay
+// -------------------------
+// The utterance Piper is playing: {children, stopped}
+let piperUtterance = null;
+
+function listPiperModels() {
+  const { piperModelDirectory } = getTtsConfig();
+  if (!piperModelDirectory || !fs.existsSync(piperModelDirectory)) return [];
+  return fs
+    .readdirSync(piperModelDirectory)
+    .filter((name) => name.endsWith(".onnx"))
+    .map((name) => path.join(piperModelDirectory, name));
+}
+
+// Piper writes raw audio at the model's rate, found in "<model>.onnx.json"
+function piperSampleRate(model) {
+  try {
+    const config = JSON.parse(fs.readFileSync(`${model}.json`, "utf8"));
+    return config.audio?.sample_rate || 22050;
+  } catch {
+    return 22050;
+  }
+}
+
+const piperBackend = {
+  id: "piper",
+  label: "Piper (offline neural voices)",
+  speak(text, { voice, rate }) {
+    const { piperPath } = getTtsConfig();
+    const model =
+      voice && voice.endsWith(".onnx") ? voice : listPiperModels()[0];
+    if (!model) {
+      return Promise.reject(
+        new Error(
+          "No Piper voice found. Set echocode.tts.piperModelDirectory.",
+        ),
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const piper = spawn(piperPath, [
+        "--model",
+        model,
+        "--length_scale",
+        String(1 / (rate || 1)),
+        "--output-raw",
+      ]);
+      const player = spawn("aplay", [
+        "-q",
+        "-r",
+        String(piperSampleRate(model)),
+        "-f",
+        "S16_LE",
+        "-t",
+        "raw",
+        "-",
+      ]);
+      const utterance = { children: [piper, player], stopped: false };
+      piperUtterance = utterance;
+
+      let stderr = "";
+      piper.stderr.on("data", (d) => (stderr += d.toString()));
+      piper.stdout.pipe(player.stdin);
+      piper.on("error", (err) => {
+        player.kill();
+        reject(new Error(`piper: ${err.message}`));
+      });
+      player.on("error", (err) => reject(new Error(`aplay: ${err.message}`)));
+      Promise.all([exitOf(piper), exitOf(player)]).then(([voice, audio]) => {
+        if (piperUtterance === utterance) piperUtterance = null;
+        if (utterance.stopped) {
+          resolve();
+        } else if (voice.code !== 0) {
+          reject(
+            new Error(`piper exited with ${voice.code}: ${stderr.trim()}`),
+          );
+        } else if (audio.code !== 0) {
+          reject(new Error(`aplay exited with ${audio.code}`));
+        } else {
+          resolve();
+        }
+      });
+
+      piper.stdin.end(text);
+    });
+  },
+  stop() {
+    if (!piperUtterance) return;
+    piperUtterance.stopped = true;
+    for (const child of piperUtterance.children) child.kill();
+    piperUtterance = null;
+  },
+  async listVoices() {
+    return listPiperModels();
+  },
+  isAvailable() {
+    return (
+      listPiperModels().length > 0 && commandExists(getTtsConfig().piperPath)
+    );
+  },
+};
+
+// -------------------------
+// Log-only: no audio, just a record of what would have been said
+// -------------------------
+const logBackend = {
+  id: "log",
+  label: "Log only (no audio)",
+  outputChannel: null,
+  async speak(text, { voice, rate }) {
+    spokenLog.push({ text, voice: voice || null, rate, spokenAt: Date.now() });
+    if (spokenLog.length > SPOKEN_LOG_LIMIT) spokenLog.shift();
+    if (this.outputChannel) {
+      this.outputChannel.appendLine(`[Speech] ${text}`);
+    }
+  },
+  stop() {},
+  async listVoices() {
+    return [];
+  },
+  isAvailable() {
+    return true;
+  },
+};
+
+// -------------------------
+// File output: one WAV per utterance (plus the log entry)
+// -------------------------
+let fileCounter = 0;
+
+const fileBackend = {
+  id: "file",
+  label: "Write WAV files to disk",
+  async speak(text, options) {
+    await logBackend.speak(text, options);
+
+    const { outputDirectory } = getTtsConfig();
+    await fs.promises.mkdir(outputDirectory, { recursive: true });
+    const target = path.join(
+      outputDirectory,
+      `echocode-${Date.now()}-${fileCounter++}.wav`,
+    );
+
+    const espeak = resolveEspeakCommand();
+    if (espeak) {
+      const args = espeakArgs(text, options);
+      args.splice(args.length - 1, 0, "-w", target);
+      await runProcess(espeak, args, null, text);
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      try {
+        say.export(
+          text,
+          options.voice || defaultSayVoice(),
+          options.rate,
+          target,
+          (err) => (err ? reject(err) : resolve()),
+        );
+      } catch (err) {
+        reject(err);
+      }
+    });
+  },
+  stop() {},
+  listVoices() {
+    return resolveEspeakCommand()
+      ? espeakBackend.listVoices()
+      : sayBackend.listVoices();
+  },
+  isAvailable() {
+    return true;
+  },
+};
+
+const BACKENDS = {
+  say: sayBackend,
+  espeak: espeakBackend,
+  piper: piperBackend,
+  file: fileBackend,
+  log: logBackend,
+};
+
+let autoBackendId = null;
+
+/**
+ * "auto" keeps say.js on Windows/macOS. On Linux it prefers eSpeak NG, then
+ * festival through say.js, and finally the log backend so nothing is lost.
+ */
+function resolveAutoBackend() {
+  if (autoBackendId) return autoBackendId;
+  if (process.platform !== "linux") {
+    autoBackendId = "say";
+  } else if (espeakBackend.isAvailable()) {
+    autoBackendId = "espeak";
+  } else if (sayBackend.isAvailable()) {
+    autoBackendId = "say";
+  } else {
+    autoBackendId = "log";
+  }
+  return autoBackendId;
+}
+
+function getBackend(id) {
+  const requested = id || getTtsConfig().backend;
+  const resolved = requested === "auto" ? resolveAutoBackend() : requested;
+  return BACKENDS[resolved] || BACKENDS[resolveAutoBackend()];
+}
+
+function resetBackendResolution() {
+  autoBackendId = null;
+  commandChecks.clear();
+}
+
+function setBackendOutputChannel(outputChannel) {
+  logBackend.outputChannel = outputChannel || null;
+}
+
+function getSpokenLog() {
+  return [...spokenLog];
+}
+
+function clearSpokenLog() {
+  spokenLog.length = 0;
+}
+
+module.exports = {
+  BACKEND_IDS,
+  getBackend,
+  resetBackendResolution,
+  setBackendOutputChannel,
+  getSpokenLog,
+  clearSpokenLog,
+};
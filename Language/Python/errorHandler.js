@@ -1,6 +1,7 @@
 const vscode = require("vscode");
 const { runPylint } = require("./pylintHandler");
 const { speakMessage } = require("../../Core/program_settings/speech_settings/speechHandler");
+const { playEarcon } = require("../../Core/program_settings/speech_settings/earcons");
 
 let outputChannel;
 let isRunning = false;
@@ -21,11 +22,19 @@ async function handlePythonErrorsOnSave(filePath) {
     }
 
     outputChannel.appendLine(`📢 Found ${errors.length} Pylint error(s):`);
+    let earconPlayed = false;
     for (const error of errors) {
       const message = `Line ${error.line}: ${error.message}`;
       outputChannel.appendLine(message);
       if (error.critical) {
-        await speakMessage(message);
+        // Urgent so it goes ahead of queued reads, but it never cuts off
+        // something the student asked to hear.
+        await speakMessage(message, {
+          priority: "urgent",
+          category: "lint",
+          prelude: earconPlayed ? undefined : () => playEarcon("errorFound"),
+        });
+        earconPlayed = true;
       }
     }
 
@@ -21,8 +21,29 @@ const {
 } = require("./Core/program_settings/mode");
 const {
   guard,
+  guardWithHelpLadder,
   STUDENT_LOCKED_COMMANDS,
 } = require("./Core/program_settings/guard");
+const {
+  capGuidanceLevel,
+  registerPolicyCommands,
+  reportUnenforcedRules,
+} = require("./Core/program_settings/policy");
+const {
+  initModeSecurity,
+  authorizeDevMode,
+  registerModeSecurityCommands,
+} = require("./Core/program_settings/modeSecurity");
+const {
+  initActivityLog,
+  recordActivity,
+  registerActivityLogCommands,
+} = require("./Core/program_settings/activityLog");
+const {
+  initHelpLadder,
+  describeHelpUsage,
+  resetHelpUsage,
+} = require("./Core/program_settings/helpLadder");
 
 // Python (optional adapter)
 const { ensurePylintInstalled } = require("./Language/Python/pylintHandler");
@@ -32,6 +53,7 @@ const {
 } = require("./Language/Python/errorHandler");
 const {
   checkCurrentPythonFile: builtInCheckCurrentPythonFile,
+  getPythonErrorHelp,
 } = require("./program_features/C++_Error_Parser/Python_Error_Parser");
 
 // Speech (core)
@@ -42,6 +64,34 @@ const {
   increaseSpeechSpeed,
   decreaseSpeechSpeed,
 } = require("./Core/program_settings/speech_settings/speechHandler");
+const {
+  registerEarconCommands,
+} = require("./Core/program_settings/speech_settings/earcons");
+const {
+  initAiCache,
+  registerAiCacheCommands,
+} = require("./Core/program_settings/program_settings/aiCache");
+const {
+  registerAiProgressCommands,
+  withAiProgress,
+  isAiCancellation,
+} = require("./Core/program_settings/program_settings/aiProgress");
+const {
+  registerVoiceHistoryCommands,
+  recordVoiceEvent,
+  recordVoiceEdit,
+} = require("./program_features/Voice/voiceHistory");
+const {
+  registerHandsFreeCommands,
+  stopHandsFree,
+} = require("./program_features/Voice/handsFreeListener");
+const {
+  registerSpeechModelCommands,
+} = require("./program_features/Voice/speechModels");
+const {
+  registerVoiceVocabularyCommands,
+} = require("./program_features/Voice/voiceVocabulary");
+const { dictateAtCursor } = require("./program_features/Voice/dictation");
 
 // Core features
 const {
@@ -50,6 +100,9 @@ const {
 const {
   registerHotkeyGuideCommand,
 } = require("./Core/program_settings/guide_settings/hotkeyGuide");
+const {
+  getGuidanceProfiles,
+} = require("./Core/program_settings/guide_settings/guidanceProfiles");
 
 // Navigation + “What’s this”
 const {
@@ -66,6 +119,8 @@ const {
 
 let outputChannel;
 let tryExecuteVoiceCommand = async () => ({ handled: false });
+// Owns the Python environment and the transcription worker
+let voiceDependencies = null;
 
 const FEATURE_FOLDER_MAP = {
   annotationsBigO: "Annotations_BigO",
@@ -327,6 +382,18 @@ async function activate(context) {
   const featureDisposables = new Map();
   let chatProvider = null;
 
+  // A reloaded voice feature brings its own manager; stop the old worker first
+  const startVoiceDependencies = (DependencyManager) => {
+    const previous = voiceDependencies;
+    const manager = new DependencyManager(context, outputChannel);
+    voiceDependencies = manager;
+    Promise.resolve(previous && previous.shutdownWorker?.())
+      .then(() => manager.ensureDependencies())
+      .catch((err) => {
+        outputChannel.appendLine(`[Dependency Error] ${err.message}`);
+      });
+  };
+
   const setFeatureDisposable = (featureKey, disposableValue) => {
     const previous = featureDisposables.get(featureKey);
     if (previous && typeof previous.dispose === "function") {
@@ -412,13 +479,7 @@ async function activate(context) {
         featureKey === "voice" &&
         typeof featureImplementations.DependencyManager === "function"
       ) {
-        const depManager = new featureImplementations.DependencyManager(
-          context,
-          outputChannel,
-        );
-        depManager.ensureDependencies().catch((err) => {
-          outputChannel.appendLine(`[Dependency Error] ${err.message}`);
-        });
+        startVoiceDependencies(featureImplementations.DependencyManager);
       }
 
       if (
@@ -445,14 +506,21 @@ async function activate(context) {
   };
 
   // Initialize student/dev mode context
+  initActivityLog(context);
+  registerActivityLogCommands(context);
+  initModeSecurity(context, getMode());
+  registerModeSecurityCommands(context);
   const initialMode = await refreshModeContext();
-  announceMode(initialMode, outputChannel);
+  announceMode(initialMode);
+  initHelpLadder(context);
+  recordActivity({ event: "sessionStart" });
 
   context.subscriptions.push(
     onModeChange(async () => {
       const mode = await refreshModeContext();
       outputChannel.appendLine(`[EchoCode] Mode changed: ${mode}`);
-      announceMode(mode, outputChannel);
+      announceMode(mode);
+      recordActivity({ event: "modeChange", to: mode });
     }),
   );
 
@@ -462,6 +530,7 @@ async function activate(context) {
     async () => {
       const currentMode = getMode();
       const newMode = currentMode === "student" ? "dev" : "student";
+      if (newMode === "dev" && !(await authorizeDevMode())) return;
 
       await vscode.workspace
         .getConfiguration("echocode")
@@ -487,13 +556,15 @@ async function activate(context) {
 
       vscode.window.showInformationMessage("EchoCode switched to STUDENT mode");
       outputChannel.appendLine("[EchoCode] Mode switched to: student");
-      announceMode("student", outputChannel);
+      announceMode("student");
     },
   );
 
   const switchToDevModeCommand = vscode.commands.registerCommand(
     "echocode.switchToDevMode",
     async () => {
+      if (!(await authorizeDevMode())) return;
+
       await vscode.workspace
         .getConfiguration("echocode")
         .update("mode", "dev", vscode.ConfigurationTarget.Global);
@@ -502,7 +573,7 @@ async function activate(context) {
 
       vscode.window.showInformationMessage("EchoCode switched to DEV mode");
       outputChannel.appendLine("[EchoCode] Mode switched to: dev");
-      announceMode("dev", outputChannel);
+      announceMode("dev");
     },
   );
 
@@ -518,15 +589,9 @@ async function activate(context) {
   // --- DEPENDENCY CHECK START ---
   // This runs once on startup and ensures the venv exists
   if (typeof featureImplementations.DependencyManager === "function") {
-    const depManager = new featureImplementations.DependencyManager(
-      context,
-      outputChannel,
-    );
-    // We don't await this blocking if we want faster startup,
-    // but for safety we await to ensure python is ready before first voice command
-    depManager.ensureDependencies().catch((err) => {
-      outputChannel.appendLine(`[Dependency Error] ${err.message}`);
-    });
+    // Not awaited, so startup stays fast; voice commands fall back to a
+    // one-off Whisper process until the worker is up
+    startVoiceDependencies(featureImplementations.DependencyManager);
   } else {
     outputChannel.appendLine(
       "[Feature Loader] Voice dependency manager is invalid. Skipping dependency bootstrap.",
@@ -540,6 +605,30 @@ async function activate(context) {
   // Register core commands first (code-agnostic)
   // Register core commands first (code-agnostic)
   registerSpeechCommands(context, outputChannel);
+  registerEarconCommands(context);
+  initAiCache(context);
+  registerAiCacheCommands(context);
+  registerAiProgressCommands(context);
+  registerPolicyCommands(context);
+  context.subscriptions.push(
+    vscode.commands.registerCommand("echocode.helpBudgetStatus", async () => {
+      const message = describeHelpUsage();
+      vscode.window.showInformationMessage(`EchoCode: ${message}`);
+      await speakMessage(message);
+    }),
+    vscode.commands.registerCommand(
+      "echocode.resetHelpBudget",
+      guard("echocode.resetHelpBudget", async () => {
+        await resetHelpUsage();
+        const message = `Help budget reset. ${describeHelpUsage()}`;
+        vscode.window.showInformationMessage(`EchoCode: ${message}`);
+        await speakMessage(message);
+      }),
+    ),
+  );
+  registerVoiceHistoryCommands(context, (text) =>
+    tryExecuteVoiceCommand(text, outputChannel),
+  );
   registerSummarizerCommands(context, outputChannel);
   registerHotkeyGuideCommand(context);
 
@@ -562,10 +651,21 @@ async function activate(context) {
     ),
   );
 
+  // Partial and final transcripts appear in the chat input box
+  const recordingOptions = {
+    onTranscript: (event) => {
+      if (chatProvider) chatProvider.showLiveTranscript(event);
+    },
+  };
+
   // start recording (no transcript yet)
   context.subscriptions.push(
     vscode.commands.registerCommand("echocode._voiceStart", async () => {
-      featureImplementations.startRecording(outputChannel, context);
+      featureImplementations.startRecording(
+        outputChannel,
+        context,
+        recordingOptions,
+      );
     }),
   );
 
@@ -593,6 +693,11 @@ async function activate(context) {
   );
 
   // --- MACRO 1: Voice to CODE only ---
+  // Starting is what a policy can lock or limit; stopping always works
+  const startVoiceCode = guard("echocode.voiceCode", async () => {
+    await speakMessage("Coding mode. Listening.");
+    featureImplementations.startRecording(outputChannel, context);
+  });
   context.subscriptions.push(
     vscode.commands.registerCommand("echocode.voiceCode", async () => {
       if (featureImplementations.isRecording()) {
@@ -633,24 +738,45 @@ async function activate(context) {
               editor.document.lineAt(endLine).text.length,
             ),
           );
-          const generatedCode = await generateCodeFromVoice(
-            text,
-            friendlyLang,
-            indentation,
-            contextCode,
+          const generatedCode = await withAiProgress(
+            "code generation",
+            (token) =>
+              generateCodeFromVoice(
+                text,
+                friendlyLang,
+                indentation,
+                contextCode,
+                token,
+              ),
           );
           if (generatedCode) {
             await editor.edit((eb) => eb.insert(position, generatedCode));
+            recordVoiceEdit(editor.document, position, generatedCode, text);
+            recordActivity({
+              event: "codeInserted",
+              source: "voiceGeneration",
+              transcript: text,
+              file: editor.document.fileName,
+              line: position.line + 1,
+              code: generatedCode,
+            });
+            recordVoiceEvent({
+              transcript: text,
+              command: "generateCode",
+              title: "Code generation",
+              status: "executed",
+            });
             await speakMessage("Code generated.");
           }
         } catch (err) {
+          // Cancelled or timed out: already announced, nothing to insert
+          if (isAiCancellation(err)) return;
           vscode.window.showErrorMessage(
             `EchoCode Generation Fail: ${err.message}`,
           );
         }
       } else {
-        await speakMessage("Coding mode. Listening.");
-        featureImplementations.startRecording(outputChannel, context);
+        await startVoiceCode();
       }
     }),
   );
@@ -705,6 +831,47 @@ async function activate(context) {
         }
       } else {
         await speakMessage("Chat mode. Listening.");
+        featureImplementations.startRecording(
+          outputChannel,
+          context,
+          recordingOptions,
+        );
+      }
+    }),
+  );
+
+  // --- MACRO 4: Dictation, literal code without AI (allowed for students) ---
+  context.subscriptions.push(
+    vscode.commands.registerCommand("echocode.voiceDictate", async () => {
+      if (featureImplementations.isRecording()) {
+        try {
+          const text = await featureImplementations.stopAndTranscribe(
+            outputChannel,
+            context.globalState,
+          );
+          if (!text || text.includes("no speech detected")) return;
+          const editor = vscode.window.activeTextEditor;
+          if (!editor) {
+            vscode.window.showErrorMessage(
+              "EchoCode: Open a file to dictate into.",
+            );
+            return;
+          }
+          const typed = await dictateAtCursor(editor, text);
+          recordVoiceEvent({
+            transcript: text,
+            command: "echocode.voiceDictate",
+            title: "Dictation",
+            status: typed ? "executed" : "notExecuted",
+          });
+          if (!typed) await speakMessage("Nothing to type.");
+        } catch (err) {
+          vscode.window.showErrorMessage(
+            `EchoCode Dictation Fail: ${err.message}`,
+          );
+        }
+      } else {
+        await speakMessage("Dictation mode. Listening.");
         featureImplementations.startRecording(outputChannel, context);
       }
     }),
@@ -722,6 +889,32 @@ async function activate(context) {
     }),
   );
 
+  // Run a transcript as a voice command, or hand it to the Chat Tutor
+  // (each step checks its own Student Mode and policy locks, so hands-free
+  // utterances get the same checks as push-to-talk)
+  const routeTranscript = async (text) => {
+    const voiceResult = await tryExecuteVoiceCommand(text, outputChannel);
+    if (!voiceResult.handled) {
+      // handleUserMessage checks the chat lock and explains it once
+      await vscode.commands.executeCommand("echocode.chatView.focus");
+      if (chatProvider) {
+        await chatProvider.handleUserMessage(text);
+      }
+    }
+  };
+
+  registerVoiceVocabularyCommands(context);
+
+  // A new model or model setting reloads the transcription worker
+  registerSpeechModelCommands(context, async () => {
+    if (voiceDependencies && voiceDependencies.restartWorker) {
+      await voiceDependencies.restartWorker();
+    }
+  });
+
+  // Hands-free: "Echo, <command>" goes through the same router
+  registerHandsFreeCommands(context, outputChannel, routeTranscript);
+
   // Toggle Voice Command (Smart Router)
   context.subscriptions.push(
     vscode.commands.registerCommand("echocode.toggleVoice", async () => {
@@ -737,19 +930,7 @@ async function activate(context) {
         );
 
         if (result && result.ok && result.text) {
-          // Attempt to execute as a voice command first
-          const voiceResult = await tryExecuteVoiceCommand(
-            result.text,
-            outputChannel,
-          );
-
-          if (!voiceResult.handled) {
-            // Fallback: Send to Chat Tutor
-            await vscode.commands.executeCommand("echocode.openChat");
-            if (chatProvider) {
-              await chatProvider.handleUserMessage(result.text);
-            }
-          }
+          await routeTranscript(result.text);
         }
       } else {
         // Sync UI: Start immediately
@@ -787,18 +968,32 @@ async function activate(context) {
   // Register Python error checking command
   const checkPythonCommand = vscode.commands.registerCommand(
     "echocode.checkPythonErrors",
-    guard("echocode.checkPythonErrors", () => {
-      const editor = vscode.window.activeTextEditor;
-      if (editor && editor.document.languageId === "python") {
-        featureImplementations.checkCurrentPythonFile(
-          editor.document.uri.fsPath,
-        );
-      } else {
+    guardWithHelpLadder(
+      "echocode.checkPythonErrors",
+      () => {
+        const editor = vscode.window.activeTextEditor;
+        if (editor && editor.document.languageId === "python") {
+          featureImplementations.checkCurrentPythonFile(
+            editor.document.uri.fsPath,
+          );
+        } else {
+          vscode.window.showInformationMessage(
+            "This command is only available for Python files.",
+          );
+        }
+      },
+      // Student Mode hints come from the built-in parser
+      () => {
+        const editor = vscode.window.activeTextEditor;
+        if (editor && editor.document.languageId === "python") {
+          return getPythonErrorHelp(editor.document.uri.fsPath);
+        }
         vscode.window.showInformationMessage(
           "This command is only available for Python files.",
         );
-      }
-    }),
+        return null;
+      },
+    ),
   );
   context.subscriptions.push(checkPythonCommand);
 
@@ -843,28 +1038,21 @@ async function activate(context) {
   // Guidance level commands - for controlling how verbose/guided the AI responses are across features that use AI (summarizer, big O, annotations, what's this)
   const setGuidanceLevelCommand = vscode.commands.registerCommand(
     "echocode.setGuidanceLevel",
-    async () => {
-      // Show a quick pick to select the guidance level
-      const pick = await vscode.window.showQuickPick(
-        [
-          {
-            label: "Guided",
-            value: "guided",
-            detail: "Step-by-step, minimal jargon",
-          },
-          {
-            label: "Balanced",
-            value: "balanced",
-            detail: "Rule + a couple fix options",
-          },
-          {
-            label: "Concise",
-            value: "concise",
-            detail: "Technical, raw error included",
-          },
-        ],
-        { placeHolder: "Choose EchoCode Guidance Level" },
+    async (level) => {
+      // Built-in levels first, then the user's own profiles
+      const levels = Object.entries(getGuidanceProfiles()).map(
+        ([value, profile]) => ({
+          label: profile.label,
+          value,
+          detail: profile.description || `Custom, based on ${profile.baseName}`,
+        }),
       );
+      // A level passed in (e.g. by a voice command) skips the quick pick
+      const pick =
+        levels.find((l) => l.value === level) ||
+        (await vscode.window.showQuickPick(levels, {
+          placeHolder: "Choose EchoCode Guidance Level",
+        }));
 
       if (!pick) return;
 
@@ -872,21 +1060,28 @@ async function activate(context) {
         .getConfiguration("echocode")
         .update("guidanceLevel", pick.value, vscode.ConfigurationTarget.Global);
 
+      const applied = capGuidanceLevel(pick.value);
+      const capped =
+        applied !== pick.value
+          ? ` The instructor policy caps it at ${applied}.`
+          : "";
       vscode.window.showInformationMessage(
-        `EchoCode guidance level set to ${pick.label}.`,
+        `EchoCode guidance level set to ${pick.label}.${capped}`,
       );
+      speakMessage(`Guidance level set to ${pick.label}.${capped}`);
     },
   );
 
   // Optional: command to cycle through guidance levels quickly
   const cycleGuidanceLevelCommand = vscode.commands.registerCommand(
     "echocode.cycleGuidanceLevel",
-    // Cycles through guided -> balanced -> concise -> back to guided
+    // Cycles through guided -> balanced -> concise -> custom profiles -> back to guided
     async () => {
       const config = vscode.workspace.getConfiguration("echocode");
       const current = config.get("guidanceLevel", "balanced");
 
-      const order = ["guided", "balanced", "concise"];
+      const profiles = getGuidanceProfiles();
+      const order = Object.keys(profiles);
       const idx = order.indexOf(current);
       const next =
         order[
@@ -901,14 +1096,14 @@ async function activate(context) {
         vscode.ConfigurationTarget.Global,
       );
 
-      const label =
-        next === "guided"
-          ? "Guided"
-          : next === "balanced"
-            ? "Balanced"
-            : "Concise";
+      const label = profiles[next].label;
 
-      vscode.window.showInformationMessage(`EchoCode guidance level: ${label}`);
+      const applied = capGuidanceLevel(next);
+      const capped =
+        applied !== next ? ` The instructor policy caps it at ${applied}.` : "";
+      vscode.window.showInformationMessage(
+        `EchoCode guidance level: ${label}.${capped}`,
+      );
 
       // Optional: speak confirmation (uses your existing TTS setup)
       try {
@@ -916,7 +1111,7 @@ async function activate(context) {
         const {
           speakMessage,
         } = require("./Core/program_settings/speech_settings/speechHandler");
-        await speakMessage(`Guidance level set to ${label}.`);
+        await speakMessage(`Guidance level set to ${label}.${capped}`);
       } catch (_) {
         // If TTS unavailable, silently ignore
       }
@@ -937,9 +1132,18 @@ async function activate(context) {
     );
     initializeFolderList();
   });
+
+  // Every command is registered now, so policy rules on unguarded ones can
+  // be reported
+  reportUnenforcedRules();
 }
 
-function deactivate() {
+async function deactivate() {
+  stopHandsFree();
+  if (voiceDependencies && voiceDependencies.shutdownWorker) {
+    await voiceDependencies.shutdownWorker();
+  }
+  voiceDependencies = null;
   if (outputChannel) {
     outputChannel.appendLine("[EchoCode] Deactivated");
     outputChannel.dispose();
@@ -135,6 +135,18 @@
                 }
                 break;
 
+            case 'contextNotice': {
+                // Show above the pending answer it applies to
+                const notice = addMessageToUI('system', message.text);
+                if (currentAssistantMessage) {
+                    messagesContainer.insertBefore(
+                        notice.parentElement,
+                        currentAssistantMessage.parentElement
+                    );
+                }
+                break;
+            }
+
             case 'responseError':
                 if (currentAssistantMessage) {
                     currentAssistantMessage.textContent = message.error || 'Error getting response';
@@ -153,6 +165,7 @@
 
                 // Put the transcript in the box for visibility
                 userInput.value = transcript;
+                userInput.classList.remove('partial-transcript');
                 userInput.focus();
 
                 // Immediately send it for execution
@@ -166,6 +179,12 @@
                 break;
 
 
+            case 'voicePartialResult':
+                // Live preview while recording; the final pass corrects it
+                userInput.value = message.text || '';
+                userInput.classList.toggle('partial-transcript', !message.final);
+                break;
+
             case 'voiceRecognitionError':
                 addMessageToUI('system', `Voice recognition error: ${message.error || 'Unknown error'}`);
                 loadingIndicator.classList.add('hidden');
@@ -44,6 +44,47 @@ async function navigateToNextFile() {
   await speakMessage(`Navigated to file: ${fileName}`);
 }
 
+/**
+ * Opens a workspace file and announces its name.
+ * @param {vscode.Uri|string} [file] a Uri or a name such as "utils.py";
+ *   asks with a quick pick when omitted
+ */
+async function openFileByName(file) {
+  let uri = typeof file === "string" ? null : file;
+
+  if (!uri) {
+    const files = await vscode.workspace.findFiles(
+      "**/*",
+      "**/node_modules/**"
+    );
+    if (typeof file === "string") {
+      uri = files.find(
+        (f) => path.basename(f.fsPath).toLowerCase() === file.toLowerCase()
+      );
+    } else {
+      const picked = await vscode.window.showQuickPick(
+        files.map((f) => ({
+          label: vscode.workspace.asRelativePath(f),
+          uri: f,
+        })),
+        { placeHolder: "Open file" }
+      );
+      uri = picked && picked.uri;
+      if (!uri) return;
+    }
+  }
+
+  if (!uri) {
+    vscode.window.showErrorMessage(`No file named ${file} in the workspace.`);
+    await speakMessage(`No file named ${file} in the workspace.`);
+    return;
+  }
+
+  const document = await vscode.workspace.openTextDocument(uri);
+  await vscode.window.showTextDocument(document);
+  await speakMessage(`Opened ${path.basename(uri.fsPath)}.`);
+}
+
 /**
  * Watches the workspace for new files and updates the file index.
  */
@@ -61,7 +102,10 @@ function watchWorkspaceForFileChanges() {
       const filePath = path.join(workspacePath, filename);
       if (fs.existsSync(filePath) && fs.lstatSync(filePath).isFile()) {
         vscode.window.showInformationMessage(`New file detected: ${filename}`);
-        await speakMessage(`New file detected: ${filename}`);
+        await speakMessage(`New file detected: ${filename}`, {
+          priority: "background",
+          category: "watcher",
+        });
         // Optionally refresh the file index here
       }
     }
@@ -77,7 +121,12 @@ function registerFileNavigatorCommand(context) {
     navigateToNextFile
   );
 
-  context.subscriptions.push(navigateCommand);
+  const openCommand = vscode.commands.registerCommand(
+    "echocode.openFileByName",
+    openFileByName
+  );
+
+  context.subscriptions.push(navigateCommand, openCommand);
 
   // Start watching for file changes
   watchWorkspaceForFileChanges();
@@ -158,7 +158,10 @@ async function watchFolderForChanges() {
       const filePath = path.join(currentFolder, filename);
       if (fs.existsSync(filePath)) {
         vscode.window.showInformationMessage(`New file created: ${filePath}`);
-        speakMessage(`New file created: ${filePath}`);
+        speakMessage(`New file created: ${filePath}`, {
+          priority: "background",
+          category: "watcher",
+        });
       }
     }
   });
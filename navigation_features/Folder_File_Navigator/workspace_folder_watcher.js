@@ -23,7 +23,10 @@ function watchWorkspaceForNewFolders(initializeFolderList) {
         vscode.window.showInformationMessage(
           `New folder detected: ${filename}. Updating folder list.`
         );
-        speakMessage(`New folder detected: ${filename}. Updating folder list.`);
+        speakMessage(`New folder detected: ${filename}. Updating folder list.`, {
+          priority: "background",
+          category: "watcher",
+        });
         initializeFolderList();
       }
     }
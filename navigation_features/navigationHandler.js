@@ -132,11 +132,88 @@ async function moveCursorToSymbol(direction) {
   if (lastTimeout) clearTimeout(lastTimeout);
   lastTimeout = setTimeout(() => {
     speakMessage(
-      `Moved ${direction === "next" ? "next" : "previous"} to ${target.name}.`
+      `Moved ${direction === "next" ? "next" : "previous"} to ${target.name}.`,
+      { category: "navigation", interrupt: true }
     );
   }, 300);
 }
 
+function moveCursorTo(editor, position, message) {
+  editor.selection = new vscode.Selection(position, position);
+  editor.revealRange(new vscode.Range(position, position));
+  speakMessage(message, { category: "navigation", interrupt: true });
+}
+
+// "parse input", "parse_input" and "parseInput" name the same symbol
+function symbolKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+async function goToLine(line) {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) return;
+
+  if (line === undefined) {
+    const input = await vscode.window.showInputBox({
+      prompt: `Line number (1-${editor.document.lineCount})`,
+      validateInput: value =>
+        /^\d+$/.test(value.trim()) ? null : "Enter a line number"
+    });
+    if (!input) return;
+    line = Number(input.trim());
+  }
+
+  const lineCount = editor.document.lineCount;
+  const requested = Math.round(Number(line)) || 1;
+  const target = Math.min(Math.max(requested, 1), lineCount);
+  const indent =
+    editor.document.lineAt(target - 1).firstNonWhitespaceCharacterIndex || 0;
+
+  const note = target === requested ? "" : ` The file has ${lineCount} lines.`;
+  moveCursorTo(
+    editor,
+    new vscode.Position(target - 1, indent),
+    `Line ${target}.${note}`
+  );
+}
+
+async function jumpToFunction(name) {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) return;
+
+  const targets = await getJumpTargets(editor.document);
+  if (!targets.length) {
+    vscode.window.showInformationMessage("No symbols found to jump to.");
+    return;
+  }
+
+  let target;
+  if (name === undefined) {
+    const picked = await vscode.window.showQuickPick(
+      targets.map(t => t.name),
+      { placeHolder: "Jump to function or class" }
+    );
+    target = targets.find(t => t.name === picked);
+  } else {
+    // Match the full breadcrumb ("Parser::run") or just the last part ("run")
+    const key = symbolKey(name);
+    target =
+      targets.find(t => symbolKey(t.name) === key) ||
+      targets.find(t => symbolKey(t.name.split("::").pop()) === key);
+  }
+
+  if (!target) {
+    if (name !== undefined) {
+      speakMessage(`No function called ${name}.`, { category: "navigation" });
+    }
+    return;
+  }
+
+  moveCursorTo(editor, target.position, `Moved to ${target.name}.`);
+}
+
 function registerMoveCursor(context) {
   const nextCmd = vscode.commands.registerCommand(
     "echocode.jumpToNextFunction",
@@ -146,7 +223,15 @@ function registerMoveCursor(context) {
     "echocode.jumpToPreviousFunction",
     () => moveCursorToSymbol("previous")
   );
-  context.subscriptions.push(nextCmd, prevCmd);
+  const lineCmd = vscode.commands.registerCommand(
+    "echocode.goToLine",
+    goToLine
+  );
+  const functionCmd = vscode.commands.registerCommand(
+    "echocode.jumpToFunction",
+    jumpToFunction
+  );
+  context.subscriptions.push(nextCmd, prevCmd, lineCmd, functionCmd);
 }
 
 module.exports = { registerMoveCursor };
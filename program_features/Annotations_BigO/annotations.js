@@ -9,7 +9,26 @@ const {
 
 const {
   formatHelpByGuidance,
+  getActiveGuidanceProfile,
 } = require("../../Core/program_settings/guide_settings/guidanceLevel");
+const {
+  buildGuidanceInstructions,
+} = require("../../Core/program_settings/guide_settings/guidanceProfiles");
+const {
+  requestStructured,
+} = require("../../Core/program_settings/program_settings/AIrequest");
+const {
+  withAiProgress,
+  isAiCancellation,
+} = require("../../Core/program_settings/program_settings/aiProgress");
+const { guard } = require("../../Core/program_settings/guard");
+const {
+  buildContext,
+  describeTruncation,
+} = require("../../Core/Summarizer/contextBuilder");
+const {
+  userMessage,
+} = require("../../Core/program_settings/program_settings/lmProviders");
 
 let activeDecorations = [];
 const annotatedLines = new Set();
@@ -19,58 +38,48 @@ let annotationsVisible = false;
 // -------------------------
 // Guidance-aware prompt
 // -------------------------
-function getGuidanceLevel() {
-  return vscode.workspace
-    .getConfiguration("echocode")
-    .get("guidanceLevel", "balanced");
+// Shape of the AI reply; line numbers must exist in the document
+function buildAnnotationSchema(lineCount) {
+  return {
+    type: "object",
+    properties: {
+      annotations: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            line: { type: "integer", minimum: 1, maximum: lineCount },
+            summary: { type: "string", minLength: 1 },
+            why: { type: "string" },
+            steps: { type: "array", items: { type: "string" } },
+          },
+          required: ["line", "summary", "why", "steps"],
+        },
+      },
+    },
+    required: ["annotations"],
+  };
 }
 
 function buildAnnotationPrompt() {
-  const level = getGuidanceLevel();
-
-  const modeBlock =
-    level === "guided"
-      ? `GUIDED MODE:
-- Use simple language (no jargon).
-- Provide "summary" as 1 sentence.
-- Provide exactly 2 short, actionable steps in "steps".
-- Leave "why" empty OR keep it extremely short (optional).`
-      : level === "balanced"
-        ? `BALANCED MODE:
-- Provide "summary" as 1 sentence.
-- Provide "why" as 1 short sentence (reason).
-- Provide exactly 1 step in "steps".`
-        : `CONCISE MODE:
-- Provide ONLY "summary" as 1 sentence.
-- Set "why" to an empty string.
-- Set "steps" to an empty array.`;
+  const profile = getActiveGuidanceProfile();
+  const instructions = buildGuidanceInstructions(profile, {
+    summary: "summary",
+    why: "why",
+    steps: "steps",
+  });
+  const modeBlock = `${profile.label.toUpperCase()} MODE:\n${instructions}`;
 
   return `You are an EchoCode tutor. Review the code and suggest improvements ONLY when severity impacts readability or maintainability.
 
 ${modeBlock}
 
-Return annotations as JSON objects ONLY (no backticks, no extra text).
-Each object MUST match exactly this schema:
-{ "line": <number>, "summary": <string>, "why": <string>, "steps": <string[]> }
-
-Return multiple objects back-to-back like:
-{ "line": 1, "summary": "...", "why": "...", "steps": ["...","..."] }{ "line": 12, "summary": "...", "why": "...", "steps": ["..."] }
-
-Do not wrap in an array. Do not include any other text.`;
+Return every annotation in the "annotations" list. Use the line numbers shown in the code.`;
 }
 
 // -------------------------
 // Helpers
 // -------------------------
-function getEntireFileWithLineNumbers(textEditor) {
-  const documentLineCount = textEditor.document.lineCount;
-  let code = "";
-  for (let lineNumber = 0; lineNumber < documentLineCount; lineNumber++) {
-    code += `${lineNumber + 1}: ${textEditor.document.lineAt(lineNumber).text}\n`;
-  }
-  return code;
-}
-
 // Load annotation settings from JSON
 function loadAnnotationSettings() {
   const settingsPath = path.join(
@@ -133,64 +142,6 @@ function checkLocalRules(textEditor, outputChannel) {
   return foundLocalIssues;
 }
 
-// Robust streamed JSON object extractor (handles arrays in "steps")
-function extractJsonObjectsFromStream(streamText) {
-  const objs = [];
-  let inString = false;
-  let escape = false;
-  let depth = 0;
-  let start = -1;
-
-  for (let i = 0; i < streamText.length; i++) {
-    const ch = streamText[i];
-
-    if (escape) {
-      escape = false;
-      continue;
-    }
-
-    if (ch === "\\") {
-      if (inString) escape = true;
-      continue;
-    }
-
-    if (ch === '"') {
-      inString = !inString;
-      continue;
-    }
-
-    if (inString) continue;
-
-    if (ch === "{") {
-      if (depth === 0) start = i;
-      depth++;
-      continue;
-    }
-
-    if (ch === "}") {
-      depth--;
-      if (depth === 0 && start !== -1) {
-        const chunk = streamText.slice(start, i + 1);
-        objs.push(chunk);
-        start = -1;
-      }
-    }
-  }
-
-  // Return found objects + leftover tail (for next fragments)
-  const lastCompleteEnd =
-    objs.length > 0
-      ? streamText.lastIndexOf(objs[objs.length - 1]) +
-        objs[objs.length - 1].length
-      : 0;
-
-  return {
-    objects: objs,
-    leftover:
-      lastCompleteEnd > 0 ? streamText.slice(lastCompleteEnd) : streamText,
-  };
-}
-
 function applyDecoration(editor, line, suggestionText) {
   const decorationType = vscode.window.createTextEditorDecorationType({
     after: {
@@ -221,55 +172,136 @@ function clearDecorations() {
 }
 
 // -------------------------
-// Parse Copilot response
+// Apply validated AI annotations
 // -------------------------
-async function parseChatResponse(chatResponse, textEditor) {
-  let buffer = "";
+function applyAnnotations(annotations, textEditor) {
+  for (const { line, summary, why, steps } of annotations) {
+    applyDecoration(textEditor, line, summary);
+
+    annotationQueue.enqueue({
+      line,
+      summary,
+      why,
+      steps,
+      // keep old field in case other code references it
+      suggestion: summary,
+    });
 
-  for await (const fragment of chatResponse.text) {
-    buffer += fragment;
+    console.log(`[EchoCode] Annotation queued: line ${line}`);
+  }
 
-    const { objects, leftover } = extractJsonObjectsFromStream(buffer);
+  console.log("[EchoCode] Current annotation queue:", annotationQueue.items);
+}
 
-    for (const objText of objects) {
-      try {
-        const annotation = JSON.parse(objText);
+/** Annotate the file: local JSON rules first, then the AI. */
+async function annotateEditor(textEditor, outputChannel) {
+  try {
+    // Clear previous annotations tracking
+    annotatedLines.clear();
 
-        // Backwards compatibility if Copilot returns old schema
-        const line = annotation.line;
-        const summary = annotation.summary || annotation.suggestion || "";
-        const why = annotation.why || "";
-        const steps = Array.isArray(annotation.steps) ? annotation.steps : [];
+    // Step 1: Check local JSON rules first
+    outputChannel.appendLine("Step 1: Checking local JSON rules...");
+    const foundLocalIssues = checkLocalRules(textEditor, outputChannel);
 
-        if (typeof line !== "number" || !summary) continue;
+    if (foundLocalIssues) {
+      outputChannel.appendLine(
+        `Local rules found ${annotatedLines.size} issue(s). Proceeding to AI check...`,
+      );
+    } else {
+      outputChannel.appendLine(
+        "No local issues found. Proceeding to AI check...",
+      );
+    }
 
-        applyDecoration(textEditor, line, summary);
+    // Step 2: Always query AI (it will skip lines already annotated)
+    // REMOVED the early return - AI check now always runs
+    outputChannel.appendLine(
+      "Step 2: Querying AI for additional suggestions...",
+    );
+    // Large files are cut down to echocode.ai.contextBudget around the cursor
+    const fileContext = await buildContext(
+      textEditor.document,
+      textEditor.selection.active,
+      { lineNumbers: true },
+    );
+    const truncationNote = describeTruncation(fileContext);
+    if (truncationNote) {
+      outputChannel.appendLine(truncationNote);
+      speakMessage(`${truncationNote} Annotations cover that part only.`);
+    }
 
-        annotationQueue.enqueue({
-          line,
-          summary,
-          why,
-          steps,
-          // keep old field in case other code references it
-          suggestion: annotation.suggestion || summary,
-        });
+    const statusBarMessage = vscode.window.setStatusBarMessage(
+      "$(loading~spin) EchoCode is analyzing your file with AI...",
+    );
+
+    const messages = [
+      userMessage(buildAnnotationPrompt()),
+      userMessage(fileContext.text),
+    ];
+
+    let result;
+    try {
+      result = await withAiProgress("annotations", (token) =>
+        requestStructured(
+          messages,
+          buildAnnotationSchema(textEditor.document.lineCount),
+          {
+            kind: "annotations",
+            documentUri: textEditor.document.uri.toString(),
+            token,
+          },
+        ),
+      );
+    } catch (modelError) {
+      statusBarMessage.dispose();
 
-        console.log(`[EchoCode] Annotation queued: line ${line}`);
-      } catch (e) {
-        console.error("[EchoCode] Failed to parse annotation JSON:", e.message);
+      // Cancelled or timed out: already announced, keep any local annotations
+      if (isAiCancellation(modelError)) {
+        if (foundLocalIssues) annotationsVisible = true;
+        outputChannel.appendLine(modelError.message);
+        return;
+      }
+
+      // If AI fails but we have local annotations, still mark as visible
+      if (foundLocalIssues) {
+        annotationsVisible = true;
+        vscode.window.showInformationMessage(
+          `Local annotations applied. AI unavailable: ${modelError.message}`,
+        );
+      } else {
+        vscode.window.showErrorMessage(
+          `No language model available: ${modelError.message}`,
+        );
       }
+      outputChannel.appendLine(
+        `No language model available: ${modelError.message}`,
+      );
+      return;
     }
 
-    buffer = leftover;
-  }
+    applyAnnotations(result.annotations, textEditor);
+    annotationsVisible = true;
 
-  console.log("[EchoCode] Current annotation queue:", annotationQueue.items);
+    statusBarMessage.dispose();
+    vscode.window.setStatusBarMessage(
+      "EchoCode finished analyzing your code",
+      3000,
+    );
+    outputChannel.appendLine("Annotations applied successfully");
+  } catch (error) {
+    outputChannel.appendLine("Error in annotate command: " + error.message);
+    vscode.window.showErrorMessage("Failed to annotate code: " + error.message);
+  }
 }
 
 // -------------------------
 // Commands
 // -------------------------
 function registerAnnotationCommands(context, outputChannel) {
+  // Clearing always works; annotating is what Student Mode and a policy
+  // can lock or limit
+  const annotate = guard("echocode.annotate", annotateEditor);
+
   const annotateCommand = vscode.commands.registerTextEditorCommand(
     "echocode.annotate",
     async (textEditor) => {
@@ -283,84 +315,7 @@ function registerAnnotationCommands(context, outputChannel) {
         return;
       }
 
-      try {
-        // Clear previous annotations tracking
-        annotatedLines.clear();
-
-        // Step 1: Check local JSON rules first
-        outputChannel.appendLine("Step 1: Checking local JSON rules...");
-        const foundLocalIssues = checkLocalRules(textEditor, outputChannel);
-
-        if (foundLocalIssues) {
-          outputChannel.appendLine(
-            `Local rules found ${annotatedLines.size} issue(s). Proceeding to AI check...`,
-          );
-        } else {
-          outputChannel.appendLine(
-            "No local issues found. Proceeding to AI check...",
-          );
-        }
-
-        // Step 2: Always query AI (it will skip lines already annotated)
-        // REMOVED the early return - AI check now always runs
-        outputChannel.appendLine(
-          "Step 2: Querying AI for additional suggestions...",
-        );
-        const codeWithLineNumbers = getEntireFileWithLineNumbers(textEditor);
-
-        const statusBarMessage = vscode.window.setStatusBarMessage(
-          "$(loading~spin) EchoCode is analyzing your file with AI...",
-        );
-
-        const [model] = await vscode.lm.selectChatModels({
-          vendor: "copilot",
-          family: "gpt-4o",
-        });
-
-        if (!model) {
-          statusBarMessage.dispose();
-
-          // If AI fails but we have local annotations, still mark as visible
-          if (foundLocalIssues) {
-            annotationsVisible = true;
-            vscode.window.showInformationMessage(
-              "Local annotations applied. AI unavailable - please ensure Copilot is enabled.",
-            );
-          } else {
-            vscode.window.showErrorMessage(
-              "No language model available. Please ensure Copilot is enabled.",
-            );
-          }
-          outputChannel.appendLine("No language model available");
-          return;
-        }
-
-        const messages = [
-          new vscode.LanguageModelChatMessage(0, buildAnnotationPrompt()),
-          new vscode.LanguageModelChatMessage(0, codeWithLineNumbers),
-        ];
-
-        const chatResponse = await model.sendRequest(
-          messages,
-          {},
-          new vscode.CancellationTokenSource().token,
-        );
-
-        await parseChatResponse(chatResponse, textEditor);
-        annotationsVisible = true;
-
-        statusBarMessage.dispose();
-        vscode.window.setStatusBarMessage(
-          "EchoCode finished analyzing your code",
-          3000,
-        );
-        outputChannel.appendLine("Annotations applied successfully");
-      } catch (error) {
-        outputChannel.appendLine("Error in annotate command: " + error.message);
-        vscode.window.showErrorMessage(
-          "Failed to annotate code: " + error.message,
-        );
-      }
+      await annotate(textEditor, outputChannel);
     },
   );
 
@@ -433,9 +388,8 @@ function registerAnnotationCommands(context, outputChannel) {
 
 module.exports = {
   annotationQueue,
-  parseChatResponse,
+  applyAnnotations,
   applyDecoration,
   clearDecorations,
-  getEntireFileWithLineNumbers,
   registerAnnotationCommands,
 };
@@ -5,6 +5,22 @@ const {
   speakMessage,
 } = require("../../Core/program_settings/speech_settings/speechHandler");
 const { annotationQueue } = require("./annotations");
+const {
+  requestStructured,
+} = require("../../Core/program_settings/program_settings/AIrequest");
+const {
+  withAiProgress,
+  isAiCancellation,
+} = require("../../Core/program_settings/program_settings/aiProgress");
+const {
+  userMessage,
+} = require("../../Core/program_settings/program_settings/lmProviders");
+const {
+  getActiveGuidanceProfile,
+} = require("../../Core/program_settings/guide_settings/guidanceLevel");
+const {
+  buildGuidanceInstructions,
+} = require("../../Core/program_settings/guide_settings/guidanceProfiles");
 
 const bigOQueue = new Queue();
 
@@ -182,53 +198,41 @@ function addBigOIssue(editor, line, suggestion, collectedIssues) {
   console.log(`[Local BigO] Added issue at line ${line}: ${suggestion}`);
 }
 
+// Shape of the AI reply for one loop
+const BIG_O_SCHEMA = {
+  type: "object",
+  properties: {
+    suggestions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          line: { type: "integer", minimum: 1 },
+          suggestion: { type: "string", minLength: 1 },
+        },
+        required: ["line", "suggestion"],
+      },
+    },
+  },
+  required: ["suggestions"],
+};
+
 /**
- * Parses the chat response and applies decorations.
+ * Applies decorations for validated AI suggestions.
  */
-async function parseChatResponse(chatResponse, textEditor, collectedIssues) {
-  let accumulatedResponse = "";
-  for await (const fragment of chatResponse.text) {
-    accumulatedResponse += fragment;
-
-    // Check if the accumulated response contains a complete JSON array
-    if (accumulatedResponse.trim().endsWith("]")) {
-      try {
-        const annotations = JSON.parse(cleanResponse(accumulatedResponse));
-
-        annotations.forEach((annotation) => {
-          const line = annotation.line;
+function applySuggestions(suggestions, textEditor, collectedIssues) {
+  suggestions.forEach(({ line, suggestion }) => {
+    // Skip if we already found an issue here locally
+    if (analyzedLines.has(line)) return;
 
-          // Skip if we already found an issue here locally
-          if (analyzedLines.has(line)) return;
+    // Apply decoration immediately
+    applyDecoration(textEditor, line, suggestion);
 
-          // Apply decoration immediately
-          applyDecoration(textEditor, line, annotation.suggestion);
+    // Add to temporary collection (DO NOT Enqueue yet)
+    collectedIssues.push({ line, suggestion });
 
-          // Add to temporary collection (DO NOT Enqueue yet)
-          collectedIssues.push({
-            line: line,
-            suggestion: annotation.suggestion,
-          });
-
-          analyzedLines.add(line); // Mark as handled
-        });
-
-        accumulatedResponse = "";
-      } catch (error) {
-        console.error("Failed to parse annotation:", error.message);
-      }
-    }
-  }
-}
-
-/**
- * Cleans the raw response from the language model.
- */
-function cleanResponse(rawResponse) {
-  return rawResponse
-    .replace(/```json/g, "") // Remove ```json
-    .replace(/```/g, "") // Remove ```
-    .trim(); // Remove leading/trailing whitespace
+    analyzedLines.add(line); // Mark as handled
+  });
 }
 
 /**
@@ -299,6 +303,9 @@ function detectLoops(document) {
  */
 async function analyzeLoops(editor, loops, collectedIssues) {
   const document = editor.document;
+  const guidanceInstructions = buildGuidanceInstructions(
+    getActiveGuidanceProfile(),
+  );
 
   for (const loop of loops) {
     const { startLine, code } = loop;
@@ -312,35 +319,33 @@ async function analyzeLoops(editor, loops, collectedIssues) {
     }
 
     const prompt = `
-      You are a code analysis assistant. Analyze the following Python loop and identify any potential O(N) inefficiencies. The code includes line numbers. Use these line numbers when identifying inefficiencies. Provide suggestions in JSON format, with each suggestion containing the line number and a brief explanation of the issue. Do not include any additional formatting like \`\`\`json or \`\`\`. Use the following format:
-      [
-        { "line": <line_number>, "suggestion": "<description of the inefficiency>" }
-      ]
+      You are a code analysis assistant. Analyze the following Python loop and identify any potential O(N) inefficiencies. The code includes line numbers. Use these line numbers when identifying inefficiencies. Put each suggestion in the "suggestions" list with the line number and a brief explanation of the issue; leave the list empty if there is nothing to improve.
+      Write each explanation for the student's guidance level:
+${guidanceInstructions}
       Here is the code context:
       Line ${startLine}: ${code}
     `;
 
     try {
-      const [model] = await vscode.lm.selectChatModels({
-        vendor: "copilot",
-        family: "gpt-4o",
-      });
-
-      if (!model) {
+      let result;
+      try {
+        result = await withAiProgress("Big O analysis", (token) =>
+          requestStructured([userMessage(prompt)], BIG_O_SCHEMA, {
+            kind: "bigO",
+            documentUri: document.uri.toString(),
+            token,
+          }),
+        );
+      } catch (modelError) {
+        // Cancelled or timed out: already announced, skip the remaining loops
+        if (isAiCancellation(modelError)) return;
         vscode.window.showErrorMessage(
-          "No language model available. Please ensure Copilot is enabled.",
+          `No language model available: ${modelError.message}`,
         );
         return;
       }
 
-      const messages = [new vscode.LanguageModelChatMessage(0, prompt)];
-      const chatResponse = await model.sendRequest(
-        messages,
-        {},
-        new vscode.CancellationTokenSource().token,
-      );
-
-      await parseChatResponse(chatResponse, editor, collectedIssues);
+      applySuggestions(result.suggestions, editor, collectedIssues);
     } catch (error) {
       console.error("Error analyzing loop:", error);
     }
@@ -1,7 +1,6 @@
-//const player = require("play-sound")();
-const { exec } = require("child_process");
-const path = require("path");
-const sound = require("sound-play"); // Import the sound-play library
+const {
+  playEarcon,
+} = require("../../Core/program_settings/speech_settings/earcons");
 
 class Queue {
   constructor() {
@@ -53,15 +52,7 @@ class Queue {
   }
 
   async playSound() {
-    const soundFilePath = path.resolve(__dirname, "../../audio_pings/ping1.wav");
-    console.log("Attempting to play sound from:", soundFilePath);
-
-    try {
-      await sound.play(soundFilePath); // Play the sound file
-      console.log("Sound played successfully!");
-    } catch (err) {
-      console.error("Error playing sound:", err);
-    }
+    await playEarcon("annotationAdded");
   }
 }
 
@@ -5,6 +5,19 @@ const path = require("path");
 const {
   speakMessage,
 } = require("../../Core/program_settings/speech_settings/speechHandler");
+const {
+  requestStructured,
+} = require("../../Core/program_settings/program_settings/AIrequest");
+const {
+  withAiProgress,
+  isAiCancellation,
+} = require("../../Core/program_settings/program_settings/aiProgress");
+const {
+  userMessage,
+} = require("../../Core/program_settings/program_settings/lmProviders");
+const {
+  playEarcon,
+} = require("../../Core/program_settings/speech_settings/earcons");
 const pdfParse = require("pdf-parse");
 const mammoth = require("mammoth");
 
@@ -50,7 +63,7 @@ async function loadAssignmentFile() {
     } else {
       text = fs.readFileSync(filePath, "utf8");
     }
-    await parseTasksWithAI(text);
+    await parseTasksWithAI(text, fileUri[0].toString());
 
     const outputPath = path.join(
       vscode.workspace.rootPath || __dirname,
@@ -76,39 +89,51 @@ async function loadAssignmentFile() {
   }
 }
 
-async function parseTasksWithAI(text) {
-  try {
-    const [model] = await vscode.lm.selectChatModels({
-      vendor: "copilot",
-      family: "gpt-4o",
-    });
-    if (!model) {
-      vscode.window.showErrorMessage(
-        "Copilot model not available. Using fallback parser.",
-      );
-      return parseTasksFromText(text);
-    }
+// Shapes of the AI replies
+const TASKS_SCHEMA = {
+  type: "object",
+  properties: {
+    tasks: { type: "array", items: { type: "string", minLength: 1 } },
+  },
+  required: ["tasks"],
+};
 
+const COMPLETED_TASKS_SCHEMA = {
+  type: "object",
+  properties: {
+    completedTasks: { type: "array", items: { type: "integer", minimum: 1 } },
+  },
+  required: ["completedTasks"],
+};
+
+async function parseTasksWithAI(text, documentUri) {
+  try {
     const messages = [
-      new vscode.LanguageModelChatMessage(
-        0,
-        "You are helping a blind beginner Python student. Extract only the concrete steps required to complete the coding assignment below. Each step should be short and clear -- under 15 words. Format each step as a bullet point like '- [ ] Define a function named add().'",
+      userMessage(
+        "You are helping a blind beginner Python student. Extract only the concrete steps required to complete the coding assignment below. Each step should be short and clear -- under 15 words, like 'Define a function named add().' Put the steps, in order, in the \"tasks\" list.",
       ),
-      new vscode.LanguageModelChatMessage(0, text),
+      userMessage(text),
     ];
 
-    const response = await model.sendRequest(
-      messages,
-      {},
-      new vscode.CancellationTokenSource().token,
-    );
-
-    let result = "";
-    for await (const chunk of response.text) {
-      result += chunk;
+    let result;
+    try {
+      result = await withAiProgress("assignment task list", (token) =>
+        requestStructured(messages, TASKS_SCHEMA, {
+          kind: "assignmentTasks",
+          documentUri,
+          token,
+        }),
+      );
+    } catch (error) {
+      // Cancelled or timed out: fall back without the error popup
+      if (isAiCancellation(error)) return parseTasksFromText(text);
+      vscode.window.showErrorMessage(
+        `${error.message} Using fallback parser.`,
+      );
+      return parseTasksFromText(text);
     }
 
-    parseTasksFromText(result);
+    setTasks(result.tasks);
   } catch (err) {
     vscode.window.showErrorMessage("AI parsing failed: " + err.message);
     speakMessage("Failed to parse tasks with AI.");
@@ -116,15 +141,19 @@ async function parseTasksWithAI(text) {
   }
 }
 
+// Fallback: pick "- [ ]" checklist items straight out of the assignment text
 function parseTasksFromText(text) {
-  resetTasks();
-
   const lines = text
     .split(/\r?\n/)
     .map((line) => line.trim())
     .filter((line) => line.startsWith("- [ ]"));
 
-  taskList = lines.map((line) => line.replace("- [ ]", "").trim());
+  setTasks(lines.map((line) => line.replace("- [ ]", "").trim()));
+}
+
+function setTasks(tasks) {
+  resetTasks();
+  taskList = tasks.map((task) => task.trim());
 
   speakMessage(`Loaded ${taskList.length} tasks from the assignment.`);
   vscode.window.showInformationMessage(
@@ -167,61 +196,44 @@ async function rescanUserCode() {
   }
 
   try {
-    const [model] = await vscode.lm.selectChatModels({
-      vendor: "copilot",
-      family: "gpt-4o",
-    });
-    if (!model) {
-      vscode.window.showErrorMessage("Copilot model not available.");
-      return;
-    }
-
     const assignmentText = taskList
       .map((task, i) => `Task ${i + 1}: ${task}`)
       .join("\n");
 
     const messages = [
-      new vscode.LanguageModelChatMessage(
-        0,
-        `You are helping a blind beginner Python student. \nCompare this assignment list to the student's code. \nRespond only with the task numbers that are already complete.`,
-      ),
-      new vscode.LanguageModelChatMessage(
-        0,
-        `Assignment Tasks:\n${assignmentText}`,
+      userMessage(
+        `You are helping a blind beginner Python student. \nCompare this assignment list to the student's code. \nList the numbers of the tasks that are already complete in "completedTasks".`,
       ),
-      new vscode.LanguageModelChatMessage(0, `User's Code:\n${userCode}`),
+      userMessage(`Assignment Tasks:\n${assignmentText}`),
+      userMessage(`User's Code:\n${userCode}`),
     ];
 
-    const response = await model.sendRequest(
-      messages,
-      {},
-      new vscode.CancellationTokenSource().token,
+    const result = await withAiProgress("code rescan", (token) =>
+      requestStructured(messages, COMPLETED_TASKS_SCHEMA, {
+        kind: "assignmentRescan",
+        documentUri: editor.document.uri.toString(),
+        token,
+      }),
     );
 
-    let result = "";
-    for await (const chunk of response.text) {
-      result += chunk;
-    }
-
-    updateCompletedTasksFromAI(result);
+    updateCompletedTasksFromAI(result.completedTasks);
   } catch (err) {
+    // Cancelled or timed out: already announced
+    if (isAiCancellation(err)) return;
     vscode.window.showErrorMessage("AI rescan failed: " + err.message);
     speakMessage("Failed to rescan code.");
   }
 }
 
-function updateCompletedTasksFromAI(responseText) {
+function updateCompletedTasksFromAI(taskNumbers) {
   completedTasks.clear();
 
-  const taskNumbers = responseText.match(/\d+/g);
-  if (taskNumbers) {
-    taskNumbers.forEach((num) => {
-      const index = parseInt(num) - 1;
-      if (index >= 0 && index < taskList.length) {
-        completedTasks.add(index);
-      }
-    });
-  }
+  taskNumbers.forEach((num) => {
+    const index = num - 1;
+    if (index < taskList.length) {
+      completedTasks.add(index);
+    }
+  });
 
   speakMessage(
     `Updated task completion based on your code. ${completedTasks.size} tasks completed.`,
@@ -264,7 +276,9 @@ function markTaskComplete() {
   if (currentTaskIndex < taskList.length) {
     completedTasks.add(currentTaskIndex);
     console.log(`Task ${currentTaskIndex + 1} marked as complete.`);
-    speakMessage(`Task ${currentTaskIndex + 1} marked as complete.`);
+    speakMessage(`Task ${currentTaskIndex + 1} marked as complete.`, {
+      prelude: () => playEarcon("taskComplete"),
+    });
     currentTaskIndex++;
   } else {
     speakMessage("All tasks are already completed.");
@@ -5,6 +5,9 @@ const os = require("os");
 const {
   speakMessage,
 } = require("../../Core/program_settings/speech_settings/speechHandler");
+const {
+  playEarcon,
+} = require("../../Core/program_settings/speech_settings/earcons");
 
 // Function to parse terminal output for C++ compilation errors
 function parseCppCompilationErrors(terminalOutput) {
@@ -97,7 +100,9 @@ function analyzeCppCompilation(command, outputFilePath = null) {
           console.log("---");
           speechOutput += `${errorLocation} ${errorLine} ${explanation} ${fix} `;
         });
-        speakMessage(speechOutput);
+        speakMessage(speechOutput, {
+          prelude: () => playEarcon("errorFound"),
+        });
       }
     } else {
       // No 'error' object means compilation was successful.
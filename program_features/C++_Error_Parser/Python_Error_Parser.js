@@ -3,6 +3,9 @@ const { exec } = require("child_process");
 const {
   speakMessage,
 } = require("../../Core/program_settings/speech_settings/speechHandler");
+const {
+  playEarcon,
+} = require("../../Core/program_settings/speech_settings/earcons");
 
 const {
   formatHelpByGuidance,
@@ -87,13 +90,24 @@ function parsePythonErrors(terminalOutput) {
   return errors;
 }
 
-// Function to analyze Python execution/compilation errors (Guidance-aware)
-function analyzePythonExecution(command) {
-  exec(command, (error, stdout, stderr) => {
-    if (error) {
+// Run a Python command and collect the errors it reports
+function runPythonCommand(command) {
+  return new Promise((resolve) => {
+    exec(command, (error, stdout, stderr) => {
       // Python writes errors to stderr
-      const errors = parsePythonErrors(stderr);
+      resolve({
+        failed: Boolean(error),
+        errors: error ? parsePythonErrors(stderr) : [],
+        stderr,
+      });
+    });
+  });
+}
 
+// Function to analyze Python execution/compilation errors (Guidance-aware)
+function analyzePythonExecution(command) {
+  return runPythonCommand(command).then(({ failed, errors, stderr }) => {
+    if (failed) {
       if (errors.length === 0) {
         const errorMessage = "Python script failed with an unknown error.";
         console.log(errorMessage);
@@ -137,7 +151,7 @@ function analyzePythonExecution(command) {
         speechOutput += `${formatted} `;
       });
 
-      speakMessage(speechOutput);
+      speakMessage(speechOutput, { prelude: () => playEarcon("errorFound") });
       return;
     }
 
@@ -148,24 +162,29 @@ function analyzePythonExecution(command) {
 }
 
 
+// Only .py files can be checked; says so otherwise
+function isPythonFile(currentFilePath) {
+  if (path.extname(currentFilePath) === ".py") return true;
+  const message = "This command can only be run from a Python file (.py).";
+  console.error(message);
+  speakMessage(message);
+  return false;
+}
+
+// Command: python "file.py" (Runs code, catches runtime errors)
+function pythonCommandFor(currentFilePath) {
+  // CHANGE: Detect platform to use python3 on Mac/Linux
+  const pythonCmd = process.platform === "win32" ? "python" : "python3";
+  return `${pythonCmd} "${currentFilePath}"`;
+}
+
 // Function to determine the current Python file and check it
 function checkCurrentPythonFile(currentFilePath) {
-  const fileExtension = path.extname(currentFilePath);
-
-  if (fileExtension !== ".py") {
-    const message = "This command can only be run from a Python file (.py).";
-    console.error(message);
-    speakMessage(message);
-    return;
-  }
+  if (!isPythonFile(currentFilePath)) return;
 
   try {
     const fileName = path.basename(currentFilePath);
-
-    // Command: python "file.py" (Runs code, catches runtime errors)
-    // CHANGE: Detect platform to use python3 on Mac/Linux
-    const pythonCmd = process.platform === "win32" ? "python" : "python3";
-    const checkCommand = `${pythonCmd} "${currentFilePath}"`;
+    const checkCommand = pythonCommandFor(currentFilePath);
 
     console.log(`Checking for errors in: ${fileName}`);
     analyzePythonExecution(checkCommand);
@@ -176,6 +195,41 @@ function checkCurrentPythonFile(currentFilePath) {
   }
 }
 
+/**
+ * Help-ladder rungs for the first error in the file (Student Mode): the kind
+ * of error, then its file and line, then the message and a fix. Returns null,
+ * after saying so, when the file runs cleanly.
+ */
+async function getPythonErrorHelp(currentFilePath, run = runPythonCommand) {
+  if (!isPythonFile(currentFilePath)) return null;
+
+  const { failed, errors } = await run(pythonCommandFor(currentFilePath));
+  if (!failed) {
+    speakMessage("No syntax or runtime errors found.");
+    return null;
+  }
+  if (errors.length === 0) {
+    speakMessage("Python script failed with an unknown error.");
+    return null;
+  }
+
+  const [err] = errors;
+  const errorType = err.error.split(":")[0];
+  const spokenFileName = path.basename(err.file, path.extname(err.file));
+  const count =
+    errors.length > 1 ? `There are ${errors.length} Python errors. ` : "";
+  return {
+    target: `${err.file}:${err.line}:${err.error}`,
+    concept: `${count}The first is a ${errorType}. ${err.explanation}`,
+    where: `In file ${spokenFileName}, line ${err.line}`,
+    explain: err.error,
+    why: err.explanation,
+    steps: [err.fix],
+  };
+}
+
 module.exports = {
   checkCurrentPythonFile,
+  getPythonErrorHelp,
+  parsePythonErrors,
 };
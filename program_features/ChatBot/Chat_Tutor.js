@@ -3,6 +3,30 @@ const vscode = require("vscode");
 const {
   speakMessage,
 } = require("../../Core/program_settings/speech_settings/speechHandler");
+const {
+  selectModel,
+} = require("../../Core/program_settings/program_settings/AIrequest");
+const {
+  userMessage,
+  assistantMessage,
+} = require("../../Core/program_settings/program_settings/lmProviders");
+const {
+  buildContext,
+  describeTruncation,
+} = require("../../Core/Summarizer/contextBuilder");
+const {
+  withAiProgress,
+  isAiCancellation,
+} = require("../../Core/program_settings/program_settings/aiProgress");
+const {
+  recordActivity,
+  recordBlockedCommand,
+} = require("../../Core/program_settings/activityLog");
+const {
+  guard,
+  checkCommand,
+  explainBlocked,
+} = require("../../Core/program_settings/guard");
 
 // --- Simple mock voice input (kept for dev/demo) ---
 function performVoiceRecognition() {
@@ -157,6 +181,16 @@ class EchoCodeChatViewProvider {
   async handleUserMessage(userInput) {
     if (!this._view) return;
 
+    // The webview, voice and hands-free all end up here, so the chat lock is
+    // checked here and not only on echocode.openChat
+    const decision = checkCommand("echocode.openChat");
+    if (!decision.allowed) {
+      recordBlockedCommand("echocode.openChat", decision, "chat");
+      this._safePost({ type: "responseError", error: decision.reason });
+      await explainBlocked(decision);
+      return;
+    }
+
     // Prefer active editor; fall back to any visible editor
     const editor =
       vscode.window.activeTextEditor ||
@@ -165,13 +199,23 @@ class EchoCodeChatViewProvider {
     const lang = editor?.document?.languageId || "unknown";
     let fileContent = "";
 
+    let truncationNote = "";
+
     if (editor?.document) {
-      fileContent = editor.document.getText() || "";
-      const MAX = 60000; // prevent overly large context
-      if (fileContent.length > MAX) fileContent = fileContent.slice(0, MAX);
+      // Fit the file to echocode.ai.contextBudget, keeping what's near the cursor
+      const context = await buildContext(
+        editor.document,
+        editor.selection?.active,
+      );
+      fileContent = context.text;
+      truncationNote = describeTruncation(context);
       this.outputChannel.appendLine(
         `Chat context captured for ${lang} (${fileContent.length} chars).`,
       );
+      if (truncationNote) {
+        this.outputChannel.appendLine(truncationNote);
+        this._safePost({ type: "contextNotice", text: truncationNote });
+      }
     } else {
       this.outputChannel.appendLine(
         "No editor open; answering without file context.",
@@ -181,45 +225,58 @@ class EchoCodeChatViewProvider {
     // Build system/context prompt
     let prompt = `${BASE_PROMPT}\nLanguage: ${lang}.\n`;
     if (fileContent) {
-      prompt += `Here is the current file content:\n\n${fileContent}\n\nPlease answer the user's message next.`;
+      prompt += truncationNote
+        ? `Here is part of the current file (omitted lines are marked):\n\n${fileContent}\n\nPlease answer the user's message next.`
+        : `Here is the current file content:\n\n${fileContent}\n\nPlease answer the user's message next.`;
     } else {
       prompt += "No file is open. Please answer the user's message next.";
     }
 
     // Assemble messages with small running history
     const messages = [];
-    messages.push(vscode.LanguageModelChatMessage.User(prompt));
+    messages.push(userMessage(prompt));
     for (const turn of this.conversationHistory.slice(-6)) {
-      messages.push(vscode.LanguageModelChatMessage.User(turn.user));
-      messages.push(vscode.LanguageModelChatMessage.Assistant(turn.response));
+      messages.push(userMessage(turn.user));
+      messages.push(assistantMessage(turn.response));
     }
-    messages.push(vscode.LanguageModelChatMessage.User(userInput));
-
-    // FIX: Select ANY copilot model, do not hardcode 'gpt-4o' family
-    const models = await vscode.lm.selectChatModels({ vendor: "copilot" });
-    const model = models[0];
+    messages.push(userMessage(userInput));
 
-    if (!model) {
-      this._safePost({
-        type: "response",
-        text: "No language model available. Please enable GitHub Copilot.",
-      });
-      this.outputChannel.appendLine("No chat model available.");
+    // Whichever provider is configured (echocode.ai.provider)
+    let model;
+    try {
+      model = await selectModel();
+    } catch (error) {
+      this._safePost({ type: "response", text: error.message });
+      this.outputChannel.appendLine(`No chat model available: ${error.message}`);
       return;
     }
 
+    recordActivity({
+      event: "chatQuestion",
+      question: userInput,
+      languageId: lang,
+      contextLength: fileContent.length,
+    });
+
     // UI: loading
     this._safePost({ type: "responseLoading", started: true });
 
     try {
-      const cts = new vscode.CancellationTokenSource();
-      const chatResponse = await model.sendRequest(messages, {}, cts.token);
-
-      let responseText = "";
-      for await (const fragment of chatResponse.text) {
-        responseText += fragment;
-        this._safePost({ type: "responseFragment", text: fragment });
-      }
+      // Cancellable with echocode.stopSpeech; times out per echocode.ai.timeoutSeconds
+      const responseText = await withAiProgress(
+        "chat answer",
+        async (token) => {
+          const chatResponse = await model.sendRequest(messages, {}, token);
+
+          let text = "";
+          for await (const fragment of chatResponse.text) {
+            if (token.isCancellationRequested) break;
+            text += fragment;
+            this._safePost({ type: "responseFragment", text: fragment });
+          }
+          return text;
+        },
+      );
 
       this.conversationHistory.push({
         user: userInput,
@@ -230,7 +287,9 @@ class EchoCodeChatViewProvider {
 
       await speakMessage(responseText);
     } catch (error) {
-      const msg = `Error getting response: ${error?.message || error}`;
+      const msg = isAiCancellation(error)
+        ? error.message
+        : `Error getting response: ${error?.message || error}`;
       this.outputChannel.appendLine(msg);
       this._safePost({ type: "responseError", error: msg });
     } finally {
@@ -252,6 +311,19 @@ class EchoCodeChatViewProvider {
     this.startVoiceRecognition();
   }
 
+  /**
+   * Show what the microphone has heard so far in the input box. Partial
+   * text is replaced by the final transcript once recording stops.
+   * @param {{text: string, final: boolean}} event
+   */
+  showLiveTranscript(event) {
+    this._safePost({
+      type: "voicePartialResult",
+      text: event.text || "",
+      final: Boolean(event.final),
+    });
+  }
+
   setRecordingState(isRecording) {
     if (this._view && this._currentWebview) {
       this._currentWebview.postMessage({
@@ -330,17 +402,17 @@ function registerChatCommands(context, outputChannel) {
 
   const openChatDisposable = vscode.commands.registerCommand(
     "echocode.openChat",
-    async () => {
+    guard("echocode.openChat", async () => {
       outputChannel.appendLine("echocode.openChat command triggered");
       await vscode.commands.executeCommand("echocode.chatView.focus");
-    },
+    }),
   );
 
   const startVoiceInputDisposable = vscode.commands.registerCommand(
     "echocode.startVoiceInput",
-    () => {
+    guard("echocode.startVoiceInput", () => {
       if (provider) provider.startVoiceInput();
-    },
+    }),
   );
 
   const disposable = vscode.Disposable.from(
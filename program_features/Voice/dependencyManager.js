@@ -2,6 +2,13 @@ const vscode = require("vscode");
 const fs = require("fs");
 const path = require("path");
 const { spawn, exec } = require("child_process");
+const { WhisperWorker, setActiveWorker } = require("./whisperWorker");
+const {
+  getSpeechSettings,
+  resolveSpeechModel,
+  getWhisperArgs,
+  setActiveWhisperArgs,
+} = require("./speechModels");
 
 // We create a hidden venv folder within the extension
 const VENV_NAME = "echo_venv";
@@ -13,6 +20,7 @@ class DependencyManager {
     this.extensionUri = context.extensionUri;
     // Path to the virtual environment folder
     this.venvPath = path.join(context.globalStorageUri.fsPath, VENV_NAME);
+    this.worker = null;
   }
 
   /**
@@ -65,9 +73,72 @@ class DependencyManager {
     await this.context.globalState.update("echoCodePythonPath", venvPythonPath);
 
     this.log(`Voice dependencies ready. Using: ${venvPythonPath}`);
+    this.startWorker(venvPythonPath, this.prepareSpeechModel());
     return venvPythonPath;
   }
 
+  /**
+   * Pick the Whisper model to load (see speechModels.js) and hand its
+   * options to both the worker and one-off transcriptions.
+   */
+  prepareSpeechModel() {
+    const settings = getSpeechSettings();
+    const resolved = resolveSpeechModel(this.context, settings);
+    if (resolved.fallback) {
+      this.log(
+        `Speech model "${settings.size}" is not installed; using ${resolved.name}.`
+      );
+      vscode.window.showInformationMessage(
+        `EchoCode: The ${settings.size} speech model is not installed, so ${resolved.name} is used instead.`
+      );
+    } else {
+      this.log(`Speech model: ${resolved.name}`);
+    }
+    const args = getWhisperArgs(resolved, settings);
+    setActiveWhisperArgs(args);
+    return args;
+  }
+
+  /**
+   * Start the transcription worker so the Whisper model stays loaded
+   * between utterances (echocode.voice.persistentWorker).
+   */
+  startWorker(pythonPath, whisperArgs = this.prepareSpeechModel()) {
+    const enabled = vscode.workspace
+      .getConfiguration("echocode")
+      .get("voice.persistentWorker", true);
+    if (!enabled || this.worker) return this.worker;
+
+    this.worker = new WhisperWorker({
+      pythonPath,
+      args: whisperArgs,
+      log: (line) => this.log(line),
+    });
+    this.worker.start();
+    setActiveWorker(this.worker);
+    return this.worker;
+  }
+
+  /** Reload the worker after the speech model or its settings changed. */
+  async restartWorker() {
+    const pythonPath = this.context.globalState.get("echoCodePythonPath");
+    await this.shutdownWorker();
+    const whisperArgs = this.prepareSpeechModel();
+    if (pythonPath) {
+      this.startWorker(pythonPath, whisperArgs);
+    }
+  }
+
+  /** Stop the worker; called on deactivate and before the voice feature reloads. */
+  async shutdownWorker() {
+    const worker = this.worker;
+    if (!worker) return;
+    this.worker = null;
+    setActiveWorker(null);
+    await worker.shutdown();
+    this.log("Transcription worker stopped.");
+  }
+
   async setupVirtualEnvironment() {
     return vscode.window.withProgress(
       {
@@ -0,0 +1,364 @@
+const vscode = require("vscode");
+const { recordVoiceEdit } = require("./voiceHistory");
+const {
+  speakMessage,
+} = require("../../Core/program_settings/speech_settings/speechHandler");
+const {
+  pronounce,
+} = require("../../Core/program_settings/speech_settings/pronunciation");
+
+/**
+ * Spoken dictation: a fixed grammar that turns speech into exactly the code
+ * that was said, with no AI involved. "define function add open paren a
+ * comma b close paren colon" types "def add(a, b):" in Python. Words that
+ * are not part of the grammar are typed in lower case, since Whisper
+ * capitalizes sentences rather than code; "capital" capitalizes the next
+ * word ("return capital true").
+ */
+
+// How a symbol sits next to its neighbours, see needsSpace
+const SYMBOLS = {
+  "open paren": ["(", "open"],
+  "open parenthesis": ["(", "open"],
+  "left paren": ["(", "open"],
+  "close paren": [")", "close"],
+  "close parenthesis": [")", "close"],
+  "right paren": [")", "close"],
+  "open bracket": ["[", "open"],
+  "close bracket": ["]", "close"],
+  "open brace": ["{", "block"],
+  "open curly": ["{", "block"],
+  "close brace": ["}", "block"],
+  "close curly": ["}", "block"],
+  comma: [",", "punct"],
+  colon: [":", "punct"],
+  semicolon: [";", "punct"],
+  dot: [".", "join"],
+  underscore: ["_", "join"],
+  equals: ["=", "op"],
+  "double equals": ["==", "op"],
+  "equals equals": ["==", "op"],
+  "not equals": ["!=", "op"],
+  "plus equals": ["+=", "op"],
+  "minus equals": ["-=", "op"],
+  plus: ["+", "op"],
+  minus: ["-", "op"],
+  times: ["*", "op"],
+  star: ["*", "op"],
+  "divided by": ["/", "op"],
+  slash: ["/", "op"],
+  modulo: ["%", "op"],
+  "less than": ["<", "op"],
+  "greater than": [">", "op"],
+  "less than or equal to": ["<=", "op"],
+  "greater than or equal to": [">=", "op"],
+  bang: ["!", "prefix"],
+  hash: ["#", "prefix"],
+  "at sign": ["@", "prefix"],
+};
+
+// "define function" in each language; C-style languages start with a type
+const FUNCTION_KEYWORDS = {
+  python: "def",
+  ruby: "def",
+  javascript: "function",
+  typescript: "function",
+  go: "func",
+  rust: "fn",
+  kotlin: "fun",
+  java: "void",
+  c: "void",
+  cpp: "void",
+  csharp: "void",
+};
+
+const CASES = {
+  "camel case": (words) =>
+    words.map((w, i) => (i === 0 ? w : capitalize(w))).join(""),
+  "pascal case": (words) => words.map(capitalize).join(""),
+  "snake case": (words) => words.join("_"),
+  "constant case": (words) => words.join("_").toUpperCase(),
+};
+
+const LAYOUT = {
+  "new line": "newline",
+  newline: "newline",
+  "next line": "newline",
+  indent: "indent",
+  dedent: "dedent",
+  outdent: "dedent",
+  unindent: "dedent",
+  space: "space",
+  "no space": "noSpace",
+};
+
+// A string runs until "end string" or one of these
+const STRING_ENDS = new Set([
+  "close paren",
+  "close parenthesis",
+  "right paren",
+  "close bracket",
+  "close brace",
+  "close curly",
+  "comma",
+  "colon",
+  "semicolon",
+  "new line",
+  "newline",
+]);
+
+const PHRASES = new Set([
+  ...Object.keys(SYMBOLS),
+  ...Object.keys(CASES),
+  ...Object.keys(LAYOUT),
+  "define function",
+  "string",
+  "empty string",
+  "end string",
+  "literal",
+  "capital",
+]);
+const LONGEST_PHRASE = Math.max(
+  ...[...PHRASES].map((phrase) => phrase.split(" ").length),
+);
+
+const BRACE_LANGUAGES = new Set([
+  "javascript",
+  "typescript",
+  "javascriptreact",
+  "typescriptreact",
+  "java",
+  "c",
+  "cpp",
+  "csharp",
+  "go",
+  "rust",
+  "kotlin",
+  "swift",
+  "php",
+]);
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// Whisper adds sentence punctuation and may hyphenate ("new-line")
+function splitWords(transcript) {
+  return String(transcript || "")
+    .replace(/([a-z])-(?=[a-z])/gi, "$1 ")
+    .split(/\s+/)
+    .map((word) => word.replace(/[,.!?;:]+$/, ""))
+    .filter(Boolean);
+}
+
+function phraseAt(words, index) {
+  for (let n = Math.min(LONGEST_PHRASE, words.length - index); n > 0; n--) {
+    const phrase = words
+      .slice(index, index + n)
+      .join(" ")
+      .toLowerCase();
+    if (PHRASES.has(phrase)) return { phrase, length: n };
+  }
+  return null;
+}
+
+/**
+ * Parse a transcript into dictation tokens:
+ * {type: "text", text, kind} for code, or {type: "newline" | "indent" |
+ * "dedent" | "space" | "noSpace"} for layout.
+ */
+function parseDictation(transcript, languageId) {
+  const words = splitWords(transcript);
+  const tokens = [];
+  const text = (value, kind = "word") =>
+    tokens.push({ type: "text", text: value, kind });
+
+  let i = 0;
+  while (i < words.length) {
+    const match = phraseAt(words, i);
+    if (!match) {
+      text(words[i].toLowerCase());
+      i += 1;
+      continue;
+    }
+    const { phrase, length } = match;
+    i += length;
+
+    if (SYMBOLS[phrase]) {
+      text(...SYMBOLS[phrase]);
+    } else if (LAYOUT[phrase]) {
+      tokens.push({ type: LAYOUT[phrase] });
+    } else if (CASES[phrase]) {
+      const parts = [];
+      while (i < words.length && !phraseAt(words, i)) {
+        parts.push(words[i].toLowerCase());
+        i += 1;
+      }
+      if (parts.length) text(CASES[phrase](parts));
+    } else if (phrase === "define function") {
+      text(FUNCTION_KEYWORDS[languageId] || "function");
+    } else if (phrase === "empty string") {
+      text('""');
+    } else if (phrase === "string") {
+      const parts = [];
+      while (i < words.length) {
+        const next = phraseAt(words, i);
+        if (next && next.phrase === "end string") {
+          i += next.length;
+          break;
+        }
+        if (next && STRING_ENDS.has(next.phrase)) break;
+        if (next && next.phrase === "literal" && i + 1 < words.length) {
+          i += 1;
+        }
+        parts.push(words[i]);
+        i += 1;
+      }
+      text(JSON.stringify(parts.join(" ")));
+    } else if (phrase === "literal" && i < words.length) {
+      // "literal comma" types the word itself
+      text(words[i].toLowerCase());
+      i += 1;
+    } else if (phrase === "capital" && i < words.length) {
+      text(capitalize(words[i].toLowerCase()));
+      i += 1;
+    }
+  }
+  return tokens;
+}
+
+// Spacing between two code tokens on the same line
+function needsSpace(prev, token) {
+  if (!prev) return false;
+  if (["close", "punct", "join"].includes(token.kind)) return false;
+  if (["open", "join", "prefix"].includes(prev.kind)) return false;
+  if (token.kind === "open") return !["word", "close"].includes(prev.kind);
+  return true;
+}
+
+/**
+ * Lay dictation tokens out as text to insert at the cursor. New lines start
+ * at baseIndent (the cursor line's indentation) plus the current level;
+ * Python indents after a trailing colon and brace languages after "{".
+ */
+function renderDictation(tokens, options = {}) {
+  const { languageId, indentUnit = "    ", baseIndent = "" } = options;
+  const braces = BRACE_LANGUAGES.has(languageId);
+  // Dedenting never goes left of column zero
+  const minLevel = -Math.ceil(baseIndent.length / indentUnit.length);
+
+  const lines = [];
+  let line = "";
+  let started = false;
+  let prev = null;
+  let level = 0;
+  let spacing = null;
+
+  const indentFor = (isFirst) => {
+    if (isFirst) return level > 0 ? indentUnit.repeat(level) : "";
+    if (level >= 0) return baseIndent + indentUnit.repeat(level);
+    return baseIndent.slice(0, baseIndent.length + level * indentUnit.length);
+  };
+
+  for (const token of tokens) {
+    if (token.type === "newline") {
+      const trimmed = line.trimEnd();
+      if (
+        (languageId === "python" && trimmed.endsWith(":")) ||
+        (braces && trimmed.endsWith("{"))
+      ) {
+        level += 1;
+      }
+      lines.push(trimmed);
+      line = "";
+      started = false;
+      prev = null;
+      spacing = null;
+    } else if (token.type === "indent") {
+      level += 1;
+    } else if (token.type === "dedent") {
+      level = Math.max(minLevel, level - 1);
+    } else if (token.type === "space" || token.type === "noSpace") {
+      spacing = token.type;
+    } else {
+      if (!started) {
+        // A closing brace lines up with the block it closes
+        if (braces && token.text === "}") {
+          level = Math.max(minLevel, level - 1);
+        }
+        line = indentFor(lines.length === 0);
+        started = true;
+      }
+      const space =
+        spacing === "space" ||
+        (spacing !== "noSpace" && needsSpace(prev, token));
+      line += (space ? " " : "") + token.text;
+      prev = token;
+      spacing = null;
+    }
+  }
+  lines.push(line.trimEnd());
+  return lines.join("\n");
+}
+
+/** The editor's indentation unit; Python always uses spaces, Make tabs. */
+function getIndentUnit(editor) {
+  const { insertSpaces, tabSize } = editor.options || {};
+  const languageId = editor.document.languageId;
+  const size = typeof tabSize === "number" ? tabSize : 4;
+  if (languageId === "makefile") return "\t";
+  if (insertSpaces === false && languageId !== "python") return "\t";
+  return " ".repeat(size);
+}
+
+/**
+ * "type ..." or "dictate ..." said to the voice router: the rest of the
+ * transcript to dictate, otherwise null. A transcript that is one of
+ * commandPhrases ("dictate code") is left for the command.
+ * @param {string[]} [commandPhrases] lower-case voice command keywords
+ */
+function matchDictationPrefix(transcript, commandPhrases = []) {
+  const text = String(transcript || "").trim();
+  const phrase = text
+    .toLowerCase()
+    .replace(/[^\w\s]/g, "")
+    .replace(/\s+/g, " ");
+  if (commandPhrases.includes(phrase)) return null;
+  const match = text.match(/^(?:type|dictate)[,.:]?\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Dictate a transcript at the cursor, record it for "undo that" and read
+ * back what was typed.
+ * @returns {Promise<string>} the inserted text, "" when nothing was typed
+ */
+async function dictateAtCursor(editor, transcript) {
+  const document = editor.document;
+  const position = editor.selection.active;
+  const lineText = document.lineAt(position.line).text;
+  const text = renderDictation(
+    parseDictation(transcript, document.languageId),
+    {
+      languageId: document.languageId,
+      indentUnit: getIndentUnit(editor),
+      baseIndent: (lineText.match(/^\s*/) || [""])[0],
+    },
+  );
+  if (!text.trim()) return "";
+
+  await editor.edit((editBuilder) => editBuilder.insert(position, text));
+  recordVoiceEdit(document, position, text, transcript);
+  await speakMessage(
+    `Typed ${pronounce(text, { code: true, languageId: document.languageId })}`,
+  );
+  return text;
+}
+
+module.exports = {
+  parseDictation,
+  renderDictation,
+  getIndentUnit,
+  matchDictationPrefix,
+  dictateAtCursor,
+};
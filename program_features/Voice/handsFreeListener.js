@@ -0,0 +1,212 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const vscode = require("vscode");
+const {
+  openMicrophoneStream,
+  runLocalWhisper,
+  isRecording,
+} = require("./whisperService");
+const {
+  VoiceActivityDetector,
+  pcmToWav,
+  matchWakePhrase,
+} = require("./voiceActivity");
+const {
+  playEarcon,
+} = require("../../Core/program_settings/speech_settings/earcons");
+const {
+  speakMessage,
+  isSpeaking,
+} = require("../../Core/program_settings/speech_settings/speechHandler");
+const { guard } = require("../../Core/program_settings/guard");
+
+/**
+ * Hands-free mode: the microphone stays open, speech is cut into utterances
+ * by voice activity detection and each one is transcribed locally. Only
+ * utterances that start with the wake phrase ("Echo, go to line 4") are
+ * acted on; the wake phrase on its own ("Echo.") makes the next utterance
+ * the command.
+ */
+
+let listener = null;
+
+function getHandsFreeConfig() {
+  const config = vscode.workspace.getConfiguration("echocode");
+  return {
+    wakePhrase: config.get("handsFree.wakePhrase", "echo"),
+    thresholdDb: Number(config.get("handsFree.speechThresholdDb", -45)),
+    minSpeechMs: Number(config.get("handsFree.minSpeechMs", 250)),
+    silenceMs: Number(config.get("handsFree.silenceMs", 900)),
+    maxUtteranceMs:
+      Number(config.get("handsFree.maxUtteranceSeconds", 15)) * 1000,
+    commandWindowMs:
+      Number(config.get("handsFree.commandTimeoutSeconds", 8)) * 1000,
+  };
+}
+
+function isHandsFreeActive() {
+  return listener !== null;
+}
+
+async function transcribe(pcm, context, outputChannel) {
+  const wavPath = path.join(
+    os.tmpdir(),
+    `echocode-handsfree-${Date.now()}.wav`,
+  );
+  await fs.promises.writeFile(wavPath, pcmToWav(pcm));
+  const pythonPath = context.globalState.get("echoCodePythonPath") || "python";
+  // runLocalWhisper removes the file when it is done
+  return runLocalWhisper(wavPath, outputChannel, pythonPath);
+}
+
+/**
+ * What to do with one transcribed utterance.
+ * @returns {{command: string|null, armed: boolean}} `armed` means the wake
+ *   phrase was heard alone and the next utterance is the command
+ */
+function interpretUtterance(transcript, wakePhrase, armed) {
+  if (armed) {
+    return { command: transcript.trim() || null, armed: false };
+  }
+  const { woke, command } = matchWakePhrase(transcript, wakePhrase);
+  if (!woke) return { command: null, armed: false };
+  return command ? { command, armed: false } : { command: null, armed: true };
+}
+
+/**
+ * @param {(transcript: string) => Promise<any>} onCommand runs a command
+ *   transcript (the same path as push-to-talk)
+ */
+async function startHandsFree(context, outputChannel, onCommand) {
+  if (listener) return true;
+
+  const config = getHandsFreeConfig();
+  const mic = await openMicrophoneStream(context, outputChannel);
+  if (!mic) return false;
+
+  const state = {
+    mic,
+    armedUntil: 0,
+    // Utterances are transcribed one at a time, in order
+    queue: Promise.resolve(),
+  };
+
+  const handleUtterance = async (pcm) => {
+    const armed = Date.now() < state.armedUntil;
+    let transcript;
+    try {
+      transcript = await transcribe(pcm, context, outputChannel);
+    } catch (err) {
+      outputChannel.appendLine(
+        `[Hands-free] Transcription failed: ${err.message}`,
+      );
+      return;
+    }
+    if (
+      !transcript ||
+      transcript.toLowerCase().includes("no speech detected")
+    ) {
+      return;
+    }
+
+    const result = interpretUtterance(transcript, config.wakePhrase, armed);
+    if (result.armed) {
+      state.armedUntil = Date.now() + config.commandWindowMs;
+      outputChannel.appendLine("[Hands-free] Wake phrase heard, listening.");
+      await playEarcon("recordingStarted");
+      return;
+    }
+    state.armedUntil = 0;
+    if (!result.command) return;
+
+    outputChannel.appendLine(`[Hands-free] Command: ${result.command}`);
+    await playEarcon("recordingStopped");
+    await onCommand(result.command);
+  };
+
+  state.vad = new VoiceActivityDetector(config, {
+    onUtterance: (pcm) => {
+      state.queue = state.queue.then(() => handleUtterance(pcm));
+    },
+  });
+
+  mic.stdout.on("data", (chunk) => {
+    // Push-to-talk has the microphone, or EchoCode is talking; don't hear
+    // the same words twice or take EchoCode's own voice for a command
+    if (isRecording() || isSpeaking()) {
+      state.vad.reset();
+      return;
+    }
+    state.vad.push(chunk);
+  });
+  mic.stderr.on("data", (d) =>
+    outputChannel.appendLine(`[Hands-free ffmpeg] ${d.toString().trim()}`),
+  );
+  mic.on("close", (code) => {
+    if (listener !== state) return;
+    listener = null;
+    outputChannel.appendLine(`[Hands-free] Microphone closed (code ${code}).`);
+    speakMessage("Hands-free listening stopped.");
+  });
+  mic.on("error", (err) =>
+    outputChannel.appendLine(`[Hands-free] ffmpeg failed: ${err.message}`),
+  );
+
+  listener = state;
+  outputChannel.appendLine("[Hands-free] Listening for the wake phrase.");
+  return true;
+}
+
+function stopHandsFree() {
+  const state = listener;
+  if (!state) return false;
+  listener = null;
+  try {
+    if (state.mic.stdin && !state.mic.stdin.destroyed) {
+      state.mic.stdin.write("q");
+      state.mic.stdin.end();
+    }
+  } catch {
+    // ffmpeg already gone
+  }
+  setTimeout(() => {
+    if (state.mic.exitCode === null) state.mic.kill();
+  }, 1000).unref?.();
+  return true;
+}
+
+function registerHandsFreeCommands(context, outputChannel, onCommand) {
+  // Turning listening on is what a policy can lock or limit; turning it off
+  // always works. Each utterance is still checked like push-to-talk.
+  const startListening = guard("echocode.toggleHandsFree", async () => {
+    const { wakePhrase } = getHandsFreeConfig();
+    if (await startHandsFree(context, outputChannel, onCommand)) {
+      await speakMessage(
+        `Hands-free listening on. Say ${wakePhrase} followed by a command.`,
+      );
+    } else {
+      await speakMessage("Hands-free listening could not open the microphone.");
+    }
+  });
+  const toggleCmd = vscode.commands.registerCommand(
+    "echocode.toggleHandsFree",
+    async () => {
+      if (stopHandsFree()) {
+        await speakMessage("Hands-free listening off.");
+        return;
+      }
+      await startListening();
+    },
+  );
+
+  context.subscriptions.push(toggleCmd, { dispose: stopHandsFree });
+}
+
+module.exports = {
+  interpretUtterance,
+  isHandsFreeActive,
+  startHandsFree,
+  stopHandsFree,
+  registerHandsFreeCommands,
+};
@@ -1,3 +1,4 @@
+import argparse
 import sys
 import os
 import traceback
@@ -10,12 +11,20 @@ def log(msg):
     sys.stderr.write(f"[Python-Whisper] {msg}\n")
     sys.stderr.flush()
 
-def main():
-    if len(sys.argv) < 2:
-        log("Usage: python local_whisper_stt.py <audio_file_path>")
-        sys.exit(1)
+def parse_args():
+    parser = argparse.ArgumentParser(description="Transcribe one audio file.")
+    parser.add_argument("audio_path")
+    # A size name ("base.en") or a local model directory
+    parser.add_argument("--model", default="base.en")
+    parser.add_argument("--language", default="en", help='"auto" to detect')
+    parser.add_argument("--compute-type", default="int8", choices=["int8", "float32"])
+    # Programming keywords and identifiers that bias recognition
+    parser.add_argument("--initial-prompt", default=None)
+    return parser.parse_args()
 
-    audio_path = sys.argv[1]
+def main():
+    args = parse_args()
+    audio_path = args.audio_path
 
     if not os.path.exists(audio_path):
         log(f"Error: Audio file not found at {audio_path}")
@@ -33,11 +42,17 @@ def main():
         sys.exit(1)
 
     try:
-        log("Loading Model (base.en) on CPU...")
-        model = WhisperModel("base.en", device="cpu", compute_type="int8")
+        log(f"Loading Model ({args.model}) on CPU...")
+        model = WhisperModel(args.model, device="cpu", compute_type=args.compute_type)
 
         log(f"Transcribing {audio_path}...")
-        segments, info = model.transcribe(audio_path, beam_size=5)
+        language = None if args.language == "auto" else args.language
+        segments, info = model.transcribe(
+            audio_path,
+            beam_size=5,
+            language=language,
+            initial_prompt=args.initial_prompt,
+        )
 
         full_text = []
         for segment in segments:
@@ -0,0 +1,125 @@
+const { SAMPLE_RATE } = require("./voiceActivity");
+
+/**
+ * Live transcription while recording: PCM from ffmpeg is cut into chunks of
+ * about `chunkMs`, each chunk is transcribed as soon as the previous one is
+ * done, and the running text is reported through `onPartial`. Chunks are
+ * cut without regard to word boundaries, so the partial text is only a
+ * preview; the final pass over the whole recording replaces it.
+ */
+
+const BYTES_PER_MS = (SAMPLE_RATE * 2) / 1000;
+
+function average(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+}
+
+class PartialTranscriber {
+  /**
+   * @param {{chunkMs: number}} options
+   * @param {{transcribeChunk: (pcm: Buffer) => Promise<string>, onPartial: (text: string) => void, log?: (line: string) => void}} handlers
+   */
+  constructor(options, handlers) {
+    this.chunkBytes = Math.max(1, Math.round(options.chunkMs * BYTES_PER_MS));
+    this.handlers = handlers;
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.inFlight = null;
+    this.closed = false;
+    this.texts = [];
+    this.startedAt = Date.now();
+    this.firstPartialAt = null;
+    // ms from the end of each chunk's audio to its text arriving
+    this.lags = [];
+  }
+
+  get text() {
+    return this.texts.join(" ").replace(/\s+/g, " ").trim();
+  }
+
+  /** Feed raw 16 kHz mono s16le audio as it arrives. */
+  push(chunk) {
+    if (this.closed) return;
+    this.pending.push(chunk);
+    this.pendingBytes += chunk.length;
+    this.pump();
+  }
+
+  // One chunk at a time; audio that piles up meanwhile goes into the next one
+  pump() {
+    if (this.inFlight || this.closed || this.pendingBytes < this.chunkBytes) {
+      return;
+    }
+    const pcm = Buffer.concat(this.pending);
+    this.pending = [];
+    this.pendingBytes = 0;
+    const audioEndedAt = Date.now();
+
+    this.inFlight = this.handlers
+      .transcribeChunk(pcm)
+      .then((text) => {
+        if (this.closed) return;
+        this.lags.push(Date.now() - audioEndedAt);
+        const cleaned = String(text || "").trim();
+        if (!cleaned || /no speech detected/i.test(cleaned)) return;
+        if (this.firstPartialAt === null) this.firstPartialAt = Date.now();
+        this.texts.push(cleaned);
+        this.handlers.onPartial(this.text);
+      })
+      .catch((err) => {
+        if (this.handlers.log) {
+          this.handlers.log(
+            `[Voice] Partial transcription failed: ${err.message}`,
+          );
+        }
+      })
+      .finally(() => {
+        this.inFlight = null;
+        this.pump();
+      });
+  }
+
+  /** Stop taking audio; results of chunks still running are dropped. */
+  close() {
+    this.closed = true;
+    this.pending = [];
+    this.pendingBytes = 0;
+  }
+
+  /**
+   * Latency figures for the output channel.
+   * @param {number} stoppedAt when the user stopped recording
+   * @param {number} finishedAt when the final transcript was ready
+   */
+  getMetrics(stoppedAt, finishedAt) {
+    return {
+      partials: this.texts.length,
+      firstPartialMs:
+        this.firstPartialAt === null
+          ? null
+          : this.firstPartialAt - this.startedAt,
+      averagePartialLagMs: average(this.lags),
+      finalMs: finishedAt - stoppedAt,
+    };
+  }
+}
+
+function describeLatency(metrics) {
+  const parts = [`final transcript ${metrics.finalMs} ms after stop`];
+  if (metrics.partials > 0) {
+    parts.push(
+      `${metrics.partials} partial results`,
+      `first after ${metrics.firstPartialMs} ms`,
+      `${metrics.averagePartialLagMs} ms behind speech on average`,
+    );
+  } else {
+    parts.push("no partial results");
+  }
+  return `[Voice latency] ${parts.join(", ")}.`;
+}
+
+module.exports = {
+  PartialTranscriber,
+  describeLatency,
+};
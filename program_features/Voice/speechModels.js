@@ -0,0 +1,423 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { execFile } = require("child_process");
+const {
+  speakMessage,
+} = require("../../Core/program_settings/speech_settings/speechHandler");
+
+/**
+ * Local Whisper models (CTranslate2 directories as faster-whisper loads
+ * them). Models come bundled in the extension's local_models folder or are
+ * imported into global storage; each may carry a checksums.json with the
+ * sha256 of its files. The size chosen in echocode.voice.model is used when
+ * installed, otherwise the nearest installed size, otherwise faster-whisper
+ * downloads it by name.
+ */
+
+const MODEL_SIZES = ["tiny", "base", "small"];
+const CHECKSUM_FILE = "checksums.json";
+const REQUIRED_FILES = ["model.bin", "config.json"];
+const ARCHIVE_PATTERN = /\.(zip|tar|tar\.gz|tgz)$/i;
+
+function getSpeechSettings() {
+  const config = vscode.workspace.getConfiguration("echocode");
+  const size = config.get("voice.model", "base");
+  const computeType = config.get("voice.computeType", "int8");
+  return {
+    size: MODEL_SIZES.includes(size) ? size : "base",
+    language: String(config.get("voice.language", "en") || "en").trim(),
+    computeType: computeType === "float32" ? "float32" : "int8",
+  };
+}
+
+function getModelDirectories(context) {
+  return [
+    {
+      source: "imported",
+      dir: path.join(context.globalStorageUri.fsPath, "speech_models"),
+    },
+    {
+      source: "bundled",
+      dir: path.join(context.extensionUri.fsPath, "local_models"),
+    },
+  ];
+}
+
+function isModelDirectory(dir) {
+  return REQUIRED_FILES.every((file) => fs.existsSync(path.join(dir, file)));
+}
+
+/** "faster-whisper-base.en" -> { size: "base", englishOnly: true } */
+function describeModelName(name) {
+  const lower = name.toLowerCase();
+  const size = MODEL_SIZES.find((s) => new RegExp(`\\b${s}\\b`).test(lower));
+  return { size: size || null, englishOnly: /[.-]en\b/.test(lower) };
+}
+
+function directorySize(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .reduce(
+      (sum, entry) => sum + fs.statSync(path.join(dir, entry.name)).size,
+      0,
+    );
+}
+
+/**
+ * @returns {{name: string, path: string, source: "imported"|"bundled", size: string|null, englishOnly: boolean, bytes: number, hasChecksums: boolean}[]}
+ */
+function listInstalledModels(context) {
+  const models = [];
+  for (const { source, dir } of getModelDirectories(context)) {
+    if (!fs.existsSync(dir)) continue;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const modelPath = path.join(dir, entry.name);
+      if (!entry.isDirectory() || !isModelDirectory(modelPath)) continue;
+      models.push({
+        name: entry.name,
+        path: modelPath,
+        source,
+        ...describeModelName(entry.name),
+        bytes: directorySize(modelPath),
+        hasChecksums: fs.existsSync(path.join(modelPath, CHECKSUM_FILE)),
+      });
+    }
+  }
+  return models;
+}
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+/** Record the sha256 of every file in a model directory. */
+async function writeChecksums(modelPath) {
+  const checksums = {};
+  for (const entry of fs.readdirSync(modelPath, { withFileTypes: true })) {
+    if (!entry.isFile() || entry.name === CHECKSUM_FILE) continue;
+    checksums[entry.name] = await hashFile(path.join(modelPath, entry.name));
+  }
+  await fs.promises.writeFile(
+    path.join(modelPath, CHECKSUM_FILE),
+    JSON.stringify(checksums, null, 2),
+  );
+  return checksums;
+}
+
+/**
+ * Compare a model's files with its checksums.json.
+ * @returns {Promise<{ok: boolean, verified: boolean, missing: string[], mismatched: string[]}>}
+ *   `verified` is false when the model has no checksums to compare with
+ */
+async function verifyModel(modelPath) {
+  const result = { ok: true, verified: false, missing: [], mismatched: [] };
+  for (const file of REQUIRED_FILES) {
+    if (!fs.existsSync(path.join(modelPath, file))) result.missing.push(file);
+  }
+
+  const checksumPath = path.join(modelPath, CHECKSUM_FILE);
+  if (fs.existsSync(checksumPath)) {
+    result.verified = true;
+    const expected = JSON.parse(fs.readFileSync(checksumPath, "utf-8"));
+    for (const [file, sha256] of Object.entries(expected)) {
+      const filePath = path.join(modelPath, file);
+      if (!fs.existsSync(filePath)) {
+        if (!result.missing.includes(file)) result.missing.push(file);
+      } else if ((await hashFile(filePath)) !== String(sha256).toLowerCase()) {
+        result.mismatched.push(file);
+      }
+    }
+  }
+  result.ok = result.missing.length === 0 && result.mismatched.length === 0;
+  return result;
+}
+
+// The model directory inside an extracted archive (at most a few levels down)
+function findModelDirectory(dir, depth = 3) {
+  if (isModelDirectory(dir)) return dir;
+  if (depth === 0) return null;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const found = findModelDirectory(path.join(dir, entry.name), depth - 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+function extractArchive(archive, destination) {
+  // tar reads .zip as well on Windows 10+ and macOS
+  return new Promise((resolve, reject) => {
+    execFile("tar", ["-xf", archive, "-C", destination], (error, _o, stderr) =>
+      error
+        ? reject(
+            new Error(
+              `Could not extract ${archive}: ${stderr || error.message}`,
+            ),
+          )
+        : resolve(),
+    );
+  });
+}
+
+/**
+ * Copy a model from a directory or archive into global storage. Checksums
+ * that come with the model must match; otherwise they are recorded now so
+ * later damage is noticed.
+ * @returns {Promise<{name: string, path: string}>}
+ */
+async function importModel(context, sourcePath) {
+  let tempDir = null;
+  try {
+    let modelDir = sourcePath;
+    if (ARCHIVE_PATTERN.test(sourcePath)) {
+      tempDir = await fs.promises.mkdtemp(
+        path.join(os.tmpdir(), "echocode-model-"),
+      );
+      await extractArchive(sourcePath, tempDir);
+      modelDir = findModelDirectory(tempDir);
+    } else if (!isModelDirectory(sourcePath)) {
+      modelDir = findModelDirectory(sourcePath, 1);
+    }
+    if (!modelDir) {
+      throw new Error(
+        "That is not a Whisper model: model.bin and config.json were not found.",
+      );
+    }
+
+    const name =
+      modelDir === tempDir
+        ? path.basename(sourcePath).replace(ARCHIVE_PATTERN, "")
+        : path.basename(modelDir);
+    const [{ dir: importDir }] = getModelDirectories(context);
+    const destination = path.join(importDir, name);
+    if (fs.existsSync(destination)) {
+      throw new Error(`A speech model called ${name} is already installed.`);
+    }
+
+    const check = await verifyModel(modelDir);
+    if (!check.ok) {
+      throw new Error(
+        `The model ${name} failed its checksum check (${[
+          ...check.missing,
+          ...check.mismatched,
+        ].join(", ")}).`,
+      );
+    }
+
+    await fs.promises.mkdir(importDir, { recursive: true });
+    await fs.promises.cp(modelDir, destination, { recursive: true });
+    if (!check.verified) await writeChecksums(destination);
+    return { name, path: destination };
+  } finally {
+    if (tempDir) {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Which model to load: the chosen size if installed (English-only variants
+ * first when the language is English), else the nearest installed size,
+ * else the chosen size by name for faster-whisper to download.
+ * @returns {{model: string, name: string, fallback: boolean}}
+ */
+function resolveSpeechModel(context, settings = getSpeechSettings()) {
+  const english = settings.language === "en";
+  const usable = listInstalledModels(context).filter(
+    (model) => model.size && (english || !model.englishOnly),
+  );
+  const preference = (model) =>
+    Math.abs(
+      MODEL_SIZES.indexOf(model.size) - MODEL_SIZES.indexOf(settings.size),
+    ) *
+      2 +
+    (model.englishOnly === english ? 0 : 1);
+
+  const [best] = usable.sort((a, b) => preference(a) - preference(b));
+  if (best) {
+    return {
+      model: best.path,
+      name: best.name,
+      fallback: best.size !== settings.size,
+    };
+  }
+  const name = english ? `${settings.size}.en` : settings.size;
+  return { model: name, name, fallback: false };
+}
+
+/** Command-line options for transcription_worker.py / local_whisper_stt.py. */
+function getWhisperArgs(resolved, settings = getSpeechSettings()) {
+  return [
+    "--model",
+    resolved.model,
+    "--language",
+    settings.language,
+    "--compute-type",
+    settings.computeType,
+  ];
+}
+
+// Set by DependencyManager once the model is resolved
+let activeWhisperArgs = [];
+
+function setActiveWhisperArgs(args) {
+  activeWhisperArgs = args;
+}
+
+function getActiveWhisperArgs() {
+  return activeWhisperArgs;
+}
+
+function formatBytes(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+async function listSpeechModelsCommand(context) {
+  const models = listInstalledModels(context);
+  const { size } = getSpeechSettings();
+  const resolved = resolveSpeechModel(context);
+  if (models.length === 0) {
+    await speakMessage(
+      `No speech models are installed. The ${size} model will be downloaded when needed.`,
+    );
+    return;
+  }
+  const items = models.map((model) => ({
+    label: model.name,
+    description: `${model.size || "unknown size"}, ${formatBytes(model.bytes)}, ${model.source}`,
+    detail: model.path === resolved.model ? "In use" : undefined,
+  }));
+  await speakMessage(
+    `${models.length} speech ${models.length === 1 ? "model is" : "models are"} installed. Using ${resolved.name}.`,
+  );
+  await vscode.window.showQuickPick(items, {
+    placeHolder: "Installed speech models",
+  });
+}
+
+async function importSpeechModelCommand(context, onModelChanged) {
+  const picked = await vscode.window.showOpenDialog({
+    canSelectFiles: true,
+    canSelectFolders: true,
+    canSelectMany: false,
+    openLabel: "Import Speech Model",
+    filters: { "Model folder or archive": ["zip", "tar", "gz", "tgz"] },
+  });
+  if (!picked || picked.length === 0) return;
+
+  try {
+    const model = await importModel(context, picked[0].fsPath);
+    vscode.window.showInformationMessage(
+      `Imported speech model ${model.name}.`,
+    );
+    await speakMessage(`Imported speech model ${model.name}.`);
+    await onModelChanged();
+  } catch (err) {
+    vscode.window.showErrorMessage(`EchoCode: ${err.message}`);
+    await speakMessage(err.message);
+  }
+}
+
+async function chooseSpeechModelCommand(context) {
+  const installed = listInstalledModels(context);
+  const { size: current } = getSpeechSettings();
+  const picked = await vscode.window.showQuickPick(
+    MODEL_SIZES.map((size) => ({
+      label: size,
+      description: [
+        size === current ? "current" : "",
+        installed.some((model) => model.size === size)
+          ? "installed"
+          : "downloads on first use",
+      ]
+        .filter(Boolean)
+        .join(", "),
+    })),
+    { placeHolder: "Speech model size (larger is more accurate but slower)" },
+  );
+  if (!picked) return;
+
+  // Per machine: a lab PC and a laptop can use different sizes
+  await vscode.workspace
+    .getConfiguration("echocode")
+    .update("voice.model", picked.label, vscode.ConfigurationTarget.Global);
+  await speakMessage(`Speech model set to ${picked.label}.`);
+}
+
+async function verifySpeechModelsCommand(context) {
+  const models = listInstalledModels(context);
+  if (models.length === 0) {
+    await speakMessage("No speech models are installed.");
+    return;
+  }
+  const problems = [];
+  let unverified = 0;
+  for (const model of models) {
+    const result = await verifyModel(model.path);
+    if (!result.ok) problems.push(model.name);
+    if (!result.verified) unverified++;
+  }
+  const message = problems.length
+    ? `Checksum check failed for ${problems.join(", ")}. Import ${problems.length === 1 ? "it" : "them"} again.`
+    : `All ${models.length} speech models passed.${unverified ? ` ${unverified} had no checksums to compare.` : ""}`;
+  if (problems.length) {
+    vscode.window.showWarningMessage(`EchoCode: ${message}`);
+  } else {
+    vscode.window.showInformationMessage(`EchoCode: ${message}`);
+  }
+  await speakMessage(message);
+}
+
+/**
+ * @param {() => Promise<void>} onModelChanged reloads the worker with the
+ *   newly resolved model
+ */
+function registerSpeechModelCommands(context, onModelChanged) {
+  context.subscriptions.push(
+    vscode.commands.registerCommand("echocode.listSpeechModels", () =>
+      listSpeechModelsCommand(context),
+    ),
+    vscode.commands.registerCommand("echocode.importSpeechModel", () =>
+      importSpeechModelCommand(context, onModelChanged),
+    ),
+    vscode.commands.registerCommand("echocode.chooseSpeechModel", () =>
+      chooseSpeechModelCommand(context),
+    ),
+    vscode.commands.registerCommand("echocode.verifySpeechModels", () =>
+      verifySpeechModelsCommand(context),
+    ),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (
+        ["voice.model", "voice.language", "voice.computeType"].some((key) =>
+          event.affectsConfiguration(`echocode.${key}`),
+        )
+      ) {
+        onModelChanged();
+      }
+    }),
+  );
+}
+
+module.exports = {
+  MODEL_SIZES,
+  getSpeechSettings,
+  listInstalledModels,
+  writeChecksums,
+  verifyModel,
+  importModel,
+  resolveSpeechModel,
+  getWhisperArgs,
+  setActiveWhisperArgs,
+  getActiveWhisperArgs,
+  registerSpeechModelCommands,
+};
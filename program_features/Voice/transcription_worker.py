@@ -0,0 +1,130 @@
+"""Long-lived transcription worker for EchoCode.
+
+Loads the Whisper model once and answers JSON-lines requests on stdin:
+    {"id": 1, "method": "transcribe", "params": {"path": "clip.wav", "initialPrompt": "..."}}
+    {"id": 2, "method": "health"}
+    {"method": "shutdown"}
+Each request gets one line back on stdout, {"id", "result"} or {"id", "error"}.
+Logs go to stderr so stdout stays machine-readable.
+"""
+import argparse
+import json
+import os
+import sys
+import time
+import traceback
+
+# 1. Force UTF-8 encoding for console output (Windows fix)
+sys.stdout.reconfigure(encoding="utf-8")
+
+
+def log(msg):
+    sys.stderr.write(f"[Python-Worker] {msg}\n")
+    sys.stderr.flush()
+
+
+def send(message):
+    sys.stdout.write(json.dumps(message) + "\n")
+    sys.stdout.flush()
+
+
+class Worker:
+    def __init__(self, model_name, language, compute_type):
+        self.model_name = model_name
+        # None lets Whisper detect the language
+        self.language = None if language == "auto" else language
+        self.compute_type = compute_type
+        self.model = None
+        self.model_error = None
+        self.started = time.time()
+        self.requests = 0
+
+    def load_model(self):
+        try:
+            from faster_whisper import WhisperModel
+            log(f"Loading Model ({self.model_name}) on CPU...")
+            self.model = WhisperModel(
+                self.model_name, device="cpu", compute_type=self.compute_type
+            )
+            send({"event": "ready", "model": os.path.basename(self.model_name)})
+        except Exception as e:
+            # Keep answering health checks without a model
+            self.model_error = str(e)
+            log(f"Model unavailable: {e}")
+
+    def transcribe(self, params):
+        if self.model is None:
+            raise RuntimeError(f"Whisper model not loaded: {self.model_error}")
+        path = params.get("path")
+        if not path or not os.path.exists(path):
+            raise FileNotFoundError(f"Audio file not found at {path}")
+        segments, _info = self.model.transcribe(
+            path,
+            beam_size=5,
+            language=self.language,
+            # Programming keywords and identifiers from the open file
+            initial_prompt=params.get("initialPrompt") or None,
+        )
+        return {"text": " ".join(s.text for s in segments).strip()}
+
+    def health(self, _params):
+        return {
+            "status": "ok",
+            "model": os.path.basename(self.model_name),
+            "language": self.language or "auto",
+            "computeType": self.compute_type,
+            "modelLoaded": self.model is not None,
+            "uptimeSeconds": round(time.time() - self.started),
+            "requests": self.requests,
+        }
+
+    def handle(self, request):
+        methods = {
+            "transcribe": self.transcribe,
+            "health": self.health,
+        }
+        method = methods.get(request.get("method"))
+        if method is None:
+            raise ValueError(f"Unknown method {request.get('method')}")
+        self.requests += 1
+        return method(request.get("params") or {})
+
+
+def parse_args():
+    parser = argparse.ArgumentParser(description="EchoCode transcription worker.")
+    # A size name ("base.en") or a local model directory
+    parser.add_argument("--model", default="base.en")
+    parser.add_argument("--language", default="en", help='"auto" to detect')
+    parser.add_argument("--compute-type", default="int8", choices=["int8", "float32"])
+    return parser.parse_args()
+
+
+def main():
+    args = parse_args()
+    worker = Worker(args.model, args.language, args.compute_type)
+    worker.load_model()
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        try:
+            request = json.loads(line)
+        except ValueError:
+            log(f"Ignoring malformed request: {line}")
+            continue
+
+        if request.get("method") == "shutdown":
+            log("Shutting down.")
+            break
+
+        request_id = request.get("id")
+        try:
+            send({"id": request_id, "result": worker.handle(request)})
+        except Exception as e:
+            traceback.print_exc()
+            send({"id": request_id, "error": str(e)})
+
+
+if __name__ == "__main__":
+    main()
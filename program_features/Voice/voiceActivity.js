@@ -0,0 +1,184 @@
+const {
+  editDistance,
+} = require("../../Core/program_settings/program_settings/localIntentRouter");
+
+/**
+ * Building blocks for hands-free listening: an energy-based voice activity
+ * detector over 16 kHz mono 16-bit PCM, wake phrase matching and WAV output.
+ */
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SAMPLE = 2;
+const FRAME_MS = 30;
+const FRAME_BYTES = (SAMPLE_RATE * FRAME_MS * BYTES_PER_SAMPLE) / 1000;
+// Audio kept from just before speech was detected, so first words are not clipped
+const PRE_ROLL_MS = 300;
+
+/** Loudness of one frame in dBFS (0 is full scale, silence is very negative). */
+function frameLevelDb(frame) {
+  const samples = frame.length / BYTES_PER_SAMPLE;
+  if (samples === 0) return -Infinity;
+  let sum = 0;
+  for (let i = 0; i < frame.length - 1; i += BYTES_PER_SAMPLE) {
+    const sample = frame.readInt16LE(i) / 32768;
+    sum += sample * sample;
+  }
+  const rms = Math.sqrt(sum / samples);
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
+
+/**
+ * Splits a PCM stream into utterances. Speech starts once frames stay above
+ * `thresholdDb` for `minSpeechMs`, and ends after `silenceMs` below it or
+ * when the utterance reaches `maxUtteranceMs`.
+ */
+class VoiceActivityDetector {
+  /**
+   * @param {{thresholdDb: number, minSpeechMs: number, silenceMs: number, maxUtteranceMs: number}} options
+   * @param {{onSpeechStart?: () => void, onUtterance: (pcm: Buffer) => void}} handlers
+   */
+  constructor(options, handlers) {
+    this.options = options;
+    this.handlers = handlers;
+    this.pending = Buffer.alloc(0);
+    this.preRoll = [];
+    this.frames = [];
+    this.inSpeech = false;
+    this.speechMs = 0;
+    this.silenceMs = 0;
+  }
+
+  /** Feed raw PCM as it arrives from ffmpeg. */
+  push(chunk) {
+    this.pending = Buffer.concat([this.pending, chunk]);
+    while (this.pending.length >= FRAME_BYTES) {
+      const frame = this.pending.subarray(0, FRAME_BYTES);
+      this.pending = this.pending.subarray(FRAME_BYTES);
+      this.processFrame(Buffer.from(frame));
+    }
+  }
+
+  processFrame(frame) {
+    const loud = frameLevelDb(frame) > this.options.thresholdDb;
+
+    if (!this.inSpeech) {
+      this.preRoll.push(frame);
+      if (this.preRoll.length * FRAME_MS > PRE_ROLL_MS) this.preRoll.shift();
+
+      this.speechMs = loud ? this.speechMs + FRAME_MS : 0;
+      if (this.speechMs >= this.options.minSpeechMs) {
+        this.inSpeech = true;
+        this.silenceMs = 0;
+        this.frames = this.preRoll;
+        this.preRoll = [];
+        if (this.handlers.onSpeechStart) this.handlers.onSpeechStart();
+      }
+      return;
+    }
+
+    this.frames.push(frame);
+    this.silenceMs = loud ? 0 : this.silenceMs + FRAME_MS;
+    const lengthMs = this.frames.length * FRAME_MS;
+    if (
+      this.silenceMs >= this.options.silenceMs ||
+      lengthMs >= this.options.maxUtteranceMs
+    ) {
+      this.finish();
+    }
+  }
+
+  finish() {
+    const pcm = Buffer.concat(this.frames);
+    this.frames = [];
+    this.inSpeech = false;
+    this.speechMs = 0;
+    this.silenceMs = 0;
+    this.handlers.onUtterance(pcm);
+  }
+
+  /** Drop anything buffered (e.g. while push-to-talk is recording). */
+  reset() {
+    this.pending = Buffer.alloc(0);
+    this.preRoll = [];
+    this.frames = [];
+    this.inSpeech = false;
+    this.speechMs = 0;
+    this.silenceMs = 0;
+  }
+}
+
+/** 16 kHz mono 16-bit PCM -> WAV file contents. */
+function pcmToWav(pcm) {
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * BYTES_PER_SAMPLE, 28);
+  header.writeUInt16LE(BYTES_PER_SAMPLE, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+function words(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9'\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Whisper spells a spoken name loosely ("Echo" -> "eco", "echos")
+function soundsLike(heard, expected) {
+  if (heard === expected) return true;
+  const distance = editDistance(heard, expected);
+  return 1 - distance / Math.max(heard.length, expected.length) >= 0.75;
+}
+
+/**
+ * Does the transcript start with the wake phrase? "Hey Echo, go to line 4"
+ * with wake phrase "echo" gives { woke: true, command: "go to line 4" }.
+ * @returns {{woke: boolean, command: string}}
+ */
+function matchWakePhrase(transcript, wakePhrase) {
+  const expected = words(wakePhrase);
+  const heardWords = String(transcript || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  if (expected.length === 0) return { woke: false, command: "" };
+
+  // Allow a greeting in front of the phrase
+  const greeting = /^(hey|hi|ok|okay)[,.!]?$/i;
+  const start = heardWords.length && greeting.test(heardWords[0]) ? 1 : 0;
+  const candidate = words(
+    heardWords.slice(start, start + expected.length).join(" "),
+  ).map((word) => word.replace(/'s$/, ""));
+
+  const woke =
+    candidate.length === expected.length &&
+    candidate.every((word, i) => soundsLike(word, expected[i]));
+  if (!woke) return { woke: false, command: "" };
+
+  const command = heardWords
+    .slice(start + expected.length)
+    .join(" ")
+    .replace(/^[\s,.!?:;-]+/, "")
+    .trim();
+  return { woke: true, command };
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  FRAME_MS,
+  frameLevelDb,
+  VoiceActivityDetector,
+  pcmToWav,
+  matchWakePhrase,
+};
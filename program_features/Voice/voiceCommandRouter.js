@@ -8,13 +8,39 @@ const {
 const {
   generateCodeFromVoice,
 } = require("../../Core/program_settings/program_settings/AIrequest");
-const { getMode } = require("../../Core/program_settings/mode");
 const {
-  STUDENT_LOCKED_COMMANDS,
+  matchIntent,
+} = require("../../Core/program_settings/program_settings/localIntentRouter");
+const {
+  matchSlotCommand,
+  resolveSlots,
+} = require("../../Core/program_settings/program_settings/voiceSlots");
+const {
+  getUserMacros,
+  withMacroSteps,
+  splitCommandChain,
+  normalizeStep,
+} = require("./voiceMacros");
+const { recordVoiceEvent, recordVoiceEdit } = require("./voiceHistory");
+const {
+  recordActivity,
+  recordBlockedCommand,
+} = require("../../Core/program_settings/activityLog");
+const { matchDictationPrefix, dictateAtCursor } = require("./dictation");
+const {
+  withAiProgress,
+  isAiCancellation,
+} = require("../../Core/program_settings/program_settings/aiProgress");
+const {
+  checkCommand,
+  countCommandUse,
 } = require("../../Core/program_settings/guard");
 const {
   speakMessage,
 } = require("../../Core/program_settings/speech_settings/speechHandler");
+const {
+  pronounce,
+} = require("../../Core/program_settings/speech_settings/pronunciation");
 
 const QUESTION_KEYWORDS = [
   "what",
@@ -80,46 +106,343 @@ function loadVoiceCommands() {
   return JSON.parse(fs.readFileSync(commandsPath, "utf-8"));
 }
 
-async function tryExecuteInternalCommand(cleanedTranscript, outputChannel) {
-  const commands = loadVoiceCommands();
+// Built-in commands and macros plus the user's macros from settings
+function loadVoiceCommandsAndMacros() {
+  return [...withMacroSteps(loadVoiceCommands()), ...getUserMacros()];
+}
 
-  for (const command of commands) {
-    if (
-      !command.keywords.some((keyword) => cleanedTranscript.includes(keyword))
-    ) {
-      continue;
+// What to say when a command is blocked: the instructor policy's reason,
+// or the standard Student Mode message
+function lockedMessage(decision) {
+  return decision.source === "policy"
+    ? decision.reason
+    : "That command is disabled in student mode.";
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run macro or chain steps in order. Nothing runs if any step is locked in
+ * student mode; a failing step stops the rest.
+ * @param {string} label spoken name, e.g. the macro name
+ * @param {ReturnType<typeof normalizeStep>[]} steps
+ * @returns {Promise<boolean>} true when every step ran
+ */
+async function runVoiceSteps(label, steps, outputChannel) {
+  for (const step of steps) {
+    const decision = checkCommand(step.command);
+    if (decision.allowed) continue;
+    recordBlockedCommand(step.command, decision, "voice");
+    const entry = loadVoiceCommands().find((c) => c.id === step.command);
+    const title = entry ? entry.title : step.command;
+    await speakMessage(
+      decision.source === "policy"
+        ? `${label} includes ${title}. ${decision.reason}`
+        : `${label} includes ${title}, which is disabled in student mode.`,
+    );
+    return false;
+  }
+
+  for (const [index, step] of steps.entries()) {
+    outputChannel.appendLine(
+      `[Voice Macro] ${label} step ${index + 1}/${steps.length}: ${step.command}`,
+    );
+    try {
+      const running = countCommandUse(step.command, () =>
+        vscode.commands.executeCommand(step.command, ...step.args),
+      );
+      if (step.wait) {
+        await running;
+      } else {
+        Promise.resolve(running).catch((err) =>
+          outputChannel.appendLine(
+            `[Voice Macro] ${step.command} failed: ${err.message}`,
+          ),
+        );
+      }
+    } catch (err) {
+      outputChannel.appendLine(
+        `[Voice Macro] ${step.command} failed: ${err.message}`,
+      );
+      await speakMessage(
+        `${label} stopped at step ${index + 1}: ${err.message}`,
+      );
+      return false;
     }
 
-    const currentMode = getMode();
-    if (currentMode !== "dev" && STUDENT_LOCKED_COMMANDS.has(command.id)) {
-      await speakMessage("That command is disabled in student mode.");
+    if (step.delayMs) await wait(step.delayMs);
+    if (step.say) await speakMessage(step.say);
+  }
+  return true;
+}
+
+// What the transcript being routed matched, for the voice history
+let currentMatch = {};
+
+// A "Did you mean ...?" question waiting for its answer
+const CHOICE_TIMEOUT_MS = 30000;
+let pendingChoice = null;
+
+async function executeInternalCommand(command, outputChannel, args = []) {
+  Object.assign(currentMatch, {
+    command: command.id,
+    title: command.title,
+    args,
+  });
+  if (command.steps) {
+    if (await runVoiceSteps(command.title, command.steps, outputChannel)) {
+      await speakMessage(`Finished ${command.title}.`);
+      return { handled: true, command: command.id };
+    }
+    return { handled: true };
+  }
+
+  const decision = checkCommand(command.id);
+  if (!decision.allowed) {
+    recordBlockedCommand(command.id, decision, "voice");
+    await speakMessage(lockedMessage(decision));
+    return { handled: true };
+  }
+
+  await countCommandUse(command.id, () =>
+    vscode.commands.executeCommand(command.id, ...args),
+  );
+  outputChannel.appendLine(
+    `[Voice Command] Matched: ${command.id}${
+      args.length ? ` (${args.map(String).join(", ")})` : ""
+    }`,
+  );
+  return { handled: true, command: command.id };
+}
+
+async function askToDisambiguate(alternatives, outputChannel) {
+  const titles = alternatives.map((c) => c.command.title || c.command.id);
+  pendingChoice = {
+    options: alternatives.map((c) => c.command),
+    expiresAt: Date.now() + CHOICE_TIMEOUT_MS,
+  };
+  outputChannel.appendLine(
+    `[Voice Command] Unsure between: ${alternatives
+      .map((c) => `${c.command.id} (${c.score.toFixed(2)})`)
+      .join(", ")}`,
+  );
+  await speakMessage(`Did you mean ${titles.join(" or ")}?`);
+  return { handled: true };
+}
+
+// Answers to "Did you mean X or Y?" ("the second one" is read as "second")
+const FIRST_CHOICE = ["yes", "yeah", "yep", "first", "one", "1"];
+const SECOND_CHOICE = ["second", "two", "2", "other", "last"];
+const NO_CHOICE = ["no", "neither", "cancel", "never mind", "nevermind"];
+
+// A destructive external command waiting for a spoken "yes"
+const CONFIRM_ANSWERS = ["yes", "yeah", "yep", "confirm", "do it", "go ahead"];
+let pendingConfirmation = null;
+
+async function tryAnswerPendingConfirmation(cleanedTranscript, outputChannel) {
+  const pending = pendingConfirmation;
+  pendingConfirmation = null;
+  if (!pending || Date.now() > pending.expiresAt) return null;
+
+  const answer = cleanedTranscript
+    .replace(/[^a-z0-9\s]/g, "")
+    .replace(/\b(please)\b/g, "")
+    .trim();
+  if (CONFIRM_ANSWERS.includes(answer)) {
+    // "Repeat that" asks for confirmation again
+    currentMatch.repeatAs = pending.transcript;
+    return runExternalCommand(pending.command, outputChannel);
+  }
+  if (NO_CHOICE.includes(answer)) {
+    await speakMessage(`Cancelled ${pending.command.title}.`);
+    return { handled: true };
+  }
+  // Anything else is a new request; the confirmation lapses
+  return null;
+}
+
+async function tryAnswerPendingChoice(cleanedTranscript, outputChannel) {
+  const choice = pendingChoice;
+  pendingChoice = null;
+  if (!choice || Date.now() > choice.expiresAt) return null;
+
+  const answer = cleanedTranscript
+    .replace(/[^a-z0-9\s]/g, "")
+    .replace(/\b(the|please)\b/g, "")
+    .trim()
+    .replace(/(\S)\s+one$/, "$1");
+  if (NO_CHOICE.includes(answer)) {
+    await speakMessage("Okay, never mind.");
+    return { handled: true };
+  }
+
+  let chosen = null;
+  if (FIRST_CHOICE.includes(answer)) {
+    chosen = choice.options[0];
+  } else if (SECOND_CHOICE.includes(answer) && choice.options[1]) {
+    chosen = choice.options[1];
+  } else {
+    // "the read one": match the reply against the offered commands only
+    const { match } = matchIntent(
+      cleanedTranscript,
+      choice.options.map((command) => ({
+        ...command,
+        keywords: [command.title || command.id, ...(command.keywords || [])],
+      })),
+    );
+    chosen = match ? match.command : null;
+  }
+  if (!chosen) return null;
+
+  // "Repeat that" says the chosen command's own phrase, not "the second one"
+  currentMatch.repeatAs =
+    (chosen.keywords && chosen.keywords[0]) || chosen.title;
+  return executeInternalCommand(chosen, outputChannel);
+}
+
+async function tryExecuteInternalCommand(cleanedTranscript, outputChannel) {
+  const commands = loadVoiceCommandsAndMacros();
+
+  const answered = await tryAnswerPendingChoice(
+    cleanedTranscript,
+    outputChannel,
+  );
+  if (answered) {
+    return answered;
+  }
+
+  // "go to line 42": patterns with slots are more specific than keywords
+  const slotMatch = matchSlotCommand(cleanedTranscript, commands);
+  if (slotMatch) {
+    const resolved = await resolveSlots(slotMatch.command, slotMatch.values);
+    currentMatch.confidence = 1;
+    if (resolved.error) {
+      outputChannel.appendLine(
+        `[Voice Command] ${slotMatch.command.id}: ${resolved.error}`,
+      );
+      await speakMessage(resolved.error);
       return { handled: true };
     }
+    return executeInternalCommand(
+      slotMatch.command,
+      outputChannel,
+      resolved.args,
+    );
+  }
 
-    await vscode.commands.executeCommand(command.id);
-    outputChannel.appendLine(`[Voice Command] Matched: ${command.id}`);
-    return { handled: true, command: command.id };
+  const { match, alternatives } = matchIntent(cleanedTranscript, commands);
+  if (match) {
+    currentMatch.confidence = match.score;
+    return executeInternalCommand(match.command, outputChannel);
+  }
+  if (alternatives.length > 0) {
+    return askToDisambiguate(alternatives, outputChannel);
   }
 
   return null;
 }
 
+/** The steps one part of a chain asks for, or null if it is not a command. */
+async function resolveChainPart(part, commands) {
+  const slotMatch = matchSlotCommand(part, commands);
+  if (slotMatch) {
+    const resolved = await resolveSlots(slotMatch.command, slotMatch.values);
+    return resolved.error
+      ? null
+      : [normalizeStep({ command: slotMatch.command.id, args: resolved.args })];
+  }
+
+  const { match } = matchIntent(part, commands);
+  if (match) {
+    return (
+      match.command.steps || [normalizeStep({ command: match.command.id })]
+    );
+  }
+
+  // Destructive commands always get their own spoken confirmation
+  const externalCommand = matchExternalCommand(part);
+  return externalCommand && externalCommand.risk !== "destructive"
+    ? [normalizeStep({ command: externalCommand.id })]
+    : null;
+}
+
+/** "save, run and read errors": every part must be a command, else null. */
+async function tryExecuteCommandChain(cleanedTranscript, outputChannel) {
+  const parts = splitCommandChain(cleanedTranscript);
+  if (parts.length < 2) {
+    return null;
+  }
+
+  const commands = loadVoiceCommandsAndMacros();
+  const steps = [];
+  for (const part of parts) {
+    const partSteps = await resolveChainPart(part, commands);
+    if (!partSteps) {
+      return null;
+    }
+    steps.push(...partSteps);
+  }
+
+  outputChannel.appendLine(
+    `[Voice Command] Chain: ${steps.map((step) => step.command).join(" -> ")}`,
+  );
+  Object.assign(currentMatch, {
+    command: steps.map((step) => step.command).join(","),
+    title: "Command chain",
+  });
+  const completed = await runVoiceSteps(
+    "That command chain",
+    steps,
+    outputChannel,
+  );
+  return completed
+    ? { handled: true, command: steps.map((step) => step.command).join(",") }
+    : { handled: true };
+}
+
 async function tryExecuteExternalCommand(cleanedTranscript, outputChannel) {
   const externalCommand = matchExternalCommand(cleanedTranscript);
   if (!externalCommand) {
     return null;
   }
+  Object.assign(currentMatch, {
+    command: externalCommand.id,
+    title: externalCommand.title,
+  });
 
-  const currentMode = getMode();
-  if (
-    currentMode === "student" &&
-    STUDENT_LOCKED_COMMANDS.has(externalCommand.id)
-  ) {
-    await speakMessage("That command is disabled in student mode.");
+  const decision = checkCommand(externalCommand.id);
+  if (!decision.allowed) {
+    recordBlockedCommand(externalCommand.id, decision, "voice");
+    await speakMessage(lockedMessage(decision));
     return { handled: true };
   }
 
-  await vscode.commands.executeCommand(externalCommand.id);
+  if (externalCommand.risk === "destructive") {
+    pendingConfirmation = {
+      command: externalCommand,
+      transcript: cleanedTranscript,
+      expiresAt: Date.now() + CHOICE_TIMEOUT_MS,
+    };
+    outputChannel.appendLine(
+      `[Voice Command] Waiting for confirmation: ${externalCommand.id}`,
+    );
+    await speakMessage(
+      `${externalCommand.title} may close or discard work. Say yes to go ahead.`,
+    );
+    return { handled: true };
+  }
+
+  return runExternalCommand(externalCommand, outputChannel);
+}
+
+async function runExternalCommand(externalCommand, outputChannel) {
+  Object.assign(currentMatch, {
+    command: externalCommand.id,
+    title: externalCommand.title,
+  });
+  await countCommandUse(externalCommand.id, () =>
+    vscode.commands.executeCommand(externalCommand.id),
+  );
   vscode.window.showInformationMessage(`✅ External: ${externalCommand.title}`);
   outputChannel.appendLine(
     `[Voice Command] External Matched: ${externalCommand.id}`,
@@ -160,6 +483,14 @@ async function tryGenerateCode(transcript, outputChannel) {
     return { handled: false };
   }
 
+  // Generating code is the voiceCode command's work, however it is reached
+  const decision = checkCommand("echocode.voiceCode");
+  if (!decision.allowed) {
+    recordBlockedCommand("echocode.voiceCode", decision, "voice");
+    await speakMessage(lockedMessage(decision));
+    return { handled: true };
+  }
+
   try {
     const editorContext = getEditorContext(editor);
 
@@ -170,11 +501,16 @@ async function tryGenerateCode(transcript, outputChannel) {
       `[Voice Generation] Detected Language: ${editorContext.friendlyLanguage} (ID: ${editor.document.languageId})`,
     );
 
-    const generatedCode = await generateCodeFromVoice(
-      transcript,
-      editorContext.friendlyLanguage,
-      editorContext.currentIndentation,
-      editorContext.contextCode,
+    const generatedCode = await countCommandUse("echocode.voiceCode", () =>
+      withAiProgress("code generation", (token) =>
+        generateCodeFromVoice(
+          transcript,
+          editorContext.friendlyLanguage,
+          editorContext.currentIndentation,
+          editorContext.contextCode,
+          token,
+        ),
+      ),
     );
 
     if (!generatedCode) {
@@ -184,14 +520,37 @@ async function tryGenerateCode(transcript, outputChannel) {
     await editor.edit((editBuilder) => {
       editBuilder.insert(editorContext.position, generatedCode);
     });
+    recordVoiceEdit(
+      editor.document,
+      editorContext.position,
+      generatedCode,
+      transcript,
+    );
+    recordActivity({
+      event: "codeInserted",
+      source: "voiceGeneration",
+      transcript,
+      file: editor.document.fileName,
+      line: editorContext.position.line + 1,
+      code: generatedCode,
+    });
     outputChannel.appendLine(
       `[Voice Generation] Inserted code for: ${transcript}`,
     );
     outputChannel.appendLine(`[Voice Generation Output]:\n${generatedCode}`);
-    await speakMessage(`Here is the code I generated: ${generatedCode}`);
+    const spokenCode = pronounce(generatedCode, {
+      code: true,
+      languageId: editor.document.languageId,
+    });
+    await speakMessage(`Here is the code I generated: ${spokenCode}`);
 
     return { handled: true, command: "generateCode" };
   } catch (error) {
+    // Cancelled or timed out: already announced, nothing to insert
+    if (isAiCancellation(error)) {
+      outputChannel.appendLine(`[Voice Generation] ${error.message}`);
+      return { handled: true, command: "generateCode" };
+    }
     outputChannel.appendLine(`[Voice Generation Error] ${error.message}`);
     vscode.window.showErrorMessage(
       `EchoCode Generation Fail: ${error.message}`,
@@ -200,7 +559,31 @@ async function tryGenerateCode(transcript, outputChannel) {
   }
 }
 
-async function tryExecuteVoiceCommand(transcript, outputChannel) {
+// "type <dictation>" types literally at the cursor, even in student mode
+async function tryDictation(transcript, outputChannel) {
+  const keywords = loadVoiceCommandsAndMacros().flatMap((c) =>
+    (c.keywords || []).map((k) => k.toLowerCase()),
+  );
+  const spoken = matchDictationPrefix(transcript, keywords);
+  const editor = vscode.window.activeTextEditor;
+  if (spoken === null || !editor) {
+    return null;
+  }
+  Object.assign(currentMatch, {
+    command: "echocode.voiceDictate",
+    title: "Dictation",
+  });
+  const typed = await dictateAtCursor(editor, spoken);
+  outputChannel.appendLine(
+    `[Voice Dictation] ${typed ? `Typed: ${typed}` : `Nothing to type for: ${spoken}`}`,
+  );
+  return {
+    handled: true,
+    command: typed ? "echocode.voiceDictate" : undefined,
+  };
+}
+
+async function routeVoiceCommand(transcript, outputChannel) {
   try {
     const cleanedTranscript = transcript.toLowerCase().trim();
     if (
@@ -210,9 +593,31 @@ async function tryExecuteVoiceCommand(transcript, outputChannel) {
       outputChannel.appendLine(
         `[Voice Intent] Ignored empty/error input: "${transcript}"`,
       );
+      currentMatch.ignored = true;
       return { handled: true };
     }
 
+    const confirmed = await tryAnswerPendingConfirmation(
+      cleanedTranscript,
+      outputChannel,
+    );
+    if (confirmed) {
+      return confirmed;
+    }
+
+    const dictated = await tryDictation(transcript, outputChannel);
+    if (dictated) {
+      return dictated;
+    }
+
+    const chainResult = await tryExecuteCommandChain(
+      cleanedTranscript,
+      outputChannel,
+    );
+    if (chainResult) {
+      return chainResult;
+    }
+
     const internalResult = await tryExecuteInternalCommand(
       cleanedTranscript,
       outputChannel,
@@ -246,10 +651,55 @@ async function tryExecuteVoiceCommand(transcript, outputChannel) {
     vscode.window.showErrorMessage(
       `EchoCode Voice Command Error: ${error.message}`,
     );
+    currentMatch.error = error.message;
     return { handled: false };
   }
 }
 
+/**
+ * Route a transcript to a command, chain, macro, code generation or chat,
+ * and record what happened in the voice history.
+ * @returns {Promise<{handled: boolean, command?: string}>}
+ */
+async function tryExecuteVoiceCommand(transcript, outputChannel) {
+  const previousMatch = currentMatch;
+  currentMatch = {};
+  const match = currentMatch;
+  try {
+    const result = await routeVoiceCommand(transcript, outputChannel);
+    if (!match.ignored) {
+      const generated = result.command === "generateCode";
+      const status = match.error
+        ? "error"
+        : result.command
+          ? "executed"
+          : result.handled
+            ? "notExecuted"
+            : "unmatched";
+      recordVoiceEvent({
+        transcript,
+        command: result.command || match.command,
+        title: generated ? "Code generation" : match.title,
+        args: match.args,
+        confidence: match.confidence,
+        repeatAs: match.repeatAs,
+        status,
+        error: match.error,
+      });
+      recordActivity({
+        event: "voiceCommand",
+        transcript,
+        command: result.command || match.command,
+        status,
+      });
+    }
+    return result;
+  } finally {
+    // "repeat that" routes a transcript while another is being routed
+    currentMatch = previousMatch;
+  }
+}
+
 module.exports = {
   getFriendlyLanguageName,
   tryExecuteVoiceCommand,
@@ -0,0 +1,224 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const {
+  speakMessage,
+} = require("../../Core/program_settings/speech_settings/speechHandler");
+
+/**
+ * History of spoken commands: what was said, what it matched, how sure the
+ * matcher was and what happened. Kept in globalState so it can be exported
+ * for usability studies, and used by "repeat that", "undo that code" and
+ * "what was the last command".
+ */
+
+const HISTORY_KEY = "echocode.voiceHistory";
+const MAX_ENTRIES = 500;
+
+// Commands about the history itself are never the "last command"
+const HISTORY_COMMANDS = new Set([
+  "echocode.repeatLastVoiceCommand",
+  "echocode.undoLastVoiceEdit",
+  "echocode.sayLastVoiceCommand",
+  "echocode.exportVoiceHistory",
+]);
+
+/** @type {{timestamp: string, transcript: string, command: string|null, title: string|null, args: any[], confidence: number|null, status: string, error?: string}[]} */
+let entries = [];
+let historyState = null;
+// The last code inserted by voice: { uri, offset, text, transcript }
+let lastVoiceEdit = null;
+
+function initVoiceHistory(context) {
+  historyState = context.globalState;
+  const saved = historyState.get(HISTORY_KEY, []);
+  entries = Array.isArray(saved) ? saved : [];
+}
+
+// Uris and other objects become plain JSON
+function serializeArg(arg) {
+  if (arg && typeof arg === "object" && arg.fsPath) return arg.fsPath;
+  return arg;
+}
+
+/**
+ * Record one spoken command.
+ * @param {{transcript: string, command?: string|null, title?: string|null, args?: any[], confidence?: number|null, status: "executed"|"notExecuted"|"unmatched"|"error", error?: string, repeatAs?: string}} event
+ *   status "notExecuted" means EchoCode answered without running anything
+ *   (asked a question, refused a locked command); repeatAs is what to say
+ *   to run it again when the transcript was only an answer ("yes")
+ */
+function recordVoiceEvent(event) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    transcript: event.transcript,
+    command: event.command || null,
+    title: event.title || null,
+    args: (event.args || []).map(serializeArg),
+    confidence:
+      typeof event.confidence === "number"
+        ? Math.round(event.confidence * 100) / 100
+        : null,
+    status: event.status,
+  };
+  if (event.error) entry.error = event.error;
+  if (event.repeatAs) entry.repeatAs = event.repeatAs;
+
+  entries.push(entry);
+  if (entries.length > MAX_ENTRIES) entries = entries.slice(-MAX_ENTRIES);
+  if (historyState) {
+    Promise.resolve(historyState.update(HISTORY_KEY, entries)).catch(() => {});
+  }
+  return entry;
+}
+
+/**
+ * Remember code that voice inserted so "undo that code" can remove it.
+ * Call after the edit has been applied.
+ */
+function recordVoiceEdit(document, position, text, transcript) {
+  // The editor converts line endings to the document's on insert
+  const inserted = document.eol === 2 ? text.replace(/\r?\n/g, "\r\n") : text;
+  lastVoiceEdit = {
+    uri: document.uri,
+    offset: document.offsetAt(position),
+    text: inserted,
+    transcript,
+  };
+}
+
+function getVoiceHistory() {
+  return entries.slice();
+}
+
+function clearVoiceHistory() {
+  entries = [];
+  lastVoiceEdit = null;
+  if (historyState) {
+    Promise.resolve(historyState.update(HISTORY_KEY, entries)).catch(() => {});
+  }
+}
+
+/** The last command that ran, ignoring the history commands themselves. */
+function getLastCommandEntry() {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    if (entry.command && !HISTORY_COMMANDS.has(entry.command)) return entry;
+  }
+  return null;
+}
+
+function describeEntry(entry) {
+  const name = entry.title || entry.command;
+  const sure =
+    entry.confidence === null
+      ? ""
+      : ` I was ${Math.round(entry.confidence * 100)} percent sure.`;
+  const outcome = {
+    executed: "It ran.",
+    notExecuted: "It did not run.",
+    error: `It failed: ${entry.error || "unknown error"}.`,
+  }[entry.status];
+  return `The last command was ${name}, from "${entry.transcript}".${sure} ${outcome || ""}`.trim();
+}
+
+async function sayLastVoiceCommand() {
+  const entry = getLastCommandEntry();
+  await speakMessage(
+    entry ? describeEntry(entry) : "No voice command has run yet.",
+  );
+}
+
+/**
+ * Run the last voice command again by sending its transcript back through
+ * the voice router, so locks and confirmations apply as before.
+ * @param {(transcript: string) => Promise<any>} runTranscript
+ */
+async function repeatLastVoiceCommand(runTranscript) {
+  const entry = getLastCommandEntry();
+  if (!entry) {
+    await speakMessage("There is no voice command to repeat.");
+    return;
+  }
+  await runTranscript(entry.repeatAs || entry.transcript);
+}
+
+async function undoLastVoiceEdit() {
+  const edit = lastVoiceEdit;
+  if (!edit) {
+    await speakMessage("There is no voice edit to undo.");
+    return false;
+  }
+
+  const document = await vscode.workspace.openTextDocument(edit.uri);
+  const start = document.positionAt(edit.offset);
+  const end = document.positionAt(edit.offset + edit.text.length);
+  const range = new vscode.Range(start, end);
+
+  // Only remove the code if it is still exactly what voice inserted
+  if (document.getText(range) !== edit.text) {
+    await speakMessage(
+      "That code has changed since it was inserted, so I left it alone.",
+    );
+    return false;
+  }
+
+  const editor = await vscode.window.showTextDocument(document);
+  await editor.edit((editBuilder) => editBuilder.delete(range));
+  lastVoiceEdit = null;
+  await speakMessage(`Removed the code for "${edit.transcript}".`);
+  return true;
+}
+
+async function exportVoiceHistory() {
+  const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+  const target = await vscode.window.showSaveDialog({
+    defaultUri: folder
+      ? vscode.Uri.joinPath(folder, "echocode-voice-history.json")
+      : undefined,
+    filters: { JSON: ["json"] },
+  });
+  if (!target) return;
+
+  const data = { exportedAt: new Date().toISOString(), entries };
+  await fs.promises.writeFile(target.fsPath, JSON.stringify(data, null, 2));
+  const message = `Exported ${entries.length} voice commands.`;
+  vscode.window.showInformationMessage(message);
+  await speakMessage(message);
+}
+
+/**
+ * @param {(transcript: string) => Promise<any>} runTranscript sends a
+ *   transcript through the voice router (used by repeat)
+ */
+function registerVoiceHistoryCommands(context, runTranscript) {
+  initVoiceHistory(context);
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("echocode.repeatLastVoiceCommand", () =>
+      repeatLastVoiceCommand(runTranscript),
+    ),
+    vscode.commands.registerCommand(
+      "echocode.undoLastVoiceEdit",
+      undoLastVoiceEdit,
+    ),
+    vscode.commands.registerCommand(
+      "echocode.sayLastVoiceCommand",
+      sayLastVoiceCommand,
+    ),
+    vscode.commands.registerCommand(
+      "echocode.exportVoiceHistory",
+      exportVoiceHistory,
+    ),
+  );
+}
+
+module.exports = {
+  recordVoiceEvent,
+  recordVoiceEdit,
+  getVoiceHistory,
+  clearVoiceHistory,
+  describeEntry,
+  repeatLastVoiceCommand,
+  undoLastVoiceEdit,
+  registerVoiceHistoryCommands,
+};
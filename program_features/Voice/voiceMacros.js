@@ -0,0 +1,119 @@
+const vscode = require("vscode");
+
+/**
+ * Voice macros: one phrase runs an ordered list of commands.
+ *
+ * Built-in macros are the voice_commands.json entries that have "steps";
+ * users add their own under the echocode.voiceMacros setting (user or
+ * workspace, the workspace version wins for the same name):
+ *   {
+ *     "name": "check my work",
+ *     "phrases": ["check my work", "review my code"],
+ *     "steps": [
+ *       "echocode.rescanUserCode",
+ *       { "command": "code-tutor.analyzeBigO", "say": "Big O done." },
+ *       { "command": "echocode.readAllAnnotations", "delayMs": 500 }
+ *     ]
+ *   }
+ * A step is a command id or { command, args, wait, delayMs, say }:
+ * `wait: false` moves on without waiting for the command to finish,
+ * `delayMs` pauses afterwards and `say` is spoken once the step is done.
+ */
+
+/**
+ * @param {string|{command: string, args?: any[], wait?: boolean, delayMs?: number, say?: string}} step
+ * @returns {{command: string, args: any[], wait: boolean, delayMs: number, say: string}|null}
+ */
+function normalizeStep(step) {
+  if (typeof step === "string") step = { command: step };
+  if (!step || typeof step.command !== "string" || !step.command.trim()) {
+    return null;
+  }
+  return {
+    command: step.command.trim(),
+    args: Array.isArray(step.args) ? step.args : [],
+    wait: step.wait !== false,
+    delayMs: Math.max(0, Number(step.delayMs) || 0),
+    say: typeof step.say === "string" ? step.say : "",
+  };
+}
+
+/**
+ * A macro as a voice command entry the intent matcher understands.
+ * @returns {{id: string, title: string, keywords: string[], steps: object[]}|null}
+ */
+function toMacroCommand(macro) {
+  if (!macro || typeof macro.name !== "string" || !macro.name.trim()) {
+    return null;
+  }
+  const steps = (Array.isArray(macro.steps) ? macro.steps : [])
+    .map(normalizeStep)
+    .filter(Boolean);
+  if (steps.length === 0) return null;
+
+  const name = macro.name.trim();
+  const phrases = Array.isArray(macro.phrases) ? macro.phrases : [];
+  return {
+    id: `macro:${name}`,
+    title: name,
+    keywords: phrases.length ? phrases : [name],
+    steps,
+  };
+}
+
+/** Macros from user and workspace settings, workspace first for the same name. */
+function getUserMacros() {
+  const config = vscode.workspace.getConfiguration("echocode");
+  const inspected =
+    typeof config.inspect === "function"
+      ? config.inspect("voiceMacros")
+      : undefined;
+  const layers = inspected
+    ? [
+        inspected.workspaceFolderValue,
+        inspected.workspaceValue,
+        inspected.globalValue,
+      ]
+    : [config.get("voiceMacros", [])];
+
+  const byName = new Map();
+  for (const layer of layers) {
+    for (const macro of Array.isArray(layer) ? layer : []) {
+      const command = toMacroCommand(macro);
+      if (command && !byName.has(command.title.toLowerCase())) {
+        byName.set(command.title.toLowerCase(), command);
+      }
+    }
+  }
+  return [...byName.values()];
+}
+
+/**
+ * Built-in macros in voice_commands.json are normalized the same way.
+ * @param {object[]} commands entries from voice_commands.json
+ */
+function withMacroSteps(commands) {
+  return commands.map((command) =>
+    Array.isArray(command.steps)
+      ? { ...command, steps: command.steps.map(normalizeStep).filter(Boolean) }
+      : command,
+  );
+}
+
+/**
+ * "save, run and then read errors" -> ["save", "run", "read errors"]
+ * @returns {string[]} a single entry when the transcript is not a chain
+ */
+function splitCommandChain(transcript) {
+  return String(transcript || "")
+    .split(/\s*(?:[,;]|\band then\b|\bthen\b|\band\b)\s*/)
+    .map((part) => part.replace(/[.!?]+$/, "").trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  normalizeStep,
+  getUserMacros,
+  withMacroSteps,
+  splitCommandChain,
+};
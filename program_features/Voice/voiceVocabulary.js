@@ -0,0 +1,332 @@
+const vscode = require("vscode");
+
+/**
+ * Programming vocabulary for speech recognition. Whisper is given an
+ * initial prompt listing the language's keywords and the identifiers in the
+ * active file, which biases it towards "def" over "death" and towards the
+ * student's own names. What it still mishears is fixed afterwards by a
+ * replacement dictionary: built-in entries per language plus the user's
+ * echocode.voice.replacements.
+ */
+
+const LANGUAGE_KEYWORDS = {
+  python: [
+    "def",
+    "elif",
+    "else",
+    "lambda",
+    "return",
+    "yield",
+    "import",
+    "from",
+    "class",
+    "self",
+    "None",
+    "True",
+    "False",
+    "try",
+    "except",
+    "finally",
+    "with",
+    "async",
+    "await",
+    "print",
+    "range",
+    "len",
+    "dict",
+    "list",
+    "tuple",
+    "str",
+    "int",
+    "__init__",
+  ],
+  javascript: [
+    "function",
+    "const",
+    "let",
+    "var",
+    "async",
+    "await",
+    "return",
+    "class",
+    "extends",
+    "constructor",
+    "this",
+    "null",
+    "undefined",
+    "typeof",
+    "console.log",
+    "require",
+    "module.exports",
+    "JSON",
+    "=>",
+  ],
+  typescript: [
+    "function",
+    "const",
+    "let",
+    "interface",
+    "type",
+    "enum",
+    "async",
+    "await",
+    "return",
+    "class",
+    "implements",
+    "extends",
+    "readonly",
+    "private",
+    "public",
+    "null",
+    "undefined",
+    "string",
+    "number",
+    "boolean",
+  ],
+  java: [
+    "public",
+    "private",
+    "protected",
+    "static",
+    "void",
+    "class",
+    "interface",
+    "extends",
+    "implements",
+    "new",
+    "return",
+    "String",
+    "int",
+    "boolean",
+    "ArrayList",
+    "System.out.println",
+    "null",
+    "this",
+  ],
+  cpp: [
+    "int",
+    "void",
+    "char",
+    "bool",
+    "auto",
+    "const",
+    "std",
+    "cout",
+    "cin",
+    "endl",
+    "vector",
+    "string",
+    "include",
+    "namespace",
+    "nullptr",
+    "struct",
+    "class",
+    "public",
+    "private",
+    "return",
+    "#include",
+  ],
+  c: [
+    "int",
+    "void",
+    "char",
+    "struct",
+    "const",
+    "printf",
+    "scanf",
+    "malloc",
+    "free",
+    "NULL",
+    "return",
+    "#include",
+    "sizeof",
+  ],
+};
+
+// Mishearings seen in class; keys are matched as whole words, any case
+const DEFAULT_REPLACEMENTS = {
+  "*": {
+    jason: "JSON",
+  },
+  python: {
+    death: "def",
+    deaf: "def",
+    "el if": "elif",
+    "l if": "elif",
+    elf: "elif",
+    "dunder init": "__init__",
+  },
+  javascript: {
+    "a sink": "async",
+    "a weight": "await",
+    "console dot log": "console.log",
+  },
+  typescript: {
+    "a sink": "async",
+    "a weight": "await",
+    "console dot log": "console.log",
+  },
+  cpp: {
+    "see out": "cout",
+    "and l": "endl",
+  },
+};
+
+// Whisper reads at most 224 prompt tokens; stay well under
+const MAX_PROMPT_CHARS = 600;
+const MAX_IDENTIFIERS = 60;
+
+function getVocabularySettings() {
+  const config = vscode.workspace.getConfiguration("echocode");
+  const replacements = config.get("voice.replacements", {});
+  const extra = config.get("voice.vocabulary", []);
+  return {
+    enabled: config.get("voice.vocabularyBiasing", true) !== false,
+    replacements:
+      replacements && typeof replacements === "object" ? replacements : {},
+    extra: Array.isArray(extra)
+      ? extra.filter((word) => typeof word === "string")
+      : [],
+  };
+}
+
+/**
+ * Names of the symbols in a document (functions, classes, variables ...),
+ * nested ones included, from the language's document symbol provider.
+ */
+async function collectIdentifiers(document) {
+  let symbols;
+  try {
+    symbols = await vscode.commands.executeCommand(
+      "vscode.executeDocumentSymbolProvider",
+      document.uri,
+    );
+  } catch {
+    return [];
+  }
+  const names = new Set();
+  const visit = (list) => {
+    for (const symbol of list || []) {
+      // "add(a, b)" in some providers; keep the identifier
+      const name = String(symbol.name || "").match(/^[\w$.]+/);
+      if (name) names.add(name[0]);
+      visit(symbol.children);
+    }
+  };
+  visit(symbols);
+  return [...names].slice(0, MAX_IDENTIFIERS);
+}
+
+/**
+ * The initial prompt for Whisper: keywords first, then identifiers, cut to
+ * MAX_PROMPT_CHARS.
+ */
+function buildInitialPrompt(languageId, identifiers = [], extra = []) {
+  const keywords = LANGUAGE_KEYWORDS[languageId] || [];
+  const words = [...new Set([...extra, ...keywords, ...identifiers])];
+  if (words.length === 0) return "";
+
+  let prompt = `${languageId ? `${languageId} code` : "Code"}:`;
+  for (const word of words) {
+    const next = `${prompt} ${word},`;
+    if (next.length > MAX_PROMPT_CHARS) break;
+    prompt = next;
+  }
+  return prompt.replace(/,$/, ".");
+}
+
+let cachedPrompt = { key: null, prompt: "" };
+
+/** Prompt for the active editor, rebuilt when the document changes. */
+async function getInitialPrompt() {
+  const settings = getVocabularySettings();
+  if (!settings.enabled) return "";
+  const document = vscode.window.activeTextEditor?.document;
+  if (!document) return buildInitialPrompt("", [], settings.extra);
+
+  const key = `${document.uri.toString()}@${document.version}@${settings.extra.join(",")}`;
+  if (cachedPrompt.key !== key) {
+    const identifiers = await collectIdentifiers(document);
+    cachedPrompt = {
+      key,
+      prompt: buildInitialPrompt(
+        document.languageId,
+        identifiers,
+        settings.extra,
+      ),
+    };
+  }
+  return cachedPrompt.prompt;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Built-in entries for the language, overridden by the user's. */
+function getReplacements(languageId, userReplacements = {}) {
+  return {
+    ...DEFAULT_REPLACEMENTS["*"],
+    ...(DEFAULT_REPLACEMENTS[languageId] || {}),
+    ...userReplacements,
+  };
+}
+
+/**
+ * Apply the replacement dictionary to a transcript. Longer phrases win over
+ * the words inside them; an empty replacement turns a built-in entry off.
+ */
+function applyReplacements(transcript, replacements) {
+  const phrases = Object.keys(replacements)
+    .filter((phrase) => phrase.trim() && replacements[phrase] !== "")
+    .sort((a, b) => b.length - a.length);
+  if (phrases.length === 0) return transcript;
+
+  const pattern = new RegExp(
+    `(?<![\\w'])(${phrases.map((p) => escapeRegExp(p.trim()).replace(/\s+/g, "\\s+")).join("|")})(?![\\w'])`,
+    "gi",
+  );
+  const lookup = new Map(
+    Object.entries(replacements).map(([phrase, value]) => [
+      phrase.trim().toLowerCase().replace(/\s+/g, " "),
+      value,
+    ]),
+  );
+  return transcript.replace(pattern, (match) => {
+    const value = lookup.get(match.toLowerCase().replace(/\s+/g, " "));
+    return typeof value === "string" ? value : match;
+  });
+}
+
+/** Replacements for the active editor's language applied to a transcript. */
+function correctTranscript(transcript) {
+  if (!transcript) return transcript;
+  const settings = getVocabularySettings();
+  const languageId = vscode.window.activeTextEditor?.document?.languageId;
+  return applyReplacements(
+    transcript,
+    getReplacements(languageId, settings.replacements),
+  );
+}
+
+function registerVoiceVocabularyCommands(context) {
+  context.subscriptions.push(
+    vscode.commands.registerCommand("echocode.editVoiceDictionary", () =>
+      vscode.commands.executeCommand(
+        "workbench.action.openSettings",
+        "echocode.voice.replacements",
+      ),
+    ),
+  );
+}
+
+module.exports = {
+  LANGUAGE_KEYWORDS,
+  collectIdentifiers,
+  buildInitialPrompt,
+  getInitialPrompt,
+  getReplacements,
+  applyReplacements,
+  correctTranscript,
+  registerVoiceVocabularyCommands,
+};
@@ -5,6 +5,14 @@ const { spawn, exec } = require("child_process");
 const ffmpeg = require("fluent-ffmpeg");
 const ffmpegPath = require("ffmpeg-static");
 const vscode = require("vscode");
+const {
+  playEarcon,
+} = require("../../Core/program_settings/speech_settings/earcons");
+const { pcmToWav } = require("./voiceActivity");
+const { PartialTranscriber, describeLatency } = require("./partialTranscriber");
+const { getActiveWorker } = require("./whisperWorker");
+const { getActiveWhisperArgs } = require("./speechModels");
+const { getInitialPrompt, correctTranscript } = require("./voiceVocabulary");
 
 // Platform checks
 const isWin = process.platform === "win32";
@@ -14,6 +22,20 @@ ffmpeg.setFfmpegPath(ffmpegPath);
 
 let current = null;
 
+// Whisper expects 16 kHz mono audio
+const MONO_16K = ["-ac", "1", "-ar", "16000"];
+
+// Linux has no device list: the PulseAudio/PipeWire default source, then
+// ALSA's default device for machines without a sound server
+const LINUX_INPUTS = [
+  ["-f", "pulse", "-i", "default"],
+  ["-f", "alsa", "-i", "default"],
+];
+let linuxInput = LINUX_INPUTS[0];
+
+// ffmpeg must keep running this long for the microphone to count as open
+const MIC_START_MS = 500;
+
 function makeTmpWav() {
   return path.join(os.tmpdir(), `echocode-${Date.now()}.wav`);
 }
@@ -165,19 +187,12 @@ async function selectMicrophone(context) {
 }
 
 /**
- * Start recording mic audio.
+ * ffmpeg input arguments for the configured microphone, or null if there is
+ * no usable microphone. Output is always 16 kHz mono.
  */
-async function startRecording(outputChannel, context) {
-  if (current && !current.stopped) {
-    outputChannel.appendLine("⚠️ Recording already in progress.");
-    return false;
-  }
-
-  const tmpWav = makeTmpWav();
+async function getMicrophoneInputArgs(context, outputChannel) {
   const micName = await getMicrophoneName(context, outputChannel);
 
-  let ffmpegArgs = [];
-
   // --- Windows Configuration ---
   if (isWin) {
     if (micName === "default") {
@@ -185,25 +200,13 @@ async function startRecording(outputChannel, context) {
       vscode.window.showErrorMessage(
         "EchoCode: No microphone found. Please check your audio settings."
       );
-      return false;
-    } else {
-      outputChannel.appendLine(`[Voice] Using Microphone: "${micName}"`);
-      ffmpegArgs = [
-        "-f",
-        "dshow",
-        "-i",
-        `audio=${micName}`,
-        "-ac",
-        "1",
-        "-ar",
-        "16000",
-        "-y",
-        tmpWav,
-      ];
+      return null;
     }
+    outputChannel.appendLine(`[Voice] Using Microphone: "${micName}"`);
+    return ["-f", "dshow", "-i", `audio=${micName}`, ...MONO_16K];
   }
   // --- macOS Configuration ---
-  else if (isMac) {
+  if (isMac) {
     // On Mac, ":0" is usually the default selected input device in System Settings
     // If micName is "default", use ":0".
     let devInput = ":0";
@@ -211,20 +214,116 @@ async function startRecording(outputChannel, context) {
       devInput = micName;
     }
     outputChannel.appendLine(`[Voice] Using AVFoundation input: "${devInput}"`);
-    ffmpegArgs = [
-      "-f",
-      "avfoundation",
-      "-i",
-      devInput,
-      "-ac",
-      "1",
-      "-ar",
-      "16000",
-      "-y",
-      tmpWav,
-    ];
+    return ["-f", "avfoundation", "-i", devInput, ...MONO_16K];
+  }
+  // --- Linux Configuration ---
+  outputChannel.appendLine(`[Voice] Using input: ${linuxInput.join(" ")}`);
+  return [...linuxInput, ...MONO_16K];
+}
+
+/**
+ * Spawn ffmpeg and give it MIC_START_MS to open the microphone. Resolves
+ * null if it exits by then (no such device, no sound server).
+ */
+function spawnMicrophone(args, outputChannel) {
+  return new Promise((resolve) => {
+    const mic = spawn(ffmpegPath, args, { stdio: ["pipe", "pipe", "pipe"] });
+    let stderr = "";
+    let settled = false;
+    const collect = (d) => (stderr += d.toString());
+    const failed = (reason) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      outputChannel.appendLine(
+        `[ffmpeg] Microphone did not open (${reason}): ${stderr.trim()}`
+      );
+      resolve(null);
+    };
+    const onClose = (code) => failed(`exit code ${code}`);
+    const onError = (err) => failed(err.message);
+
+    const timer = setTimeout(() => {
+      settled = true;
+      mic.removeListener("close", onClose);
+      mic.removeListener("error", onError);
+      mic.stderr.removeListener("data", collect);
+      resolve(mic);
+    }, MIC_START_MS);
+    mic.stderr.on("data", collect);
+    mic.on("close", onClose);
+    mic.on("error", onError);
+  });
+}
+
+function getPythonPath(globalState) {
+  return (globalState && globalState.get("echoCodePythonPath")) || "python";
+}
+
+/**
+ * Transcribe chunks of the recording while it is still going, so long
+ * dictations show text before the user stops (echocode.voice.*).
+ */
+function createPartialTranscriber(context, outputChannel, onTranscript) {
+  const config = vscode.workspace.getConfiguration("echocode");
+  if (!onTranscript || !config.get("voice.streamingTranscription", true)) {
+    return null;
+  }
+  const chunkSeconds = Number(config.get("voice.partialChunkSeconds", 3));
+
+  return new PartialTranscriber(
+    { chunkMs: Math.max(1, chunkSeconds) * 1000 },
+    {
+      transcribeChunk: async (pcm) => {
+        const chunkWav = path.join(
+          os.tmpdir(),
+          `echocode-partial-${Date.now()}.wav`
+        );
+        await fs.promises.writeFile(chunkWav, pcmToWav(pcm));
+        return runLocalWhisper(
+          chunkWav,
+          outputChannel,
+          getPythonPath(context && context.globalState)
+        );
+      },
+      onPartial: (text) => onTranscript({ text, final: false }),
+      log: (line) => outputChannel.appendLine(line),
+    }
+  );
+}
+
+/**
+ * Start recording mic audio.
+ * @param {{onTranscript?: (event: {text: string, final: boolean}) => void}} [options]
+ *   onTranscript receives partial text while recording and the final text
+ *   once stopAndTranscribe is done
+ */
+async function startRecording(outputChannel, context, options = {}) {
+  if (current && !current.stopped) {
+    outputChannel.appendLine("⚠️ Recording already in progress.");
+    return false;
+  }
+
+  const tmpWav = makeTmpWav();
+  const inputArgs = await getMicrophoneInputArgs(context, outputChannel);
+  if (!inputArgs) {
+    return false;
+  }
+
+  const partials = createPartialTranscriber(
+    context,
+    outputChannel,
+    options.onTranscript
+  );
+  const ffmpegArgs = [...inputArgs, "-y", tmpWav];
+  if (partials) {
+    // A second output: the same audio as raw PCM for the partial results
+    ffmpegArgs.push(...MONO_16K, "-f", "s16le", "pipe:1");
   }
 
+  // Play the cue before the mic opens so it is not captured in the recording
+  await playEarcon("recordingStarted");
+
   outputChannel.appendLine(
     `[ffmpeg] Spawning with args: ${ffmpegArgs.join(" ")}`
   );
@@ -233,6 +332,10 @@ async function startRecording(outputChannel, context) {
     stdio: ["pipe", "pipe", "pipe"],
   });
 
+  if (partials) {
+    rec.stdout.on("data", (chunk) => partials.push(chunk));
+  }
+
   rec.stderr.on("data", (d) => {
     const msg = d.toString();
     if (
@@ -263,6 +366,8 @@ async function startRecording(outputChannel, context) {
     tmpWav,
     stopped: false,
     stopPromise,
+    partials,
+    onTranscript: options.onTranscript,
   };
 
   outputChannel.appendLine("🎙️ Recording started… Click again to stop.");
@@ -281,7 +386,9 @@ function stopAndTranscribe(outputChannel, globalState) {
     if (!current) return reject(new Error("No recording in progress."));
 
     current.stopped = true;
-    const { rec, tmpWav, stopPromise } = current;
+    const { rec, tmpWav, stopPromise, partials, onTranscript } = current;
+    const stoppedAt = Date.now();
+    if (partials) partials.close();
 
     outputChannel.appendLine("[Voice] Stopping recording...");
 
@@ -306,6 +413,7 @@ function stopAndTranscribe(outputChannel, globalState) {
 
     await stopPromise;
     clearTimeout(killTimeout);
+    playEarcon("recordingStopped");
 
     current = null;
 
@@ -327,7 +435,16 @@ function stopAndTranscribe(outputChannel, globalState) {
       ? globalState.get("echoCodePythonPath")
       : "python";
 
-    runLocalWhisper(tmpWav, outputChannel, pythonPath).then(resolve, reject);
+    runLocalWhisper(tmpWav, outputChannel, pythonPath).then((text) => {
+      // The final pass over the whole recording replaces the partial text
+      if (onTranscript) onTranscript({ text, final: true });
+      if (partials) {
+        outputChannel.appendLine(
+          describeLatency(partials.getMetrics(stoppedAt, Date.now()))
+        );
+      }
+      resolve(text);
+    }, reject);
   });
 }
 
@@ -335,14 +452,83 @@ function isRecording() {
   return current !== null && !current.stopped;
 }
 
-function runLocalWhisper(tmpWav, outputChannel, pythonCommand) {
+/**
+ * Open the microphone as a raw 16 kHz mono s16le stream on stdout, for
+ * listeners that detect speech themselves (hands-free mode).
+ * @returns {Promise<import("child_process").ChildProcess|null>} null if no
+ *   input kept ffmpeg running
+ */
+async function openMicrophoneStream(context, outputChannel) {
+  const inputArgs = await getMicrophoneInputArgs(context, outputChannel);
+  if (!inputArgs) {
+    return null;
+  }
+  // On Linux, fall back to the next input and remember the one that works
+  const inputs =
+    isWin || isMac
+      ? [null]
+      : [linuxInput, ...LINUX_INPUTS.filter((i) => i !== linuxInput)];
+
+  for (const input of inputs) {
+    const source = input ? [...input, ...MONO_16K] : inputArgs;
+    const args = [...source, "-f", "s16le", "-loglevel", "error", "pipe:1"];
+    outputChannel.appendLine(`[ffmpeg] Streaming with args: ${args.join(" ")}`);
+    const mic = await spawnMicrophone(args, outputChannel);
+    if (mic) {
+      if (input) linuxInput = input;
+      return mic;
+    }
+  }
+  return null;
+}
+
+/**
+ * Transcribe a WAV file (and delete it). Uses the warm transcription worker
+ * when DependencyManager has one running, otherwise a one-off Python process.
+ * Whisper is primed with programming vocabulary and the transcript goes
+ * through the replacement dictionary (voiceVocabulary.js).
+ */
+async function runLocalWhisper(tmpWav, outputChannel, pythonCommand) {
+  const initialPrompt = await getInitialPrompt();
+  const text = await transcribeWav(
+    tmpWav,
+    outputChannel,
+    pythonCommand,
+    initialPrompt
+  );
+  const corrected = correctTranscript(text);
+  if (corrected !== text) {
+    outputChannel.appendLine(`[Voice] Corrected "${text}" to "${corrected}"`);
+  }
+  return corrected;
+}
+
+async function transcribeWav(tmpWav, outputChannel, pythonCommand, prompt) {
+  const worker = getActiveWorker();
+  if (worker) {
+    try {
+      const text = await worker.transcribe(tmpWav, { initialPrompt: prompt });
+      fs.unlink(tmpWav, () => {});
+      return text;
+    } catch (err) {
+      outputChannel.appendLine(
+        `[Voice] Worker failed (${err.message}); running Whisper directly.`
+      );
+    }
+  }
+  return runWhisperProcess(tmpWav, outputChannel, pythonCommand, prompt);
+}
+
+function runWhisperProcess(tmpWav, outputChannel, pythonCommand, prompt) {
   return new Promise((resolve, reject) => {
     outputChannel.appendLine(
       `Running Whisper using interpreter: '${pythonCommand}'...`
     );
     const pythonScript = path.join(__dirname, "local_whisper_stt.py");
 
-    const py = spawn(pythonCommand, [pythonScript, tmpWav], {
+    const args = [pythonScript, tmpWav, ...getActiveWhisperArgs()];
+    if (prompt) args.push("--initial-prompt", prompt);
+    const py = spawn(pythonCommand, args, {
       stdio: ["ignore", "pipe", "pipe"],
     });
 
@@ -401,4 +587,6 @@ module.exports = {
   selectMicrophone,
   recordAndTranscribe,
   isRecording,
+  openMicrophoneStream,
+  runLocalWhisper,
 };
@@ -0,0 +1,245 @@
+const path = require("path");
+const readline = require("readline");
+const { spawn } = require("child_process");
+
+/**
+ * A long-lived Python process (transcription_worker.py) that keeps the
+ * Whisper model loaded between utterances. It speaks JSON lines over stdio:
+ *   -> {"id": 1, "method": "transcribe", "params": {"path": "..."}}
+ *   <- {"id": 1, "result": {"text": "..."}}   or   {"id": 1, "error": "..."}
+ *   <- {"event": "ready", "model": "base.en"} once the model is loaded
+ * Methods: transcribe, health, shutdown.
+ *
+ * The worker is restarted when it exits unexpectedly or stops answering
+ * health checks; after too many restarts in a row it is left down and
+ * callers fall back to one process per utterance.
+ */
+
+const WORKER_SCRIPT = path.join(__dirname, "transcription_worker.py");
+
+const DEFAULTS = {
+  requestTimeoutMs: 120000,
+  healthIntervalMs: 60000,
+  healthTimeoutMs: 10000,
+  maxRestarts: 3,
+  // A worker that stayed up this long has its restart count forgiven
+  stableAfterMs: 5 * 60 * 1000,
+};
+
+class WhisperWorker {
+  /**
+   * @param {{pythonPath: string, args?: string[], log?: (line: string) => void, spawnProcess?: typeof spawn} & Partial<typeof DEFAULTS>} options
+   */
+  constructor(options) {
+    this.options = { ...DEFAULTS, ...options };
+    this.log = options.log || (() => {});
+    this.spawnProcess = options.spawnProcess || spawn;
+    this.process = null;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.ready = false;
+    this.stopping = false;
+    this.restarts = 0;
+    this.startedAt = 0;
+    this.healthTimer = null;
+  }
+
+  isRunning() {
+    return this.process !== null && !this.stopping;
+  }
+
+  start() {
+    if (this.process) return;
+    this.stopping = false;
+    this.ready = false;
+    this.startedAt = Date.now();
+
+    const child = this.spawnProcess(
+      this.options.pythonPath,
+      [WORKER_SCRIPT, ...(this.options.args || [])],
+      { stdio: ["pipe", "pipe", "pipe"] },
+    );
+    this.process = child;
+
+    readline
+      .createInterface({ input: child.stdout })
+      .on("line", (line) => this.handleLine(line));
+    child.stderr.on("data", (data) =>
+      this.log(`[Whisper Worker] ${data.toString().trim()}`),
+    );
+    child.on("error", (err) =>
+      this.log(`[Whisper Worker] Failed to start: ${err.message}`),
+    );
+    child.on("exit", (code) => this.handleExit(child, code));
+
+    if (this.options.healthIntervalMs > 0) {
+      this.healthTimer = setInterval(
+        () => this.checkHealth(),
+        this.options.healthIntervalMs,
+      );
+      if (this.healthTimer.unref) this.healthTimer.unref();
+    }
+    this.log(`[Whisper Worker] Started (pid ${child.pid}).`);
+  }
+
+  handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      this.log(`[Whisper Worker] Ignoring non-JSON output: ${line}`);
+      return;
+    }
+
+    if (message.event === "ready") {
+      this.ready = true;
+      this.log(`[Whisper Worker] Model ${message.model} loaded.`);
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return;
+    this.pending.delete(message.id);
+    clearTimeout(request.timer);
+    if (message.error) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  handleExit(child, code) {
+    if (this.process !== child) return;
+    this.process = null;
+    this.ready = false;
+    clearInterval(this.healthTimer);
+    this.rejectAll(new Error(`Whisper worker exited with code ${code}`));
+
+    if (this.stopping) return;
+    this.log(`[Whisper Worker] Exited unexpectedly (code ${code}).`);
+    this.restart();
+  }
+
+  restart() {
+    if (Date.now() - this.startedAt > this.options.stableAfterMs) {
+      this.restarts = 0;
+    }
+    if (this.restarts >= this.options.maxRestarts) {
+      this.log(
+        "[Whisper Worker] Too many restarts; using one process per utterance.",
+      );
+      return;
+    }
+    this.restarts++;
+    this.log(`[Whisper Worker] Restarting (attempt ${this.restarts}).`);
+    this.start();
+  }
+
+  rejectAll(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Send one request and wait for its answer.
+   * @returns {Promise<any>} the response's `result`
+   */
+  request(method, params = {}, timeoutMs = this.options.requestTimeoutMs) {
+    if (!this.isRunning()) {
+      return Promise.reject(new Error("Whisper worker is not running."));
+    }
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Whisper worker did not answer ${method} in time.`));
+        // A hung worker is replaced rather than waited on
+        this.kill();
+      }, timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+
+      try {
+        this.process.stdin.write(`${JSON.stringify({ id, method, params })}\n`);
+      } catch (err) {
+        this.pending.delete(id);
+        clearTimeout(timer);
+        reject(err);
+      }
+    });
+  }
+
+  /**
+   * @param {{initialPrompt?: string}} [options] vocabulary to bias Whisper
+   * @returns {Promise<string>} the transcript of a WAV file
+   */
+  async transcribe(wavPath, options = {}) {
+    const params = { path: wavPath };
+    if (options.initialPrompt) params.initialPrompt = options.initialPrompt;
+    const result = await this.request("transcribe", params);
+    return String((result && result.text) || "").trim();
+  }
+
+  health() {
+    return this.request("health", {}, this.options.healthTimeoutMs);
+  }
+
+  // Only while idle: a long transcription would look like a hang
+  async checkHealth() {
+    if (!this.isRunning() || !this.ready || this.pending.size > 0) return;
+    try {
+      await this.health();
+    } catch (err) {
+      this.log(`[Whisper Worker] Health check failed: ${err.message}`);
+    }
+  }
+
+  kill() {
+    if (this.process) this.process.kill();
+  }
+
+  /** Ask the worker to exit, and kill it if it has not within `graceMs`. */
+  shutdown(graceMs = 2000) {
+    const child = this.process;
+    this.stopping = true;
+    clearInterval(this.healthTimer);
+    if (!child) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        child.kill();
+        resolve();
+      }, graceMs);
+      child.once("exit", () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      try {
+        child.stdin.write(`${JSON.stringify({ method: "shutdown" })}\n`);
+        child.stdin.end();
+      } catch {
+        child.kill();
+      }
+    });
+  }
+}
+
+// The worker DependencyManager started, used by whisperService
+let activeWorker = null;
+
+function setActiveWorker(worker) {
+  activeWorker = worker;
+}
+
+function getActiveWorker() {
+  return activeWorker && activeWorker.isRunning() ? activeWorker : null;
+}
+
+module.exports = {
+  WhisperWorker,
+  setActiveWorker,
+  getActiveWorker,
+};
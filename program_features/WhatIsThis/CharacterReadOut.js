@@ -2,44 +2,13 @@ const vscode = require("vscode");
 const {
   speakMessage,
 } = require("../../Core/program_settings/speech_settings/speechHandler");
+const {
+  describeCharacter,
+} = require("../../Core/program_settings/speech_settings/pronunciation");
 
 let isCharacterReadOutEnabled = false; // Toggle state
 let activeEditor = null;
 
-// Map of symbols to their descriptive names
-const symbolMap = {
-  '"': "double quote",
-  "'": "single quote",
-  "(": "open parenthesis",
-  ")": "close parenthesis",
-  "{": "open curly brace",
-  "}": "close curly brace",
-  "[": "open square bracket",
-  "]": "close square bracket",
-  ":": "colon",
-  ";": "semicolon",
-  ",": "comma",
-  ".": "period",
-  "!": "exclamation mark",
-  "?": "question mark",
-  "-": "dash",
-  _: "underscore",
-  "=": "equals",
-  "+": "plus",
-  "*": "asterisk",
-  "/": "slash",
-  "\\": "backslash",
-  "|": "pipe",
-  "&": "ampersand",
-  "^": "caret",
-  "%": "percent",
-  $: "dollar sign",
-  "#": "hash",
-  "@": "at symbol",
-  "~": "tilde",
-  "`": "backtick",
-};
-
 /**
  * Reads the character to the left of the cursor.
  */
@@ -51,8 +20,8 @@ async function readCharacterToLeft() {
 
   if (cursorPosition.character > 0) {
     const char = lineText[cursorPosition.character - 1];
-    const spokenChar = symbolMap[char] || char; // Use mapped name or the character itself
-    await speakMessage(spokenChar);
+    const spokenChar = describeCharacter(char); // Use mapped name or the character itself
+    await speakMessage(spokenChar, { category: "character", interrupt: true });
   }
 }
 
@@ -1,10 +1,15 @@
 const vscode = require("vscode");
+const { guardWithHelpLadder } = require("../../Core/program_settings/guard");
 const {
   speakMessage,
 } = require("../../Core/program_settings/speech_settings/speechHandler");
 const {
   analyzeAI,
 } = require("../../Core/program_settings/program_settings/AIrequest");
+const {
+  withAiProgress,
+  isAiCancellation,
+} = require("../../Core/program_settings/program_settings/aiProgress");
 
 /**
  * Parses and describes Python code locally without AI
@@ -142,49 +147,107 @@ function describePythonLine(lineText, lineNumber, document) {
   return null;
 }
 
+// The idea a line is built on, for the help ladder's first rung. Most
+// languages share these keywords, so this is not Python-only.
+const LINE_CONCEPTS = [
+  [/^(export\s+)?((public|private|abstract)\s+)*class\b/, "a class definition"],
+  [/^(async\s+)?(def|function|func|fn|fun)\b/, "a function definition"],
+  [/^(if|elif|else\s+if|switch|match)\b/, "a condition"],
+  [/^(for|foreach)\b/, "a loop over a sequence of values"],
+  [/^(while|do)\b/, "a loop that repeats while a condition holds"],
+  [/^return\b/, "returning a value from a function"],
+  [/^(import|from|#include|using|require)\b/, "using code from another module"],
+  [/^(try|except|catch|finally|raise|throw)\b/, "handling errors"],
+  [
+    /^(print|console\.log|printf|std::cout|cout|System\.out)/,
+    "printing output",
+  ],
+  [/^(#|\/\/|\/\*|\*)/, "a comment"],
+  [/^[\w.[\]]+\s*([-+*/%]|\/\/)?=(?!=)/, "storing a value in a variable"],
+];
+
+// For a line none of LINE_CONCEPTS matches
+const GENERIC_LINE_CONCEPT =
+  "This line is a single statement. Read it one part at a time.";
+
+function describeLineConcept(lineText) {
+  const trimmed = lineText.trim();
+  const match = LINE_CONCEPTS.find(([pattern]) => pattern.test(trimmed));
+  return match ? `This line is about ${match[1]}.` : GENERIC_LINE_CONCEPT;
+}
+
 /**
- * Describes the content of the current line using either local parsing or AI
+ * The full description of a line: local parsing for Python, otherwise AI.
+ * Throws if the AI request fails or is cancelled.
  */
-async function describeCurrentLine() {
+async function generateLineDescription(editor, lineText, lineNumber) {
+  // Only try local parsing for Python
+  if (editor.document.languageId === "python") {
+    const description = describePythonLine(
+      lineText,
+      lineNumber,
+      editor.document,
+    );
+    if (description) return description;
+  }
+
+  // If local parsing failed or language is C++, use AI
+  const instructionPrompt =
+    "Describe what this line of code does in one concise sentence.";
+  return withAiProgress("line description", (token) =>
+    analyzeAI(lineText, instructionPrompt, {
+      kind: "describeLine",
+      documentUri: editor.document.uri.toString(),
+      token,
+    }),
+  );
+}
+
+async function reportDescribeError(error) {
+  // Cancelled or timed out: withAiProgress already said so
+  if (isAiCancellation(error)) return;
+  console.error("Error analyzing line:", error);
+  vscode.window.showErrorMessage("An error occurred while analyzing the line.");
+  await speakMessage("An error occurred while analyzing the line.");
+}
+
+// The current line, or null after saying why there is nothing to describe
+async function getCurrentLine() {
   const editor = vscode.window.activeTextEditor;
 
   if (!editor) {
     vscode.window.showInformationMessage("No active editor found.");
-    return;
+    return null;
   }
 
-  const cursorPosition = editor.selection.active;
-  const currentLine = editor.document.lineAt(cursorPosition.line);
-  const lineText = currentLine.text.trim();
-  const languageId = editor.document.languageId;
+  const lineNumber = editor.selection.active.line;
+  const lineText = editor.document.lineAt(lineNumber).text.trim();
 
   if (lineText === "") {
     vscode.window.showInformationMessage("The current line is empty.");
     await speakMessage("The current line is empty.");
-    return;
+    return null;
   }
+  return { editor, lineNumber, lineText };
+}
+
+/**
+ * Describes the content of the current line using either local parsing or AI
+ */
+async function describeCurrentLine() {
+  const line = await getCurrentLine();
+  if (!line) return;
+  const { editor, lineNumber, lineText } = line;
 
   vscode.window.showInformationMessage(`Analyzing line: ${lineText}`);
   await speakMessage("Analyzing the current line...");
 
   try {
-    let description = null;
-
-    // Only try local parsing for Python
-    if (languageId === "python") {
-      description = describePythonLine(
-        lineText,
-        cursorPosition.line,
-        editor.document,
-      );
-    }
-
-    // If local parsing failed or language is C++, use AI
-    if (!description) {
-      const instructionPrompt =
-        "Describe what this line of code does in one concise sentence.";
-      description = await analyzeAI(lineText, instructionPrompt);
-    }
+    const description = await generateLineDescription(
+      editor,
+      lineText,
+      lineNumber,
+    );
 
     if (description) {
       vscode.window.showInformationMessage(`Description: ${description}`);
@@ -196,27 +259,51 @@ async function describeCurrentLine() {
       await speakMessage("Could not generate a description for this line.");
     }
   } catch (error) {
-    console.error("Error analyzing line:", error);
-    vscode.window.showErrorMessage(
-      "An error occurred while analyzing the line.",
-    );
-    await speakMessage("An error occurred while analyzing the line.");
+    await reportDescribeError(error);
   }
 }
 
+/**
+ * Help-ladder rungs for the current line in Student Mode: the idea it uses,
+ * then its line number, then the full description.
+ */
+async function getLineHelp() {
+  const line = await getCurrentLine();
+  if (!line) return null;
+  const { editor, lineNumber, lineText } = line;
+  const concept = describeLineConcept(lineText);
+
+  return {
+    target: `${editor.document.uri.toString()}:${lineNumber}:${lineText}`,
+    concept,
+    conceptGeneric: concept === GENERIC_LINE_CONCEPT,
+    where: `Line ${lineNumber + 1}`,
+    explain: () =>
+      generateLineDescription(editor, lineText, lineNumber).catch((error) =>
+        reportDescribeError(error).then(() => null),
+      ),
+  };
+}
+
 /**
  * Registers the command to describe the current line.
  */
 function registerDescribeCurrentLineCommand(context) {
   const describeCurrentLineCommand = vscode.commands.registerCommand(
     "echocode.describeCurrentLine",
-    async () => {
-      await describeCurrentLine();
-    },
+    guardWithHelpLadder(
+      "echocode.describeCurrentLine",
+      describeCurrentLine,
+      getLineHelp,
+    ),
   );
 
   context.subscriptions.push(describeCurrentLineCommand);
   return describeCurrentLineCommand;
 }
 
-module.exports = { registerDescribeCurrentLineCommand };
+module.exports = {
+  registerDescribeCurrentLineCommand,
+  describeLineConcept,
+  getLineHelp,
+};
@@ -0,0 +1,211 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, setup, teardown, suiteSetup, suiteTeardown } from "mocha";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const globalVscode: any = (globalThis as any).vscode;
+
+const resolve = (file: string) =>
+  nodeRequire.resolve(path.join(repoRoot, file));
+const speechPath = resolve(
+  "Core/program_settings/speech_settings/speechHandler.js",
+);
+const activityPath = resolve("Core/program_settings/activityLog.js");
+const guardPath = resolve("Core/program_settings/guard.js");
+
+function createSecrets() {
+  const values = new Map<string, string>();
+  return {
+    get: async (key: string) => values.get(key),
+    store: async (key: string, value: string) => {
+      values.set(key, value);
+    },
+  };
+}
+
+suite("Activity log", () => {
+  const saved: Record<string, any> = {};
+  let activity: any;
+  let guard: any;
+  let settings: Record<string, unknown> = {};
+  let configListener: (event: any) => Promise<void>;
+  let root: string;
+
+  const readLog = () =>
+    fs
+      .readFileSync(path.join(root, "activity-log.jsonl"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+
+  suiteSetup(() => {
+    saved.speech = nodeRequire.cache[speechPath];
+    saved.getConfiguration = globalVscode.workspace.getConfiguration;
+    saved.onDidChangeConfiguration =
+      globalVscode.workspace.onDidChangeConfiguration;
+    saved.showWarningMessage = globalVscode.window.showWarningMessage;
+
+    (nodeRequire.cache as any)[speechPath] = {
+      id: speechPath,
+      filename: speechPath,
+      loaded: true,
+      exports: { speakMessage: async () => true },
+    };
+    delete nodeRequire.cache[activityPath];
+    delete nodeRequire.cache[guardPath];
+    activity = nodeRequire(activityPath);
+    guard = nodeRequire(guardPath);
+
+    globalVscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+    });
+    globalVscode.workspace.onDidChangeConfiguration = (listener: any) => {
+      configListener = listener;
+      return { dispose: () => {} };
+    };
+    globalVscode.window.showWarningMessage = () => {};
+  });
+
+  suiteTeardown(() => {
+    delete nodeRequire.cache[activityPath];
+    delete nodeRequire.cache[guardPath];
+    if (saved.speech) nodeRequire.cache[speechPath] = saved.speech;
+    else delete nodeRequire.cache[speechPath];
+    globalVscode.workspace.getConfiguration = saved.getConfiguration;
+    globalVscode.workspace.onDidChangeConfiguration =
+      saved.onDidChangeConfiguration;
+    globalVscode.window.showWarningMessage = saved.showWarningMessage;
+  });
+
+  setup(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "echocode-activity-"));
+    settings = { mode: "student" };
+    activity.initActivityLog({
+      subscriptions: [],
+      storageUri: { fsPath: root },
+      secrets: createSecrets(),
+    });
+  });
+
+  teardown(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test("logs guarded commands, blocked attempts and the mode", async () => {
+    let ran = 0;
+    const locked = guard.guard("echocode.summarizeClass", () => {
+      ran += 1;
+    });
+    const open = guard.guard("echocode.moveToNextFolder", () => {
+      ran += 1;
+    });
+    await locked();
+    await open();
+    settings.mode = "dev";
+    await locked();
+
+    await activity.recordActivity({
+      event: "aiPrompt",
+      kind: "summary",
+      prompt: "Summarize this.",
+    });
+    assert.equal(ran, 2);
+    assert.deepEqual(
+      readLog().map((e) => [e.seq, e.event, e.command, e.mode]),
+      [
+        [1, "commandBlocked", "echocode.summarizeClass", "student"],
+        [2, "command", "echocode.moveToNextFolder", "student"],
+        [3, "command", "echocode.summarizeClass", "dev"],
+        [4, "aiPrompt", undefined, "dev"],
+      ],
+    );
+  });
+
+  test("exports JSONL and CSV and reports edited entries", async () => {
+    await activity.recordActivity({
+      event: "chatQuestion",
+      question: 'Why does "total", start at 0?',
+    });
+    await activity.recordActivity({
+      event: "codeInserted",
+      code: "def add(a, b):\n    return a + b",
+    });
+    await activity.recordActivity({
+      event: "voiceCommand",
+      transcript: '=HYPERLINK("http://example.com")',
+    });
+
+    const jsonl = path.join(root, "export.jsonl");
+    const result = await activity.exportActivityLog(jsonl, "jsonl");
+    assert.deepEqual(result, { entries: 3, check: { ok: true, entries: 3 } });
+    const [checkLine, ...logLines] = fs
+      .readFileSync(jsonl, "utf8")
+      .split(/(?<=\n)/);
+    assert.deepEqual(
+      { ...JSON.parse(checkLine), time: undefined },
+      { event: "logCheck", time: undefined, verified: true },
+    );
+    assert.deepEqual(
+      logLines.join(""),
+      fs.readFileSync(path.join(root, "activity-log.jsonl"), "utf8"),
+    );
+
+    const csv = path.join(root, "export.csv");
+    await activity.exportActivityLog(csv, "csv");
+    const lines = fs.readFileSync(csv, "utf8").split("\r\n");
+    assert.equal(
+      lines[0],
+      "seq,time,event,mode,command,verified,question,code,transcript,prev,sig",
+    );
+    assert.match(lines[1], /^,[^,]+,logCheck,,,true,/);
+    assert.match(lines[2], /,"Why does ""total"", start at 0\?",/);
+    assert.match(lines[3], /,"def add\(a, b\):\n {4}return a \+ b",/);
+    // Formulas are kept as text
+    assert.match(lines[4], /,"'=HYPERLINK\(""http:\/\/example\.com""\)",/);
+
+    const logFile = path.join(root, "activity-log.jsonl");
+    fs.writeFileSync(
+      logFile,
+      fs.readFileSync(logFile, "utf8").replace("def add", "def sum"),
+    );
+    const tampered = await activity.exportActivityLog(jsonl, "jsonl");
+    assert.equal(tampered.check.problem, "it was edited");
+    const exported = JSON.parse(fs.readFileSync(jsonl, "utf8").split("\n")[0]);
+    assert.deepEqual(
+      [exported.verified, exported.failedLine, exported.problem],
+      [false, 2, "it was edited"],
+    );
+  });
+
+  test("keeps tab and carriage-return formula triggers as text", () => {
+    const csv = activity.toCsv([
+      { event: "voiceCommand", transcript: "\t=1+1" },
+      { event: "voiceCommand", transcript: "\r=1+1" },
+      { event: "voiceCommand", transcript: "total - 1" },
+    ]);
+    const rows: string[] = csv.split("\r\n").slice(1, 4);
+    assert.deepEqual(
+      rows.map((row) => row.split(",")[5]),
+      ["'\t=1+1", '"\'\r=1+1"', "total - 1"],
+    );
+  });
+
+  test("records turning logging off and nothing after", async () => {
+    await activity.recordActivity({ event: "sessionStart" });
+    settings["activityLog.enabled"] = false;
+    await configListener({ affectsConfiguration: () => true });
+    await activity.recordActivity({ event: "aiPrompt" });
+    assert.deepEqual(
+      readLog().map((e) => [e.event, e.enabled]),
+      [
+        ["sessionStart", undefined],
+        ["loggingChanged", false],
+      ],
+    );
+  });
+});
@@ -0,0 +1,135 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown, setup } from "mocha";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const settingsDir = path.join(
+  repoRoot,
+  "Core/program_settings/program_settings",
+);
+const cache = nodeRequire(path.join(settingsDir, "aiCache.js"));
+const lm = nodeRequire(path.join(settingsDir, "lmProviders.js"));
+const ai = nodeRequire(path.join(settingsDir, "AIrequest.js"));
+
+const DOC = "file:///work/main.py";
+
+suite("EchoCode – AI Response Cache", () => {
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  const originalOnDidChange = vscode.workspace.onDidChangeTextDocument;
+  let settings: Record<string, unknown> = {};
+  let editListener: ((event: any) => void) | null = null;
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+      update: async () => {},
+    });
+    vscode.workspace.onDidChangeTextDocument = (listener: any) => {
+      editListener = listener;
+      return { dispose: () => {} };
+    };
+  });
+
+  suiteTeardown(() => {
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+    vscode.workspace.onDidChangeTextDocument = originalOnDidChange;
+    cache.clearAiCache();
+    lm.resetFakeProvider();
+  });
+
+  setup(() => {
+    settings = { "ai.provider": "fake" };
+    cache.clearAiCache();
+    lm.resetFakeProvider();
+  });
+
+  const summarize = () =>
+    ai.analyzeAI("def f(): pass", "Summarize.", {
+      kind: "summary",
+      documentUri: DOC,
+    });
+
+  test("repeats of the same request are answered from the cache", async () => {
+    const first = await summarize();
+    const second = await summarize();
+
+    assert.equal(second, first);
+    assert.equal(lm.getFakeRequests().length, 1);
+  });
+
+  test("editing the document drops its cached answers", async () => {
+    const context = vscode.__createMockContext();
+    cache.initAiCache(context);
+    await summarize();
+
+    editListener!({
+      document: { uri: { toString: () => DOC } },
+      contentChanges: [{ text: "x" }],
+    });
+    await summarize();
+
+    assert.equal(lm.getFakeRequests().length, 2);
+  });
+
+  test("expired answers are refetched unless offline", async () => {
+    settings["ai.cache.ttlHours"] = 1;
+    await summarize();
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 2 * 3600 * 1000;
+    try {
+      settings["ai.offlineMode"] = true;
+      await summarize();
+      assert.equal(lm.getFakeRequests().length, 1, "offline replays stale");
+
+      settings["ai.offlineMode"] = false;
+      await summarize();
+      assert.equal(lm.getFakeRequests().length, 2);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test("offline mode never contacts the model", async () => {
+    settings["ai.offlineMode"] = true;
+
+    const answer = await summarize();
+
+    assert.match(answer, /No saved answer/);
+    assert.equal(lm.getFakeRequests().length, 0);
+  });
+
+  test("persists to global storage", async () => {
+    const storage = fs.mkdtempSync(path.join(os.tmpdir(), "echocode-cache-"));
+    try {
+      const context = {
+        ...vscode.__createMockContext(),
+        globalStorageUri: { fsPath: storage },
+      };
+      cache.initAiCache(context);
+      await summarize();
+      cache.flushAiCache();
+      assert.ok(fs.existsSync(path.join(storage, "ai-cache.json")));
+
+      // Simulate a restart: memory is empty, the file is reloaded
+      cache.clearAiCache();
+      cache.initAiCache(context);
+      assert.equal(cache.getAiCacheSize(), 1);
+
+      await summarize();
+      assert.equal(lm.getFakeRequests().length, 1);
+    } finally {
+      cache.initAiCache(vscode.__createMockContext());
+      fs.rmSync(storage, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,98 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown, setup } from "mocha";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const progress = nodeRequire(
+  path.join(repoRoot, "Core/program_settings/program_settings/aiProgress.js"),
+);
+const tts = nodeRequire(
+  path.join(repoRoot, "Core/program_settings/speech_settings/ttsBackends.js"),
+);
+
+const never = () => new Promise(() => {});
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+const spoken = () => tts.getSpokenLog().map((entry: any) => entry.text);
+
+suite("EchoCode – AI Request Cancellation", () => {
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  let settings: Record<string, unknown> = {};
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+      update: async () => {},
+    });
+  });
+
+  suiteTeardown(() => {
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+  });
+
+  setup(() => {
+    settings = { "tts.backend": "log", "ai.progressCueSeconds": 0 };
+    tts.resetBackendResolution();
+    tts.clearSpokenLog();
+  });
+
+  test("finished requests return their answer", async () => {
+    const answer = await progress.withAiProgress("summary", async () => "ok");
+
+    assert.equal(answer, "ok");
+    assert.equal(progress.cancelAiRequests(), 0);
+  });
+
+  test("the user can cancel a request that is waiting", async () => {
+    let token: any;
+    const request = progress.withAiProgress("summary", (t: any) => {
+      token = t;
+      return never();
+    });
+
+    assert.equal(progress.cancelAiRequests(), 1);
+    await assert.rejects(request, (err: any) => {
+      assert.ok(progress.isAiCancellation(err));
+      assert.equal(err.reason, "user");
+      return true;
+    });
+    assert.equal(token.isCancellationRequested, true);
+
+    await wait(10);
+    assert.deepEqual(spoken(), ["Cancelled the summary."]);
+  });
+
+  test("stopping speech cancels without announcing it", async () => {
+    const request = progress.withAiProgress("summary", never);
+
+    assert.equal(progress.cancelAiRequests({ silent: true }), 1);
+    await assert.rejects(request, (err: any) => err.reason === "user");
+
+    await wait(10);
+    assert.deepEqual(spoken(), []);
+  });
+
+  test("slow requests time out with spoken progress along the way", async () => {
+    settings["ai.timeoutSeconds"] = 0.2;
+    settings["ai.progressCueSeconds"] = 0.05;
+
+    await assert.rejects(
+      progress.withAiProgress("chat answer", never),
+      (err: any) => err.reason === "timeout",
+    );
+
+    await wait(10);
+    const said = spoken();
+    assert.ok(said.includes("Still working on the chat answer."));
+    assert.equal(
+      said.at(-1),
+      "The chat answer took longer than 0.2 seconds and was stopped.",
+    );
+  });
+});
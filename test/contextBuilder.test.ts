@@ -0,0 +1,99 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown } from "mocha";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+const globalVscode: any = (globalThis as any).vscode;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const { buildContext, describeTruncation } = nodeRequire(
+  path.join(repoRoot, "Core/Summarizer/contextBuilder.js"),
+);
+
+// Real vscode.SymbolKind values
+const SymbolKind = { Class: 4, Method: 5, Constructor: 8, Function: 11 };
+
+function makeDocument(lines: string[]) {
+  return {
+    uri: { toString: () => "file:///work/big.py" },
+    lineCount: lines.length,
+    lineAt: (line: number) => ({ text: lines[line] }),
+    getText: (range?: any) =>
+      range
+        ? lines.slice(range.start.line, range.end.line + 1).join("\n")
+        : lines.join("\n"),
+  };
+}
+
+function fn(name: string, start: number, end: number) {
+  return {
+    name,
+    kind: SymbolKind.Function,
+    range: new vscode.Range(start, 0, end, 0),
+    children: [],
+  };
+}
+
+// helper() at 0-9, padding 10-199, main() at 200-209 calling helper, caller() at 300-309
+const lines: string[] = [];
+for (let i = 0; i < 320; i++) lines.push(`    x${i} = ${i}  # filler line`);
+lines[0] = "def helper():";
+lines[200] = "def main():";
+lines[205] = "    helper()";
+lines[300] = "def caller():";
+lines[305] = "    main()";
+const symbols = [
+  fn("helper", 0, 9),
+  fn("main", 200, 209),
+  fn("caller", 300, 309),
+];
+
+suite("EchoCode – AI Context Budget", () => {
+  let registration: any;
+
+  suiteSetup(() => {
+    globalVscode.SymbolKind = SymbolKind;
+    registration = vscode.commands.registerCommand(
+      "vscode.executeDocumentSymbolProvider",
+      async () => symbols,
+    );
+  });
+
+  suiteTeardown(() => {
+    registration.dispose();
+    delete globalVscode.SymbolKind;
+  });
+
+  test("small files are sent whole", async () => {
+    const doc = makeDocument(["a = 1", "b = 2"]);
+    const context = await buildContext(doc, new vscode.Position(0, 0), {
+      lineNumbers: true,
+    });
+
+    assert.equal(context.text, "1: a = 1\n2: b = 2");
+    assert.equal(context.truncated, false);
+    assert.equal(describeTruncation(context), "");
+  });
+
+  test("large files keep the cursor's function, its callees and callers", async () => {
+    const doc = makeDocument(lines);
+    const budget = 2500;
+    const context = await buildContext(doc, new vscode.Position(203, 4), {
+      budget,
+      lineNumbers: true,
+    });
+
+    assert.ok(context.truncated);
+    assert.ok(context.text.length <= budget + 200, "stays near the budget");
+    assert.equal(context.focus, "main");
+    assert.match(context.text, /^201: def main\(\):$/m);
+    assert.match(context.text, /^1: def helper\(\):$/m, "callee included");
+    assert.match(context.text, /^301: def caller\(\):$/m, "caller included");
+    assert.match(context.text, /\(lines \d+-\d+ omitted\)/);
+    assert.match(describeTruncation(context), /of 320 lines around main/);
+  });
+});
@@ -0,0 +1,84 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test } from "mocha";
+import * as path from "path";
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const dictation = nodeRequire(
+  path.join(repoRoot, "program_features/Voice/dictation.js"),
+);
+
+function dictate(transcript: string, languageId: string, options = {}) {
+  return dictation.renderDictation(
+    dictation.parseDictation(transcript, languageId),
+    { languageId, ...options },
+  );
+}
+
+suite("Spoken dictation", () => {
+  test("types a Python function and indents after the colon", () => {
+    assert.equal(
+      dictate(
+        "Define function add, open paren A, comma B, close paren colon. New line. Return a plus b.",
+        "python",
+      ),
+      "def add(a, b):\n    return a + b",
+    );
+    // New lines keep the cursor line's indentation; dedent steps back out
+    assert.equal(
+      dictate(
+        "total equals string hello world new line dedent print open paren total close paren",
+        "python",
+        { baseIndent: "        " },
+      ),
+      'total = "hello world"\n    print(total)',
+    );
+  });
+
+  test("opens and closes blocks in brace languages", () => {
+    assert.equal(
+      dictate(
+        "define function reset open paren close paren open brace new line camel case total count equals 0 semicolon new line close brace",
+        "javascript",
+        { indentUnit: "  " },
+      ),
+      "function reset() {\n  totalCount = 0;\n}",
+    );
+  });
+
+  test("spells identifiers and escapes grammar words", () => {
+    assert.equal(
+      dictate(
+        "snake case max retries comma pascal case bank account dot constant case page size",
+        "python",
+      ),
+      "max_retries, BankAccount.PAGE_SIZE",
+    );
+    assert.equal(
+      dictate(
+        "print open paren string say literal comma end string close paren",
+        "python",
+      ),
+      'print("say comma")',
+    );
+    assert.equal(dictation.matchDictationPrefix("Type, new line"), "new line");
+    assert.equal(dictation.matchDictationPrefix("typewriter mode"), null);
+    // A command phrase that starts with "dictate" runs the command
+    assert.equal(
+      dictation.matchDictationPrefix("Dictate code.", ["dictate code"]),
+      null,
+    );
+    assert.equal(
+      dictation.matchDictationPrefix("type code", ["dictate code"]),
+      "code",
+    );
+  });
+
+  test("keeps words lower case unless capital is said", () => {
+    assert.equal(
+      dictate("Return capital true. If capital none", "python"),
+      "return True if None",
+    );
+  });
+});
@@ -0,0 +1,74 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown, setup } from "mocha";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const { EARCON_NAMES, getEarconPath, playEarcon } = nodeRequire(
+  path.join(repoRoot, "Core/program_settings/speech_settings/earcons.js"),
+);
+
+suite("EchoCode – Earcons", () => {
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  let settings: Record<string, unknown> = {};
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+      update: async () => {},
+    });
+  });
+
+  suiteTeardown(() => {
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+  });
+
+  setup(() => {
+    settings = {};
+  });
+
+  test("every earcon resolves to a distinct playable WAV file", () => {
+    const files = EARCON_NAMES.map((name: string) => getEarconPath(name));
+    assert.equal(new Set(files).size, EARCON_NAMES.length);
+
+    const contents = new Set<string>();
+    for (const file of files) {
+      const data = fs.readFileSync(file);
+      assert.equal(data.toString("ascii", 0, 4), "RIFF");
+      assert.equal(data.toString("ascii", 8, 12), "WAVE");
+      contents.add(data.toString("base64"));
+    }
+    assert.equal(contents.size, EARCON_NAMES.length, "sounds must differ");
+  });
+
+  test("a sound pack replaces only the sounds it provides", () => {
+    const pack = fs.mkdtempSync(path.join(os.tmpdir(), "echocode-pack-"));
+    try {
+      fs.writeFileSync(path.join(pack, "errorFound.wav"), "custom");
+      settings["earcons.soundPack"] = pack;
+
+      assert.equal(
+        getEarconPath("errorFound"),
+        path.join(pack, "errorFound.wav"),
+      );
+      assert.notEqual(path.dirname(getEarconPath("taskComplete")), pack);
+    } finally {
+      fs.rmSync(pack, { recursive: true, force: true });
+    }
+  });
+
+  test("unknown earcons have no file and never throw", async () => {
+    assert.equal(getEarconPath("doesNotExist"), null);
+    await playEarcon("doesNotExist");
+    settings["earcons.enabled"] = false;
+    await playEarcon("errorFound");
+  });
+});
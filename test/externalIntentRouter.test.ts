@@ -0,0 +1,146 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown, setup } from "mocha";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+const vscodeGlobal: any = (globalThis as any).vscode;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const external = nodeRequire(
+  path.join(
+    repoRoot,
+    "Core/program_settings/program_settings/ExternalIntentRouter.js",
+  ),
+);
+
+suite("EchoCode – External Command Catalog", () => {
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  const originalExtensions = vscodeGlobal.extensions;
+  let settings: Record<string, unknown> = {};
+  let extensionPath: string;
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+    });
+
+    // An installed extension whose titles are localized placeholders
+    extensionPath = fs.mkdtempSync(path.join(os.tmpdir(), "echocode-ext-"));
+    fs.writeFileSync(
+      path.join(extensionPath, "package.nls.json"),
+      JSON.stringify({ "run.title": "Run Python File" }),
+    );
+    vscodeGlobal.extensions = {
+      all: [
+        {
+          extensionPath,
+          packageJSON: {
+            contributes: {
+              commands: [
+                {
+                  command: "python.execInTerminal",
+                  title: "%run.title%",
+                  category: "Python",
+                },
+                { command: "python.clearCache", title: "Delete Cache" },
+              ],
+            },
+          },
+        },
+      ],
+    };
+  });
+
+  suiteTeardown(() => {
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+    vscodeGlobal.extensions = originalExtensions;
+    fs.rmSync(extensionPath, { recursive: true, force: true });
+  });
+
+  setup(() => {
+    settings = {};
+  });
+
+  const available = [
+    "workbench.action.files.save",
+    "workbench.action.closeAllEditors",
+    "workbench.action.toggleSidebarVisibility",
+    "python.execInTerminal",
+    "python.clearCache",
+    "some.internalThing",
+    "echocode.annotate",
+  ];
+
+  test("uses human titles and leaves untitled commands out", () => {
+    const catalog = external.buildExternalCommandCatalog(available);
+    const byId = new Map<string, any>(catalog.map((c: any) => [c.id, c]));
+
+    assert.equal(
+      byId.get("python.execInTerminal").title,
+      "Python: Run Python File",
+    );
+    assert.equal(byId.get("workbench.action.files.save").title, "Save File");
+    assert.ok(!byId.has("some.internalThing"));
+    assert.ok(!byId.has("echocode.annotate"));
+    assert.equal(
+      byId.get("workbench.action.closeAllEditors").risk,
+      "destructive",
+    );
+    assert.equal(byId.get("python.clearCache").risk, "destructive");
+    assert.equal(byId.get("workbench.action.files.save").risk, "safe");
+  });
+
+  test("asks before Git commands that drop or clean away work", () => {
+    for (const [id, title] of [
+      ["git.stashDrop", "Git: Drop Stash"],
+      ["git.clean", "Git: Discard All Changes"],
+      ["git.cleanAll", "Git: Clean"],
+      ["git.pushForce", "Git: Push (Force)"],
+      ["git.undoCommit", "Git: Undo Last Commit"],
+    ]) {
+      assert.equal(external.classifyRisk(id, title), "destructive", title);
+    }
+    assert.equal(external.classifyRisk("git.push", "Git: Push"), "safe");
+  });
+
+  test("honours the allow and deny lists", () => {
+    settings["externalCommands.deny"] = ["python.*"];
+    settings["externalCommands.allow"] = [
+      "workbench.*",
+      "some.internalThing",
+      "python.execInTerminal",
+    ];
+    const ids = external
+      .buildExternalCommandCatalog(available)
+      .map((c: any) => c.id)
+      .sort();
+
+    assert.deepEqual(ids, [
+      "some.internalThing",
+      "workbench.action.closeAllEditors",
+      "workbench.action.files.save",
+      "workbench.action.toggleSidebarVisibility",
+    ]);
+  });
+
+  test("ranks commands instead of taking the first keyword hit", () => {
+    const catalog = external.buildExternalCommandCatalog(available);
+    const match = (transcript: string) =>
+      external.matchExternalCommand(transcript, catalog)?.id ?? null;
+
+    assert.equal(match("run the python file"), "python.execInTerminal");
+    assert.equal(
+      match("hide the sidebar"),
+      "workbench.action.toggleSidebarVisibility",
+    );
+    assert.equal(match("toggle"), null);
+    assert.equal(match("open the pod bay doors"), null);
+  });
+});
@@ -0,0 +1,252 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, setup, teardown, suiteSetup, suiteTeardown } from "mocha";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const globalVscode: any = (globalThis as any).vscode;
+
+const resolve = (file: string) =>
+  nodeRequire.resolve(path.join(repoRoot, file));
+const speechPath = resolve(
+  "Core/program_settings/speech_settings/speechHandler.js",
+);
+const profilesPath = resolve(
+  "Core/program_settings/guide_settings/guidanceProfiles.js",
+);
+const levelPath = resolve(
+  "Core/program_settings/guide_settings/guidanceLevel.js",
+);
+
+const help = {
+  where: "Line 4",
+  summary: "The loop never ends. The counter is not updated.",
+  raw: "W0101: Unreachable code after infinite loop.",
+  why: "A while loop stops only when its condition turns false.",
+  steps: ["Add count += 1 inside the loop.", "Run it again."],
+};
+
+suite("Guidance profiles", () => {
+  const saved: Record<string, any> = {};
+  let profiles: any;
+  let guidance: any;
+  let settings: Record<string, unknown> = {};
+  let warnings: string[] = [];
+  // Folders made by the tests, removed after each one
+  const tempDirs: string[] = [];
+
+  suiteSetup(() => {
+    saved.speech = nodeRequire.cache[speechPath];
+    saved.getConfiguration = globalVscode.workspace.getConfiguration;
+    saved.showWarningMessage = globalVscode.window.showWarningMessage;
+
+    (nodeRequire.cache as any)[speechPath] = {
+      id: speechPath,
+      filename: speechPath,
+      loaded: true,
+      exports: { speakMessage: async () => true },
+    };
+    delete nodeRequire.cache[profilesPath];
+    delete nodeRequire.cache[levelPath];
+    profiles = nodeRequire(profilesPath);
+    guidance = nodeRequire(levelPath);
+
+    globalVscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+    });
+    globalVscode.window.showWarningMessage = (message: string) => {
+      warnings.push(message);
+    };
+  });
+
+  suiteTeardown(() => {
+    delete nodeRequire.cache[profilesPath];
+    delete nodeRequire.cache[levelPath];
+    if (saved.speech) nodeRequire.cache[speechPath] = saved.speech;
+    else delete nodeRequire.cache[speechPath];
+    globalVscode.workspace.getConfiguration = saved.getConfiguration;
+    globalVscode.window.showWarningMessage = saved.showWarningMessage;
+    delete globalVscode.workspace.workspaceFolders;
+  });
+
+  setup(() => {
+    settings = { mode: "dev" };
+    warnings = [];
+    delete globalVscode.workspace.workspaceFolders;
+  });
+
+  teardown(() => {
+    for (const dir of tempDirs.splice(0)) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("built-in levels read the same parts as before", () => {
+    settings.guidanceLevel = "guided";
+    assert.equal(
+      guidance.formatHelpByGuidance(help),
+      "Line 4. The loop never ends. The counter is not updated. Next, Add count += 1 inside the loop. Then, Run it again.",
+    );
+    settings.guidanceLevel = "balanced";
+    assert.equal(
+      guidance.formatHelpByGuidance(help),
+      "Line 4. The loop never ends. The counter is not updated. A while loop stops only when its condition turns false. Add count += 1 inside the loop.",
+    );
+    settings.guidanceLevel = "concise";
+    assert.equal(
+      guidance.formatHelpByGuidance(help),
+      "Line 4. W0101: Unreachable code after infinite loop.",
+    );
+    // Unknown levels fall back to Balanced
+    settings.guidanceLevel = "verbose";
+    assert.equal(guidance.getActiveGuidanceProfile().label, "Balanced");
+  });
+
+  test("built-in levels cut long help exactly as before", () => {
+    // Output of formatHelpByGuidance before guidance levels became profiles
+    const long = {
+      where: "Line 12",
+      summary:
+        "This loop checks every item in the list again for each item. That makes it slow when the list grows. A set can answer the same question in one step. Try it with a short list first. Sets are built into Python and need no import.",
+      raw: "R1702: Too many nested blocks (6/5). Refactor the nested loops.",
+      why: "Nested loops over the same list take time that grows with the square of its length, so doubling the list makes the check four times slower, which students notice on bigger inputs.",
+      steps: [
+        "Build a set from the list before the loop, then check membership in the set instead of scanning the list each time.",
+        "Run the tests again.",
+      ],
+    };
+    const rawOnly = {
+      where: "Line 3",
+      raw: "E0602: Undefined variable 'totl'. Did you mean 'total'?",
+    };
+    const expected: Record<string, string[]> = {
+      guided: [
+        "Line 12. This loop checks every item in the list again for each item. That makes it slow when the list grows. A set can answer the same question in one step. Try it with a short list first. Next, Build a set from the list before the loop, then check membership in the set instead of scanning the list each time. Then, Run the tests again.",
+        "Line 3. E0602: Undefined variable 'totl'.",
+      ],
+      balanced: [
+        "Line 12. This loop checks every item in the list again for each item. That makes it slow when the list grows. A set can answer the same question in one step. Try it with a short list first. Nested loops over the same list take time that grows with the square of its length, so doubling the list makes the check four times slower, which students notic... Build a set from the list before the loop, then check membership in the set instead of scanning the list each time.",
+        "Line 3. E0602: Undefined variable 'totl'.",
+      ],
+      concise: [
+        "Line 12. R1702: Too many nested blocks (6/5).",
+        "Line 3. E0602: Undefined variable 'totl'.",
+      ],
+    };
+    for (const [level, outputs] of Object.entries(expected)) {
+      settings.guidanceLevel = level;
+      assert.deepEqual(
+        [long, rawOnly].map((input) => guidance.formatHelpByGuidance(input)),
+        outputs,
+        level,
+      );
+    }
+  });
+
+  test("custom profiles override their base and bad ones are skipped", () => {
+    settings.guidanceProfiles = {
+      examPrep: {
+        base: "guided",
+        maxSentences: 1,
+        includeWhy: true,
+        readingOrder: ["summary", "why", "location"],
+      },
+      broken: { base: "concise", readingOrder: ["summary", "hint"] },
+    };
+    settings.guidanceLevel = "examPrep";
+    assert.equal(
+      guidance.formatHelpByGuidance(help),
+      "The loop never ends. A while loop stops only when its condition turns false. Line 4.",
+    );
+    assert.deepEqual(Object.keys(profiles.getGuidanceProfiles()), [
+      "guided",
+      "balanced",
+      "concise",
+      "examPrep",
+    ]);
+    assert.equal(profiles.getProfileBase("examPrep"), "guided");
+
+    settings.guidanceLevel = "broken";
+    guidance.formatHelpByGuidance(help);
+    assert.deepEqual(warnings, [
+      'EchoCode: Ignoring guidance profile "broken".readingOrder must list parts from location, summary, why, steps.',
+    ]);
+    assert.throws(
+      () => profiles.normalizeProfile("loud", { vocabulary: "shouty" }),
+      /"loud"\.vocabulary must be one of simple, standard, technical/,
+    );
+  });
+
+  test("prompt instructions follow the profile", () => {
+    const fields = { summary: "summary", why: "why", steps: "steps" };
+    const { guided, concise } = profiles.BUILTIN_PROFILES;
+    assert.equal(
+      profiles.buildGuidanceInstructions(guided, fields),
+      [
+        "- Use simple language (no jargon).",
+        '- Provide "summary" in a sentence or two.',
+        '- Set "why" to an empty string.',
+        '- Provide exactly 2 short, actionable steps in "steps".',
+      ].join("\n"),
+    );
+    assert.equal(
+      profiles.buildGuidanceInstructions(concise),
+      [
+        "- Use precise technical terms.",
+        "- Keep each explanation to 1 sentence.",
+        "- Do not list fix steps.",
+      ].join("\n"),
+    );
+  });
+
+  test("a policy cap holds custom profiles to the capped levels", () => {
+    // A fresh workspace folder whose policy caps guidance
+    const useCap = (maxGuidanceLevel: string) => {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), "echocode-cap-"));
+      tempDirs.push(root);
+      fs.mkdirSync(path.join(root, ".echocode"));
+      fs.writeFileSync(
+        path.join(root, ".echocode", "policy.json"),
+        JSON.stringify({ name: "Lab 3", maxGuidanceLevel }),
+      );
+      globalVscode.workspace.workspaceFolders = [{ uri: { fsPath: root } }];
+    };
+    const limits = () => {
+      const profile = guidance.getActiveGuidanceProfile();
+      return [
+        profile.maxSentences,
+        profile.maxLength,
+        profile.steps,
+        profile.includeWhy,
+        profile.vocabulary,
+      ];
+    };
+    settings.mode = "student";
+    settings.guidanceProfiles = {
+      generous: {
+        base: "concise",
+        maxSentences: 6,
+        maxLength: 600,
+        steps: 5,
+        includeWhy: true,
+        vocabulary: "simple",
+      },
+    };
+
+    settings.guidanceLevel = "generous";
+    // Balanced reads the whole summary, so only the length holds it
+    useCap("balanced");
+    assert.deepEqual(limits(), [6, 220, 1, true, "standard"]);
+    useCap("concise");
+    assert.deepEqual(limits(), [1, 220, 0, false, "technical"]);
+
+    // Built-in levels within the cap are left as they are
+    settings.guidanceLevel = "concise";
+    useCap("balanced");
+    assert.deepEqual(limits(), [1, 220, 0, false, "technical"]);
+  });
+});
@@ -0,0 +1,260 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, setup, teardown, suiteSetup, suiteTeardown } from "mocha";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const globalVscode: any = (globalThis as any).vscode;
+
+const resolve = (file: string) =>
+  nodeRequire.resolve(path.join(repoRoot, file));
+const speechPath = resolve(
+  "Core/program_settings/speech_settings/speechHandler.js",
+);
+const ladderPath = resolve("Core/program_settings/helpLadder.js");
+const guardPath = resolve("Core/program_settings/guard.js");
+const pythonPath = resolve(
+  "program_features/C++_Error_Parser/Python_Error_Parser.js",
+);
+
+function createMemento() {
+  const values = new Map<string, unknown>();
+  return {
+    values,
+    get: (key: string) => values.get(key),
+    update: async (key: string, value: unknown) => {
+      values.set(key, value);
+    },
+  };
+}
+
+// Folders made by the tests, removed after each one
+const tempDirs: string[] = [];
+
+// A fresh workspace folder whose policy allows budget hints
+function useBudget(budget: number) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "echocode-ladder-"));
+  tempDirs.push(root);
+  fs.mkdirSync(path.join(root, ".echocode"));
+  fs.writeFileSync(
+    path.join(root, ".echocode", "policy.json"),
+    JSON.stringify({ name: "Lab 3", helpBudget: budget }),
+  );
+  globalVscode.workspace.workspaceFolders = [{ uri: { fsPath: root } }];
+}
+
+suite("Help ladder", () => {
+  const saved: Record<string, any> = {};
+  let ladder: any;
+  let guard: any;
+  let settings: Record<string, unknown> = {};
+  let spoken: string[] = [];
+  let contextKeys: Record<string, unknown> = {};
+  let context: any;
+  let policyChanged: () => unknown;
+
+  suiteSetup(() => {
+    saved.speech = nodeRequire.cache[speechPath];
+    saved.getConfiguration = globalVscode.workspace.getConfiguration;
+    saved.executeCommand = globalVscode.commands.executeCommand;
+    saved.showWarningMessage = globalVscode.window.showWarningMessage;
+
+    (nodeRequire.cache as any)[speechPath] = {
+      id: speechPath,
+      filename: speechPath,
+      loaded: true,
+      exports: {
+        speakMessage: async (text: string) => {
+          spoken.push(text);
+          return true;
+        },
+      },
+    };
+    for (const file of [ladderPath, guardPath, pythonPath]) {
+      delete nodeRequire.cache[file];
+    }
+    ladder = nodeRequire(ladderPath);
+    guard = nodeRequire(guardPath);
+
+    globalVscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+    });
+    globalVscode.commands.executeCommand = async (
+      id: string,
+      key: string,
+      value: unknown,
+    ) => {
+      if (id === "setContext") contextKeys[key] = value;
+    };
+    globalVscode.window.showWarningMessage = () => {};
+    saved.createFileSystemWatcher =
+      globalVscode.workspace.createFileSystemWatcher;
+    globalVscode.workspace.createFileSystemWatcher = () => ({
+      onDidCreate: () => {},
+      onDidChange: (listener: () => unknown) => {
+        policyChanged = listener;
+      },
+      onDidDelete: () => {},
+      dispose: () => {},
+    });
+  });
+
+  suiteTeardown(() => {
+    for (const file of [ladderPath, guardPath, pythonPath]) {
+      delete nodeRequire.cache[file];
+    }
+    if (saved.speech) nodeRequire.cache[speechPath] = saved.speech;
+    else delete nodeRequire.cache[speechPath];
+    globalVscode.workspace.getConfiguration = saved.getConfiguration;
+    globalVscode.commands.executeCommand = saved.executeCommand;
+    globalVscode.window.showWarningMessage = saved.showWarningMessage;
+    globalVscode.workspace.createFileSystemWatcher =
+      saved.createFileSystemWatcher;
+    delete globalVscode.workspace.workspaceFolders;
+  });
+
+  setup(async () => {
+    settings = { mode: "student", guidanceLevel: "balanced" };
+    useBudget(4);
+    spoken = [];
+    contextKeys = {};
+    context = { subscriptions: [], workspaceState: createMemento() };
+    await ladder.initHelpLadder(context);
+  });
+
+  teardown(() => {
+    for (const dir of tempDirs.splice(0)) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("climbs from concept to location to explanation and spends the budget", async () => {
+    assert.equal(contextKeys["echocode:helpLadder"], true);
+    const help = {
+      target: "main.py:3",
+      concept: "This line is about a loop over a sequence of values.",
+      where: "Line 4",
+      explain: async () => "This is a for loop over items using item.",
+    };
+    const climb = () =>
+      ladder.climbHelpLadder("echocode.describeCurrentLine", () => help);
+
+    assert.equal(
+      await climb(),
+      "Concept hint. This line is about a loop over a sequence of values. 3 help steps left.",
+    );
+    assert.match(await climb(), /^Location hint\. Line 4\. This line/);
+    assert.match(
+      await climb(),
+      /^Explanation\. Line 4\. This is a for loop .* 1 help step left\.$/,
+    );
+    // Hearing the explanation again is free
+    assert.match(await climb(), /1 help step left\.$/);
+
+    // Something new starts at the concept, until the budget runs out
+    const other = { ...help, target: "main.py:9" };
+    assert.match(
+      await ladder.climbHelpLadder("echocode.describeCurrentLine", () => other),
+      /^Concept hint\./,
+    );
+    assert.equal(
+      await ladder.climbHelpLadder("echocode.describeCurrentLine", () => other),
+      undefined,
+    );
+    assert.match(spoken[spoken.length - 1], /used all 4 help steps/);
+
+    assert.equal(context.workspaceState.values.size, 1);
+    assert.equal(ladder.getHelpUsage().used, 4);
+    await ladder.resetHelpUsage();
+    assert.equal(ladder.getHelpUsage().used, 0);
+  });
+
+  test("gives a generic concept hint for free", async () => {
+    const help = {
+      target: "main.py:class:Stack",
+      concept: "A class groups data with the functions that work on it.",
+      conceptGeneric: true,
+      where: "The class Stack runs from line 1 to line 9",
+      explain: async () => "Stack keeps items in a list.",
+    };
+    const climb = () =>
+      ladder.climbHelpLadder("echocode.summarizeClass", () => help);
+
+    assert.match(await climb(), /^Concept hint\. .* 4 help steps left\.$/);
+    assert.match(await climb(), /^Location hint\. .* 3 help steps left\.$/);
+    assert.equal(ladder.getHelpUsage().used, 1);
+  });
+
+  test("opens locked commands only in Student Mode with a budget", async () => {
+    const calls: string[] = [];
+    const run = guard.guardWithHelpLadder(
+      "echocode.summarizeClass",
+      async () => calls.push("full"),
+      async () => {
+        calls.push("hint");
+        return null;
+      },
+    );
+
+    assert.deepEqual(guard.checkCommand("echocode.summarizeClass"), {
+      allowed: true,
+      ladder: true,
+    });
+    // Commands outside the ladder keep their lock
+    assert.equal(guard.isAllowed("echocode.openChat"), false);
+    await run();
+
+    useBudget(0);
+    assert.equal(guard.checkCommand("echocode.summarizeClass").allowed, false);
+    await run();
+
+    settings.mode = "dev";
+    await run();
+    assert.deepEqual(calls, ["hint", "full"]);
+    assert.match(spoken[0], /locked/);
+  });
+
+  test("builds Python error rungs from the first error", async () => {
+    const python = nodeRequire(pythonPath);
+    const stderr = [
+      "Traceback (most recent call last):",
+      '  File "/work/lab3.py", line 7, in <module>',
+      "NameError: name 'totl' is not defined",
+    ].join("\n");
+    const help = await python.getPythonErrorHelp("/work/lab3.py", async () => ({
+      failed: true,
+      errors: python.parsePythonErrors(stderr),
+    }));
+    assert.equal(help.where, "In file lab3, line 7");
+    assert.match(help.concept, /^The first is a NameError\. /);
+    assert.equal(help.explain, "NameError: name 'totl' is not defined");
+
+    // A clean run gives no hint and costs nothing
+    assert.equal(
+      await python.getPythonErrorHelp("/work/lab3.py", async () => ({
+        failed: false,
+        errors: [],
+      })),
+      null,
+    );
+    assert.deepEqual(spoken, ["No syntax or runtime errors found."]);
+  });
+
+  test("reads the budget only from the policy and follows its changes", async () => {
+    delete globalVscode.workspace.workspaceFolders;
+    settings["helpLadder.budget"] = 10;
+    assert.equal(ladder.getHelpBudget(), 0);
+    assert.equal(ladder.usesHelpLadder("echocode.summarizeClass"), false);
+    await policyChanged();
+    assert.equal(contextKeys["echocode:helpLadder"], false);
+
+    useBudget(2);
+    await policyChanged();
+    assert.equal(contextKeys["echocode:helpLadder"], true);
+    assert.equal(ladder.getHelpBudget(), 2);
+  });
+});
@@ -29,12 +29,40 @@ export class Selection {
 }
 
 export class Range {
+  // new Range(startLine, startCharacter, endLine, endCharacter) or new Range(start, end)
   constructor(startLine, startCharacter, endLine, endCharacter) {
+    if (typeof startLine === "object") {
+      this.start = startLine;
+      this.end = startCharacter;
+      return;
+    }
     this.start = new Position(startLine, startCharacter);
     this.end = new Position(endLine, endCharacter);
   }
 }
 
+export class CancellationTokenSource {
+  constructor() {
+    const listeners = new Set();
+    this._listeners = listeners;
+    this.token = {
+      isCancellationRequested: false,
+      onCancellationRequested: (listener) => {
+        listeners.add(listener);
+        return { dispose: () => listeners.delete(listener) };
+      },
+    };
+  }
+  cancel() {
+    if (this.token.isCancellationRequested) return;
+    this.token.isCancellationRequested = true;
+    for (const listener of [...this._listeners]) listener();
+  }
+  dispose() {
+    this._listeners.clear();
+  }
+}
+
 // ----- VS Code API exports (ESM top-level) -----
 export const commands = { registerCommand, getCommands, executeCommand };
 
@@ -98,6 +126,7 @@ globalThis.vscode = {
   Position,
   Selection,
   Range,
+  CancellationTokenSource,
   __createMockContext,
 };
 globalThis.tts = tts;
@@ -0,0 +1,108 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown, setup } from "mocha";
+import * as http from "http";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const settingsDir = path.join(
+  repoRoot,
+  "Core/program_settings/program_settings",
+);
+const lm = nodeRequire(path.join(settingsDir, "lmProviders.js"));
+const ai = nodeRequire(path.join(settingsDir, "AIrequest.js"));
+
+suite("EchoCode – Language Model Providers", () => {
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  let settings: Record<string, unknown> = {};
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+      update: async () => {},
+    });
+  });
+
+  suiteTeardown(() => {
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+    lm.resetFakeProvider();
+  });
+
+  setup(() => {
+    settings = { "ai.provider": "fake" };
+    lm.resetFakeProvider();
+  });
+
+  test("features get the provider chosen in settings", async () => {
+    const model = await ai.selectModel();
+    assert.equal(model.id, "fake");
+
+    settings["ai.provider"] = "somethingElse";
+    await assert.rejects(ai.selectModel(), /Unknown language model provider/);
+  });
+
+  test("the fake provider is deterministic and records requests", async () => {
+    const summary = await ai.analyzeAI("x = 1", "Summarize this.");
+    assert.equal(summary, await ai.analyzeAI("x = 1", "Summarize this."));
+    assert.match(summary, /^Fake response to: Summarize this\./);
+
+    const [request] = lm.getFakeRequests();
+    assert.equal(request.messages[0].role, "user");
+  });
+
+  test("the fake provider can script answers", async () => {
+    lm.setFakeResponder('{"command":"echocode.stopSpeech"}');
+    const command = await ai.classifyVoiceIntent("be quiet", [
+      { id: "echocode.stopSpeech" },
+    ]);
+    assert.equal(command, "echocode.stopSpeech");
+  });
+
+  test("an OpenAI-compatible endpoint needs a model name", async () => {
+    settings["ai.provider"] = "openaiCompatible";
+    await assert.rejects(ai.selectModel(), /echocode\.ai\.model/);
+  });
+
+  test("streams from an OpenAI-compatible endpoint", async () => {
+    const received: any[] = [];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ url: req.url, body: JSON.parse(body) });
+        res.writeHead(200, { "Content-Type": "text/event-stream" });
+        for (const piece of ["def ", "add(a, b):"]) {
+          const chunk = { choices: [{ index: 0, delta: { content: piece } }] };
+          res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        }
+        res.end("data: [DONE]\n\n");
+      });
+    });
+    await new Promise<void>((resolve) =>
+      server.listen(0, "127.0.0.1", resolve),
+    );
+
+    try {
+      const { port } = server.address() as any;
+      settings = {
+        "ai.provider": "openaiCompatible",
+        "ai.model": "local-test",
+        "ai.endpoint": `http://127.0.0.1:${port}/v1`,
+      };
+
+      const code = await ai.generateCodeFromVoice("define add", "Python");
+      assert.equal(code, "def add(a, b):");
+      assert.equal(received[0].url, "/v1/chat/completions");
+      assert.equal(received[0].body.model, "local-test");
+      assert.equal(received[0].body.stream, true);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,72 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test } from "mocha";
+import * as path from "path";
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const settingsDir = path.join(
+  repoRoot,
+  "Core/program_settings/program_settings",
+);
+const intents = nodeRequire(path.join(settingsDir, "localIntentRouter.js"));
+const voiceCommands = nodeRequire(
+  path.join(settingsDir, "voice_commands.json"),
+);
+
+const best = (transcript: string) => {
+  const { match } = intents.matchIntent(transcript, voiceCommands, {
+    threshold: 0.7,
+  });
+  return match ? match.command.id : null;
+};
+
+suite("EchoCode – Local Voice Intent Matcher", () => {
+  test("the most specific phrase wins regardless of file order", () => {
+    assert.equal(best("read annotations"), "echocode.readAllAnnotations");
+    assert.equal(best("annotations"), "echocode.annotate");
+  });
+
+  test("ignores filler words and accepts synonyms", () => {
+    assert.equal(
+      best("could you please read the current line"),
+      "echocode.readCurrentLine",
+    );
+    assert.equal(best("speak all annotations"), "echocode.readAllAnnotations");
+    assert.equal(best("make a new directory"), "echocode.createFolder");
+  });
+
+  test("tolerates misheard words", () => {
+    assert.equal(best("summarise the functoin"), "echocode.summarizeFunction");
+    assert.equal(intents.editDistance("anotation", "annotation"), 1);
+  });
+
+  test("questions about code are not mistaken for commands", () => {
+    assert.equal(best("what does this function do"), null);
+  });
+
+  test("offers close alternatives instead of guessing", () => {
+    const { match, alternatives } = intents.matchIntent("next", voiceCommands, {
+      threshold: 0.7,
+    });
+    assert.equal(match, null);
+    assert.equal(alternatives.length, 2);
+    assert.ok(
+      alternatives.every((c: any) =>
+        c.command.id.toLowerCase().includes("next"),
+      ),
+    );
+  });
+
+  test("keeps the classifyLocalIntent contract", async () => {
+    const commands = [
+      { id: "echocode.createFile", title: "Create New File" },
+      { id: "echocode.stopSpeech", title: "Stop Speech" },
+    ];
+    assert.equal(
+      await intents.classifyLocalIntent("create a new file", commands),
+      "echocode.createFile",
+    );
+    assert.equal(await intents.classifyLocalIntent("banana", commands), "none");
+  });
+});
@@ -0,0 +1,321 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, setup, teardown, suiteSetup, suiteTeardown } from "mocha";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const globalVscode: any = (globalThis as any).vscode;
+
+const speechPath = nodeRequire.resolve(
+  path.join(repoRoot, "Core/program_settings/speech_settings/speechHandler.js"),
+);
+const securityPath = nodeRequire.resolve(
+  path.join(repoRoot, "Core/program_settings/modeSecurity.js"),
+);
+const modePath = nodeRequire.resolve(
+  path.join(repoRoot, "Core/program_settings/mode.js"),
+);
+
+function createSecrets() {
+  const values = new Map<string, string>();
+  return {
+    values,
+    get: async (key: string) => values.get(key),
+    store: async (key: string, value: string) => {
+      values.set(key, value);
+    },
+    delete: async (key: string) => {
+      values.delete(key);
+    },
+  };
+}
+
+suite("Mode PIN and mode log", () => {
+  const saved: Record<string, any> = {};
+  let security: any;
+  let mode: any;
+  let context: any;
+  let root: string;
+  let logPath: string;
+  let currentMode = "student";
+  // A workspace folder's setting, and whether it refuses updates
+  let folderMode: string | undefined;
+  let lockedFolder = false;
+  let updates: unknown[][] = [];
+  let warnings: string[] = [];
+  let pinAnswer: string | undefined;
+  let configListener: (event: any) => Promise<void>;
+
+  suiteSetup(() => {
+    saved.speech = nodeRequire.cache[speechPath];
+    saved.getConfiguration = globalVscode.workspace.getConfiguration;
+    saved.onDidChangeConfiguration =
+      globalVscode.workspace.onDidChangeConfiguration;
+    saved.executeCommand = globalVscode.commands.executeCommand;
+    saved.showWarningMessage = globalVscode.window.showWarningMessage;
+    saved.showInputBox = globalVscode.window.showInputBox;
+    saved.configurationTarget = globalVscode.ConfigurationTarget;
+
+    (nodeRequire.cache as any)[speechPath] = {
+      id: speechPath,
+      filename: speechPath,
+      loaded: true,
+      exports: { speakMessage: async () => true },
+    };
+    delete nodeRequire.cache[securityPath];
+    delete nodeRequire.cache[modePath];
+    security = nodeRequire(securityPath);
+    mode = nodeRequire(modePath);
+
+    globalVscode.ConfigurationTarget = {
+      Global: 1,
+      Workspace: 2,
+      WorkspaceFolder: 3,
+    };
+    globalVscode.workspace.getConfiguration = (
+      _section: string,
+      scope?: unknown,
+    ) => ({
+      get: (key: string, fallback: unknown) =>
+        key === "mode" ? folderMode || currentMode : fallback,
+      inspect: () =>
+        scope
+          ? { workspaceFolderValue: folderMode }
+          : { globalValue: currentMode },
+      update: async (key: string, value: string, target: number) => {
+        updates.push([key, value, target]);
+        if (target === 3) folderMode = lockedFolder ? folderMode : undefined;
+        else currentMode = value;
+      },
+    });
+    globalVscode.workspace.onDidChangeConfiguration = (listener: any) => {
+      configListener = listener;
+      return { dispose: () => {} };
+    };
+    globalVscode.commands.executeCommand = async () => {};
+    globalVscode.window.showWarningMessage = (message: string) => {
+      warnings.push(message);
+    };
+    globalVscode.window.showInputBox = async () => pinAnswer;
+  });
+
+  suiteTeardown(() => {
+    delete nodeRequire.cache[securityPath];
+    delete nodeRequire.cache[modePath];
+    if (saved.speech) nodeRequire.cache[speechPath] = saved.speech;
+    else delete nodeRequire.cache[speechPath];
+    globalVscode.workspace.getConfiguration = saved.getConfiguration;
+    globalVscode.workspace.onDidChangeConfiguration =
+      saved.onDidChangeConfiguration;
+    globalVscode.commands.executeCommand = saved.executeCommand;
+    globalVscode.window.showWarningMessage = saved.showWarningMessage;
+    globalVscode.window.showInputBox = saved.showInputBox;
+    globalVscode.ConfigurationTarget = saved.configurationTarget;
+    delete globalVscode.workspace.workspaceFolders;
+  });
+
+  setup(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "echocode-mode-"));
+    const state = new Map<string, unknown>();
+    context = {
+      globalStorageUri: { fsPath: root },
+      secrets: createSecrets(),
+      workspaceState: {
+        get: (key: string) => state.get(key),
+        update: async (key: string, value: unknown) => {
+          state.set(key, value);
+        },
+      },
+    };
+    logPath = path.join(root, "mode-log.jsonl");
+    currentMode = "student";
+    folderMode = undefined;
+    lockedFolder = false;
+    delete globalVscode.workspace.workspaceFolders;
+    updates = [];
+    warnings = [];
+    security.initModeSecurity(context, "student");
+  });
+
+  teardown(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test("stores PINs as salted hashes", () => {
+    const first = security.hashPin("2468");
+    const second = security.hashPin("2468");
+    assert.notEqual(first.hash, second.hash);
+    assert.ok(!JSON.stringify(first).includes("2468"));
+    assert.equal(security.verifyPin("2468", first), true);
+    assert.equal(security.verifyPin("1357", first), false);
+    assert.equal(security.verifyPin("2468", {}), false);
+  });
+
+  test("signs the mode log and detects edits and removals", async () => {
+    await security.recordModeEvent({
+      event: "modeChange",
+      from: "student",
+      to: "dev",
+    });
+    await security.recordModeEvent({
+      event: "modeChange",
+      from: "dev",
+      to: "student",
+    });
+    await security.recordModeEvent({ event: "pinRejected" });
+    assert.deepEqual(await security.verifyModeLog(), { ok: true, entries: 3 });
+
+    const lines = fs.readFileSync(logPath, "utf8").trim().split("\n");
+    fs.writeFileSync(
+      logPath,
+      [
+        lines[0],
+        lines[1].replace('"to":"student"', '"to":"dev"'),
+        lines[2],
+      ].join("\n"),
+    );
+    assert.deepEqual(await security.verifyModeLog(), {
+      ok: false,
+      entries: 3,
+      line: 2,
+      problem: "it was edited",
+    });
+
+    fs.writeFileSync(logPath, [lines[0], lines[2]].join("\n"));
+    assert.equal(
+      (await security.verifyModeLog()).problem,
+      "an entry before it was removed or reordered",
+    );
+
+    // Cutting entries off the end, or deleting the file, is caught too
+    fs.writeFileSync(logPath, [lines[0], lines[1]].join("\n"));
+    assert.deepEqual(await security.verifyModeLog(), {
+      ok: false,
+      entries: 2,
+      line: 3,
+      problem: "the entries from here on were removed",
+    });
+    fs.unlinkSync(logPath);
+    assert.deepEqual(await security.verifyModeLog(), {
+      ok: false,
+      entries: 0,
+      line: 1,
+      problem: "the log was deleted or emptied",
+    });
+  });
+
+  test("undoes Dev Mode set without the PIN and allows it with the PIN", async () => {
+    await context.secrets.store(
+      "echocode.instructorPin",
+      JSON.stringify(security.hashPin("2468")),
+    );
+    let handled = 0;
+    mode.onModeChange(() => {
+      handled += 1;
+    });
+
+    // Edited in settings.json at startup
+    currentMode = "dev";
+    assert.equal(await mode.refreshModeContext(), "student");
+    assert.deepEqual(updates, [["mode", "student", 1]]);
+    assert.match(warnings[0], /needs the instructor PIN/);
+
+    // Edited while running
+    currentMode = "dev";
+    await configListener({ affectsConfiguration: () => true });
+    assert.equal(currentMode, "student");
+    assert.equal(handled, 0);
+
+    pinAnswer = "1357";
+    assert.equal(await security.authorizeDevMode(), false);
+    pinAnswer = "2468";
+    assert.equal(await security.authorizeDevMode(), true);
+    currentMode = "dev";
+    await configListener({ affectsConfiguration: () => true });
+    assert.equal(currentMode, "dev");
+    assert.equal(handled, 1);
+
+    assert.deepEqual(await security.verifyModeLog(), { ok: true, entries: 4 });
+    const events = fs
+      .readFileSync(logPath, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      events.map((e) => [e.event, e.authorizedBy]),
+      [
+        ["reverted", undefined],
+        ["reverted", undefined],
+        ["pinRejected", undefined],
+        ["modeChange", "pin"],
+      ],
+    );
+  });
+
+  test("logs a deleted workspace PIN file and the switch it lets through", async () => {
+    const workspace = context.globalStorageUri.fsPath;
+    const pinFile = path.join(workspace, ".echocode", "instructor-pin.json");
+    fs.mkdirSync(path.dirname(pinFile));
+    fs.writeFileSync(pinFile, JSON.stringify(security.hashPin("2468")));
+    globalVscode.workspace.workspaceFolders = [{ uri: { fsPath: workspace } }];
+    mode.onModeChange(() => {});
+
+    currentMode = "dev";
+    await configListener({ affectsConfiguration: () => true });
+    assert.equal(currentMode, "student");
+
+    fs.unlinkSync(pinFile);
+    currentMode = "dev";
+    await configListener({ affectsConfiguration: () => true });
+    assert.equal(currentMode, "dev");
+    // Later switches without a PIN are ordinary again
+    currentMode = "student";
+    await configListener({ affectsConfiguration: () => true });
+    currentMode = "dev";
+    await configListener({ affectsConfiguration: () => true });
+
+    assert.deepEqual(await security.verifyModeLog(), { ok: true, entries: 5 });
+    const events = fs
+      .readFileSync(logPath, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      events.map((e) => [e.event, e.authorizedBy]),
+      [
+        ["reverted", undefined],
+        ["pinFileRemoved", undefined],
+        ["modeChange", "unauthenticated"],
+        ["modeChange", undefined],
+        ["modeChange", "noPin"],
+      ],
+    );
+  });
+
+  test("undoes Dev Mode in a workspace folder and warns once", async () => {
+    await context.secrets.store(
+      "echocode.instructorPin",
+      JSON.stringify(security.hashPin("2468")),
+    );
+    globalVscode.workspace.workspaceFolders = [{ uri: { fsPath: "/lab" } }];
+    mode.onModeChange(() => {});
+
+    folderMode = "dev";
+    await configListener({ affectsConfiguration: () => true });
+    assert.equal(folderMode, undefined);
+    assert.deepEqual(updates, [["mode", "student", 3]]);
+    assert.equal(warnings.length, 1);
+
+    // A value that cannot be changed is reported once, not on every event
+    folderMode = "dev";
+    lockedFolder = true;
+    await configListener({ affectsConfiguration: () => true });
+    await configListener({ affectsConfiguration: () => true });
+    assert.equal(warnings.length, 2);
+    const events = fs.readFileSync(logPath, "utf8").trim().split("\n");
+    assert.equal(events.length, 2);
+  });
+});
@@ -0,0 +1,96 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test } from "mocha";
+import * as path from "path";
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const { PartialTranscriber, describeLatency } = nodeRequire(
+  path.join(repoRoot, "program_features/Voice/partialTranscriber.js"),
+);
+
+// 16 kHz mono s16le silence; the fake transcriber only looks at lengths
+const audio = (ms: number) => Buffer.alloc((16000 * 2 * ms) / 1000);
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+function createFakeWhisper() {
+  const calls: { ms: number; resolve: (text: string) => void }[] = [];
+  return {
+    calls,
+    transcribeChunk: (pcm: Buffer) =>
+      new Promise<string>((resolve) =>
+        calls.push({ ms: pcm.length / 32, resolve }),
+      ),
+  };
+}
+
+suite("Partial transcription", () => {
+  test("transcribes one chunk at a time and joins the partial text", async () => {
+    const whisper = createFakeWhisper();
+    const partials: string[] = [];
+    const transcriber = new PartialTranscriber(
+      { chunkMs: 1000 },
+      {
+        transcribeChunk: whisper.transcribeChunk,
+        onPartial: (text: string) => partials.push(text),
+      },
+    );
+
+    transcriber.push(audio(600));
+    assert.equal(whisper.calls.length, 0, "waits for a full chunk");
+    transcriber.push(audio(600));
+    assert.equal(whisper.calls.length, 1);
+    assert.equal(whisper.calls[0].ms, 1200);
+
+    // Audio that arrives meanwhile is held for the next chunk
+    transcriber.push(audio(1000));
+    transcriber.push(audio(500));
+    assert.equal(whisper.calls.length, 1);
+
+    whisper.calls[0].resolve(" def add ");
+    await flush();
+    await flush();
+    assert.deepEqual(partials, ["def add"]);
+    assert.equal(whisper.calls.length, 2);
+    assert.equal(whisper.calls[1].ms, 1500);
+
+    whisper.calls[1].resolve("[no speech detected]");
+    await flush();
+    await flush();
+    whisper.calls.length = 0;
+    transcriber.push(audio(1000));
+    whisper.calls[0].resolve("a and b");
+    await flush();
+    assert.deepEqual(partials, ["def add", "def add a and b"]);
+
+    const metrics = transcriber.getMetrics(1000, 1800);
+    assert.equal(metrics.partials, 2);
+    assert.equal(metrics.finalMs, 800);
+    assert.match(describeLatency(metrics), /800 ms after stop, 2 partial/);
+  });
+
+  test("drops results that arrive after recording stopped", async () => {
+    const whisper = createFakeWhisper();
+    const partials: string[] = [];
+    const transcriber = new PartialTranscriber(
+      { chunkMs: 500 },
+      {
+        transcribeChunk: whisper.transcribeChunk,
+        onPartial: (text: string) => partials.push(text),
+      },
+    );
+
+    transcriber.push(audio(500));
+    transcriber.close();
+    transcriber.push(audio(2000));
+    whisper.calls[0].resolve("too late");
+    await flush();
+
+    assert.equal(whisper.calls.length, 1);
+    assert.deepEqual(partials, []);
+    assert.match(
+      describeLatency(transcriber.getMetrics(0, 300)),
+      /no partial results/,
+    );
+  });
+});
@@ -0,0 +1,233 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, setup, teardown, suiteSetup, suiteTeardown } from "mocha";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const policy = nodeRequire(
+  path.join(repoRoot, "Core/program_settings/policy.js"),
+);
+const guard = nodeRequire(
+  path.join(repoRoot, "Core/program_settings/guard.js"),
+);
+
+// Folders made by the tests, removed after each one
+const tempDirs: string[] = [];
+
+// A fresh workspace folder holding the given policy file
+function usePolicy(contents: unknown) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "echocode-policy-"));
+  tempDirs.push(root);
+  fs.mkdirSync(path.join(root, ".echocode"));
+  fs.writeFileSync(
+    path.join(root, ".echocode", "policy.json"),
+    typeof contents === "string" ? contents : JSON.stringify(contents),
+  );
+  vscode.workspace.workspaceFolders = [{ uri: { fsPath: root } }];
+}
+
+suite("Student Mode policy", () => {
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  const originalWarning = vscode.window.showWarningMessage;
+  let settings: Record<string, unknown> = {};
+  let warnings: string[] = [];
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+    });
+    vscode.window.showWarningMessage = (message: string) => {
+      warnings.push(message);
+    };
+  });
+
+  suiteTeardown(() => {
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+    vscode.window.showWarningMessage = originalWarning;
+    delete vscode.workspace.workspaceFolders;
+  });
+
+  setup(() => {
+    settings = { mode: "student" };
+    warnings = [];
+    policy.resetPolicyUses();
+  });
+
+  teardown(() => {
+    for (const dir of tempDirs.splice(0)) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("allows, limits and locks commands per the workspace policy", async () => {
+    usePolicy({
+      name: "Lab 3",
+      commands: {
+        "echocode.openChat": "allow",
+        "echocode.annotate": { limit: 2 },
+        "echocode.readErrors": {
+          access: "lock",
+          reason: "Read the traceback yourself first.",
+        },
+      },
+    });
+
+    // Built-in lock lifted by the policy
+    assert.equal(guard.isAllowed("echocode.openChat"), true);
+    assert.deepEqual(guard.checkCommand("echocode.readErrors"), {
+      allowed: false,
+      source: "policy",
+      policy: "Lab 3",
+      reason:
+        "This feature is locked by the Lab 3 policy. Read the traceback yourself first.",
+    });
+    // Unlisted commands keep the built-in Student Mode locks
+    assert.equal(
+      guard.checkCommand("echocode.summarizeClass").source,
+      "builtin",
+    );
+
+    assert.equal(guard.checkCommand("echocode.annotate").remaining, 2);
+    // A guarded command started by another counted run counts once
+    await guard.countCommandUse("echocode.annotate", () =>
+      guard.countCommandUse("echocode.annotate", async () => {}),
+    );
+    await guard.countCommandUse("echocode.annotate", async () => {});
+    assert.match(
+      guard.checkCommand("echocode.annotate").reason,
+      /allows this feature 2 times per session, and it has been used up/,
+    );
+
+    settings = { mode: "dev" };
+    assert.equal(guard.isAllowed("echocode.readErrors"), true);
+  });
+
+  test("applies time windows and caps guidance", () => {
+    usePolicy({
+      name: "Lab 3",
+      default: "lock",
+      maxGuidanceLevel: "balanced",
+      commands: {
+        "echocode.openChat": {
+          windows: [{ days: ["tue", "thu"], start: "14:00", end: "16:00" }],
+        },
+      },
+      windows: [{ until: "2026-10-31" }],
+    });
+
+    const tuesday = new Date(2026, 9, 20, 15, 0);
+    const wednesday = new Date(2026, 9, 21, 15, 0);
+    assert.deepEqual(policy.checkPolicy("echocode.openChat", true, tuesday), {
+      allowed: true,
+    });
+    assert.equal(
+      policy.checkPolicy("echocode.openChat", true, wednesday).reason,
+      "The Lab 3 policy only allows this feature on Tuesday and Thursday from 14:00 to 16:00.",
+    );
+    assert.equal(
+      policy.checkPolicy("echocode.moveToNextFolder", false, tuesday).reason,
+      "This feature is locked by the Lab 3 policy.",
+    );
+    // After the policy's last day only the built-in locks apply
+    assert.deepEqual(
+      policy.checkPolicy(
+        "echocode.moveToNextFolder",
+        false,
+        new Date(2026, 10, 1),
+      ),
+      { allowed: true },
+    );
+
+    assert.equal(policy.capGuidanceLevel("guided", tuesday), "balanced");
+    assert.equal(policy.capGuidanceLevel("concise", tuesday), "concise");
+  });
+
+  test("ignores a malformed policy file with a warning", () => {
+    assert.throws(
+      () =>
+        policy.normalizePolicy({
+          commands: { "echocode.annotate": { limit: -1 } },
+        }),
+      /commands\["echocode.annotate"\]\.limit must be a whole number/,
+    );
+    assert.throws(
+      () => policy.normalizePolicy({ windows: [{ days: ["someday"] }] }),
+      /windows\[0\]\.days has an unknown day "someday"/,
+    );
+
+    usePolicy("{ not json");
+    assert.equal(policy.loadPolicy(), null);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /^EchoCode: Ignoring /);
+    assert.equal(guard.checkCommand("echocode.annotate").source, "builtin");
+  });
+
+  test("a chat lock holds for messages from the panel and voice", async () => {
+    const { EchoCodeChatViewProvider } = nodeRequire(
+      path.join(repoRoot, "program_features/ChatBot/Chat_Tutor.js"),
+    );
+    usePolicy({
+      name: "Quiz",
+      commands: { "echocode.openChat": "lock" },
+    });
+    const posted: any[] = [];
+    const provider = new EchoCodeChatViewProvider({}, { appendLine() {} });
+    provider._view = { webview: { postMessage: (m: any) => posted.push(m) } };
+
+    await provider.handleUserMessage("What does this loop do?");
+    assert.deepEqual(posted, [
+      {
+        type: "responseError",
+        error: "This feature is locked by the Quiz policy.",
+      },
+    ]);
+    assert.deepEqual(warnings, [
+      "EchoCode: This feature is locked by the Quiz policy.",
+    ]);
+    assert.deepEqual(provider.conversationHistory, []);
+  });
+
+  test("warns about rules on commands that are not guarded", () => {
+    // A fresh copy, so the other tests never see commands marked registered
+    const policyPath = nodeRequire.resolve(
+      path.join(repoRoot, "Core/program_settings/policy.js"),
+    );
+    const saved = nodeRequire.cache[policyPath];
+    delete nodeRequire.cache[policyPath];
+    try {
+      const fresh = nodeRequire(policyPath);
+      usePolicy({
+        commands: {
+          "echocode.annotate": "lock",
+          "echocode.readErrors": "lock",
+        },
+      });
+      fresh.markCommandEnforced("echocode.annotate");
+      assert.equal(
+        fresh.loadPolicy().commands["echocode.readErrors"].access,
+        "lock",
+      );
+      assert.deepEqual(warnings, []);
+
+      fresh.reportUnenforcedRules();
+      assert.deepEqual(warnings, [
+        "EchoCode: .echocode/policy.json has rules EchoCode only applies to voice commands, not to menus or shortcuts: echocode.readErrors",
+      ]);
+
+      // Checked again when the file changes
+      usePolicy({ commands: { "echocode.readErrors": { limit: 1 } } });
+      fresh.loadPolicy();
+      assert.equal(warnings.length, 2);
+    } finally {
+      nodeRequire.cache[policyPath] = saved;
+    }
+  });
+});
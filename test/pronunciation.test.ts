@@ -0,0 +1,111 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown, setup } from "mocha";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const { pronounce, describeCharacter, splitIdentifier } = nodeRequire(
+  path.join(repoRoot, "Core/program_settings/speech_settings/pronunciation.js"),
+);
+
+suite("EchoCode – Pronunciation", () => {
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  let settings: Record<string, Record<string, unknown>> = {};
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = (
+      _section: string,
+      scope?: { languageId?: string },
+    ) => {
+      const values = {
+        ...(settings.default || {}),
+        ...((scope?.languageId && settings[scope.languageId]) || {}),
+      };
+      return {
+        get: (key: string, fallback: unknown) =>
+          key in values ? values[key] : fallback,
+        update: async () => {},
+      };
+    };
+  });
+
+  suiteTeardown(() => {
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+  });
+
+  setup(() => {
+    settings = {};
+  });
+
+  test("reads operators and brackets but not commas with the default profile", () => {
+    assert.equal(
+      pronounce("for i in range(len(x)):", { code: true }),
+      "for i in range open paren len open paren x close paren close paren",
+    );
+    assert.equal(
+      pronounce("if a >= b and c != 0:", { code: true }),
+      "if a greater than or equal to b and c not equal to 0",
+    );
+  });
+
+  test("punctuation profiles control how many symbols are read", () => {
+    settings.default = { "pronunciation.punctuation": "none" };
+    assert.equal(pronounce("print(x, y)", { code: true }), "print x y");
+
+    settings.default = { "pronunciation.punctuation": "all" };
+    assert.equal(
+      pronounce("print(x, y)", { code: true }),
+      "print open paren x comma y close paren",
+    );
+  });
+
+  test("splits identifiers and reads numbers per profile", () => {
+    assert.equal(splitIdentifier("parse_input"), "parse input");
+    assert.equal(splitIdentifier("HTTPServerError"), "HTTP Server Error");
+    assert.equal(
+      pronounce("totalCount = 42", { code: true }),
+      "total Count equals 42",
+    );
+
+    settings.default = {
+      "pronunciation.splitIdentifiers": false,
+      "pronunciation.numbers": "digits",
+    };
+    assert.equal(
+      pronounce("totalCount = 4.5", { code: true }),
+      "totalCount equals 4 point 5",
+    );
+  });
+
+  test("language overrides win over the default profile", () => {
+    settings.default = { "pronunciation.punctuation": "some" };
+    settings.python = { "pronunciation.punctuation": "all" };
+
+    assert.equal(
+      pronounce("def f():", { code: true, languageId: "python" }),
+      "def f open paren close paren colon",
+    );
+    assert.equal(
+      pronounce("def f():", { code: true, languageId: "cpp" }),
+      "def f open paren close paren",
+    );
+  });
+
+  test("prose keeps punctuation and reads inline code", () => {
+    assert.equal(
+      pronounce("The function parse_input returns `x[i]`."),
+      "The function parse input returns x open bracket i close bracket.",
+    );
+    assert.equal(pronounce("Line 4: missing colon"), "Line 4: missing colon");
+  });
+
+  test("names single characters for character read-out", () => {
+    assert.equal(describeCharacter("("), "open parenthesis");
+    assert.equal(describeCharacter("a"), "a");
+  });
+});
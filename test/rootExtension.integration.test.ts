@@ -260,8 +260,31 @@ function createExtensionStubs(state: {
     },
     "Core/program_settings/guard.js": {
       guard: (_id: string, handler: (...args: any[]) => any) => handler,
+      guardWithHelpLadder: (_id: string, handler: (...args: any[]) => any) =>
+        handler,
       STUDENT_LOCKED_COMMANDS: new Set(),
     },
+    "Core/program_settings/activityLog.js": {
+      initActivityLog: () => {},
+      recordActivity: async () => {},
+      registerActivityLogCommands: () => {},
+    },
+    "Core/program_settings/helpLadder.js": {
+      initHelpLadder: () => {},
+      describeHelpUsage: () => "",
+      resetHelpUsage: async () => {},
+    },
+    "Core/program_settings/modeSecurity.js": {
+      initModeSecurity: () => {},
+      authorizeDevMode: async () => true,
+      registerModeSecurityCommands: () => {},
+    },
+    "Core/program_settings/policy.js": {
+      capGuidanceLevel: (level: string) => level,
+      capGuidanceProfile: (profile: unknown) => profile,
+      registerPolicyCommands: () => {},
+      reportUnenforcedRules: () => {},
+    },
     "Language/Python/pylintHandler.js": {
       ensurePylintInstalled: async () => {},
     },
@@ -271,6 +294,7 @@ function createExtensionStubs(state: {
     },
     "program_features/C++_Error_Parser/Python_Error_Parser.js": {
       checkCurrentPythonFile: () => {},
+      getPythonErrorHelp: async () => null,
     },
     "Core/program_settings/speech_settings/speechHandler.js": {
       speakMessage: async (message: string) => {
@@ -281,16 +305,53 @@ function createExtensionStubs(state: {
       increaseSpeechSpeed: () => {},
       decreaseSpeechSpeed: () => {},
     },
+    "Core/program_settings/program_settings/aiCache.js": {
+      initAiCache: () => {},
+      registerAiCacheCommands: () => {},
+    },
+    "Core/program_settings/program_settings/aiProgress.js": {
+      registerAiProgressCommands: () => {},
+    },
+    "program_features/Voice/voiceHistory.js": {
+      registerVoiceHistoryCommands: () => {},
+      recordVoiceEvent: () => {},
+      recordVoiceEdit: () => {},
+    },
+    "program_features/Voice/voiceVocabulary.js": {
+      registerVoiceVocabularyCommands: () => {},
+    },
+    "program_features/Voice/dictation.js": {
+      dictateAtCursor: async () => "",
+    },
+    "program_features/Voice/speechModels.js": {
+      registerSpeechModelCommands: () => {},
+    },
+    "program_features/Voice/handsFreeListener.js": {
+      registerHandsFreeCommands: () => {},
+      stopHandsFree: () => {},
+    },
+    "Core/program_settings/speech_settings/earcons.js": {
+      registerEarconCommands: () => {},
+      playEarcon: async () => {},
+    },
     "Core/Summarizer/summaryGenerator.js": {
       registerSummarizerCommands: () => {},
     },
     "Core/program_settings/guide_settings/hotkeyGuide.js": {
       registerHotkeyGuideCommand: () => {},
     },
+    "Core/program_settings/guide_settings/guidanceProfiles.js": {
+      getGuidanceProfiles: () => ({}),
+    },
     "program_features/ChatBot/Chat_Tutor.js": {
       registerChatCommands: (context: any) => {
         context.subscriptions.push(
           vscode.commands.registerCommand("echocode.openChat", async () => {}),
+          // VS Code adds a focus command for each view
+          vscode.commands.registerCommand(
+            "echocode.chatView.focus",
+            async () => {},
+          ),
         );
         return chatProvider;
       },
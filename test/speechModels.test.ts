@@ -0,0 +1,144 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown, setup, teardown } from "mocha";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const models = nodeRequire(
+  path.join(repoRoot, "program_features/Voice/speechModels.js"),
+);
+
+// A directory that looks like a CTranslate2 Whisper model
+function makeModel(dir: string, name: string, weights = "weights") {
+  const modelPath = path.join(dir, name);
+  fs.mkdirSync(modelPath, { recursive: true });
+  fs.writeFileSync(path.join(modelPath, "model.bin"), weights);
+  fs.writeFileSync(path.join(modelPath, "config.json"), "{}");
+  return modelPath;
+}
+
+suite("Speech model manager", () => {
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  let settings: Record<string, unknown> = {};
+  let root: string;
+  let context: any;
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+    });
+  });
+
+  suiteTeardown(() => {
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+  });
+
+  setup(() => {
+    settings = {};
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "echocode-models-"));
+    context = {
+      globalStorageUri: { fsPath: path.join(root, "storage") },
+      extensionUri: { fsPath: path.join(root, "extension") },
+    };
+  });
+
+  teardown(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test("lists bundled and imported models with their sizes", async () => {
+    makeModel(path.join(root, "extension", "local_models"), "whisper-tiny");
+    const source = makeModel(path.join(root, "downloads"), "base.en");
+    fs.mkdirSync(path.join(root, "extension", "local_models", "notes"));
+
+    const imported = await models.importModel(context, source);
+    assert.equal(imported.name, "base.en");
+
+    const installed = models.listInstalledModels(context);
+    assert.deepEqual(
+      installed.map((m: any) => [m.name, m.source, m.size, m.englishOnly]),
+      [
+        ["base.en", "imported", "base", true],
+        ["whisper-tiny", "bundled", "tiny", false],
+      ],
+    );
+    // Checksums were recorded on import
+    assert.ok(installed[0].hasChecksums);
+
+    await assert.rejects(
+      models.importModel(context, source),
+      /already installed/,
+    );
+    await assert.rejects(
+      models.importModel(context, path.join(root, "extension")),
+      /not a Whisper model/,
+    );
+  });
+
+  test("verifies checksums and refuses damaged imports", async () => {
+    const modelPath = makeModel(path.join(root, "downloads"), "small");
+    await models.writeChecksums(modelPath);
+    assert.deepEqual(await models.verifyModel(modelPath), {
+      ok: true,
+      verified: true,
+      missing: [],
+      mismatched: [],
+    });
+
+    fs.writeFileSync(path.join(modelPath, "model.bin"), "tampered");
+    const result = await models.verifyModel(modelPath);
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.mismatched, ["model.bin"]);
+    await assert.rejects(
+      models.importModel(context, modelPath),
+      /failed its checksum check \(model\.bin\)/,
+    );
+  });
+
+  test("falls back to the nearest installed size", () => {
+    const bundled = path.join(root, "extension", "local_models");
+    makeModel(bundled, "whisper-tiny");
+    makeModel(bundled, "base.en");
+
+    settings = { "voice.model": "base" };
+    assert.deepEqual(models.resolveSpeechModel(context), {
+      model: path.join(bundled, "base.en"),
+      name: "base.en",
+      fallback: false,
+    });
+
+    // English-only models are skipped for other languages
+    settings = { "voice.model": "base", "voice.language": "es" };
+    assert.equal(models.resolveSpeechModel(context).name, "whisper-tiny");
+    assert.equal(models.resolveSpeechModel(context).fallback, true);
+
+    settings = {
+      "voice.model": "small",
+      "voice.language": "auto",
+      "voice.computeType": "float32",
+    };
+    fs.rmSync(bundled, { recursive: true });
+    const resolved = models.resolveSpeechModel(context);
+    assert.deepEqual(resolved, {
+      model: "small",
+      name: "small",
+      fallback: false,
+    });
+    assert.deepEqual(models.getWhisperArgs(resolved), [
+      "--model",
+      "small",
+      "--language",
+      "auto",
+      "--compute-type",
+      "float32",
+    ]);
+  });
+});
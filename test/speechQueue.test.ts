@@ -0,0 +1,140 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test } from "mocha";
+import * as path from "path";
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const { SpeechQueue } = nodeRequire(
+  path.join(repoRoot, "Core/program_settings/speech_settings/speechQueue.js"),
+);
+
+function createBackend() {
+  const spoken: string[] = [];
+  const stopped: string[] = [];
+  let finishCurrent: (() => void) | null = null;
+  let playing: string | null = null;
+
+  return {
+    spoken,
+    stopped,
+    get playing() {
+      return playing;
+    },
+    finish: () => {
+      const done = finishCurrent;
+      finishCurrent = null;
+      playing = null;
+      if (done) done();
+    },
+    speak: (text: string) =>
+      new Promise<void>((resolve) => {
+        spoken.push(text);
+        playing = text;
+        finishCurrent = resolve;
+      }),
+    stop: () => {
+      if (playing) stopped.push(playing);
+      playing = null;
+      finishCurrent = null;
+    },
+  };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+suite("EchoCode – Speech Queue", () => {
+  test("speaks queued utterances in priority order", async () => {
+    const backend = createBackend();
+    const queue = new SpeechQueue(backend);
+
+    const first = queue.enqueue("summary", { priority: "user" });
+    queue.enqueue("new file detected", { priority: "background" });
+    queue.enqueue("line 3: undefined name", { priority: "urgent" });
+    await tick();
+
+    assert.deepEqual(backend.spoken, ["summary"]);
+    backend.finish();
+    assert.equal(await first, true);
+    await tick();
+    assert.equal(backend.playing, "line 3: undefined name");
+    backend.finish();
+    await tick();
+    assert.equal(backend.playing, "new file detected");
+    backend.finish();
+    await tick();
+
+    assert.deepEqual(backend.stopped, []);
+  });
+
+  test("urgent speech cuts off background speech but not user reads", async () => {
+    const backend = createBackend();
+    const queue = new SpeechQueue(backend);
+
+    const background = queue.enqueue("watching folder", {
+      priority: "background",
+    });
+    await tick();
+    queue.enqueue("pylint error", { priority: "urgent" });
+    assert.equal(await background, false);
+    assert.deepEqual(backend.stopped, ["watching folder"]);
+
+    await tick();
+    backend.finish();
+    await tick();
+
+    queue.enqueue("function summary", { priority: "user" });
+    await tick();
+    queue.enqueue("another pylint error", { priority: "urgent" });
+    await tick();
+    assert.equal(backend.playing, "function summary");
+    assert.deepEqual(backend.stopped, ["watching folder"]);
+  });
+
+  test("coalesces pending utterances that share a category", async () => {
+    const backend = createBackend();
+    const queue = new SpeechQueue(backend);
+
+    queue.enqueue("reading", { priority: "user" });
+    const stale = queue.enqueue("new file a.py", { category: "watcher" });
+    queue.enqueue("new file b.py", { category: "watcher" });
+
+    assert.equal(await stale, false);
+    await tick();
+    backend.finish();
+    await tick();
+    assert.equal(backend.playing, "new file b.py");
+  });
+
+  test("keeps a history for repeat and replay", async () => {
+    const backend = createBackend();
+    const queue = new SpeechQueue({ ...backend, historyLimit: 2 });
+
+    for (const text of ["one", "two", "three"]) {
+      const done = queue.enqueue(text);
+      await tick();
+      backend.finish();
+      await done;
+    }
+
+    assert.equal(queue.getLastUtterance().text, "three");
+    assert.deepEqual(
+      queue.getHistory().map((entry: { text: string }) => entry.text),
+      ["three", "two"],
+    );
+  });
+
+  test("stop clears pending speech", async () => {
+    const backend = createBackend();
+    const queue = new SpeechQueue(backend);
+
+    const playing = queue.enqueue("long summary");
+    const waiting = queue.enqueue("next");
+    await tick();
+
+    assert.equal(queue.stop(), true);
+    assert.equal(await playing, false);
+    assert.equal(await waiting, false);
+    assert.equal(queue.stop(), false);
+  });
+});
@@ -0,0 +1,209 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown, setup } from "mocha";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const settingsDir = path.join(
+  repoRoot,
+  "Core/program_settings/program_settings",
+);
+const structured = nodeRequire(path.join(settingsDir, "structuredOutput.js"));
+const cache = nodeRequire(path.join(settingsDir, "aiCache.js"));
+const lm = nodeRequire(path.join(settingsDir, "lmProviders.js"));
+const ai = nodeRequire(path.join(settingsDir, "AIrequest.js"));
+
+const SUGGESTIONS = {
+  type: "object",
+  properties: {
+    suggestions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          line: { type: "integer", minimum: 1 },
+          suggestion: { type: "string", minLength: 1 },
+        },
+        required: ["line", "suggestion"],
+      },
+    },
+  },
+  required: ["suggestions"],
+};
+
+suite("EchoCode – Structured AI Output", () => {
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  let settings: Record<string, unknown> = {};
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+      update: async () => {},
+    });
+  });
+
+  suiteTeardown(() => {
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+    cache.clearAiCache();
+    lm.resetFakeProvider();
+  });
+
+  setup(() => {
+    settings = { "ai.provider": "fake" };
+    cache.clearAiCache();
+    lm.resetFakeProvider();
+  });
+
+  test("validation reports where a reply is wrong", () => {
+    const errors = structured.validateSchema(
+      { suggestions: [{ line: "3", suggestion: "" }] },
+      SUGGESTIONS,
+    );
+    assert.deepEqual(errors, [
+      "$.suggestions[0].line should be integer, got string",
+      "$.suggestions[0].suggestion should not be empty",
+    ]);
+  });
+
+  test("JSON is found inside fences, chatter and back-to-back objects", () => {
+    const fenced = structured.parseStructured(
+      'Sure!\n```json\n{"suggestions": [{"line": 2, "suggestion": "Use a set."}]}\n```',
+      SUGGESTIONS,
+    );
+    assert.deepEqual(fenced.errors, []);
+    assert.equal(fenced.value.suggestions[0].line, 2);
+
+    const loose = structured.parseStructured(
+      '{"line": 1, "suggestion": "a"}{"line": 4, "suggestion": "b"}',
+      SUGGESTIONS,
+    );
+    assert.deepEqual(
+      loose.value.suggestions.map((s: any) => s.line),
+      [1, 4],
+    );
+
+    assert.deepEqual(
+      structured.parseStructured("no idea", SUGGESTIONS).errors,
+      ["the reply contained no JSON"],
+    );
+  });
+
+  test("an invalid reply is corrected and only the valid one is cached", async () => {
+    const replies = [
+      '{"suggestions": [{"line": "two"}]}',
+      '{"suggestions": [{"line": 2, "suggestion": "Hoist the lookup."}]}',
+    ];
+    lm.setFakeResponder(() => replies.shift());
+
+    const ask = () =>
+      ai.requestStructured([lm.userMessage("Review this loop.")], SUGGESTIONS, {
+        kind: "bigO",
+      });
+    const result = await ask();
+
+    assert.equal(result.suggestions[0].suggestion, "Hoist the lookup.");
+    const requests = lm.getFakeRequests();
+    assert.equal(requests.length, 2);
+    const correction = requests[1].messages.at(-1).content;
+    assert.match(correction, /\$\.suggestions\[0\]\.line should be integer/);
+
+    assert.deepEqual(await ask(), result);
+    assert.equal(lm.getFakeRequests().length, 2, "second ask is cached");
+  });
+
+  test("gives up with the validation errors after the retries", async () => {
+    lm.setFakeResponder("I think line 3 is slow.");
+
+    await assert.rejects(
+      ai.requestStructured([lm.userMessage("Review.")], SUGGESTIONS, {
+        maxRetries: 1,
+      }),
+      (err: any) => {
+        assert.deepEqual(err.validationErrors, ["the reply contained no JSON"]);
+        return true;
+      },
+    );
+    assert.equal(lm.getFakeRequests().length, 2);
+    assert.equal(cache.getAiCacheSize(), 0);
+  });
+
+  test("voice intents outside the command list fall back to none", async () => {
+    lm.setFakeResponder('{"command":"workbench.action.closeAllEditors"}');
+    const command = await ai.classifyVoiceIntent("close everything", [
+      { id: "echocode.stopSpeech" },
+    ]);
+    assert.equal(command, "none");
+  });
+
+  test("logs each AI request once, whichever helper sends it", async () => {
+    // Copies of AIrequest.js and the activity log, so later suites do not
+    // write to this test's folder
+    const aiPath = nodeRequire.resolve(path.join(settingsDir, "AIrequest.js"));
+    const activityPath = nodeRequire.resolve(
+      path.join(repoRoot, "Core/program_settings/activityLog.js"),
+    );
+    const savedActivity = nodeRequire.cache[activityPath];
+    delete nodeRequire.cache[activityPath];
+    const activity = nodeRequire(activityPath);
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "echocode-prompts-"));
+    const secrets = new Map<string, string>();
+    activity.initActivityLog({
+      subscriptions: [],
+      storageUri: { fsPath: root },
+      secrets: {
+        get: async (key: string) => secrets.get(key),
+        store: async (key: string, value: string) => {
+          secrets.set(key, value);
+        },
+      },
+    });
+    const saved = nodeRequire.cache[aiPath];
+    delete nodeRequire.cache[aiPath];
+    try {
+      const fresh = nodeRequire(aiPath);
+      const replies = [
+        '{"suggestions": [{"line": "two"}]}',
+        '{"suggestions": [{"line": 2, "suggestion": "Hoist the lookup."}]}',
+        "x = 1",
+      ];
+      lm.setFakeResponder(() => replies.shift());
+
+      await fresh.requestStructured(
+        [lm.userMessage("Review this loop.")],
+        SUGGESTIONS,
+        { kind: "bigO" },
+      );
+      await fresh.generateCodeFromVoice("set x to one", "python");
+      // Exporting waits for the pending writes
+      const exported = path.join(root, "export.jsonl");
+      await activity.exportActivityLog(exported, "jsonl");
+      const entries = fs
+        .readFileSync(exported, "utf8")
+        .trim()
+        .split("\n")
+        // After the logCheck row
+        .slice(1)
+        .map((line) => JSON.parse(line));
+      assert.deepEqual(
+        entries.map((e) => [e.event, e.kind, e.prompt]),
+        [
+          ["aiPrompt", "bigO", "Review this loop."],
+          ["aiPrompt", "generateCode", "set x to one"],
+        ],
+      );
+    } finally {
+      nodeRequire.cache[aiPath] = saved;
+      if (savedActivity) nodeRequire.cache[activityPath] = savedActivity;
+      else delete nodeRequire.cache[activityPath];
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
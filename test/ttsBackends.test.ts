@@ -0,0 +1,158 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown, setup } from "mocha";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const speechDir = path.join(repoRoot, "Core/program_settings/speech_settings");
+const tts = nodeRequire(path.join(speechDir, "ttsBackends.js"));
+const speech = nodeRequire(path.join(speechDir, "speechHandler.js"));
+
+suite("EchoCode – TTS Backends", () => {
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  let settings: Record<string, unknown> = {};
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+      update: async () => {},
+    });
+  });
+
+  suiteTeardown(() => {
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+  });
+
+  setup(() => {
+    settings = { "tts.backend": "log" };
+    tts.resetBackendResolution();
+    tts.clearSpokenLog();
+  });
+
+  test("selects the backend named in settings", () => {
+    assert.equal(tts.getBackend().id, "log");
+    settings["tts.backend"] = "espeak";
+    assert.equal(tts.getBackend().id, "espeak");
+  });
+
+  test("falls back to the auto choice for unknown backends", () => {
+    settings["tts.backend"] = "not-a-backend";
+    assert.equal(tts.getBackend().id, tts.getBackend("auto").id);
+  });
+
+  test("log backend records what speakMessage says", async () => {
+    settings.voice = "en-us";
+
+    assert.equal(await speech.speakMessage("Line 4: missing colon"), true);
+    await speech.speakMessage("Build finished", { priority: "background" });
+
+    const log = tts.getSpokenLog();
+    assert.deepEqual(
+      log.map((entry: any) => entry.text),
+      ["Line 4: missing colon", "Build finished"],
+    );
+    assert.equal(log[0].voice, "en-us");
+    assert.equal(log[0].rate, speech.getSpeechSpeed());
+  });
+
+  test("stopping say.js mid-utterance is not a backend failure", async () => {
+    const say = nodeRequire("say");
+    const original = { speak: say.speak, stop: say.stop };
+    const showWarningMessage = vscode.window.showWarningMessage;
+    const warnings: string[] = [];
+    let finish: ((err: Error | null) => void) | null = null;
+    settings["tts.backend"] = "say";
+    say.speak = (_t: string, _v: any, _r: any, done: any) => (finish = done);
+    // say.js calls back with an error when its child process is killed
+    say.stop = () =>
+      finish!(new Error("could not talk, had an error [signal: SIGTERM]"));
+    vscode.window.showWarningMessage = (message: string) => {
+      warnings.push(message);
+      return Promise.resolve(undefined);
+    };
+    try {
+      const spoken = speech.speakMessage("A long summary of the class");
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.equal(speech.stopSpeaking(), true);
+      assert.equal(await spoken, false);
+
+      // A real failure still rejects
+      const failing = tts.getBackend().speak("Hello", {});
+      finish!(new Error("could not talk"));
+      await assert.rejects(failing, /could not talk/);
+    } finally {
+      Object.assign(say, original);
+      vscode.window.showWarningMessage = showWarningMessage;
+    }
+    assert.deepEqual(warnings, []);
+  });
+
+  test("a stopped utterance that ends late leaves the next one stoppable", async () => {
+    const say = nodeRequire("say");
+    const original = { speak: say.speak, stop: say.stop };
+    const showWarningMessage = vscode.window.showWarningMessage;
+    const warnings: string[] = [];
+    const playing: string[] = [];
+    const killed: string[] = [];
+    const callbacks = new Map<string, (err: Error | null) => void>();
+    settings["tts.backend"] = "say";
+    say.speak = (text: string, _v: any, _r: any, done: any) => {
+      playing.push(text);
+      callbacks.set(text, done);
+    };
+    // The killed process reports back only after the next one has started
+    say.stop = () => {
+      const text = playing.pop()!;
+      killed.push(text);
+      setTimeout(
+        () => callbacks.get(text)!(new Error("could not talk [SIGTERM]")),
+        20,
+      );
+    };
+    vscode.window.showWarningMessage = (message: string) => {
+      warnings.push(message);
+      return Promise.resolve(undefined);
+    };
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+    try {
+      const background = speech.speakMessage("Indexing finished", {
+        priority: "background",
+      });
+      await tick();
+      const urgent = speech.speakMessage("Syntax error on line 3", {
+        priority: "urgent",
+      });
+      assert.equal(await background, false);
+      await tick();
+      assert.deepEqual(playing, ["Syntax error on line 3"]);
+
+      // The first kill's late callback must not orphan the urgent message
+      await new Promise((resolve) => setTimeout(resolve, 40));
+      assert.equal(speech.stopSpeaking(), true);
+      assert.equal(await urgent, false);
+      assert.deepEqual(killed, ["Indexing finished", "Syntax error on line 3"]);
+      await new Promise((resolve) => setTimeout(resolve, 40));
+    } finally {
+      Object.assign(say, original);
+      vscode.window.showWarningMessage = showWarningMessage;
+    }
+    assert.deepEqual(warnings, []);
+  });
+
+  test("log backend mirrors speech to the output channel", async () => {
+    const lines: string[] = [];
+    tts.setBackendOutputChannel({ appendLine: (l: string) => lines.push(l) });
+    try {
+      await speech.speakMessage("Saved");
+    } finally {
+      tts.setBackendOutputChannel(null);
+    }
+    assert.deepEqual(lines, ["[Speech] Saved"]);
+  });
+});
@@ -0,0 +1,101 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test } from "mocha";
+import * as path from "path";
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const vad = nodeRequire(
+  path.join(repoRoot, "program_features/Voice/voiceActivity.js"),
+);
+
+// 16 kHz mono s16le: `ms` of a tone at `amplitude` (0..1), or silence
+function pcm(ms: number, amplitude = 0) {
+  const samples = (vad.SAMPLE_RATE * ms) / 1000;
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const value = Math.sin((2 * Math.PI * 440 * i) / vad.SAMPLE_RATE);
+    buffer.writeInt16LE(Math.round(value * amplitude * 32767), i * 2);
+  }
+  return buffer;
+}
+
+const options = {
+  thresholdDb: -40,
+  minSpeechMs: 90,
+  silenceMs: 300,
+  maxUtteranceMs: 2000,
+};
+
+suite("Voice activity detection", () => {
+  test("cuts one utterance out of speech between silences", () => {
+    const utterances: Buffer[] = [];
+    let starts = 0;
+    const detector = new vad.VoiceActivityDetector(options, {
+      onSpeechStart: () => starts++,
+      onUtterance: (audio: Buffer) => utterances.push(audio),
+    });
+
+    // Odd chunk sizes, as pipes deliver them
+    const stream = Buffer.concat([pcm(600), pcm(900, 0.3), pcm(600)]);
+    for (let i = 0; i < stream.length; i += 1234) {
+      detector.push(stream.subarray(i, i + 1234));
+    }
+
+    assert.equal(starts, 1);
+    assert.equal(utterances.length, 1);
+    const ms = utterances[0].length / 2 / (vad.SAMPLE_RATE / 1000);
+    // The speech, a little pre-roll before it and the trailing silence
+    assert.ok(ms >= 900 && ms <= 1600, `utterance was ${ms} ms`);
+  });
+
+  test("ignores clicks shorter than minSpeechMs and caps long speech", () => {
+    const utterances: Buffer[] = [];
+    const detector = new vad.VoiceActivityDetector(options, {
+      onUtterance: (audio: Buffer) => utterances.push(audio),
+    });
+
+    detector.push(Buffer.concat([pcm(300), pcm(60, 0.5), pcm(600)]));
+    assert.equal(utterances.length, 0);
+
+    detector.push(pcm(4500, 0.3));
+    assert.equal(utterances.length, 2);
+    // Cut at the first whole frame past maxUtteranceMs
+    const maxBytes = ((2000 + vad.FRAME_MS) / 1000) * vad.SAMPLE_RATE * 2;
+    assert.ok(utterances[0].length <= maxBytes);
+  });
+
+  test("frameLevelDb is near 0 at full scale and -Infinity for silence", () => {
+    assert.equal(vad.frameLevelDb(pcm(30)), -Infinity);
+    assert.ok(vad.frameLevelDb(pcm(30, 1)) > -4);
+  });
+
+  test("pcmToWav writes a 16 kHz mono PCM header", () => {
+    const wav = vad.pcmToWav(pcm(100, 0.1));
+    assert.equal(wav.toString("ascii", 0, 4), "RIFF");
+    assert.equal(wav.toString("ascii", 8, 12), "WAVE");
+    assert.equal(wav.readUInt16LE(22), 1);
+    assert.equal(wav.readUInt32LE(24), 16000);
+    assert.equal(wav.readUInt32LE(40), wav.length - 44);
+  });
+
+  test("matchWakePhrase finds the phrase, greetings and soundalikes", () => {
+    assert.deepEqual(vad.matchWakePhrase("Echo, go to line 4.", "echo"), {
+      woke: true,
+      command: "go to line 4.",
+    });
+    assert.deepEqual(vad.matchWakePhrase("Hey Eco run the file", "echo"), {
+      woke: true,
+      command: "run the file",
+    });
+    assert.deepEqual(vad.matchWakePhrase("Echo.", "echo"), {
+      woke: true,
+      command: "",
+    });
+    assert.equal(vad.matchWakePhrase("go to line 4", "echo").woke, false);
+    assert.equal(
+      vad.matchWakePhrase("okay computer, save", "hey computer").woke,
+      false,
+    );
+  });
+});
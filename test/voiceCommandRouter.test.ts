@@ -40,6 +40,9 @@ const dependencyPaths = {
 
 function loadVoiceRouter(overrides: Record<string, any> = {}) {
   const savedEntries = new Map<string, any>();
+  const modeModule = { getMode: () => "dev", ...(overrides.mode || {}) };
+  const lockedCommands: Set<string> =
+    overrides.guard?.STUDENT_LOCKED_COMMANDS || new Set();
   const mockedModules = {
     [dependencyPaths.externalIntentRouter]: {
       matchExternalCommand: () => null,
@@ -49,12 +52,14 @@ function loadVoiceRouter(overrides: Record<string, any> = {}) {
       generateCodeFromVoice: async () => null,
       ...(overrides.aiRequest || {}),
     },
-    [dependencyPaths.mode]: {
-      getMode: () => "dev",
-      ...(overrides.mode || {}),
-    },
+    [dependencyPaths.mode]: modeModule,
     [dependencyPaths.guard]: {
-      STUDENT_LOCKED_COMMANDS: new Set(),
+      STUDENT_LOCKED_COMMANDS: lockedCommands,
+      checkCommand: (commandId: string) =>
+        modeModule.getMode() !== "dev" && lockedCommands.has(commandId)
+          ? { allowed: false, source: "builtin" }
+          : { allowed: true },
+      countCommandUse: (_commandId: string, run: () => unknown) => run(),
       ...(overrides.guard || {}),
     },
     [dependencyPaths.speech]: {
@@ -131,15 +136,18 @@ function captureWindowMessages() {
 
 function captureCommandExecution() {
   const executed: string[] = [];
+  const args: unknown[][] = [];
   const originalExecute = vscode.commands.executeCommand;
 
-  vscode.commands.executeCommand = async (id: string) => {
+  vscode.commands.executeCommand = async (id: string, ...rest: unknown[]) => {
     executed.push(id);
+    args.push(rest);
     return undefined;
   };
 
   return {
     executed,
+    args,
     restore: () => {
       vscode.commands.executeCommand = originalExecute;
     },
@@ -218,6 +226,150 @@ suite("EchoCode – Voice Command Router", () => {
     }
   });
 
+  test("asks which command was meant when two fit equally", async () => {
+    const originalReadFileSync = fs.readFileSync;
+    const spokenMessages: string[] = [];
+    const outputChannel = createOutputChannel();
+    const commands = captureCommandExecution();
+    const { router, restore } = loadVoiceRouter({
+      speech: {
+        speakMessage: async (message: string) => {
+          spokenMessages.push(message);
+        },
+      },
+    });
+
+    fs.readFileSync = (() =>
+      JSON.stringify([
+        {
+          id: "echocode.nextFile",
+          title: "Next File",
+          keywords: ["next file"],
+        },
+        {
+          id: "echocode.nextTask",
+          title: "Next Task",
+          keywords: ["next task"],
+        },
+      ])) as unknown as typeof fs.readFileSync;
+
+    try {
+      const first = await router.tryExecuteVoiceCommand("next", outputChannel);
+      assert.deepEqual(first, { handled: true });
+      assert.deepEqual(spokenMessages, [
+        "Did you mean Next File or Next Task?",
+      ]);
+      assert.deepEqual(commands.executed, []);
+
+      const second = await router.tryExecuteVoiceCommand(
+        "the second one",
+        outputChannel,
+      );
+      assert.deepEqual(second, { handled: true, command: "echocode.nextTask" });
+      assert.deepEqual(commands.executed, ["echocode.nextTask"]);
+    } finally {
+      fs.readFileSync = originalReadFileSync;
+      commands.restore();
+      restore();
+    }
+  });
+
+  test("records each routed command in the voice history", async () => {
+    const originalReadFileSync = fs.readFileSync;
+    const outputChannel = createOutputChannel();
+    const commands = captureCommandExecution();
+    const { router, restore } = loadVoiceRouter();
+    const history = nodeRequire(
+      path.join(repoRoot, "program_features/Voice/voiceHistory.js"),
+    );
+
+    history.clearVoiceHistory();
+    stubVoiceCommands([
+      { id: "echocode.readCurrentLine", keywords: ["read current line"] },
+    ]);
+
+    try {
+      await router.tryExecuteVoiceCommand("read current line", outputChannel);
+      await router.tryExecuteVoiceCommand("", outputChannel);
+
+      const entries = history.getVoiceHistory();
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].transcript, "read current line");
+      assert.equal(entries[0].command, "echocode.readCurrentLine");
+      assert.equal(entries[0].confidence, 1);
+      assert.equal(entries[0].status, "executed");
+    } finally {
+      fs.readFileSync = originalReadFileSync;
+      commands.restore();
+      restore();
+    }
+  });
+
+  test("passes spoken slot values to parameterized commands", async () => {
+    const originalReadFileSync = fs.readFileSync;
+    const spokenMessages: string[] = [];
+    const outputChannel = createOutputChannel();
+    const commands = captureCommandExecution();
+    const { router, restore } = loadVoiceRouter({
+      speech: {
+        speakMessage: async (message: string) => {
+          spokenMessages.push(message);
+        },
+      },
+    });
+
+    fs.readFileSync = (() =>
+      JSON.stringify([
+        {
+          id: "echocode.goToLine",
+          title: "Go to Line",
+          keywords: ["go to line"],
+          patterns: ["go to line {line}"],
+          slots: { line: { type: "number", min: 1 } },
+        },
+        {
+          id: "echocode.setGuidanceLevel",
+          title: "Set Guidance Level",
+          patterns: ["set guidance level to {level}"],
+          slots: {
+            level: { type: "enum", values: ["guided", "concise"] },
+          },
+        },
+      ])) as unknown as typeof fs.readFileSync;
+
+    try {
+      const line = await router.tryExecuteVoiceCommand(
+        "Go to line forty two.",
+        outputChannel,
+      );
+      assert.deepEqual(line, { handled: true, command: "echocode.goToLine" });
+
+      await router.tryExecuteVoiceCommand(
+        "set guidance level to concise",
+        outputChannel,
+      );
+      assert.deepEqual(commands.executed, [
+        "echocode.goToLine",
+        "echocode.setGuidanceLevel",
+      ]);
+      assert.deepEqual(commands.args, [[42], ["concise"]]);
+
+      const bad = await router.tryExecuteVoiceCommand(
+        "go to line banana",
+        outputChannel,
+      );
+      assert.deepEqual(bad, { handled: true });
+      assert.deepEqual(spokenMessages, [
+        "I didn't catch a number for the line.",
+      ]);
+      assert.equal(commands.executed.length, 2);
+    } finally {
+      fs.readFileSync = originalReadFileSync;
+      commands.restore();
+      restore();
+    }
+  });
+
   test("blocks locked internal commands in student mode", async () => {
     const originalReadFileSync = fs.readFileSync;
     const spokenMessages: string[] = [];
@@ -253,6 +405,174 @@ suite("EchoCode – Voice Command Router", () => {
     }
   });
 
+  test("speaks the instructor policy that blocked a command", async () => {
+    const originalReadFileSync = fs.readFileSync;
+    const spokenMessages: string[] = [];
+    const counted: string[] = [];
+    const outputChannel = createOutputChannel();
+    const commands = captureCommandExecution();
+    const { router, restore } = loadVoiceRouter({
+      mode: { getMode: () => "student" },
+      guard: {
+        checkCommand: (commandId: string) =>
+          commandId === "echocode.annotate"
+            ? {
+                allowed: false,
+                source: "policy",
+                policy: "Lab 3",
+                reason: "This feature is locked by the Lab 3 policy.",
+              }
+            : { allowed: true },
+        countCommandUse: (commandId: string, run: () => unknown) => {
+          counted.push(commandId);
+          return run();
+        },
+      },
+      speech: {
+        speakMessage: async (message: string) => {
+          spokenMessages.push(message);
+        },
+      },
+    });
+
+    stubVoiceCommands([
+      { id: "echocode.annotate", keywords: ["annotate"] },
+      { id: "echocode.readErrors", keywords: ["read errors"] },
+    ]);
+
+    try {
+      assert.deepEqual(
+        await router.tryExecuteVoiceCommand("annotate", outputChannel),
+        { handled: true },
+      );
+      assert.deepEqual(spokenMessages, [
+        "This feature is locked by the Lab 3 policy.",
+      ]);
+
+      await router.tryExecuteVoiceCommand("read errors", outputChannel);
+      assert.deepEqual(commands.executed, ["echocode.readErrors"]);
+      assert.deepEqual(counted, ["echocode.readErrors"]);
+    } finally {
+      fs.readFileSync = originalReadFileSync;
+      commands.restore();
+      restore();
+    }
+  });
+
+  test("runs macro steps from settings in order", async () => {
+    const originalReadFileSync = fs.readFileSync;
+    const originalGetConfiguration = vscode.workspace.getConfiguration;
+    const spokenMessages: string[] = [];
+    const outputChannel = createOutputChannel();
+    const commands = captureCommandExecution();
+    const { router, restore } = loadVoiceRouter({
+      speech: {
+        speakMessage: async (message: string) => {
+          spokenMessages.push(message);
+        },
+      },
+    });
+
+    stubVoiceCommands([]);
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key === "voiceMacros"
+          ? [
+              {
+                name: "check my work",
+                steps: [
+                  "echocode.rescanUserCode",
+                  { command: "code-tutor.analyzeBigO", say: "Big O done." },
+                ],
+              },
+            ]
+          : fallback,
+    });
+
+    try {
+      const result = await router.tryExecuteVoiceCommand(
+        "Check my work.",
+        outputChannel,
+      );
+
+      assert.deepEqual(result, {
+        handled: true,
+        command: "macro:check my work",
+      });
+      assert.deepEqual(commands.executed, [
+        "echocode.rescanUserCode",
+        "code-tutor.analyzeBigO",
+      ]);
+      assert.deepEqual(spokenMessages, [
+        "Big O done.",
+        "Finished check my work.",
+      ]);
+    } finally {
+      fs.readFileSync = originalReadFileSync;
+      vscode.workspace.getConfiguration = originalGetConfiguration;
+      commands.restore();
+      restore();
+    }
+  });
+
+  test("chains spoken commands unless a step is locked", async () => {
+    const originalReadFileSync = fs.readFileSync;
+    const spokenMessages: string[] = [];
+    const outputChannel = createOutputChannel();
+    const commands = captureCommandExecution();
+    let mode = "dev";
+    const { router, restore } = loadVoiceRouter({
+      mode: { getMode: () => mode },
+      guard: { STUDENT_LOCKED_COMMANDS: new Set(["echocode.readErrors"]) },
+      externalIntentRouter: {
+        matchExternalCommand: (transcript: string) =>
+          transcript === "save"
+            ? { id: "workbench.action.files.save", title: "Save" }
+            : null,
+      },
+      speech: {
+        speakMessage: async (message: string) => {
+          spokenMessages.push(message);
+        },
+      },
+    });
+
+    fs.readFileSync = (() =>
+      JSON.stringify([
+        {
+          id: "echocode.readErrors",
+          title: "Read Errors",
+          keywords: ["read errors"],
+        },
+      ])) as unknown as typeof fs.readFileSync;
+
+    try {
+      await router.tryExecuteVoiceCommand(
+        "save and then read errors",
+        outputChannel,
+      );
+      assert.deepEqual(commands.executed, [
+        "workbench.action.files.save",
+        "echocode.readErrors",
+      ]);
+
+      mode = "student";
+      const locked = await router.tryExecuteVoiceCommand(
+        "save, read errors",
+        outputChannel,
+      );
+      assert.deepEqual(locked, { handled: true });
+      assert.deepEqual(spokenMessages, [
+        "That command chain includes Read Errors, which is disabled in student mode.",
+      ]);
+      assert.equal(commands.executed.length, 2);
+    } finally {
+      fs.readFileSync = originalReadFileSync;
+      commands.restore();
+      restore();
+    }
+  });
+
   test("executes matching external commands", async () => {
     const originalReadFileSync = fs.readFileSync;
     const outputChannel = createOutputChannel();
@@ -289,6 +609,60 @@ suite("EchoCode – Voice Command Router", () => {
     }
   });
 
+  test("asks before running destructive external commands", async () => {
+    const originalReadFileSync = fs.readFileSync;
+    const spokenMessages: string[] = [];
+    const outputChannel = createOutputChannel();
+    const commands = captureCommandExecution();
+    const messages = captureWindowMessages();
+    const { router, restore } = loadVoiceRouter({
+      externalIntentRouter: {
+        matchExternalCommand: (transcript: string) =>
+          transcript.includes("close all")
+            ? {
+                id: "workbench.action.closeAllEditors",
+                title: "Close All Editors",
+                risk: "destructive",
+              }
+            : null,
+      },
+      speech: {
+        speakMessage: async (message: string) => {
+          spokenMessages.push(message);
+        },
+      },
+    });
+
+    stubVoiceCommands([]);
+
+    try {
+      await router.tryExecuteVoiceCommand("close all editors", outputChannel);
+      assert.deepEqual(commands.executed, []);
+      assert.deepEqual(spokenMessages, [
+        "Close All Editors may close or discard work. Say yes to go ahead.",
+      ]);
+
+      const confirmed = await router.tryExecuteVoiceCommand(
+        "Yes.",
+        outputChannel,
+      );
+      assert.deepEqual(confirmed, {
+        handled: true,
+        command: "workbench.action.closeAllEditors",
+      });
+
+      await router.tryExecuteVoiceCommand("close all tabs", outputChannel);
+      await router.tryExecuteVoiceCommand("no", outputChannel);
+      assert.deepEqual(commands.executed, ["workbench.action.closeAllEditors"]);
+      assert.equal(spokenMessages.at(-1), "Cancelled Close All Editors.");
+    } finally {
+      fs.readFileSync = originalReadFileSync;
+      messages.restore();
+      commands.restore();
+      restore();
+    }
+  });
+
   test("routes question-style prompts back to chat handling", async () => {
     const originalReadFileSync = fs.readFileSync;
     const outputChannel = createOutputChannel();
@@ -315,6 +689,49 @@ suite("EchoCode – Voice Command Router", () => {
     }
   });
 
+  test("runs the dictate code command instead of typing code", async () => {
+    const originalReadFileSync = fs.readFileSync;
+    const outputChannel = createOutputChannel();
+    const commands = captureCommandExecution();
+    const originalEditor = vscode.window.activeTextEditor;
+    const edits: string[] = [];
+    const { router, restore } = loadVoiceRouter();
+
+    stubVoiceCommands([
+      {
+        id: "echocode.voiceDictate",
+        keywords: ["dictation mode", "dictate code"],
+      },
+    ]);
+    vscode.window.activeTextEditor = {
+      selection: { active: { line: 0, character: 0 } },
+      document: { languageId: "python", lineAt: () => ({ text: "" }) },
+      edit: async () => {
+        edits.push("edit");
+        return true;
+      },
+    };
+
+    try {
+      const result = await router.tryExecuteVoiceCommand(
+        "Dictate code.",
+        outputChannel,
+      );
+
+      assert.deepEqual(result, {
+        handled: true,
+        command: "echocode.voiceDictate",
+      });
+      assert.deepEqual(commands.executed, ["echocode.voiceDictate"]);
+      assert.deepEqual(edits, []);
+    } finally {
+      fs.readFileSync = originalReadFileSync;
+      vscode.window.activeTextEditor = originalEditor;
+      commands.restore();
+      restore();
+    }
+  });
+
   test("generates code with editor context when no command matches", async () => {
     const originalReadFileSync = fs.readFileSync;
     const outputChannel = createOutputChannel();
@@ -332,6 +749,7 @@ suite("EchoCode – Voice Command Router", () => {
           text: line === 5 ? "    existing_call()" : `line-${line}`,
         }),
         getText: () => "surrounding context",
+        offsetAt: () => 0,
       },
       edit: async (
         callback: (editBuilder: {
@@ -393,7 +811,7 @@ suite("EchoCode – Voice Command Router", () => {
         { line: 5, text: "print('generated')" },
       ]);
       assert.deepEqual(spokenMessages, [
-        "Here is the code I generated: print('generated')",
+        "Here is the code I generated: print open paren generated close paren",
       ]);
       assert.equal(
         messages.infoMessages[0],
@@ -407,6 +825,64 @@ suite("EchoCode – Voice Command Router", () => {
     }
   });
 
+  test("does not generate code while a policy locks voice coding", async () => {
+    const originalReadFileSync = fs.readFileSync;
+    const outputChannel = createOutputChannel();
+    const spokenMessages: string[] = [];
+    let generated = 0;
+    const originalEditor = vscode.window.activeTextEditor;
+    vscode.window.activeTextEditor = {
+      selection: { active: { line: 0, character: 0 } },
+      document: {
+        languageId: "python",
+        lineCount: 1,
+        lineAt: () => ({ text: "" }),
+        getText: () => "",
+      },
+      edit: async () => true,
+    };
+    const { router, restore } = loadVoiceRouter({
+      aiRequest: {
+        generateCodeFromVoice: async () => {
+          generated += 1;
+          return "print('generated')";
+        },
+      },
+      guard: {
+        checkCommand: (commandId: string) =>
+          commandId === "echocode.voiceCode"
+            ? {
+                allowed: false,
+                source: "policy",
+                reason: "This feature is locked by the Lab 3 policy.",
+              }
+            : { allowed: true },
+      },
+      speech: {
+        speakMessage: async (message: string) => {
+          spokenMessages.push(message);
+        },
+      },
+    });
+    stubVoiceCommands([]);
+
+    try {
+      const result = await router.tryExecuteVoiceCommand(
+        "create a print statement",
+        outputChannel,
+      );
+      assert.deepEqual(result, { handled: true });
+      assert.equal(generated, 0);
+      assert.deepEqual(spokenMessages, [
+        "This feature is locked by the Lab 3 policy.",
+      ]);
+    } finally {
+      fs.readFileSync = originalReadFileSync;
+      vscode.window.activeTextEditor = originalEditor;
+      restore();
+    }
+  });
+
   test("reports generation failures without throwing", async () => {
     const originalReadFileSync = fs.readFileSync;
     const outputChannel = createOutputChannel();
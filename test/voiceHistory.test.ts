@@ -0,0 +1,125 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown, setup } from "mocha";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const history = nodeRequire(
+  path.join(repoRoot, "program_features/Voice/voiceHistory.js"),
+);
+const tts = nodeRequire(
+  path.join(repoRoot, "Core/program_settings/speech_settings/ttsBackends.js"),
+);
+
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+const spoken = () => tts.getSpokenLog().map((entry: any) => entry.text);
+
+// A one-document stand-in for a text editor, with offsets as positions
+function createDocument(initial: string) {
+  const doc: any = {
+    text: initial,
+    uri: { fsPath: "/ws/main.py" },
+    eol: 1,
+    offsetAt: (position: any) => position.offset,
+    positionAt: (offset: number) => ({ offset }),
+    getText: (range: any) =>
+      doc.text.slice(range.start.offset, range.end.offset),
+  };
+  const editor = {
+    document: doc,
+    edit: async (callback: any) => {
+      callback({
+        delete: (range: any) => {
+          doc.text =
+            doc.text.slice(0, range.start.offset) +
+            doc.text.slice(range.end.offset);
+        },
+      });
+      return true;
+    },
+  };
+  return { doc, editor };
+}
+
+suite("EchoCode – Voice Command History", () => {
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  const originalOpen = vscode.workspace.openTextDocument;
+  const originalShow = vscode.window.showTextDocument;
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key === "tts.backend" ? "log" : fallback,
+      update: async () => {},
+    });
+  });
+
+  suiteTeardown(() => {
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+    vscode.workspace.openTextDocument = originalOpen;
+    vscode.window.showTextDocument = originalShow;
+  });
+
+  setup(() => {
+    history.clearVoiceHistory();
+    tts.resetBackendResolution();
+    tts.clearSpokenLog();
+  });
+
+  test("describes and repeats the last command, not the history commands", async () => {
+    history.recordVoiceEvent({
+      transcript: "the second one",
+      command: "echocode.nextTask",
+      title: "Next Task",
+      confidence: 0.923,
+      status: "executed",
+      repeatAs: "next task",
+    });
+    history.recordVoiceEvent({
+      transcript: "what was the last command",
+      command: "echocode.sayLastVoiceCommand",
+      confidence: 1,
+      status: "executed",
+    });
+
+    const [first] = history.getVoiceHistory();
+    assert.equal(first.confidence, 0.92);
+    assert.equal(
+      history.describeEntry(first),
+      'The last command was Next Task, from "the second one". I was 92 percent sure. It ran.',
+    );
+
+    const replayed: string[] = [];
+    await history.repeatLastVoiceCommand(async (text: string) => {
+      replayed.push(text);
+    });
+    assert.deepEqual(replayed, ["next task"]);
+  });
+
+  test("undoes inserted code only while it is unchanged", async () => {
+    const { doc, editor } = createDocument("x = 1\n");
+    vscode.workspace.openTextDocument = async () => doc;
+    vscode.window.showTextDocument = async () => editor;
+
+    doc.text = "x = 1\nprint(x)\n";
+    history.recordVoiceEdit(doc, { offset: 6 }, "print(x)\n", "print x");
+    assert.equal(await history.undoLastVoiceEdit(), true);
+    assert.equal(doc.text, "x = 1\n");
+
+    doc.text = "x = 1\nprint(y)\n";
+    history.recordVoiceEdit(doc, { offset: 6 }, "print(x)\n", "print x");
+    assert.equal(await history.undoLastVoiceEdit(), false);
+    assert.equal(doc.text, "x = 1\nprint(y)\n");
+
+    await wait(10);
+    assert.deepEqual(spoken(), [
+      'Removed the code for "print x".',
+      "That code has changed since it was inserted, so I left it alone.",
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, setup, teardown } from "mocha";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const settingsDir = path.join(
+  repoRoot,
+  "Core/program_settings/program_settings",
+);
+const slots = nodeRequire(path.join(settingsDir, "voiceSlots.js"));
+const voiceCommands = nodeRequire(
+  path.join(settingsDir, "voice_commands.json"),
+);
+
+const commandFor = (id: string) => voiceCommands.find((c: any) => c.id === id);
+
+suite("EchoCode – Voice Command Slots", () => {
+  const originalExecute = vscode.commands.executeCommand;
+  const originalFindFiles = vscode.workspace.findFiles;
+  const originalEditor = vscode.window.activeTextEditor;
+
+  setup(() => {
+    vscode.window.activeTextEditor = { document: { uri: "file:///a.py" } };
+    vscode.commands.executeCommand = async (id: string) =>
+      id === "vscode.executeDocumentSymbolProvider"
+        ? [
+            {
+              name: "Parser",
+              children: [{ name: "parse_input", children: [] }],
+            },
+            { name: "main", children: [] },
+          ]
+        : undefined;
+    vscode.workspace.findFiles = async () => [
+      { fsPath: "/ws/src/main.py" },
+      { fsPath: "/ws/src/string_utils.py" },
+    ];
+  });
+
+  teardown(() => {
+    vscode.commands.executeCommand = originalExecute;
+    vscode.workspace.findFiles = originalFindFiles;
+    vscode.window.activeTextEditor = originalEditor;
+  });
+
+  test("reads numbers as digits or words", () => {
+    assert.equal(slots.parseSpokenNumber("42"), 42);
+    assert.equal(slots.parseSpokenNumber("forty-two"), 42);
+    assert.equal(slots.parseSpokenNumber("one hundred and five"), 105);
+    assert.equal(slots.parseSpokenNumber("one point five"), 1.5);
+    assert.equal(slots.parseSpokenNumber("banana"), null);
+  });
+
+  test("the most specific pattern wins and captures its slots", () => {
+    const match = slots.matchSlotCommand(
+      "please set speech speed to 1.5.",
+      voiceCommands,
+    );
+    assert.equal(match.command.id, "echocode.setSpeechSpeed");
+    assert.deepEqual(match.values, { rate: "1.5" });
+
+    assert.equal(
+      slots.matchSlotCommand("go to next file", voiceCommands),
+      null,
+    );
+  });
+
+  test("resolves symbols and files against the workspace", async () => {
+    const symbol = await slots.resolveSlots(
+      commandFor("echocode.jumpToFunction"),
+      { name: "parse input" },
+    );
+    assert.deepEqual(symbol, { args: ["parse_input"] });
+
+    const file = await slots.resolveSlots(
+      commandFor("echocode.openFileByName"),
+      { file: slots.spokenToFileName("string utils dot py") },
+    );
+    assert.deepEqual(file, { args: [{ fsPath: "/ws/src/string_utils.py" }] });
+
+    const missing = await slots.resolveSlots(
+      commandFor("echocode.jumpToFunction"),
+      { name: "render" },
+    );
+    assert.deepEqual(missing, {
+      error: "I couldn't find a function called render.",
+    });
+  });
+
+  test("checks numbers and enum values", async () => {
+    assert.deepEqual(
+      await slots.resolveSlots(commandFor("echocode.setSpeechSpeed"), {
+        rate: "three",
+      }),
+      { error: "The speech speed must be between 0.5 and 2." },
+    );
+    assert.deepEqual(
+      await slots.resolveSlots(commandFor("echocode.setGuidanceLevel"), {
+        level: "concise",
+      }),
+      { args: ["concise"] },
+    );
+  });
+});
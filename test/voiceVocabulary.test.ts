@@ -0,0 +1,103 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test, suiteSetup, suiteTeardown } from "mocha";
+import * as path from "path";
+
+// @ts-ignore
+import * as VS from "./helpers/vscodeMock.js";
+const vscode: any = VS;
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const vocabulary = nodeRequire(
+  path.join(repoRoot, "program_features/Voice/voiceVocabulary.js"),
+);
+
+suite("Voice vocabulary", () => {
+  const originalExecuteCommand = vscode.commands.executeCommand;
+  const originalEditor = vscode.window.activeTextEditor;
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  let settings: Record<string, unknown> = {};
+
+  suiteSetup(() => {
+    vscode.workspace.getConfiguration = () => ({
+      get: (key: string, fallback: unknown) =>
+        key in settings ? settings[key] : fallback,
+    });
+  });
+
+  suiteTeardown(() => {
+    vscode.commands.executeCommand = originalExecuteCommand;
+    vscode.window.activeTextEditor = originalEditor;
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+  });
+
+  test("fixes common mishearings for the file's language", () => {
+    const python = vocabulary.getReplacements("python");
+    assert.equal(
+      vocabulary.applyReplacements(
+        "Death add numbers, el if X is Elf. Deathly quiet.",
+        python,
+      ),
+      "def add numbers, elif X is elif. Deathly quiet.",
+    );
+    // Python's corrections stay out of other languages
+    assert.equal(
+      vocabulary.applyReplacements(
+        "death and a sink function",
+        vocabulary.getReplacements("javascript"),
+      ),
+      "death and async function",
+    );
+  });
+
+  test("user entries extend and switch off the built-in ones", () => {
+    const replacements = vocabulary.getReplacements("python", {
+      "my funk": "my_func",
+      elf: "",
+    });
+    assert.equal(
+      vocabulary.applyReplacements("call my  funk from the elf", replacements),
+      "call my_func from the elf",
+    );
+
+    settings = { "voice.replacements": { "sum it": "summit" } };
+    vscode.window.activeTextEditor = { document: { languageId: "python" } };
+    assert.equal(vocabulary.correctTranscript("death sum it"), "def summit");
+    settings = {};
+  });
+
+  test("primes Whisper with keywords and the file's identifiers", async () => {
+    vscode.commands.executeCommand = async (id: string) => {
+      assert.equal(id, "vscode.executeDocumentSymbolProvider");
+      return [
+        {
+          name: "BankAccount",
+          children: [{ name: "deposit(amount)", children: [] }],
+        },
+        { name: "calculate_total", children: [] },
+      ];
+    };
+    vscode.window.activeTextEditor = {
+      document: {
+        uri: { toString: () => "file:///bank.py" },
+        version: 1,
+        languageId: "python",
+      },
+    };
+
+    const prompt = await vocabulary.getInitialPrompt();
+    assert.match(prompt, /^python code: def, elif,/);
+    assert.match(prompt, /BankAccount, deposit, calculate_total\.$/);
+
+    const long = vocabulary.buildInitialPrompt(
+      "python",
+      Array.from({ length: 200 }, (_, i) => `identifier_${i}`),
+    );
+    assert.ok(long.length <= 600);
+
+    settings = { "voice.vocabularyBiasing": false };
+    assert.equal(await vocabulary.getInitialPrompt(), "");
+    settings = {};
+  });
+});
@@ -0,0 +1,138 @@
+import "./helpers/vscodeMock.js";
+import { strict as assert } from "assert";
+import { suite, test } from "mocha";
+import * as path from "path";
+import { EventEmitter } from "events";
+import { PassThrough } from "stream";
+
+const nodeRequire = require;
+const repoRoot = process.cwd();
+const { WhisperWorker } = nodeRequire(
+  path.join(repoRoot, "program_features/Voice/whisperWorker.js"),
+);
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Stands in for the Python worker: records requests, answers on demand
+function createFakeSpawn() {
+  const children: any[] = [];
+  const spawnProcess = (command: string, args: string[]) => {
+    const child: any = new EventEmitter();
+    child.command = command;
+    child.args = args;
+    child.pid = 1000 + children.length;
+    child.requests = [] as any[];
+    child.stdout = new PassThrough();
+    child.stderr = new PassThrough();
+    child.stdin = new PassThrough();
+    child.stdin.on("data", (data: Buffer) => {
+      for (const line of data.toString().split("\n").filter(Boolean)) {
+        child.requests.push(JSON.parse(line));
+      }
+    });
+    child.reply = (message: any) =>
+      child.stdout.write(`${JSON.stringify(message)}\n`);
+    child.kill = () => child.emit("exit", null);
+    children.push(child);
+    return child;
+  };
+  return { children, spawnProcess };
+}
+
+function createWorker(spawnProcess: any, options: any = {}) {
+  const logs: string[] = [];
+  const worker = new WhisperWorker({
+    pythonPath: "/venv/bin/python3",
+    spawnProcess,
+    healthIntervalMs: 0,
+    log: (line: string) => logs.push(line),
+    ...options,
+  });
+  return { worker, logs };
+}
+
+suite("Whisper worker", () => {
+  test("matches JSON-line answers to their requests", async () => {
+    const fake = createFakeSpawn();
+    const { worker } = createWorker(fake.spawnProcess);
+    worker.start();
+    const child = fake.children[0];
+    assert.equal(child.command, "/venv/bin/python3");
+    assert.match(child.args[0], /transcription_worker\.py$/);
+
+    child.reply({ event: "ready", model: "base.en" });
+    const first = worker.transcribe("/tmp/a.wav");
+    const second = worker.health();
+    await flush();
+
+    assert.deepEqual(child.requests[0], {
+      id: 1,
+      method: "transcribe",
+      params: { path: "/tmp/a.wav" },
+    });
+    assert.deepEqual(child.requests[1], {
+      id: 2,
+      method: "health",
+      params: {},
+    });
+
+    // Answers may come back in any order
+    child.reply({ id: 2, result: { status: "ok" } });
+    child.reply({ id: 1, result: { text: " hello world " } });
+    assert.equal(await first, "hello world");
+    assert.deepEqual(await second, { status: "ok" });
+
+    const failing = worker.transcribe("/tmp/b.wav");
+    await flush();
+    child.reply({ id: 3, error: "Audio file not found" });
+    await assert.rejects(failing, /Audio file not found/);
+    assert.ok(worker.ready);
+  });
+
+  test("restarts after a crash, up to maxRestarts", async () => {
+    const fake = createFakeSpawn();
+    const { worker, logs } = createWorker(fake.spawnProcess, {
+      maxRestarts: 2,
+    });
+    worker.start();
+
+    const lost = worker.transcribe("/tmp/a.wav");
+    fake.children[0].emit("exit", 1);
+    await assert.rejects(lost, /exited with code 1/);
+    assert.equal(fake.children.length, 2);
+    assert.ok(worker.isRunning());
+
+    fake.children[1].emit("exit", 1);
+    fake.children[2].emit("exit", 1);
+    assert.equal(fake.children.length, 3);
+    assert.equal(worker.isRunning(), false);
+    assert.ok(logs.some((line) => /Too many restarts/.test(line)));
+    await assert.rejects(worker.transcribe("/tmp/c.wav"), /not running/);
+  });
+
+  test("replaces a worker that stops answering", async () => {
+    const fake = createFakeSpawn();
+    const { worker } = createWorker(fake.spawnProcess, {
+      healthTimeoutMs: 20,
+    });
+    worker.start();
+    fake.children[0].reply({ event: "ready", model: "base.en" });
+    await flush();
+
+    await assert.rejects(worker.health(), /did not answer health/);
+    assert.equal(fake.children.length, 2);
+  });
+
+  test("shuts down gracefully without restarting", async () => {
+    const fake = createFakeSpawn();
+    const { worker } = createWorker(fake.spawnProcess);
+    worker.start();
+    const child = fake.children[0];
+    child.stdin.on("finish", () => child.emit("exit", 0));
+
+    await worker.shutdown(1000);
+    assert.deepEqual(child.requests, [{ method: "shutdown" }]);
+    assert.equal(fake.children.length, 1);
+    assert.equal(worker.isRunning(), false);
+  });
+});